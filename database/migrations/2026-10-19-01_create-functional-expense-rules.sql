@@ -0,0 +1,40 @@
+-- Migration: Create functional_expense_rules for the Statement of Functional Expenses
+-- Date: 2026-10-19
+--
+-- Each rule allocates expense activity to the three functional classes used on
+-- Form 990 Part IX (Program Services, Management & General, Fundraising).
+-- A rule may target a GL code, a fund, both, or neither (entity-wide default).
+-- Matching precedence (most specific wins): gl_code + fund, fund, gl_code,
+-- default. Entity-specific rules beat rules with a NULL entity_id.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS functional_expense_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entity_id UUID REFERENCES entities(id) ON DELETE CASCADE,
+    gl_code VARCHAR(10),
+    fund_id UUID REFERENCES funds(id) ON DELETE CASCADE,
+    program_pct NUMERIC(5,2) NOT NULL DEFAULT 0,
+    management_general_pct NUMERIC(5,2) NOT NULL DEFAULT 0,
+    fundraising_pct NUMERIC(5,2) NOT NULL DEFAULT 0,
+    description TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'Active',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_functional_rule_pct_range CHECK (
+        program_pct >= 0 AND management_general_pct >= 0 AND fundraising_pct >= 0
+    ),
+    CONSTRAINT chk_functional_rule_pct_total CHECK (
+        program_pct + management_general_pct + fundraising_pct = 100
+    ),
+    CONSTRAINT chk_functional_rule_status CHECK (status IN ('Active', 'Inactive'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uidx_functional_expense_rules_scope
+    ON functional_expense_rules (
+        COALESCE(entity_id, '00000000-0000-0000-0000-000000000000'::uuid),
+        COALESCE(LOWER(gl_code), ''),
+        COALESCE(fund_id, '00000000-0000-0000-0000-000000000000'::uuid)
+    );
+
+COMMIT;
@@ -0,0 +1,47 @@
+-- Migration: Budget management – ensure budgets table and add versioning
+-- Date: 2026-10-19
+--
+-- budgets.period is the fiscal period number '01'..'12' counted from
+-- entities.fiscal_year_start; budgets.fiscal_year is the calendar year in
+-- which the fiscal year ends. Each line belongs to a version: the
+-- board-approved 'Original' budget or a later 'Revised' budget.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS budgets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entity_id UUID NOT NULL REFERENCES entities(id),
+    fund_id UUID NOT NULL REFERENCES funds(id),
+    account_id UUID NOT NULL REFERENCES accounts(id),
+    fiscal_year VARCHAR(4) NOT NULL,
+    period VARCHAR(10) NOT NULL,
+    amount NUMERIC(15,2) NOT NULL DEFAULT 0.00,
+    status VARCHAR(20) DEFAULT 'Active',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE budgets
+    ADD COLUMN IF NOT EXISTS version VARCHAR(20) NOT NULL DEFAULT 'Original';
+
+ALTER TABLE budgets
+    ADD COLUMN IF NOT EXISTS notes TEXT;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints
+        WHERE constraint_name = 'chk_budgets_version' AND table_name = 'budgets'
+    ) THEN
+        ALTER TABLE budgets
+            ADD CONSTRAINT chk_budgets_version CHECK (version IN ('Original', 'Revised'));
+    END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uidx_budgets_line
+    ON budgets (account_id, fund_id, fiscal_year, period, version);
+
+CREATE INDEX IF NOT EXISTS idx_budgets_entity_year
+    ON budgets (entity_id, fiscal_year);
+
+COMMIT;
@@ -0,0 +1,43 @@
+-- Migration: Accounting period close – fiscal_periods and close history
+-- Date: 2026-10-19
+--
+-- One row per entity / fiscal year / period (1-12, months counted from
+-- entities.fiscal_year_start). Rows are created on demand when a period is
+-- first closed; a period with no row is open. Writes dated between
+-- start_date and end_date of a Closed period are rejected by the API.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS fiscal_periods (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+    fiscal_year VARCHAR(4) NOT NULL,
+    period SMALLINT NOT NULL CHECK (period BETWEEN 1 AND 12),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'Open' CHECK (status IN ('Open', 'Closed')),
+    closed_at TIMESTAMP,
+    closed_by UUID,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_fiscal_periods_entity_period UNIQUE (entity_id, fiscal_year, period),
+    CONSTRAINT chk_fiscal_periods_dates CHECK (start_date <= end_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fiscal_periods_entity_dates
+    ON fiscal_periods (entity_id, start_date, end_date);
+
+-- Every close / reopen is recorded with the reason given
+CREATE TABLE IF NOT EXISTS fiscal_period_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    fiscal_period_id UUID NOT NULL REFERENCES fiscal_periods(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('Close', 'Reopen')),
+    reason TEXT NOT NULL,
+    user_id UUID,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_fiscal_period_history_period
+    ON fiscal_period_history (fiscal_period_id, created_at);
+
+COMMIT;
@@ -0,0 +1,50 @@
+-- Migration: Fiscal year-end close runs and opening balance snapshots
+-- Date: 2026-10-19
+--
+-- A close run generates one journal entry (entry_type 'Year-End Close',
+-- dated the last day of the fiscal year) that moves each fund's revenue and
+-- expense into the fund's net asset equity account. The entry stays Draft
+-- while the run is Pending so it can be reviewed or reversed; finalizing
+-- posts it. year_end_close_balances records the resulting opening balances
+-- of the next fiscal year.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS year_end_closes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entity_id UUID NOT NULL REFERENCES entities(id),
+    fiscal_year VARCHAR(4) NOT NULL,
+    closing_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'Pending'
+        CHECK (status IN ('Pending', 'Finalized', 'Reversed')),
+    journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+    total_revenue NUMERIC(15,2) NOT NULL DEFAULT 0,
+    total_expense NUMERIC(15,2) NOT NULL DEFAULT 0,
+    notes TEXT,
+    created_by UUID,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finalized_by UUID,
+    finalized_at TIMESTAMP,
+    reversed_by UUID,
+    reversed_at TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Only one live (Pending or Finalized) close per entity and fiscal year
+CREATE UNIQUE INDEX IF NOT EXISTS uidx_year_end_closes_live
+    ON year_end_closes (entity_id, fiscal_year)
+    WHERE status <> 'Reversed';
+
+CREATE TABLE IF NOT EXISTS year_end_close_balances (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    year_end_close_id UUID NOT NULL REFERENCES year_end_closes(id) ON DELETE CASCADE,
+    account_id UUID NOT NULL REFERENCES accounts(id),
+    restriction VARCHAR(10),
+    opening_balance NUMERIC(15,2) NOT NULL DEFAULT 0,
+    opening_date DATE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_year_end_close_balances_close
+    ON year_end_close_balances (year_end_close_id);
+
+COMMIT;
@@ -0,0 +1,31 @@
+-- Migration: Reversing entries and journal entry audit log
+-- Date: 2026-10-19
+--
+-- Posted journal entries are corrected by a linked reversing entry instead
+-- of being edited or deleted. journal_entries.reversal_of_id points from the
+-- reversing entry to the entry it reverses; each entry can be reversed once.
+
+BEGIN;
+
+ALTER TABLE journal_entries
+    ADD COLUMN IF NOT EXISTS reversal_of_id UUID REFERENCES journal_entries(id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uidx_journal_entries_reversal_of
+    ON journal_entries (reversal_of_id)
+    WHERE reversal_of_id IS NOT NULL;
+
+-- Reversals and unposts with who/why
+CREATE TABLE IF NOT EXISTS journal_entry_audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    journal_entry_id UUID NOT NULL REFERENCES journal_entries(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('Reverse', 'Unpost')),
+    related_entry_id UUID,
+    reason TEXT,
+    user_id UUID,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_entry_audit_log_entry
+    ON journal_entry_audit_log (journal_entry_id, created_at);
+
+COMMIT;
@@ -0,0 +1,62 @@
+-- Migration: Recurring and auto-reversing journal entry templates
+-- Date: 2026-10-19
+--
+-- A template holds the lines of a journal entry that is booked repeatedly
+-- (rent, depreciation, payroll accruals). Recurring templates generate a
+-- posted entry on each occurrence date; auto-reversing templates also post a
+-- linked reversing entry (journal_entries.reversal_of_id) on the first day of
+-- the following fiscal period. journal_template_runs records each generated
+-- occurrence so an occurrence is never booked twice.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS journal_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entity_id UUID NOT NULL REFERENCES entities(id),
+    target_entity_id UUID REFERENCES entities(id),
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    reference_prefix VARCHAR(20) NOT NULL DEFAULT 'REC',
+    frequency VARCHAR(20)
+        CHECK (frequency IS NULL OR frequency IN ('Monthly', 'Quarterly', 'Annually')),
+    start_date DATE,
+    end_date DATE,
+    max_occurrences INTEGER CHECK (max_occurrences IS NULL OR max_occurrences > 0),
+    occurrences_generated INTEGER NOT NULL DEFAULT 0,
+    auto_reverse BOOLEAN NOT NULL DEFAULT FALSE,
+    status VARCHAR(20) NOT NULL DEFAULT 'Active'
+        CHECK (status IN ('Active', 'Paused', 'Completed')),
+    source_journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+    created_by UUID,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CHECK (frequency IS NULL OR start_date IS NOT NULL),
+    CHECK (end_date IS NULL OR start_date IS NULL OR end_date >= start_date)
+);
+
+CREATE TABLE IF NOT EXISTS journal_template_lines (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    template_id UUID NOT NULL REFERENCES journal_templates(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL DEFAULT 0,
+    account_id UUID NOT NULL REFERENCES accounts(id),
+    fund_id UUID REFERENCES funds(id),
+    description TEXT,
+    debit NUMERIC(15,2) NOT NULL DEFAULT 0,
+    credit NUMERIC(15,2) NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_template_lines_template
+    ON journal_template_lines (template_id, line_number);
+
+CREATE TABLE IF NOT EXISTS journal_template_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    template_id UUID NOT NULL REFERENCES journal_templates(id) ON DELETE CASCADE,
+    occurrence_date DATE NOT NULL,
+    journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+    reversal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+    created_by UUID,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (template_id, occurrence_date)
+);
+
+COMMIT;
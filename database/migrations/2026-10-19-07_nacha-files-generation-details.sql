@@ -0,0 +1,44 @@
+-- Migration: Record generation details on nacha_files
+-- Date: 2026-10-19
+--
+-- NACHA files are now built on the server from a payment batch
+-- (POST /api/payment-batches/:id/generate-nacha). Store the file control
+-- totals, entry hash and file ID modifier alongside the file so the file can
+-- be checked against the batch, and keep the trace number of each payment.
+--
+-- Generated files are stored as 'Generated' (the db-init default). When a
+-- batch's file is regenerated the earlier rows are kept as 'Superseded'.
+-- master-schema.sql had a lowercase-only status check that rejects both; it
+-- is replaced by a case-insensitive check that also keeps the legacy values.
+-- NOT VALID leaves any existing rows with other statuses untouched.
+
+BEGIN;
+
+ALTER TABLE nacha_files
+    ADD COLUMN IF NOT EXISTS file_id_modifier CHAR(1),
+    ADD COLUMN IF NOT EXISTS entry_hash VARCHAR(10),
+    ADD COLUMN IF NOT EXISTS batch_count INTEGER,
+    ADD COLUMN IF NOT EXISTS block_count INTEGER,
+    ADD COLUMN IF NOT EXISTS entry_addenda_count INTEGER,
+    ADD COLUMN IF NOT EXISTS total_debit_amount NUMERIC(15,2),
+    ADD COLUMN IF NOT EXISTS total_credit_amount NUMERIC(15,2),
+    ADD COLUMN IF NOT EXISTS total_amount NUMERIC(15,2),
+    ADD COLUMN IF NOT EXISTS total_items INTEGER,
+    ADD COLUMN IF NOT EXISTS created_by UUID;
+
+ALTER TABLE payment_items
+    ADD COLUMN IF NOT EXISTS trace_number VARCHAR(15);
+
+CREATE INDEX IF NOT EXISTS idx_payment_items_trace_number
+    ON payment_items (trace_number);
+
+UPDATE nacha_files SET status = 'Generated' WHERE status = 'generated';
+
+ALTER TABLE nacha_files DROP CONSTRAINT IF EXISTS chk_nacha_file_status;
+ALTER TABLE nacha_files
+    ADD CONSTRAINT chk_nacha_file_status CHECK (LOWER(status) IN (
+        'draft', 'generated', 'superseded', 'transmitted', 'sent',
+        'confirmed', 'rejected', 'error'
+    )) NOT VALID;
+
+COMMIT;
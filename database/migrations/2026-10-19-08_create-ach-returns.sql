@@ -0,0 +1,50 @@
+-- Migration: ACH returns and notifications of change
+-- Date: 2026-10-19
+--
+-- Return/NOC files from the bank are imported through /api/ach-returns.
+-- Each return (R-code) or NOC (C-code) entry is kept in ach_returns and
+-- matched to its payment item by the original trace number. Returned items
+-- are marked 'Returned' and their payment journal entries reversed; NOCs
+-- hold the corrected bank details until they are applied to the vendor.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS ach_returns (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    return_type VARCHAR(10) NOT NULL CHECK (return_type IN ('Return', 'NOC')),
+    code VARCHAR(3) NOT NULL,
+    reason TEXT,
+    original_trace_number VARCHAR(15) NOT NULL,
+    trace_number VARCHAR(15),
+    payment_item_id UUID REFERENCES payment_items(id) ON DELETE SET NULL,
+    vendor_id UUID REFERENCES vendors(id) ON DELETE SET NULL,
+    amount NUMERIC(15,2) NOT NULL DEFAULT 0,
+    effective_date DATE,
+    corrected_data VARCHAR(29),
+    corrections JSONB,
+    status VARCHAR(20) NOT NULL DEFAULT 'Pending'
+        CHECK (status IN ('Pending', 'Processed', 'Applied', 'Dismissed', 'Unmatched', 'Error')),
+    error TEXT,
+    reversal_entry_ids UUID[],
+    source_file_name VARCHAR(255),
+    source_line INTEGER,
+    created_by UUID,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ach_returns_original_trace
+    ON ach_returns (original_trace_number);
+CREATE INDEX IF NOT EXISTS idx_ach_returns_payment_item
+    ON ach_returns (payment_item_id);
+
+-- A payment can only be returned once
+CREATE UNIQUE INDEX IF NOT EXISTS uidx_ach_returns_processed_return
+    ON ach_returns (original_trace_number)
+    WHERE return_type = 'Return' AND status = 'Processed';
+
+ALTER TABLE payment_items
+    ADD COLUMN IF NOT EXISTS return_code VARCHAR(3),
+    ADD COLUMN IF NOT EXISTS returned_at TIMESTAMP;
+
+COMMIT;
@@ -0,0 +1,26 @@
+-- Migration: Balanced NACHA files and per-batch SEC code override
+-- Date: 2026-10-19
+--
+-- company_nacha_settings.balanced_file adds an offsetting debit to the
+-- settlement account at the end of every ACH batch. payment_batches.sec_code
+-- forces one SEC code for the whole batch; NULL picks it per vendor
+-- (PPD for individuals, CCD for businesses, CTX when remittance detail for
+-- several invoices has to travel with the payment).
+
+BEGIN;
+
+ALTER TABLE company_nacha_settings
+    ADD COLUMN IF NOT EXISTS balanced_file BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE payment_batches
+    ADD COLUMN IF NOT EXISTS sec_code VARCHAR(3);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'chk_payment_batches_sec_code') THEN
+        ALTER TABLE payment_batches
+            ADD CONSTRAINT chk_payment_batches_sec_code CHECK (sec_code IS NULL OR sec_code IN ('CCD', 'PPD', 'CTX'));
+    END IF;
+END $$;
+
+COMMIT;
@@ -0,0 +1,46 @@
+-- Migration: Prenotes for new and changed vendor bank accounts
+-- Date: 2026-10-19
+--
+-- Saving new or changed bank details on a vendor queues a zero-dollar
+-- prenote (transaction code 23/33) that goes out with the next NACHA file.
+-- Until company_nacha_settings.prenote_wait_days business days have passed
+-- after the prenote's effective date, the vendor is 'Pending' and its live
+-- payments are held out of NACHA files. A returned prenote fails the vendor
+-- until its bank details are corrected.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS vendor_prenotes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    vendor_id UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+    routing_number VARCHAR(20) NOT NULL,
+    account_number VARCHAR(50) NOT NULL,
+    account_type VARCHAR(20),
+    status VARCHAR(20) NOT NULL DEFAULT 'Queued'
+        CHECK (status IN ('Queued', 'Sent', 'Cleared', 'Returned', 'Cancelled')),
+    nacha_file_id UUID REFERENCES nacha_files(id) ON DELETE SET NULL,
+    trace_number VARCHAR(15),
+    effective_date DATE,
+    hold_until DATE,
+    return_code VARCHAR(3),
+    created_by UUID,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_prenotes_vendor
+    ON vendor_prenotes (vendor_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_vendor_prenotes_status
+    ON vendor_prenotes (status);
+CREATE INDEX IF NOT EXISTS idx_vendor_prenotes_trace_number
+    ON vendor_prenotes (trace_number);
+
+ALTER TABLE vendors
+    ADD COLUMN IF NOT EXISTS prenote_status VARCHAR(20) NOT NULL DEFAULT 'None',
+    ADD COLUMN IF NOT EXISTS prenote_date DATE,
+    ADD COLUMN IF NOT EXISTS prenote_hold_until DATE;
+
+ALTER TABLE company_nacha_settings
+    ADD COLUMN IF NOT EXISTS prenote_wait_days INTEGER NOT NULL DEFAULT 3;
+
+COMMIT;
@@ -0,0 +1,45 @@
+-- Migration: Posting rules for vendor payments
+-- Date: 2026-10-19
+--
+-- POST /api/vendor-payments/pay looks up the GL accounts for each payment
+-- item from the rule for its entity and payment type. A rule with a NULL
+-- entity_id applies to every entity; when no rule matches, the built-in
+-- default applies (AP 2010, due-to/due-from 1008, EFT clearing 1020, cash
+-- from the paying bank account, separate entries).
+--
+-- journal_entry_items.posting_role tags each line the payment writes, so a
+-- returned payment can reverse the payment-side lines of a compound entry
+-- while the expense and its payable stay booked.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS payment_posting_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entity_id UUID REFERENCES entities(id) ON DELETE CASCADE,
+    payment_type VARCHAR(20) NOT NULL,
+    ap_gl_code VARCHAR(10) NOT NULL DEFAULT '2010',
+    due_to_gl_code VARCHAR(10) NOT NULL DEFAULT '1008',
+    due_from_gl_code VARCHAR(10) NOT NULL DEFAULT '1008',
+    clearing_gl_code VARCHAR(10),
+    cash_gl_code VARCHAR(10),
+    compound_entry BOOLEAN NOT NULL DEFAULT FALSE,
+    description TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'Active',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_payment_posting_rules_type CHECK (
+        payment_type IN ('eft', 'check', 'paypal', 'autodraft', 'cap one', 'convera')
+    ),
+    CONSTRAINT chk_payment_posting_rules_status CHECK (status IN ('Active', 'Inactive'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uidx_payment_posting_rules_scope
+    ON payment_posting_rules (
+        COALESCE(entity_id, '00000000-0000-0000-0000-000000000000'::uuid),
+        payment_type
+    );
+
+ALTER TABLE journal_entry_items
+    ADD COLUMN IF NOT EXISTS posting_role VARCHAR(20);
+
+COMMIT;
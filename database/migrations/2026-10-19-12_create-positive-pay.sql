@@ -0,0 +1,62 @@
+-- Migration: Positive pay exports for printed checks
+-- Date: 2026-10-19
+--
+-- positive_pay_layouts holds the bank's file layout for one bank account:
+-- fixed-width or CSV, the field order with widths/padding, the date format
+-- and the issue/void codes. Without a row the default layout is used.
+--
+-- Every export is kept in positive_pay_exports with the file it produced;
+-- positive_pay_export_items records which check went out as an issue or a
+-- void, so the next export only carries checks the bank has not seen.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS positive_pay_layouts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    bank_account_id UUID NOT NULL UNIQUE REFERENCES bank_accounts(id) ON DELETE CASCADE,
+    file_format VARCHAR(10) NOT NULL DEFAULT 'fixed',
+    fields JSONB NOT NULL,
+    delimiter VARCHAR(5) NOT NULL DEFAULT ',',
+    include_header BOOLEAN NOT NULL DEFAULT FALSE,
+    date_format VARCHAR(20) NOT NULL DEFAULT 'MMDDYYYY',
+    issue_code VARCHAR(10) NOT NULL DEFAULT 'I',
+    void_code VARCHAR(10) NOT NULL DEFAULT 'V',
+    line_ending VARCHAR(4) NOT NULL DEFAULT 'CRLF',
+    file_extension VARCHAR(10) NOT NULL DEFAULT 'txt',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_positive_pay_layouts_format CHECK (file_format IN ('fixed', 'csv')),
+    CONSTRAINT chk_positive_pay_layouts_line_ending CHECK (line_ending IN ('CRLF', 'LF'))
+);
+
+CREATE TABLE IF NOT EXISTS positive_pay_exports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    bank_account_id UUID NOT NULL REFERENCES bank_accounts(id) ON DELETE CASCADE,
+    file_name VARCHAR(255) NOT NULL,
+    file_content TEXT NOT NULL,
+    issue_count INTEGER NOT NULL DEFAULT 0,
+    void_count INTEGER NOT NULL DEFAULT 0,
+    issue_amount NUMERIC(15,2) NOT NULL DEFAULT 0,
+    void_amount NUMERIC(15,2) NOT NULL DEFAULT 0,
+    exported_by UUID,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_positive_pay_exports_bank_account
+    ON positive_pay_exports (bank_account_id, created_at);
+
+CREATE TABLE IF NOT EXISTS positive_pay_export_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    export_id UUID NOT NULL REFERENCES positive_pay_exports(id) ON DELETE CASCADE,
+    printed_check_id UUID NOT NULL REFERENCES printed_checks(id) ON DELETE CASCADE,
+    record_type VARCHAR(10) NOT NULL CHECK (record_type IN ('Issue', 'Void')),
+    check_number VARCHAR(20) NOT NULL,
+    amount NUMERIC(15,2) NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A check goes to the bank at most once as an issue and once as a void
+CREATE UNIQUE INDEX IF NOT EXISTS uidx_positive_pay_export_items_check
+    ON positive_pay_export_items (printed_check_id, record_type);
+
+COMMIT;
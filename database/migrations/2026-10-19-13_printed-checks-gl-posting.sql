@@ -0,0 +1,28 @@
+-- Migration: Post printed checks to the general ledger
+-- Date: 2026-10-19
+--
+-- Printing a vendor check posts Dr AP (expense fund) / Cr the bank account's
+-- cash account; the entry is kept on printed_checks.journal_entry_id. The
+-- expense fund comes from printed_checks.fund_id, else from the linked
+-- payment item. Voiding a printed check posts a reversal dated on the void
+-- date (void_journal_entry_id). Clearing links the check to the bank
+-- statement transaction it cleared on.
+
+BEGIN;
+
+ALTER TABLE printed_checks
+    ADD COLUMN IF NOT EXISTS fund_id UUID REFERENCES funds(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS payment_item_id UUID REFERENCES payment_items(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS void_journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS bank_statement_transaction_id UUID REFERENCES bank_statement_transactions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_printed_checks_journal_entry
+    ON printed_checks (journal_entry_id);
+
+-- A statement transaction clears one check
+CREATE UNIQUE INDEX IF NOT EXISTS uidx_printed_checks_statement_transaction
+    ON printed_checks (bank_statement_transaction_id)
+    WHERE bank_statement_transaction_id IS NOT NULL;
+
+COMMIT;
@@ -0,0 +1,40 @@
+-- Migration: Server-side check PDF rendering on blank check stock
+-- Date: 2026-10-19
+--
+-- check_formats gains the page layout (check on top, in the middle, at the
+-- bottom, or three checks per page) and printer calibration offsets for the
+-- whole page and for the MICR line. Bank accounts carry the company and bank
+-- address blocks printed on the check face. Payment items can be tied to the
+-- printed check that pays them so the voucher stubs can list every invoice.
+
+BEGIN;
+
+ALTER TABLE check_formats
+    ADD COLUMN IF NOT EXISTS check_position VARCHAR(20) NOT NULL DEFAULT 'top',
+    ADD COLUMN IF NOT EXISTS print_offset_x NUMERIC(6,3) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS print_offset_y NUMERIC(6,3) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS micr_offset_x NUMERIC(6,3) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS micr_offset_y NUMERIC(6,3) NOT NULL DEFAULT 0;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'chk_check_formats_position') THEN
+        ALTER TABLE check_formats
+            ADD CONSTRAINT chk_check_formats_position
+            CHECK (check_position IN ('top', 'middle', 'bottom', 'three_per_page'));
+    END IF;
+END $$;
+
+ALTER TABLE bank_accounts
+    ADD COLUMN IF NOT EXISTS check_company_name VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS check_company_address TEXT,
+    ADD COLUMN IF NOT EXISTS bank_address TEXT,
+    ADD COLUMN IF NOT EXISTS fractional_routing VARCHAR(20);
+
+ALTER TABLE payment_items
+    ADD COLUMN IF NOT EXISTS printed_check_id UUID REFERENCES printed_checks(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_payment_items_printed_check
+    ON payment_items (printed_check_id);
+
+COMMIT;
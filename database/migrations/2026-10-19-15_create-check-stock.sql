@@ -0,0 +1,65 @@
+-- Migration: Check stock inventory and check number sequence control
+-- Date: 2026-10-19
+--
+-- check_stock_ranges records each range of blank check stock received for a
+-- bank account. Every number in a range gets a check_stock_numbers row whose
+-- status tracks it through its life:
+--   Available  on hand, not yet assigned
+--   Reserved   set aside by a print run or held by a Draft check
+--   Used       printed on a check
+--   Spoiled    physically damaged or misprinted, never issued
+--   Voided     printed on a check that was later voided
+-- check_stock_allocations records each print run's contiguous range.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS check_stock_ranges (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    bank_account_id UUID NOT NULL REFERENCES bank_accounts(id) ON DELETE CASCADE,
+    start_number BIGINT NOT NULL,
+    end_number BIGINT NOT NULL,
+    received_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    description TEXT,
+    received_by UUID,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_check_stock_range CHECK (start_number > 0 AND end_number >= start_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_check_stock_ranges_bank_account
+    ON check_stock_ranges (bank_account_id, start_number);
+
+CREATE TABLE IF NOT EXISTS check_stock_allocations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    bank_account_id UUID NOT NULL REFERENCES bank_accounts(id) ON DELETE CASCADE,
+    start_number BIGINT NOT NULL,
+    end_number BIGINT NOT NULL,
+    number_count INTEGER NOT NULL,
+    allocated_by UUID,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_check_stock_allocations_bank_account
+    ON check_stock_allocations (bank_account_id, created_at);
+
+CREATE TABLE IF NOT EXISTS check_stock_numbers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    range_id UUID NOT NULL REFERENCES check_stock_ranges(id) ON DELETE CASCADE,
+    bank_account_id UUID NOT NULL REFERENCES bank_accounts(id) ON DELETE CASCADE,
+    check_number BIGINT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'Available'
+        CHECK (status IN ('Available', 'Reserved', 'Used', 'Spoiled', 'Voided')),
+    printed_check_id UUID REFERENCES printed_checks(id) ON DELETE SET NULL,
+    allocation_id UUID REFERENCES check_stock_allocations(id) ON DELETE SET NULL,
+    status_reason TEXT,
+    status_changed_by UUID,
+    status_changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_check_stock_number UNIQUE (bank_account_id, check_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_check_stock_numbers_status
+    ON check_stock_numbers (bank_account_id, status, check_number);
+
+CREATE INDEX IF NOT EXISTS idx_check_stock_numbers_printed_check
+    ON check_stock_numbers (printed_check_id);
+
+COMMIT;
@@ -0,0 +1,48 @@
+-- Migration: Inter-entity transfer accounts and transfer pairing
+-- Date: 2026-10-19
+--
+-- POST /api/inter-entity-transfers writes both sides of a transfer in one
+-- transaction:
+--   source entity  Due-from Dr / Source account Cr
+--   target entity  Target account Dr / Due-to Cr
+-- The due-from and due-to GL codes come from inter_entity_accounts for the
+-- entity and its counterparty; a row with a NULL counterparty_entity_id
+-- applies to every counterparty. The accounts are looked up by GL code in the
+-- entity and fund of the account the money moves out of (or into).
+--
+-- Both journal entries carry the same matching_transaction_id and point at
+-- each other's entity through target_entity_id.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS inter_entity_accounts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+    counterparty_entity_id UUID REFERENCES entities(id) ON DELETE CASCADE,
+    due_from_gl_code VARCHAR(10) NOT NULL,
+    due_to_gl_code VARCHAR(10) NOT NULL,
+    description TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'Active',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_inter_entity_accounts_status CHECK (status IN ('Active', 'Inactive')),
+    CONSTRAINT chk_inter_entity_accounts_counterparty CHECK (counterparty_entity_id IS DISTINCT FROM entity_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uidx_inter_entity_accounts_scope
+    ON inter_entity_accounts (
+        entity_id,
+        COALESCE(counterparty_entity_id, '00000000-0000-0000-0000-000000000000'::uuid)
+    );
+
+ALTER TABLE journal_entries
+    ADD COLUMN IF NOT EXISTS matching_transaction_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_matching_transaction
+    ON journal_entries (matching_transaction_id)
+    WHERE matching_transaction_id IS NOT NULL;
+
+ALTER TABLE journal_entry_items
+    ADD COLUMN IF NOT EXISTS posting_role VARCHAR(20);
+
+COMMIT;
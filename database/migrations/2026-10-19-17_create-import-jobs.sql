@@ -0,0 +1,77 @@
+-- Migration: Persistent import jobs
+-- Date: 2026-10-19
+--
+-- Every importer (payments, journal entries, vendor payments, batched
+-- deposits, accounts, funds, vendors, GL codes) records a row in import_jobs:
+--   Processing   started, not yet finished
+--   Completed    finished; rows may still have failed individually
+--   Failed       stopped before committing anything it had started
+--   Rolled Back  everything it created has been removed and every row it
+--                changed restored
+-- import_job_rows is the per-row log. import_job_records lists each row the
+-- job inserted or updated (with the row as it was before the update) so a
+-- rollback can undo exactly what the job did.
+--
+-- The same file cannot be imported twice by the same importer while an
+-- earlier job with its hash is Processing or Completed.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS import_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    importer VARCHAR(40) NOT NULL,
+    filename TEXT,
+    file_hash CHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'Processing',
+    total_rows INTEGER NOT NULL DEFAULT 0,
+    succeeded_rows INTEGER NOT NULL DEFAULT 0,
+    failed_rows INTEGER NOT NULL DEFAULT 0,
+    skipped_rows INTEGER NOT NULL DEFAULT 0,
+    summary JSONB,
+    error TEXT,
+    created_by UUID,
+    started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    rolled_back_at TIMESTAMP,
+    rolled_back_by UUID,
+    rollback_summary JSONB,
+    CONSTRAINT chk_import_jobs_status CHECK (status IN ('Processing', 'Completed', 'Failed', 'Rolled Back'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uidx_import_jobs_active_file
+    ON import_jobs (importer, file_hash)
+    WHERE status IN ('Processing', 'Completed');
+
+CREATE INDEX IF NOT EXISTS idx_import_jobs_importer_started
+    ON import_jobs (importer, started_at DESC);
+
+CREATE TABLE IF NOT EXISTS import_job_rows (
+    id BIGSERIAL PRIMARY KEY,
+    job_id UUID NOT NULL REFERENCES import_jobs(id) ON DELETE CASCADE,
+    row_number INTEGER,
+    reference TEXT,
+    status VARCHAR(20) NOT NULL,
+    message TEXT,
+    CONSTRAINT chk_import_job_rows_status CHECK (status IN ('Succeeded', 'Failed', 'Skipped'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_job_rows_job
+    ON import_job_rows (job_id, id);
+
+CREATE TABLE IF NOT EXISTS import_job_records (
+    id BIGSERIAL PRIMARY KEY,
+    job_id UUID NOT NULL REFERENCES import_jobs(id) ON DELETE CASCADE,
+    record_table VARCHAR(40) NOT NULL,
+    record_id UUID NOT NULL,
+    action VARCHAR(10) NOT NULL,
+    previous JSONB,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_import_job_records_action CHECK (action IN ('insert', 'update'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_job_records_job
+    ON import_job_records (job_id, record_table);
+CREATE INDEX IF NOT EXISTS idx_import_job_records_record
+    ON import_job_records (record_table, record_id);
+
+COMMIT;
@@ -0,0 +1,43 @@
+-- Migration: Column mapping profiles for journal entry spreadsheet imports
+-- Date: 2026-10-19
+--
+-- A profile tells /api/journal-entries-import how to read a GL export from
+-- another system. columns maps each field to a source column, given either
+-- as the header text in header_row or as a column letter:
+--   date                         entry date (required)
+--   entry_number / reference     rows sharing a value form one entry
+--   description                  entry description
+--   account                      full account code, split on account_separator
+--                                (whitespace when NULL) into entity/GL/fund/
+--                                restriction
+--   entity, gl_code, fund,       segments, used instead of or on top of account
+--   restriction
+--   debit + credit               amount_mode = 'debit_credit'
+--   amount                       amount_mode = 'signed' (positive = debit)
+--   line_description             per-line description
+-- sheet_name picks the worksheet; NULL reads the first one.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS je_import_profiles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    source_system VARCHAR(40),
+    sheet_name TEXT,
+    header_row INTEGER NOT NULL DEFAULT 1,
+    columns JSONB NOT NULL,
+    amount_mode VARCHAR(20) NOT NULL DEFAULT 'debit_credit',
+    date_format VARCHAR(10) NOT NULL DEFAULT 'auto',
+    account_separator VARCHAR(5),
+    created_by UUID,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_je_import_profiles_header_row CHECK (header_row >= 1),
+    CONSTRAINT chk_je_import_profiles_amount_mode CHECK (amount_mode IN ('debit_credit', 'signed')),
+    CONSTRAINT chk_je_import_profiles_date_format CHECK (date_format IN ('auto', 'MDY', 'DMY', 'YMD'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uidx_je_import_profiles_name
+    ON je_import_profiles (LOWER(name));
+
+COMMIT;
@@ -0,0 +1,153 @@
+-- Migration: Role-based permissions
+-- Date: 2026-10-19
+--
+-- users.role now references roles.code. Each role is granted a set of
+-- permissions (role_permissions); every API router checks the permission
+-- for the request (src/middleware/permissions.js). The admin role always
+-- holds every permission and its grants cannot be edited. Every grant and
+-- revoke made through /api/roles is recorded in role_permission_history.
+--
+-- Roles seeded here:
+--   admin            everything
+--   controller       everything except user and role administration
+--   ap_clerk         vendors, payment batches, checks (no pay, print, void
+--                    or NACHA generation), imports
+--   auditor          read-only across the ledger, payments, banking and users
+--   program_manager  read-only ledger plus budgets
+-- The legacy roles allowed by chk_user_role keep working: manager matches
+-- controller, accountant keeps bookkeeping without payments or period
+-- control, user can draft entries and payments, viewer is read-only.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS roles (
+    code VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    is_system BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_roles_code CHECK (code ~ '^[a-z][a-z0-9_]*$')
+);
+
+CREATE TABLE IF NOT EXISTS permissions (
+    code VARCHAR(50) PRIMARY KEY,
+    category VARCHAR(30) NOT NULL,
+    description TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_code VARCHAR(50) NOT NULL REFERENCES roles(code) ON UPDATE CASCADE ON DELETE CASCADE,
+    permission_code VARCHAR(50) NOT NULL REFERENCES permissions(code) ON DELETE CASCADE,
+    granted_by UUID,
+    granted_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (role_code, permission_code)
+);
+
+CREATE TABLE IF NOT EXISTS role_permission_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    role_code VARCHAR(50) NOT NULL,
+    permission_code VARCHAR(50) NOT NULL,
+    action VARCHAR(10) NOT NULL CHECK (action IN ('Grant', 'Revoke')),
+    user_id UUID,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_role_permission_history_role
+    ON role_permission_history (role_code, created_at);
+
+INSERT INTO permissions (code, category, description) VALUES
+    ('master_data.view',  'Master data', 'View entities, funds, accounts, GL codes and vendors'),
+    ('master_data.edit',  'Master data', 'Edit entities, funds, accounts, GL codes, posting and functional expense rules'),
+    ('vendors.edit',      'Master data', 'Create and edit vendors'),
+    ('journal.view',      'Journal',     'View journal entries, templates, transfers and fiscal periods'),
+    ('journal.edit',      'Journal',     'Create and edit unposted journal entries, templates and transfers'),
+    ('journal.post',      'Journal',     'Post and reverse journal entries'),
+    ('journal.unpost',    'Journal',     'Return posted journal entries to Draft'),
+    ('period.close',      'Periods',     'Close fiscal periods and run year-end close'),
+    ('period.reopen',     'Periods',     'Reopen fiscal periods and reverse year-end close'),
+    ('payments.view',     'Payments',    'View payment batches, NACHA settings and files, ACH returns'),
+    ('payments.edit',     'Payments',    'Create and edit payment batches and items, apply ACH corrections'),
+    ('payments.pay',      'Payments',    'Pay vendor payment items and process ACH returns'),
+    ('nacha.settings',    'Payments',    'Edit NACHA company settings'),
+    ('nacha.generate',    'Payments',    'Generate and edit NACHA files'),
+    ('checks.view',       'Checks',      'View checks, check formats and check stock'),
+    ('checks.edit',       'Checks',      'Create and edit checks, check formats and check stock'),
+    ('checks.print',      'Checks',      'Print checks and allocate check numbers'),
+    ('checks.void',       'Checks',      'Void checks and spoil check stock'),
+    ('bank.view',         'Banking',     'View bank accounts, deposits, positive pay and reconciliations'),
+    ('bank.edit',         'Banking',     'Edit bank accounts, deposits and positive pay'),
+    ('bank.reconcile',    'Banking',     'Import statements and reconcile bank accounts'),
+    ('budgets.view',      'Budgets',     'View budgets'),
+    ('budgets.edit',      'Budgets',     'Create, import and revise budgets'),
+    ('reports.view',      'Reports',     'Run reports, metrics and saved custom reports'),
+    ('imports.view',      'Imports',     'View import history'),
+    ('imports.run',       'Imports',     'Run data imports (imports that post to the GL also need journal.post)'),
+    ('imports.rollback',  'Imports',     'Roll back completed imports'),
+    ('users.view',        'Security',    'View users and role permissions'),
+    ('users.manage',      'Security',    'Create, edit and delete users'),
+    ('roles.manage',      'Security',    'Create roles and edit role permissions')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO roles (code, name, description, is_system) VALUES
+    ('admin',           'Administrator',   'Every permission', TRUE),
+    ('controller',      'Controller',      'Full accounting access without user administration', TRUE),
+    ('ap_clerk',        'AP Clerk',        'Prepares vendor payments and checks for approval', TRUE),
+    ('auditor',         'Auditor',         'Read-only access', TRUE),
+    ('program_manager', 'Program Manager', 'Ledger visibility and budgets', TRUE),
+    ('manager',         'Manager',         'Legacy role; same grants as controller', FALSE),
+    ('accountant',      'Accountant',      'Legacy role; bookkeeping without payments or period control', FALSE),
+    ('user',            'User',            'Legacy role; drafts entries and payments', FALSE),
+    ('viewer',          'Viewer',          'Legacy role; read-only', FALSE)
+ON CONFLICT (code) DO NOTHING;
+
+-- Any other role already assigned to a user becomes a role with no grants
+INSERT INTO roles (code, name)
+SELECT DISTINCT u.role, INITCAP(REPLACE(u.role, '_', ' '))
+  FROM users u
+ WHERE u.role IS NOT NULL
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO role_permissions (role_code, permission_code)
+SELECT r.code, p.code
+  FROM roles r
+  JOIN permissions p ON (
+       r.code = 'admin'
+    OR (r.code IN ('controller', 'manager') AND p.code NOT IN ('users.manage', 'roles.manage'))
+    OR (r.code = 'ap_clerk' AND p.code IN (
+           'master_data.view', 'vendors.edit', 'journal.view',
+           'payments.view', 'payments.edit', 'checks.view', 'checks.edit',
+           'bank.view', 'reports.view', 'imports.view', 'imports.run'))
+    OR (r.code IN ('auditor', 'viewer') AND p.code IN (
+           'master_data.view', 'journal.view', 'payments.view', 'checks.view',
+           'bank.view', 'budgets.view', 'reports.view', 'imports.view', 'users.view'))
+    OR (r.code = 'program_manager' AND p.code IN (
+           'master_data.view', 'journal.view', 'budgets.view', 'budgets.edit', 'reports.view'))
+    OR (r.code = 'accountant' AND p.code IN (
+           'master_data.view', 'master_data.edit', 'vendors.edit',
+           'journal.view', 'journal.edit', 'journal.post',
+           'payments.view', 'checks.view', 'bank.view', 'bank.edit', 'bank.reconcile',
+           'budgets.view', 'budgets.edit', 'reports.view',
+           'imports.view', 'imports.run'))
+    OR (r.code = 'user' AND p.code IN (
+           'master_data.view', 'journal.view', 'journal.edit',
+           'payments.view', 'payments.edit', 'checks.view', 'bank.view',
+           'budgets.view', 'reports.view'))
+  )
+ON CONFLICT DO NOTHING;
+
+-- users.role is now validated against roles instead of a fixed list, and
+-- is as wide as roles.code
+ALTER TABLE users DROP CONSTRAINT IF EXISTS chk_user_role;
+ALTER TABLE users ALTER COLUMN role TYPE VARCHAR(50);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_users_role') THEN
+        ALTER TABLE users
+            ADD CONSTRAINT fk_users_role FOREIGN KEY (role)
+            REFERENCES roles(code) ON UPDATE CASCADE;
+    END IF;
+END $$;
+
+COMMIT;
@@ -20,6 +20,7 @@ const {
 const { errorHandler } = require('./src/middleware/error-handler');
 const { requestLogger } = require('./src/utils/helpers');
 const { getCurrentUser, requireAuth } = require('./src/middleware/auth');
+const { authorize } = require('./src/middleware/permissions');
 
 // Import route modules
 const authRoutes          = require('./src/routes/auth');
@@ -37,6 +38,7 @@ const bankDepositsRoutes   = require('./src/routes/bank-deposits'); // NEW
 const checkPrintingRoutes  = require('./src/routes/check-printing'); // NEW
 const checkFormatsRoutes   = require('./src/routes/check-formats'); // NEW
 const usersRoutes          = require('./src/routes/users');
+const rolesRoutes          = require('./src/routes/roles');
 const reportsRoutes        = require('./src/routes/reports');
 const importRoutes         = require('./src/routes/import');
 const metricsRoutes        = require('./src/routes/metrics'); // NEW
@@ -44,6 +46,16 @@ const liabilitiesRoutes    = require('./src/routes/liabilities'); // NEW
 const glCodesRoutes        = require('./src/routes/gl-codes'); // NEW
 const paymentsImportRoutes = require('./src/routes/payments-import'); // NEW
 const vendorPaymentsRoutes = require('./src/routes/vendor-payments'); // NEW
+const functionalExpenseRulesRoutes = require('./src/routes/functional-expense-rules');
+const budgetsRoutes = require('./src/routes/budgets');
+const fiscalPeriodsRoutes = require('./src/routes/fiscal-periods');
+const yearEndCloseRoutes = require('./src/routes/year-end-close');
+const journalTemplatesRoutes = require('./src/routes/journal-templates');
+const achReturnsRoutes = require('./src/routes/ach-returns');
+const paymentPostingRulesRoutes = require('./src/routes/payment-posting-rules');
+const positivePayRoutes = require('./src/routes/positive-pay');
+const checkStockRoutes = require('./src/routes/check-stock');
+const interEntityTransfersRoutes = require('./src/routes/inter-entity-transfers');
 
 // Import inter-entity transfer helper
 const registerInterEntityTransferRoutes = require('./src/js/inter-entity-transfer-api');
@@ -194,49 +206,67 @@ app.use('/api/auth', authRoutes);
 // ---------------------------------------------------------------------------
 // Protected API routes (require authentication)
 // ---------------------------------------------------------------------------
+// Each router is gated by a permission for reads (GET) and another for
+// writes; routes needing more (posting, voiding, paying, reopening) add
+// requirePermission themselves. See src/middleware/permissions.js and
+// /api/roles for the role-permission assignments.
+const can = (read, write) => authorize({ read, write });
+
 // Core master-data first
-app.use('/api/entities', requireAuth, entitiesRoutes);
-app.use('/api/funds',    requireAuth, fundsRoutes);
-app.use('/api/accounts', requireAuth, accountsRoutes);
+app.use('/api/entities', requireAuth, can('master_data.view', 'master_data.edit'), entitiesRoutes);
+app.use('/api/funds',    requireAuth, can('master_data.view', 'master_data.edit'), fundsRoutes);
+app.use('/api/accounts', requireAuth, can('master_data.view', 'master_data.edit'), accountsRoutes);
 // GL Codes – core reference table
-app.use('/api/gl-codes', requireAuth, glCodesRoutes);
+app.use('/api/gl-codes', requireAuth, can('master_data.view', 'master_data.edit'), glCodesRoutes);
 
 // Metrics & summaries
-app.use('/api/metrics',     requireAuth, metricsRoutes);     // NEW
-app.use('/api/liabilities', requireAuth, liabilitiesRoutes); // NEW
+app.use('/api/metrics',     requireAuth, can('reports.view', 'reports.view'), metricsRoutes);     // NEW
+app.use('/api/liabilities', requireAuth, can('reports.view', 'reports.view'), liabilitiesRoutes); // NEW
 
 // Configuration & processing
-app.use('/api/nacha-settings', requireAuth, nachaSettingsRoutes);
-app.use('/api/nacha-files',    requireAuth, nachaFilesRoutes);
+app.use('/api/nacha-settings', requireAuth, can('payments.view', 'nacha.settings'), nachaSettingsRoutes);
+app.use('/api/nacha-files',    requireAuth, can('payments.view', 'nacha.generate'), nachaFilesRoutes);
+app.use('/api/ach-returns',    requireAuth, can('payments.view', 'payments.edit'), achReturnsRoutes);
 
-app.use('/api/vendors', requireAuth, vendorsRoutes);
+app.use('/api/vendors', requireAuth, can('master_data.view', 'vendors.edit'), vendorsRoutes);
 
 // Financial transactions & balances
-app.use('/api/journal-entries', requireAuth, journalEntriesRoutes);
-app.use('/api/journal-entries-import', requireAuth, journalEntriesImportRoutes);
-app.use('/api/payment-batches', requireAuth, paymentBatchesRoutes);
-app.use('/api/bank-accounts',   requireAuth, bankAccountsRoutes);
-app.use('/api/bank-deposits',   requireAuth, bankDepositsRoutes); // NEW
-app.use('/api/checks',          requireAuth, checkPrintingRoutes); // NEW
+app.use('/api/journal-entries', requireAuth, can('journal.view', 'journal.edit'), journalEntriesRoutes);
+app.use('/api/journal-entries-import', requireAuth, can('imports.view', ['imports.run', 'journal.edit']), journalEntriesImportRoutes);
+app.use('/api/inter-entity-transfers', requireAuth, can('journal.view', 'journal.edit'), interEntityTransfersRoutes);
+app.use('/api/payment-batches', requireAuth, can('payments.view', 'payments.edit'), paymentBatchesRoutes);
+app.use('/api/bank-accounts',   requireAuth, can('bank.view', 'bank.edit'), bankAccountsRoutes);
+app.use('/api/bank-deposits',   requireAuth, can('bank.view', 'bank.edit'), bankDepositsRoutes); // NEW
+app.use('/api/checks',          requireAuth, can('checks.view', 'checks.edit'), checkPrintingRoutes); // NEW
 // Separate check formats endpoints to avoid UUID route conflicts
-app.use('/api/check-formats',   requireAuth, checkFormatsRoutes); // NEW
+app.use('/api/check-formats',   requireAuth, can('checks.view', 'checks.edit'), checkFormatsRoutes); // NEW
+app.use('/api/positive-pay',    requireAuth, can('bank.view', 'bank.edit'), positivePayRoutes);
+app.use('/api/check-stock',     requireAuth, can('checks.view', 'checks.edit'), checkStockRoutes);
 
 // User management
-app.use('/api/users', requireAuth, usersRoutes);
+app.use('/api/users', requireAuth, can('users.view', 'users.manage'), usersRoutes);
+app.use('/api/roles', requireAuth, can('users.view', 'roles.manage'), rolesRoutes);
 
 // Reporting & data import
-app.use('/api/reports', requireAuth, reportsRoutes);
-app.use('/api/import',  requireAuth, importRoutes);
+app.use('/api/reports', requireAuth, can('reports.view', 'reports.view'), reportsRoutes);
+app.use('/api/functional-expense-rules', requireAuth, can('master_data.view', 'master_data.edit'), functionalExpenseRulesRoutes);
+app.use('/api/budgets', requireAuth, can('budgets.view', 'budgets.edit'), budgetsRoutes);
+app.use('/api/fiscal-periods', requireAuth, can('journal.view', 'period.close'), fiscalPeriodsRoutes);
+app.use('/api/year-end-close', requireAuth, can('journal.view', 'period.close'), yearEndCloseRoutes);
+app.use('/api/journal-templates', requireAuth, can('journal.view', 'journal.edit'), journalTemplatesRoutes);
+app.use('/api/import',  requireAuth, can('imports.view', 'imports.run'), importRoutes);
 // Unified Vendor Payments import (analyze/process/status)
-app.use('/api/vendor-payments/import', requireAuth, paymentsImportRoutes);
+app.use('/api/vendor-payments/import', requireAuth, can('imports.view', ['imports.run', 'payments.edit']), paymentsImportRoutes);
 // Pay selected vendor payment items
-app.use('/api/vendor-payments', requireAuth, vendorPaymentsRoutes);
+app.use('/api/vendor-payments', requireAuth, can('payments.view', 'payments.pay'), vendorPaymentsRoutes);
+app.use('/api/payment-posting-rules', requireAuth, can('payments.view', 'master_data.edit'), paymentPostingRulesRoutes);
 // (Temporary ping removed)
 
 // Bank reconciliation routes
 app.use(
   '/api/bank-reconciliation',
   requireAuth,
+  can('bank.view', 'bank.reconcile'),
   require('./src/routes/bank-reconciliation')
 );
 
@@ -250,7 +280,9 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Register inter-entity transfer routes
+// Register inter-entity transfer routes. They live under /api/journal-entries,
+// /api/accounts and /api/funds, so the auth and permission middleware mounted
+// on those prefixes above runs before them.
 registerInterEntityTransferRoutes(app, pool);
 
 // All primary route modules have been extracted and registered.
@@ -2131,6 +2131,103 @@ export async function deleteGLCode(id, rowEl) {
 // ============================================================================
 
 let jeImportAnalysisData = null;
+let jeImportProfiles = [];
+
+const JE_MAP_COLUMNS = [
+    'date', 'entry_number', 'reference', 'description', 'line_description',
+    'account', 'entity', 'gl_code', 'fund', 'restriction', 'debit', 'credit', 'amount'
+];
+
+function escapeJEImportText(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Fill the mapping form from a profile
+function applyJEImportProfile(profile) {
+    const set = (id, value) => {
+        const el = document.getElementById(id);
+        if (el) el.value = value ?? '';
+    };
+    set('je-map-sheet_name', profile?.sheet_name);
+    set('je-map-header_row', profile?.header_row || 1);
+    set('je-map-date_format', profile?.date_format || 'auto');
+    set('je-map-amount_mode', profile?.amount_mode || 'debit_credit');
+    set('je-map-account_separator', profile?.account_separator);
+    set('je-map-name', profile?.builtin ? '' : profile?.name);
+    set('je-map-source_system', profile?.source_system);
+    for (const field of JE_MAP_COLUMNS) {
+        set(`je-map-col-${field}`, profile?.columns?.[field]);
+    }
+}
+
+// Profile described by the mapping form (sent with analyze/run so unsaved
+// edits take effect)
+function readJEImportMapping() {
+    const value = (id) => document.getElementById(id)?.value.trim() || '';
+    const columns = {};
+    for (const field of JE_MAP_COLUMNS) {
+        const v = value(`je-map-col-${field}`);
+        if (v) columns[field] = v;
+    }
+    const separator = document.getElementById('je-map-account_separator')?.value || '';
+    return {
+        name: value('je-map-name') || undefined,
+        source_system: value('je-map-source_system') || null,
+        sheet_name: value('je-map-sheet_name') || null,
+        header_row: parseInt(value('je-map-header_row'), 10) || 1,
+        date_format: value('je-map-date_format') || 'auto',
+        amount_mode: value('je-map-amount_mode') || 'debit_credit',
+        account_separator: separator || null,
+        columns
+    };
+}
+
+async function loadJEImportProfiles(selectId = null) {
+    const select = document.getElementById('je-import-profile');
+    if (!select) return;
+    try {
+        const res = await fetch(`${API_BASE}/api/journal-entries-import/profiles`, { credentials: 'include' });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        jeImportProfiles = await res.json();
+    } catch (err) {
+        console.error('[JE Import] Failed to load profiles:', err);
+        jeImportProfiles = [];
+    }
+    select.innerHTML = jeImportProfiles.map((p, i) =>
+        `<option value="${i}">${escapeJEImportText(p.name)}${p.source_system && !p.builtin ? ` (${escapeJEImportText(p.source_system)})` : ''}</option>`
+    ).join('');
+    const index = Math.max(0, jeImportProfiles.findIndex(p => selectId && p.id === selectId));
+    select.value = String(index);
+    applyJEImportProfile(jeImportProfiles[index]);
+}
+
+export async function saveJEImportProfile() {
+    const mapping = readJEImportMapping();
+    if (!mapping.name) {
+        showToast('Enter a profile name first', 'error');
+        return;
+    }
+    const selected = jeImportProfiles[parseInt(document.getElementById('je-import-profile').value, 10)];
+    // Same name as the selected saved profile updates it; anything else saves a new one
+    const updating = selected && selected.id && selected.name === mapping.name;
+    try {
+        const res = await fetch(
+            `${API_BASE}/api/journal-entries-import/profiles${updating ? `/${selected.id}` : ''}`,
+            {
+                method: updating ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify(mapping)
+            }
+        );
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        showToast(`Profile "${data.name}" saved`, 'success');
+        await loadJEImportProfiles(data.id);
+    } catch (err) {
+        showToast('Failed to save profile: ' + err.message, 'error');
+    }
+}
 
 export function openJEImportModal() {
     const modal = document.getElementById('je-import-modal');
@@ -2146,6 +2243,7 @@ export function openJEImportModal() {
     document.getElementById('je-import-log-content').innerHTML = '';
     document.getElementById('je-import-run-btn').style.display = 'none';
     document.getElementById('je-import-analyze-btn').style.display = 'inline-block';
+    loadJEImportProfiles();
     
     modal.style.display = 'flex';
 }
@@ -2160,6 +2258,7 @@ export async function analyzeJEImportFile() {
     const file = fileInput.files[0];
     const formData = new FormData();
     formData.append('file', file);
+    formData.append('profile', JSON.stringify(readJEImportMapping()));
     
     const previewDiv = document.getElementById('je-import-preview');
     const previewContent = document.getElementById('je-import-preview-content');
@@ -2177,18 +2276,21 @@ export async function analyzeJEImportFile() {
         
         if (!res.ok) {
             const err = await res.json();
-            throw new Error(err.error || `HTTP ${res.status}`);
+            const headers = err.details?.headers ? ` (headers found: ${err.details.headers.join(', ')})` : '';
+            const sheets = err.details?.sheets ? ` (sheets: ${err.details.sheets.join(', ')})` : '';
+            throw new Error((err.error || `HTTP ${res.status}`) + headers + sheets);
         }
         
         const data = await res.json();
         jeImportAnalysisData = data;
         
         // Build preview HTML
-        let html = `<p><strong>Summary:</strong> ${data.summary.total} entries found</p>`;
+        let html = `<p><strong>Summary:</strong> ${data.summary.total} entries found on sheet "${escapeJEImportText(data.sheet)}"</p>`;
         html += `<ul>
             <li style="color: green;">${data.summary.ready} ready to import</li>
             <li style="color: gray;">${data.summary.exists} already exist (will skip)</li>
-            <li style="color: red;">${data.summary.errors} have errors</li>
+            <li style="color: red;">${data.summary.errors} have errors (will not be imported)</li>
+            <li style="color: gray;">${data.summary.skippedRows} rows are not entry lines</li>
         </ul>`;
         
         if (data.entries.length > 0) {
@@ -2197,13 +2299,13 @@ export async function analyzeJEImportFile() {
             for (const e of data.entries.slice(0, 20)) {
                 const statusColor = e.status === 'ready' ? 'green' : (e.status === 'exists' ? 'gray' : 'red');
                 html += `<tr style="border-bottom: 1px solid #ddd;">
-                    <td>${e.jeNum}</td>
-                    <td>${e.reference}</td>
+                    <td>${escapeJEImportText(e.jeNum)}</td>
+                    <td>${escapeJEImportText(e.reference)}</td>
                     <td>${e.date || ''}</td>
                     <td>${e.lineCount}</td>
                     <td style="text-align:right;">$${e.totalDebits.toFixed(2)}</td>
                     <td style="text-align:right;">$${e.totalCredits.toFixed(2)}</td>
-                    <td style="color:${statusColor};">${e.status}${e.issues.length ? ': ' + e.issues[0] : ''}</td>
+                    <td style="color:${statusColor};">${e.status}${e.issues.length ? ': ' + escapeJEImportText(e.issues.join('; ')) : ''}</td>
                 </tr>`;
             }
             if (data.entries.length > 20) {
@@ -2239,6 +2341,7 @@ export async function runJEImport() {
     const formData = new FormData();
     formData.append('file', file);
     formData.append('status', status);
+    formData.append('profile', JSON.stringify(readJEImportMapping()));
     
     const logDiv = document.getElementById('je-import-log');
     const logContent = document.getElementById('je-import-log-content');
@@ -2267,7 +2370,7 @@ export async function runJEImport() {
         let html = `<p><strong>Import Complete!</strong></p>`;
         html += `<p>Imported: ${data.summary.imported} | Skipped: ${data.summary.skipped} | Errors: ${data.summary.errors}</p>`;
         html += '<hr>';
-        html += data.log.map(l => `<div>${l}</div>`).join('');
+        html += data.log.map(l => `<div>${escapeJEImportText(l)}</div>`).join('');
         
         logContent.innerHTML = html;
         
@@ -2293,4 +2396,13 @@ export function initJEImportModalListeners() {
     document.getElementById('je-import-modal-cancel')?.addEventListener('click', () => hideModal('je-import-modal'));
     document.getElementById('je-import-analyze-btn')?.addEventListener('click', analyzeJEImportFile);
     document.getElementById('je-import-run-btn')?.addEventListener('click', runJEImport);
+    document.getElementById('je-import-save-profile-btn')?.addEventListener('click', saveJEImportProfile);
+    document.getElementById('je-import-profile')?.addEventListener('change', (e) => {
+        applyJEImportProfile(jeImportProfiles[parseInt(e.target.value, 10)]);
+        document.getElementById('je-import-run-btn').style.display = 'none';
+    });
+    // A changed mapping needs a fresh preview before importing
+    document.getElementById('je-import-mapping')?.addEventListener('input', () => {
+        document.getElementById('je-import-run-btn').style.display = 'none';
+    });
 }
@@ -257,6 +257,17 @@ document.addEventListener('DOMContentLoaded', function() {
     // Set default date range
     setDefaultDateRange();
     
+    // Drill-down links (e.g. from Budget vs. Actual) pass report params in the URL
+    const urlParams = new URLSearchParams(window.location.search);
+    if (urlParams.get('start_date') && urlParams.get('end_date')) {
+        document.getElementById('startDate').value = urlParams.get('start_date');
+        document.getElementById('endDate').value = urlParams.get('end_date');
+        document.getElementById('status').value = urlParams.get('status') || '';
+        document.getElementById('accountFrom').value = urlParams.get('account_code_from') || '';
+        document.getElementById('accountTo').value = urlParams.get('account_code_to') || '';
+        runGlReport(Object.fromEntries(urlParams.entries()));
+    }
+    
     // Form submit handler
     const glReportForm = document.getElementById('glReportForm');
     glReportForm.addEventListener('submit', function(e) {
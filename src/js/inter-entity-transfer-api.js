@@ -1,12 +1,20 @@
 /**
  * inter-entity-transfer-api.js
  * 
- * API endpoints to support the inter-entity transfer wizard.
- * This file contains routes for creating journal entry lines,
- * retrieving accounts and funds by entity, and helper functions
- * for validation and error handling.
+ * Legacy helper endpoints used by the inter-entity transfer wizard: creating
+ * journal entry lines and retrieving accounts and funds by entity.
+ * Transfers themselves are created, changed and reported through
+ * /api/inter-entity-transfers (src/routes/inter-entity-transfers.js), which
+ * writes both sides in one transaction.
  */
 
+const {
+    closedPeriodMessage,
+    findClosedPeriodForEntry
+} = require('../utils/period-lock');
+const { POSTED_ENTRY_ERROR, isPostedEntry } = require('../utils/ledger');
+const { isTransferEntry, transferEntryError } = require('../utils/inter-entity');
+
 /**
  * Register inter-entity transfer API routes
  * @param {Object} app - Express application
@@ -43,7 +51,7 @@ function registerInterEntityTransferRoutes(app, pool) {
         try {
             // Verify journal entry exists
             const jeResult = await pool.query(
-                'SELECT entity_id FROM journal_entries WHERE id = $1',
+                'SELECT entity_id, status, is_inter_entity, matching_transaction_id FROM journal_entries WHERE id = $1',
                 [id]
             );
 
@@ -51,8 +59,23 @@ function registerInterEntityTransferRoutes(app, pool) {
                 return res.status(404).json({ message: 'Journal entry not found' });
             }
 
+            // Transfer lines are written with both sides by /api/inter-entity-transfers
+            if (isTransferEntry(jeResult.rows[0])) {
+                const refusal = transferEntryError(jeResult.rows[0]);
+                return res.status(409).json({ message: refusal.error, ...refusal });
+            }
+
+            if (isPostedEntry(jeResult.rows[0])) {
+                return res.status(409).json({ message: POSTED_ENTRY_ERROR.error, ...POSTED_ENTRY_ERROR });
+            }
+
             const entity_id = jeResult.rows[0].entity_id;
 
+            const closedPeriod = await findClosedPeriodForEntry(pool, id);
+            if (closedPeriod) {
+                return res.status(409).json({ message: closedPeriodMessage(closedPeriod) });
+            }
+
             // Create the journal entry line
             const { rows } = await pool.query(
                 `INSERT INTO journal_entry_items 
@@ -150,318 +173,6 @@ function registerInterEntityTransferRoutes(app, pool) {
         const { rows } = await pool.query(query, params);
         res.json(rows);
     }));
-
-    /**
-     * GET /api/inter-entity/accounts-mapping
-     * Get Due To/Due From account mappings between entities
-     */
-    app.get('/api/inter-entity/accounts-mapping', asyncHandler(async (req, res) => {
-        const { fromEntityId, toEntityId } = req.query;
-        
-        if (!fromEntityId || !toEntityId) {
-            return res.status(400).json({ message: 'Both fromEntityId and toEntityId are required' });
-        }
-        
-        try {
-            // Get Due From accounts (assets) from source entity
-            const dueFromResult = await pool.query(
-                `SELECT id, code, name 
-                FROM accounts 
-                WHERE entity_id = $1 
-                AND type = 'Asset' 
-                AND (name ILIKE '%due from%' OR code LIKE '19%')
-                ORDER BY code`,
-                [fromEntityId]
-            );
-            
-            // Get Due To accounts (liabilities) from target entity
-            const dueToResult = await pool.query(
-                `SELECT id, code, name 
-                FROM accounts 
-                WHERE entity_id = $1 
-                AND type = 'Liability' 
-                AND (name ILIKE '%due to%' OR code LIKE '29%')
-                ORDER BY code`,
-                [toEntityId]
-            );
-            
-            res.json({
-                dueFromAccounts: dueFromResult.rows,
-                dueToAccounts: dueToResult.rows
-            });
-        } catch (error) {
-            console.error('Error fetching account mappings:', error);
-            res.status(500).json({ 
-                message: 'Failed to fetch account mappings', 
-                error: error.message 
-            });
-        }
-    }));
-
-    /**
-     * POST /api/inter-entity/transfer
-     * Create a complete inter-entity transfer with both journal entries
-     */
-    app.post('/api/inter-entity/transfer', asyncHandler(async (req, res) => {
-        const { 
-            fromEntityId, 
-            toEntityId, 
-            date, 
-            amount, 
-            description, 
-            referenceNumber,
-            fromFundId,
-            toFundId,
-            fromDueFromAccountId,
-            toDueToAccountId
-        } = req.body;
-        
-        // Validate required fields
-        if (!fromEntityId || !toEntityId || !date || !amount || !description || 
-            !fromFundId || !toFundId || !fromDueFromAccountId || !toDueToAccountId) {
-            return res.status(400).json({ message: 'Missing required fields' });
-        }
-        
-        if (parseFloat(amount) <= 0) {
-            return res.status(400).json({ message: 'Amount must be greater than zero' });
-        }
-        
-        // Start a transaction
-        const client = await pool.connect();
-        
-        try {
-            await client.query('BEGIN');
-            
-            // Generate a UUID for matching_transaction_id
-            const matchingTransactionId = generateUUID();
-            
-            // Create source journal entry
-            const sourceJeResult = await client.query(
-                `INSERT INTO journal_entries 
-                (entity_id, entry_date, reference_number, description, total_amount, 
-                status, created_by, is_inter_entity, target_entity_id, matching_transaction_id) 
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) 
-                RETURNING *`,
-                [
-                    fromEntityId,
-                    date,
-                    referenceNumber ? `${referenceNumber}-SRC` : `IE-${Date.now()}-SRC`,
-                    description,
-                    parseFloat(amount),
-                    'Posted',
-                    'System',
-                    true,
-                    toEntityId,
-                    matchingTransactionId
-                ]
-            );
-            
-            const sourceJournalEntryId = sourceJeResult.rows[0].id;
-            
-            // Find cash account for source entity
-            const sourceCashResult = await client.query(
-                `SELECT id FROM accounts 
-                WHERE entity_id = $1 
-                AND type = 'Asset' 
-                AND (name ILIKE '%cash%' OR code LIKE '10%') 
-                LIMIT 1`,
-                [fromEntityId]
-            );
-            
-            if (sourceCashResult.rows.length === 0) {
-                throw new Error(`No cash account found for source entity`);
-            }
-            
-            const sourceCashAccountId = sourceCashResult.rows[0].id;
-            
-            // Create source journal entry lines
-            await client.query(
-                `INSERT INTO journal_entry_items 
-                (journal_entry_id, account_id, fund_id, debit, credit, description, entity_id) 
-                VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-                [
-                    sourceJournalEntryId,
-                    fromDueFromAccountId,
-                    fromFundId,
-                    parseFloat(amount),
-                    0,
-                    `Due from target entity`,
-                    fromEntityId
-                ]
-            );
-            
-            await client.query(
-                `INSERT INTO journal_entry_items 
-                (journal_entry_id, account_id, fund_id, debit, credit, description, entity_id) 
-                VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-                [
-                    sourceJournalEntryId,
-                    sourceCashAccountId,
-                    fromFundId,
-                    0,
-                    parseFloat(amount),
-                    `Cash transfer to target entity`,
-                    fromEntityId
-                ]
-            );
-            
-            // Create target journal entry
-            const targetJeResult = await client.query(
-                `INSERT INTO journal_entries 
-                (entity_id, entry_date, reference_number, description, total_amount, 
-                status, created_by, is_inter_entity, target_entity_id, matching_transaction_id) 
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) 
-                RETURNING *`,
-                [
-                    toEntityId,
-                    date,
-                    referenceNumber ? `${referenceNumber}-TGT` : `IE-${Date.now()}-TGT`,
-                    description,
-                    parseFloat(amount),
-                    'Posted',
-                    'System',
-                    true,
-                    fromEntityId,
-                    matchingTransactionId
-                ]
-            );
-            
-            const targetJournalEntryId = targetJeResult.rows[0].id;
-            
-            // Find cash account for target entity
-            const targetCashResult = await client.query(
-                `SELECT id FROM accounts 
-                WHERE entity_id = $1 
-                AND type = 'Asset' 
-                AND (name ILIKE '%cash%' OR code LIKE '10%') 
-                LIMIT 1`,
-                [toEntityId]
-            );
-            
-            if (targetCashResult.rows.length === 0) {
-                throw new Error(`No cash account found for target entity`);
-            }
-            
-            const targetCashAccountId = targetCashResult.rows[0].id;
-            
-            // Create target journal entry lines
-            await client.query(
-                `INSERT INTO journal_entry_items 
-                (journal_entry_id, account_id, fund_id, debit, credit, description, entity_id) 
-                VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-                [
-                    targetJournalEntryId,
-                    targetCashAccountId,
-                    toFundId,
-                    parseFloat(amount),
-                    0,
-                    `Cash received from source entity`,
-                    toEntityId
-                ]
-            );
-            
-            await client.query(
-                `INSERT INTO journal_entry_items 
-                (journal_entry_id, account_id, fund_id, debit, credit, description, entity_id) 
-                VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-                [
-                    targetJournalEntryId,
-                    toDueToAccountId,
-                    toFundId,
-                    0,
-                    parseFloat(amount),
-                    `Due to source entity`,
-                    toEntityId
-                ]
-            );
-            
-            await client.query('COMMIT');
-            
-            res.status(201).json({
-                success: true,
-                matchingTransactionId,
-                sourceJournalEntry: sourceJeResult.rows[0],
-                targetJournalEntry: targetJeResult.rows[0]
-            });
-            
-        } catch (error) {
-            await client.query('ROLLBACK');
-            console.error('Error creating inter-entity transfer:', error);
-            res.status(500).json({ 
-                message: 'Failed to create inter-entity transfer', 
-                error: error.message 
-            });
-        } finally {
-            client.release();
-        }
-    }));
-
-    /**
-     * GET /api/inter-entity/transfers
-     * Get all inter-entity transfers
-     */
-    app.get('/api/inter-entity/transfers', asyncHandler(async (req, res) => {
-        const { entityId } = req.query;
-        
-        let query = `
-            SELECT 
-                je.id,
-                je.entity_id,
-                je.target_entity_id,
-                je.entry_date,
-                je.reference_number,
-                je.description,
-                je.total_amount,
-                je.matching_transaction_id,
-                e1.code as entity_code,
-                e1.name as entity_name,
-                e2.code as target_entity_code,
-                e2.name as target_entity_name
-            FROM journal_entries je
-            JOIN entities e1 ON je.entity_id = e1.id
-            JOIN entities e2 ON je.target_entity_id = e2.id
-            WHERE je.is_inter_entity = true
-        `;
-        
-        const params = [];
-        
-        if (entityId) {
-            params.push(entityId);
-            query += ` AND (je.entity_id = $${params.length} OR je.target_entity_id = $${params.length})`;
-        }
-        
-        query += ` ORDER BY je.entry_date DESC`;
-        
-        const { rows } = await pool.query(query, params);
-        
-        // Group by matching_transaction_id
-        const transfers = {};
-        
-        rows.forEach(row => {
-            if (!transfers[row.matching_transaction_id]) {
-                transfers[row.matching_transaction_id] = {
-                    matchingTransactionId: row.matching_transaction_id,
-                    date: row.entry_date,
-                    description: row.description,
-                    amount: row.total_amount,
-                    entries: []
-                };
-            }
-            
-            transfers[row.matching_transaction_id].entries.push({
-                id: row.id,
-                entityId: row.entity_id,
-                entityCode: row.entity_code,
-                entityName: row.entity_name,
-                targetEntityId: row.target_entity_id,
-                targetEntityCode: row.target_entity_code,
-                targetEntityName: row.target_entity_name,
-                referenceNumber: row.reference_number
-            });
-        });
-        
-        res.json(Object.values(transfers));
-    }));
 }
 
 /**
@@ -498,16 +209,4 @@ async function updateJournalEntryTotal(pool, journalEntryId) {
     }
 }
 
-/**
- * Generate a UUID
- * @returns {string} UUID
- */
-function generateUUID() {
-    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-        const r = Math.random() * 16 | 0;
-        const v = c === 'x' ? r : (r & 0x3 | 0x8);
-        return v.toString(16);
-    });
-}
-
 module.exports = registerInterEntityTransferRoutes;
@@ -23,6 +23,9 @@ class NachaGenerator {
       // File header settings
       immediateDestination: '',      // Receiving bank routing number (your bank)
       immediateOrigin: '',           // Company identification number
+      immediateDestinationName: '',  // Receiving bank name (defaults to companyName)
+      immediateOriginName: '',       // Originator name (defaults to 'NONPROFIT FUND ACCT')
+      referenceCode: '',             // Optional file reference code (8 chars)
       fileCreationDate: this._formatDate(new Date()), // Today's date YYMMDD
       fileCreationTime: this._formatTime(new Date()), // Current time HHMM
       fileIdModifier: 'A',           // File modifier (incremented for multiple files same day)
@@ -40,6 +43,10 @@ class NachaGenerator {
       originatorStatusCode: '1',     // 1 = originator
       originatingDFIId: '',          // Bank routing number
       
+      // Balanced files: offsetting entry to the settlement account per batch
+      // { routingNumber, accountNumber, accountType ('checking'|'savings'), name }
+      offsetAccount: null,
+      
       // Production or test indicator
       isProduction: false,
       
@@ -55,6 +62,7 @@ class NachaGenerator {
     this.batches = [];
     this.fileControl = '';
     this.currentBatchNumber = 1;
+    this.traceSequence = 0;          // Trace numbers are unique across the file
     this.totalEntryCount = 0;
     this.totalEntryHash = 0;
     this.totalDebitAmount = 0;
@@ -72,7 +80,7 @@ class NachaGenerator {
     
     const batch = {
       header: {
-        serviceClassCode: '200',     // 200 = mixed debits and credits
+        serviceClassCode: null,      // null = derived from the entries (200/220/225)
         companyName: this.settings.companyName,
         companyDiscretionaryData: this.settings.companyDiscretionaryData,
         companyIdentification: this.settings.companyIdentification,
@@ -91,6 +99,8 @@ class NachaGenerator {
       entryHash: 0,
       totalDebitAmount: 0,
       totalCreditAmount: 0,
+      offsetAccount: null,           // Per-batch offset account (balanced files)
+      offsetAdded: false,
       control: {}
     };
     
@@ -108,54 +118,101 @@ class NachaGenerator {
     // Validate required fields
     this._validateEntryData(entryData);
     
+    const secCode = batch.header.standardEntryClassCode;
+    const addendaInfo = this._splitAddenda(entryData.addenda, secCode);
+    if (addendaInfo.length > 1 && secCode !== 'CTX') {
+      throw new Error(`${secCode} entries carry at most one addenda record`);
+    }
+    
     // Format amounts to cents without decimal
-    const amount = Math.round(parseFloat(entryData.amount) * 100).toString().padStart(10, '0');
+    const amount = Math.round(parseFloat(entryData.amount || 0) * 100).toString().padStart(10, '0');
     
     // Calculate trace number
-    const traceNumber = this._generateTraceNumber(batch.entries.length + 1);
+    const traceNumber = this._generateTraceNumber(++this.traceSequence);
     
     // Create entry detail record
     const entry = {
       recordTypeCode: '6',           // 6 = entry detail
+      standardEntryClassCode: secCode,
       transactionCode: entryData.transactionCode || '22', // 22 = checking credit
       receivingDFIId: entryData.routingNumber.substring(0, 8), // First 8 digits of routing number
       checkDigit: entryData.routingNumber.substring(8, 9),     // 9th digit of routing number
       DFIAccountNumber: entryData.accountNumber.padEnd(17, ' ').substring(0, 17),
       amount: amount,
-      receivingCompanyId: entryData.receivingCompanyId || entryData.vendorId.padEnd(15, ' ').substring(0, 15),
+      receivingCompanyId: String(entryData.receivingCompanyId || entryData.vendorId).padEnd(15, ' ').substring(0, 15),
       receivingCompanyName: entryData.receivingCompanyName.padEnd(22, ' ').substring(0, 22),
       discretionaryData: '  ',       // Optional
-      addendaRecordIndicator: entryData.addenda ? '1' : '0',
+      addendaRecordIndicator: addendaInfo.length ? '1' : '0',
       traceNumber: traceNumber,
-      addenda: entryData.addenda ? this._createAddendaRecord(entryData.addenda, traceNumber) : null
+      addenda: addendaInfo.map((info, i) => this._createAddendaRecord(info, traceNumber, i + 1))
     };
     
     // Update batch totals
     batch.entries.push(entry);
-    batch.entryCount += 1;
-    if (entryData.addenda) {
-      batch.entryCount += 1; // Count addenda record
-    }
+    batch.entryCount += 1 + entry.addenda.length; // Entry plus its addenda records
     
     // Add to hash (sum of routing numbers)
     const routingNumberValue = parseInt(entryData.routingNumber.substring(0, 8), 10);
     batch.entryHash += routingNumberValue;
     
     // Update debit/credit totals
-    if (entryData.transactionCode && ['27', '37', '28', '38'].includes(entryData.transactionCode)) {
-      batch.totalDebitAmount += parseFloat(entryData.amount);
+    if (NachaGenerator.isDebitCode(entry.transactionCode)) {
+      batch.totalDebitAmount += parseFloat(entryData.amount || 0);
     } else {
-      batch.totalCreditAmount += parseFloat(entryData.amount);
+      batch.totalCreditAmount += parseFloat(entryData.amount || 0);
     }
     
     return batch;
   }
   
+  /**
+   * Add the offsetting entry that balances a batch against the settlement
+   * account: a debit for the net credits, or a credit for the net debits
+   * @param {Object} batch - The batch to balance
+   * @param {Object} [account] - Offset account; defaults to batch.offsetAccount, then settings.offsetAccount
+   * @returns {Object|null} The offset entry, or null when the batch is already balanced
+   */
+  addOffsetEntry(batch, account) {
+    const offset = account || batch.offsetAccount || this.settings.offsetAccount;
+    if (!offset) throw new Error('No offset account configured');
+    if (batch.offsetAdded) return null;
+    
+    const net = Math.round((batch.totalCreditAmount - batch.totalDebitAmount) * 100) / 100;
+    batch.offsetAdded = true;
+    if (net === 0) return null;
+    
+    const savings = /sav/i.test(offset.accountType || '');
+    const codes = NachaGenerator.TRANSACTION_CODES;
+    const transactionCode = net > 0
+      ? (savings ? codes.SAVINGS_DEBIT : codes.CHECKING_DEBIT)
+      : (savings ? codes.SAVINGS_CREDIT : codes.CHECKING_CREDIT);
+    
+    this.addEntry(batch, {
+      routingNumber: offset.routingNumber,
+      accountNumber: offset.accountNumber,
+      amount: Math.abs(net),
+      transactionCode,
+      receivingCompanyName: String(offset.name || this.settings.companyName).toUpperCase(),
+      receivingCompanyId: this.settings.companyIdentification,
+      vendorId: 'OFFSET'
+    });
+    return batch.entries[batch.entries.length - 1];
+  }
+  
   /**
    * Generate the complete NACHA file content
    * @returns {string} NACHA file content
    */
   generateFile() {
+    // Balanced files: offset every batch before the totals are taken
+    this.batches.forEach(batch => {
+      if (batch.offsetAccount || this.settings.offsetAccount) this.addOffsetEntry(batch);
+    });
+    
+    // Totals are rebuilt on every call
+    this.totalDebitAmount = 0;
+    this.totalCreditAmount = 0;
+    
     // Create file header
     this.fileHeader = this._createFileHeader();
     
@@ -165,6 +222,8 @@ class NachaGenerator {
     
     // Process each batch
     this.batches.forEach(batch => {
+      batch.serviceClassCode = batch.header.serviceClassCode || this._deriveServiceClassCode(batch);
+      
       // Create batch header
       const batchHeader = this._createBatchHeader(batch);
       fileContent += batchHeader;
@@ -174,10 +233,8 @@ class NachaGenerator {
         const entryDetail = this._createEntryDetail(entry);
         fileContent += entryDetail;
         
-        // Add addenda if exists
-        if (entry.addenda) {
-          fileContent += entry.addenda;
-        }
+        // Add addenda records if any
+        fileContent += entry.addenda.join('');
       });
       
       // Create batch control record
@@ -238,21 +295,26 @@ class NachaGenerator {
    * @returns {string} Formatted file header record
    */
   _createFileHeader() {
+    // Immediate Origin is 10 positions: a 10-character company ID as-is,
+    // otherwise a blank followed by the 9-digit number
+    const origin = String(this.settings.immediateOrigin);
+    const immediateOrigin = origin.length === 10 ? origin : ` ${origin.padStart(9, '0')}`;
+
     // Build the file header record
     return [
       '1',                                // Record Type Code
       '01',                               // Priority Code
       ` ${this.settings.immediateDestination.padStart(9, '0')}`,  // Immediate Destination
-      ` ${this.settings.immediateOrigin.padStart(9, '0')}`,       // Immediate Origin
+      immediateOrigin,                    // Immediate Origin
       this.settings.fileCreationDate,     // File Creation Date
       this.settings.fileCreationTime,     // File Creation Time
       this.settings.fileIdModifier,       // File ID Modifier
-      this.settings.recordSize,           // Record Size
+      String(this.settings.recordSize).padStart(3, '0'), // Record Size ('094')
       this.settings.blockingFactor,       // Blocking Factor
       this.settings.formatCode,           // Format Code
-      this.settings.companyName.padEnd(23, ' ').substring(0, 23), // Destination Name
-      'NONPROFIT FUND ACCT    '.substring(0, 23),   // Origin Name
-      '        '                          // Reference Code (optional)
+      (this.settings.immediateDestinationName || this.settings.companyName).padEnd(23, ' ').substring(0, 23), // Destination Name
+      (this.settings.immediateOriginName || 'NONPROFIT FUND ACCT').padEnd(23, ' ').substring(0, 23),   // Origin Name
+      (this.settings.referenceCode || '').padEnd(8, ' ').substring(0, 8) // Reference Code (optional)
     ].join('').padEnd(this.settings.recordSize, ' ');
   }
   
@@ -274,10 +336,18 @@ class NachaGenerator {
    * Helper / builder methods                                           *
    * ------------------------------------------------------------------ */
 
+  _deriveServiceClassCode(batch) {
+    const codes = NachaGenerator.SERVICE_CLASS_CODES;
+    const hasDebits = batch.entries.some(e => NachaGenerator.isDebitCode(e.transactionCode));
+    const hasCredits = batch.entries.some(e => !NachaGenerator.isDebitCode(e.transactionCode));
+    if (hasDebits && hasCredits) return codes.MIXED;
+    return hasDebits ? codes.DEBITS_ONLY : codes.CREDITS_ONLY;
+  }
+
   _createBatchHeader(batch) {
     return [
       '5',
-      batch.header.serviceClassCode,
+      batch.serviceClassCode,
       batch.header.companyName.padEnd(16, ' ').substring(0, 16),
       batch.header.companyDiscretionaryData.padEnd(20, ' ').substring(0, 20),
       batch.header.companyIdentification.padStart(10, '0').substring(0, 10),
@@ -293,6 +363,24 @@ class NachaGenerator {
   }
 
   _createEntryDetail(entry) {
+    if (entry.standardEntryClassCode === 'CTX') {
+      // CTX: addenda count and a 16-character receiving company name
+      return [
+        '6',
+        entry.transactionCode,
+        entry.receivingDFIId,
+        entry.checkDigit,
+        entry.DFIAccountNumber,
+        entry.amount,
+        entry.receivingCompanyId,
+        entry.addenda.length.toString().padStart(4, '0'),
+        entry.receivingCompanyName.substring(0, 16),
+        '  ',                                   // reserved
+        entry.discretionaryData,
+        entry.addendaRecordIndicator,
+        entry.traceNumber
+      ].join('').padEnd(this.settings.recordSize, ' ');
+    }
     return [
       '6',
       entry.transactionCode,
@@ -308,9 +396,17 @@ class NachaGenerator {
     ].join('').padEnd(this.settings.recordSize, ' ');
   }
 
-  _createAddendaRecord(addendaInfo, traceNumber) {
+  _splitAddenda(addenda, secCode) {
+    if (!addenda) return [];
+    if (Array.isArray(addenda)) return addenda.filter(Boolean);
+    // CTX remittance (ANSI X12 820) spans as many 80-character records as it needs
+    if (secCode === 'CTX') return String(addenda).match(/[\s\S]{1,80}/g) || [];
+    return [String(addenda)];
+  }
+
+  _createAddendaRecord(addendaInfo, traceNumber, sequence = 1) {
     const addendaTypeCode = '05';
-    const addendaSequenceNumber = '0001';
+    const addendaSequenceNumber = sequence.toString().padStart(4, '0');
     const entrySeq = traceNumber.substring(traceNumber.length - 7);
     return [
       '7',
@@ -327,7 +423,7 @@ class NachaGenerator {
     const entryHash = (batch.entryHash % 10000000000).toString().padStart(10, '0');
     return [
       '8',
-      batch.header.serviceClassCode,
+      batch.serviceClassCode,
       batch.entryCount.toString().padStart(6, '0'),
       entryHash,
       totalDebit,
@@ -385,7 +481,9 @@ class NachaGenerator {
   }
 
   _validateEntryData(data) {
-    const required = ['routingNumber', 'accountNumber', 'amount', 'receivingCompanyName', 'vendorId'];
+    const prenote = NachaGenerator.isPrenoteCode(data.transactionCode);
+    const required = ['routingNumber', 'accountNumber', 'receivingCompanyName', 'vendorId'];
+    if (!prenote) required.push('amount');
     const missing = required.filter(f => !data[f]);
     if (missing.length) {
       throw new Error(`Missing entry fields: ${missing.join(', ')}`);
@@ -393,7 +491,9 @@ class NachaGenerator {
     if (!NachaGenerator.validateRoutingNumber(data.routingNumber)) {
       throw new Error('Invalid routing number');
     }
-    if (isNaN(parseFloat(data.amount)) || parseFloat(data.amount) <= 0) {
+    if (prenote) {
+      if (parseFloat(data.amount || 0) !== 0) throw new Error('Prenote entries must be zero-dollar');
+    } else if (isNaN(parseFloat(data.amount)) || parseFloat(data.amount) <= 0) {
       throw new Error('Amount must be positive');
     }
     if (data.accountNumber.length < 1 || data.accountNumber.length > 17) {
@@ -402,6 +502,61 @@ class NachaGenerator {
   }
 
   /* -------- Static helpers -------- */
+  static isDebitCode(code) {
+    // Second digit 5-9 marks a debit (27, 28, 37, 38, 47, 48, 55 ...)
+    return /^[2-5][5-9]$/.test(code || '');
+  }
+
+  /**
+   * Build ANSI ASC X12 820 remittance for CTX addenda
+   * @param {Object} opts
+   * @param {string} opts.senderId - Originator ID (company identification)
+   * @param {string} opts.receiverId - Receiver ID (vendor identification)
+   * @param {string} opts.payerName - Originator name
+   * @param {string} opts.payeeName - Vendor name
+   * @param {string} opts.reference - Payment reference (TRN02)
+   * @param {number} opts.amount - Payment amount
+   * @param {Array<Object>} opts.invoices - [{ invoiceNumber, amount, invoiceAmount, invoiceDate (YYYY-MM-DD) }]
+   * @param {Date} [opts.date] - Interchange date
+   * @param {boolean} [opts.isProduction] - Usage indicator P/T
+   * @returns {string} 820 transaction with ISA/GS envelope, segments ended by '\'
+   */
+  static buildCtxRemittance(opts) {
+    const date = opts.date || new Date();
+    const ymd = date.toISOString().slice(0, 10).replace(/-/g, '');
+    const hhmm = date.toISOString().slice(11, 16).replace(':', '');
+    const clean = (v, len) => String(v || '').replace(/[*~\\>^]/g, ' ').trim().substring(0, len);
+    const money = (n) => (Math.round(Number(n || 0) * 100) / 100).toFixed(2);
+    const id15 = (v) => clean(v, 15).padEnd(15, ' ');
+    
+    const body = [
+      'ST*820*0001',
+      `BPR*C*${money(opts.amount)}*C*ACH*CTX`,
+      `TRN*1*${clean(opts.reference, 30) || '1'}`,
+      `N1*PR*${clean(opts.payerName, 60)}`,
+      `N1*PE*${clean(opts.payeeName, 60)}`,
+      'ENT*1'
+    ];
+    for (const inv of opts.invoices || []) {
+      body.push(`RMR*IV*${clean(inv.invoiceNumber, 30)}**${money(inv.amount)}*${money(inv.invoiceAmount != null ? inv.invoiceAmount : inv.amount)}`);
+      if (inv.invoiceDate) body.push(`DTM*003*${String(inv.invoiceDate).slice(0, 10).replace(/-/g, '')}`);
+    }
+    body.push(`SE*${body.length + 1}*0001`);
+    
+    return [
+      `ISA*00*${''.padEnd(10, ' ')}*00*${''.padEnd(10, ' ')}*ZZ*${id15(opts.senderId)}*ZZ*${id15(opts.receiverId)}*${ymd.slice(2)}*${hhmm}*U*00401*000000001*0*${opts.isProduction ? 'P' : 'T'}*>`,
+      `GS*RA*${clean(opts.senderId, 15)}*${clean(opts.receiverId, 15)}*${ymd}*${hhmm}*1*X*004010`,
+      ...body,
+      'GE*1*1',
+      'IEA*1*000000001'
+    ].map(seg => `${seg}\\`).join('');
+  }
+
+  static isPrenoteCode(code) {
+    // Zero-dollar prenotification codes (23, 28, 33, 38, 43, 48, 53)
+    return /^[2-5][38]$/.test(code || '');
+  }
+
   static validateRoutingNumber(rn) {
     if (!/^\d{9}$/.test(rn)) return false;
     const w = [3, 7, 1, 3, 7, 1, 3, 7, 1];
@@ -417,6 +572,8 @@ NachaGenerator.TRANSACTION_CODES = {
   CHECKING_CREDIT: '22',
   SAVINGS_CREDIT:  '32',
   GL_CREDIT:       '42',
+  CHECKING_PRENOTE_CREDIT: '23',
+  SAVINGS_PRENOTE_CREDIT:  '33',
   CHECKING_DEBIT:  '27',
   SAVINGS_DEBIT:   '37',
   GL_DEBIT:        '47'
@@ -0,0 +1,498 @@
+/**
+ * nacha-parser.js
+ *
+ * NACHA (ACH) file reader for the Nonprofit Fund Accounting System
+ *
+ * The inverse of NachaGenerator: reads a NACHA file into structured records
+ * (file header, batches with their entries and addenda, control records) and
+ * validates it the way the receiving bank will, so problems are found before
+ * the file is transmitted. Every error carries the 1-based line number of
+ * the record it was found on.
+ */
+
+const NachaGenerator = require('./nacha-generator');
+
+const RECORD_SIZE = 94;
+const BLOCKING_FACTOR = 10;
+
+// Field layouts: [name, start (1-based), end (inclusive)]
+const LAYOUTS = {
+  '1': [
+    ['priorityCode', 2, 3],
+    ['immediateDestination', 4, 13],
+    ['immediateOrigin', 14, 23],
+    ['fileCreationDate', 24, 29],
+    ['fileCreationTime', 30, 33],
+    ['fileIdModifier', 34, 34],
+    ['recordSize', 35, 37],
+    ['blockingFactor', 38, 39],
+    ['formatCode', 40, 40],
+    ['immediateDestinationName', 41, 63],
+    ['immediateOriginName', 64, 86],
+    ['referenceCode', 87, 94]
+  ],
+  '5': [
+    ['serviceClassCode', 2, 4],
+    ['companyName', 5, 20],
+    ['companyDiscretionaryData', 21, 40],
+    ['companyIdentification', 41, 50],
+    ['standardEntryClassCode', 51, 53],
+    ['companyEntryDescription', 54, 63],
+    ['companyDescriptiveDate', 64, 69],
+    ['effectiveEntryDate', 70, 75],
+    ['settlementDate', 76, 78],
+    ['originatorStatusCode', 79, 79],
+    ['originatingDFIId', 80, 87],
+    ['batchNumber', 88, 94]
+  ],
+  '6': [
+    ['transactionCode', 2, 3],
+    ['receivingDFIId', 4, 11],
+    ['checkDigit', 12, 12],
+    ['DFIAccountNumber', 13, 29],
+    ['amount', 30, 39],
+    ['individualIdNumber', 40, 54],
+    ['individualName', 55, 76],
+    ['discretionaryData', 77, 78],
+    ['addendaRecordIndicator', 79, 79],
+    ['traceNumber', 80, 94]
+  ],
+  '7': [
+    ['addendaTypeCode', 2, 3],
+    ['paymentRelatedInformation', 4, 83],
+    ['addendaSequenceNumber', 84, 87],
+    ['entryDetailSequenceNumber', 88, 94]
+  ],
+  // Return addenda (type 99)
+  '799': [
+    ['addendaTypeCode', 2, 3],
+    ['returnReasonCode', 4, 6],
+    ['originalEntryTraceNumber', 7, 21],
+    ['dateOfDeath', 22, 27],
+    ['originalReceivingDFIId', 28, 35],
+    ['addendaInformation', 36, 79],
+    ['traceNumber', 80, 94]
+  ],
+  // Notification of change addenda (type 98)
+  '798': [
+    ['addendaTypeCode', 2, 3],
+    ['changeCode', 4, 6],
+    ['originalEntryTraceNumber', 7, 21],
+    ['reserved', 22, 27],
+    ['originalReceivingDFIId', 28, 35],
+    ['correctedData', 36, 64],
+    ['reserved2', 65, 79],
+    ['traceNumber', 80, 94]
+  ],
+  '8': [
+    ['serviceClassCode', 2, 4],
+    ['entryAddendaCount', 5, 10],
+    ['entryHash', 11, 20],
+    ['totalDebitAmount', 21, 32],
+    ['totalCreditAmount', 33, 44],
+    ['companyIdentification', 45, 54],
+    ['messageAuthenticationCode', 55, 73],
+    ['reserved', 74, 79],
+    ['originatingDFIId', 80, 87],
+    ['batchNumber', 88, 94]
+  ],
+  '9': [
+    ['batchCount', 2, 7],
+    ['blockCount', 8, 13],
+    ['entryAddendaCount', 14, 21],
+    ['entryHash', 22, 31],
+    ['totalDebitAmount', 32, 43],
+    ['totalCreditAmount', 44, 55],
+    ['reserved', 56, 94]
+  ]
+};
+
+// Fields holding amounts in cents
+const AMOUNT_FIELDS = ['amount', 'totalDebitAmount', 'totalCreditAmount'];
+
+/**
+ * NACHA File Parser class
+ * Reads and validates ACH files in NACHA format
+ */
+class NachaParser {
+  constructor(content) {
+    this.content = String(content || '');
+    this.lines = [];
+    this.errors = [];
+    this.warnings = [];
+  }
+
+  /**
+   * Parse and validate the file
+   * @returns {Object} { valid, file_header, batches, file_control, summary, errors, warnings }
+   */
+  parse() {
+    this.lines = this._splitLines(this.content);
+    this.errors = [];
+    this.warnings = [];
+
+    let fileHeader = null;
+    let fileControl = null;
+    const batches = [];
+    let batch = null;
+    let lastEntry = null;
+    let paddingStarted = false;
+
+    this.lines.forEach((raw, idx) => {
+      const line = idx + 1;
+      if (raw.length !== RECORD_SIZE) {
+        this._error(line, null, `Record is ${raw.length} characters; every record must be ${RECORD_SIZE}`);
+      }
+      const type = raw.charAt(0);
+
+      if (/^9+$/.test(raw) && fileControl) {
+        paddingStarted = true;
+        return;
+      }
+      if (paddingStarted) {
+        this._error(line, type, 'Record found after block padding');
+        return;
+      }
+      if (fileControl) {
+        this._error(line, type, 'Record found after the file control record');
+        return;
+      }
+
+      switch (type) {
+        case '1': {
+          if (fileHeader) this._error(line, type, 'Duplicate file header record');
+          if (line !== 1) this._error(line, type, 'File header must be the first record');
+          fileHeader = this._readRecord('1', raw, line);
+          break;
+        }
+        case '5': {
+          if (!fileHeader) this._error(line, type, 'Batch header before the file header');
+          if (batch) this._error(line, type, `Batch ${batch.header.batchNumber} has no batch control record`);
+          batch = { header: this._readRecord('5', raw, line), entries: [], control: null };
+          batches.push(batch);
+          lastEntry = null;
+          break;
+        }
+        case '6': {
+          if (!batch) {
+            this._error(line, type, 'Entry detail record outside a batch');
+            break;
+          }
+          lastEntry = { ...this._readRecord('6', raw, line), addenda: [] };
+          batch.entries.push(lastEntry);
+          break;
+        }
+        case '7': {
+          const addendaType = raw.substring(1, 3);
+          const layout = LAYOUTS[`7${addendaType}`] ? `7${addendaType}` : '7';
+          const addenda = this._readRecord(layout, raw, line);
+          if (!lastEntry) {
+            this._error(line, type, 'Addenda record without a preceding entry detail record');
+            break;
+          }
+          lastEntry.addenda.push(addenda);
+          break;
+        }
+        case '8': {
+          if (!batch) {
+            this._error(line, type, 'Batch control record without a batch header');
+            break;
+          }
+          batch.control = this._readRecord('8', raw, line);
+          batch = null;
+          lastEntry = null;
+          break;
+        }
+        case '9': {
+          if (batch) this._error(line, type, `Batch ${batch.header.batchNumber} has no batch control record`);
+          fileControl = this._readRecord('9', raw, line);
+          batch = null;
+          break;
+        }
+        default:
+          this._error(line, type, `Unknown record type '${type}'`);
+      }
+    });
+
+    if (!fileHeader) this._error(1, '1', 'File header record is missing');
+    if (!fileControl) this._error(this.lines.length || 1, '9', 'File control record is missing');
+
+    if (fileHeader) this._validateFileHeader(fileHeader);
+    const totals = batches.map(b => this._validateBatch(b));
+    if (fileControl) this._validateFileControl(fileControl, batches, totals);
+
+    this.errors.sort((a, b) => a.line - b.line);
+    return {
+      valid: this.errors.length === 0,
+      file_header: fileHeader,
+      batches,
+      file_control: fileControl,
+      summary: {
+        record_count: this.lines.length,
+        batch_count: batches.length,
+        entry_count: batches.reduce((s, b) => s + b.entries.length, 0),
+        total_debit_amount: this._sumCents(totals, 'debit') / 100,
+        total_credit_amount: this._sumCents(totals, 'credit') / 100
+      },
+      errors: this.errors,
+      warnings: this.warnings
+    };
+  }
+
+  /* ------------------------------------------------------------------ *
+   * Validation                                                          *
+   * ------------------------------------------------------------------ */
+
+  _validateFileHeader(header) {
+    const line = header.line;
+    if (header.priorityCode !== '01') this._error(line, '1', `Priority code must be 01 (found '${header.priorityCode}')`);
+    if (header.recordSize !== '094') this._error(line, '1', `Record size must be 094 (found '${header.recordSize}')`);
+    if (header.blockingFactor !== String(BLOCKING_FACTOR)) {
+      this._error(line, '1', `Blocking factor must be ${BLOCKING_FACTOR} (found '${header.blockingFactor}')`);
+    }
+    if (header.formatCode !== '1') this._error(line, '1', `Format code must be 1 (found '${header.formatCode}')`);
+
+    const destination = header.immediateDestination.trim();
+    if (!NachaGenerator.validateRoutingNumber(destination)) {
+      this._error(line, '1', `Immediate destination '${destination}' is not a valid routing number`);
+    }
+    if (!/^[A-Z0-9]$/.test(header.fileIdModifier)) {
+      this._error(line, '1', `File ID modifier must be A-Z or 0-9 (found '${header.fileIdModifier}')`);
+    }
+    if (!this._isYymmdd(header.fileCreationDate)) {
+      this._error(line, '1', `File creation date '${header.fileCreationDate}' is not a valid YYMMDD date`);
+    }
+  }
+
+  /**
+   * Validate a batch against its control record
+   * @returns {Object} Computed { count, hash, debit, credit } (cents)
+   */
+  _validateBatch(batch) {
+    const h = batch.header;
+    const computed = { count: 0, hash: 0, debit: 0, credit: 0 };
+    let lastTrace = null;
+
+    if (!NachaGenerator.SERVICE_CLASS_CODES || !Object.values(NachaGenerator.SERVICE_CLASS_CODES).includes(h.serviceClassCode)) {
+      this._error(h.line, '5', `Unknown service class code '${h.serviceClassCode}'`);
+    }
+    if (!/^[A-Z]{3}$/.test(h.standardEntryClassCode)) {
+      this._error(h.line, '5', `Invalid standard entry class code '${h.standardEntryClassCode}'`);
+    }
+    if (h.effectiveEntryDate && !this._isYymmdd(h.effectiveEntryDate)) {
+      this._error(h.line, '5', `Effective entry date '${h.effectiveEntryDate}' is not a valid YYMMDD date`);
+    }
+    if (!/^\d{8}$/.test(h.originatingDFIId)) {
+      this._error(h.line, '5', `Originating DFI '${h.originatingDFIId}' must be 8 digits`);
+    }
+    if (!batch.entries.length) this._error(h.line, '5', `Batch ${h.batchNumber} has no entries`);
+
+    for (const e of batch.entries) {
+      computed.count += 1 + e.addenda.length;
+      if (/^\d{8}$/.test(e.receivingDFIId)) computed.hash += parseInt(e.receivingDFIId, 10);
+
+      const routing = `${e.receivingDFIId}${e.checkDigit}`;
+      if (!NachaGenerator.validateRoutingNumber(routing)) {
+        this._error(e.line, '6', `Routing number ${routing} fails the check digit test`);
+      }
+      if (!/^\d{10}$/.test(e.rawAmount)) {
+        this._error(e.line, '6', `Amount '${e.rawAmount}' must be 10 digits`);
+      }
+
+      const direction = NachaParser.transactionDirection(e.transactionCode);
+      if (!direction) {
+        this._error(e.line, '6', `Unknown transaction code '${e.transactionCode}'`);
+      } else {
+        computed[direction] += e.amountCents;
+        if (direction === 'debit' && h.serviceClassCode === '220') {
+          this._error(e.line, '6', 'Debit entry in a credits-only (220) batch');
+        }
+        if (direction === 'credit' && h.serviceClassCode === '225') {
+          this._error(e.line, '6', 'Credit entry in a debits-only (225) batch');
+        }
+      }
+      if (NachaParser.isPrenote(e.transactionCode) && e.amountCents !== 0) {
+        this._error(e.line, '6', `Prenote (transaction code ${e.transactionCode}) must have a zero amount`);
+      }
+
+      const indicator = e.addendaRecordIndicator;
+      if (indicator === '1' && !e.addenda.length) this._error(e.line, '6', 'Addenda indicator is 1 but no addenda record follows');
+      if (indicator === '0' && e.addenda.length) this._error(e.line, '6', 'Addenda indicator is 0 but an addenda record follows');
+      if (!/^[01]$/.test(indicator)) this._error(e.line, '6', `Addenda indicator must be 0 or 1 (found '${indicator}')`);
+
+      if (!/^\d{15}$/.test(e.traceNumber)) {
+        this._error(e.line, '6', `Trace number '${e.traceNumber}' must be 15 digits`);
+      } else {
+        if (e.traceNumber.substring(0, 8) !== h.originatingDFIId) {
+          this.warnings.push({ line: e.line, record_type: '6', message: 'Trace number does not start with the originating DFI' });
+        }
+        if (lastTrace && e.traceNumber <= lastTrace) {
+          this._error(e.line, '6', 'Trace numbers must be in ascending order within a batch');
+        }
+        lastTrace = e.traceNumber;
+      }
+
+      e.addenda.forEach((a, i) => {
+        if (a.addendaTypeCode === '05') {
+          if (a.addendaSequenceNumber !== String(i + 1).padStart(4, '0')) {
+            this._error(a.line, '7', `Addenda sequence number should be ${String(i + 1).padStart(4, '0')}`);
+          }
+          if (/^\d{15}$/.test(e.traceNumber) && a.entryDetailSequenceNumber !== e.traceNumber.substring(8)) {
+            this._error(a.line, '7', 'Entry detail sequence number does not match the entry trace number');
+          }
+        }
+      });
+    }
+
+    const c = batch.control;
+    if (!c) return computed;
+
+    const hash = computed.hash % 10000000000;
+    if (parseInt(c.entryAddendaCount, 10) !== computed.count) {
+      this._error(c.line, '8', `Entry/addenda count is ${c.entryAddendaCount}; the batch has ${computed.count}`);
+    }
+    if (parseInt(c.entryHash, 10) !== hash) {
+      this._error(c.line, '8', `Entry hash is ${c.entryHash}; computed ${String(hash).padStart(10, '0')}`);
+    }
+    if (c.totalDebitAmountCents !== computed.debit) {
+      this._error(c.line, '8', `Total debit is ${this._money(c.totalDebitAmountCents)}; entries add up to ${this._money(computed.debit)}`);
+    }
+    if (c.totalCreditAmountCents !== computed.credit) {
+      this._error(c.line, '8', `Total credit is ${this._money(c.totalCreditAmountCents)}; entries add up to ${this._money(computed.credit)}`);
+    }
+    if (c.serviceClassCode !== h.serviceClassCode) {
+      this._error(c.line, '8', 'Service class code does not match the batch header');
+    }
+    if (c.companyIdentification !== h.companyIdentification) {
+      this._error(c.line, '8', 'Company identification does not match the batch header');
+    }
+    if (c.originatingDFIId !== h.originatingDFIId) {
+      this._error(c.line, '8', 'Originating DFI does not match the batch header');
+    }
+    if (c.batchNumber !== h.batchNumber) {
+      this._error(c.line, '8', `Batch number ${c.batchNumber} does not match the batch header (${h.batchNumber})`);
+    }
+    return computed;
+  }
+
+  _validateFileControl(control, batches, totals) {
+    const line = control.line;
+    const count = totals.reduce((s, t) => s + t.count, 0);
+    const hash = totals.reduce((s, t) => s + t.hash, 0) % 10000000000;
+    const debit = this._sumCents(totals, 'debit');
+    const credit = this._sumCents(totals, 'credit');
+
+    if (parseInt(control.batchCount, 10) !== batches.length) {
+      this._error(line, '9', `Batch count is ${control.batchCount}; the file has ${batches.length}`);
+    }
+    if (parseInt(control.entryAddendaCount, 10) !== count) {
+      this._error(line, '9', `Entry/addenda count is ${control.entryAddendaCount}; the file has ${count}`);
+    }
+    if (parseInt(control.entryHash, 10) !== hash) {
+      this._error(line, '9', `Entry hash is ${control.entryHash}; computed ${String(hash).padStart(10, '0')}`);
+    }
+    if (control.totalDebitAmountCents !== debit) {
+      this._error(line, '9', `Total debit is ${this._money(control.totalDebitAmountCents)}; batches add up to ${this._money(debit)}`);
+    }
+    if (control.totalCreditAmountCents !== credit) {
+      this._error(line, '9', `Total credit is ${this._money(control.totalCreditAmountCents)}; batches add up to ${this._money(credit)}`);
+    }
+
+    const blocks = Math.ceil(this.lines.length / BLOCKING_FACTOR);
+    if (this.lines.length % BLOCKING_FACTOR !== 0) {
+      this._error(this.lines.length, null, `File has ${this.lines.length} records; it must be padded to a multiple of ${BLOCKING_FACTOR}`);
+    }
+    if (parseInt(control.blockCount, 10) !== blocks) {
+      this._error(line, '9', `Block count is ${control.blockCount}; the file has ${blocks} blocks`);
+    }
+  }
+
+  /* ------------------------------------------------------------------ *
+   * Helpers                                                            *
+   * ------------------------------------------------------------------ */
+
+  _splitLines(content) {
+    const text = content.replace(/\r/g, '');
+    // Some banks deliver files without line breaks
+    if (!text.includes('\n') && text.length > RECORD_SIZE && text.length % RECORD_SIZE === 0) {
+      return text.match(new RegExp(`.{${RECORD_SIZE}}`, 'g'));
+    }
+    const lines = text.split('\n');
+    while (lines.length && lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  }
+
+  _readRecord(layoutKey, raw, line) {
+    const record = { line, recordTypeCode: raw.charAt(0) };
+    for (const [name, start, end] of LAYOUTS[layoutKey]) {
+      const value = raw.substring(start - 1, end);
+      if (AMOUNT_FIELDS.includes(name)) {
+        record[`raw${name.charAt(0).toUpperCase()}${name.slice(1)}`] = value;
+        const cents = /^\d+$/.test(value) ? parseInt(value, 10) : 0;
+        record[`${name}Cents`] = cents;
+        record[name] = cents / 100;
+      } else {
+        record[name] = value.trim();
+      }
+    }
+    return record;
+  }
+
+  _error(line, recordType, message) {
+    this.errors.push({ line, record_type: recordType, message });
+  }
+
+  _isYymmdd(v) {
+    if (!/^\d{6}$/.test(v)) return false;
+    const month = parseInt(v.substring(2, 4), 10);
+    const day = parseInt(v.substring(4, 6), 10);
+    return month >= 1 && month <= 12 && day >= 1 && day <= 31;
+  }
+
+  _sumCents(totals, key) {
+    return totals.reduce((s, t) => s + t[key], 0);
+  }
+
+  _money(cents) {
+    return (cents / 100).toFixed(2);
+  }
+
+  /* -------- Static helpers -------- */
+
+  /**
+   * Direction of a transaction code
+   * @param {string} code - Two-digit transaction code
+   * @returns {string|null} 'credit', 'debit' or null when unknown
+   */
+  static transactionDirection(code) {
+    if (!/^[2-5][0-9]$/.test(code || '')) return null;
+    if (code === '55') return 'debit';   // loan reversal (debit)
+    const kind = code.charAt(1);
+    if (['1', '2', '3', '4'].includes(kind)) return 'credit';
+    if (['6', '7', '8', '9'].includes(kind)) return 'debit';
+    return null;
+  }
+
+  /**
+   * Whether a transaction code is a prenotification (zero-dollar) entry
+   * @param {string} code - Two-digit transaction code
+   * @returns {boolean}
+   */
+  static isPrenote(code) {
+    return ['23', '28', '33', '38', '43', '48', '53'].includes(code);
+  }
+
+  /**
+   * Parse file content
+   * @param {string} content - NACHA file content
+   * @returns {Object} Parse result (see parse())
+   */
+  static parse(content) {
+    return new NachaParser(content).parse();
+  }
+}
+
+NachaParser.RECORD_SIZE = RECORD_SIZE;
+NachaParser.BLOCKING_FACTOR = BLOCKING_FACTOR;
+
+module.exports = NachaParser;
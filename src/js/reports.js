@@ -76,50 +76,392 @@
     }
 
     /**
-     * Generates a statement of financial position report
+     * Formats a statement amount with parentheses for negatives
+     * @param {number} amount - The amount to format
+     * @returns {string} Formatted amount, e.g. $1,234.00 or ($50.00)
+     */
+    function _formatStatementAmount(amount) {
+        const n = Number(amount) || 0;
+        const formatted = Math.abs(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        return n < 0 ? `($${formatted})` : `$${formatted}`;
+    }
+
+    /**
+     * Escapes text for safe insertion into report HTML
+     * @param {string} value - Raw text
+     * @returns {string} Escaped text
+     */
+    function _escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Builds the entity query params for a statement from the app state
+     * @param {object} state - Application state
+     * @returns {URLSearchParams} Params with entity_id / consolidated when selected
+     */
+    function _entityParams(state) {
+        const params = new URLSearchParams();
+        if (state && state.selectedEntityId) {
+            params.set('entity_id', state.selectedEntityId);
+            if (state.isConsolidatedView) params.set('consolidated', 'true');
+        }
+        return params;
+    }
+
+    /**
+     * Returns the container that a generated statement is rendered into
+     * @param {string} reportType - The report type identifier
+     * @returns {HTMLElement|null} Container element
+     */
+    function _getReportContainer(reportType) {
+        const view = document.getElementById(`${reportType}-report`);
+        if (!view) return null;
+        return view.querySelector('.report-container') || view;
+    }
+
+    /**
+     * Generates a statement of financial position report from the ledger
      * @param {object} state - Application state
      */
-    function _generateFinancialPositionReport(state) {
+    async function _generateFinancialPositionReport(state) {
         console.log('REPORTS: Generating Statement of Financial Position...');
-        
-        // This is a placeholder for real report generation logic.
-        // In a real implementation, this would analyze the accounts data and produce a balance sheet.
-        
-        // For now, we're just showing the pre-built report in the HTML
         _showReportView('financial-position');
+
+        const container = _getReportContainer('financial-position');
+        if (!container) return;
+
+        const asOf = new Date().toISOString().split('T')[0];
+        const params = _entityParams(state);
+        params.set('as_of', asOf);
+
+        container.innerHTML = '<p>Loading statement...</p>';
+        let data;
+        try {
+            const res = await fetch(`/api/reports/financial-position?${params.toString()}`, {
+                credentials: 'include'
+            });
+            data = await res.json();
+            if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        } catch (err) {
+            console.error('REPORTS: Failed to load Statement of Financial Position:', err);
+            container.innerHTML = `<p class="error">Unable to load report: ${_escapeHtml(err.message)}</p>`;
+            return;
+        }
+
+        const orgName = (state.organizationSettings && state.organizationSettings.name) || 'Nonprofit Organization';
+        const priorLabel = new Date(`${data.params.compare_to}T00:00:00`).toLocaleDateString();
+        const currentLabel = new Date(`${data.params.as_of}T00:00:00`).toLocaleDateString();
+
+        const sectionRows = (section, label) => `
+            <tr class="font-weight-bold"><td colspan="3">${label}</td></tr>
+            ${section.lines.map(l => `
+                <tr>
+                    <td>&nbsp;&nbsp;${_escapeHtml(l.classification)}</td>
+                    <td class="text-right">${_formatStatementAmount(l.current)}</td>
+                    <td class="text-right">${_formatStatementAmount(l.prior)}</td>
+                </tr>`).join('')}
+            <tr class="font-weight-bold">
+                <td>Total ${label}</td>
+                <td class="text-right">${_formatStatementAmount(section.total.current)}</td>
+                <td class="text-right">${_formatStatementAmount(section.total.prior)}</td>
+            </tr>`;
+
+        const na = data.net_assets;
+        const netAssetRow = (label, v, bold) => `
+            <tr${bold ? ' class="font-weight-bold"' : ''}>
+                <td>${bold ? '' : '&nbsp;&nbsp;'}${label}</td>
+                <td class="text-right">${_formatStatementAmount(v.current)}</td>
+                <td class="text-right">${_formatStatementAmount(v.prior)}</td>
+            </tr>`;
+
+        container.innerHTML = `
+            <div class="report-header">
+                <div class="report-title">${_escapeHtml(orgName)}</div>
+                <div class="report-subtitle">Statement of Financial Position</div>
+                <div class="report-date">As of ${currentLabel}</div>
+            </div>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th class="text-right">${currentLabel}</th>
+                        <th class="text-right">${priorLabel}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sectionRows(data.assets, 'Assets')}
+                    ${sectionRows(data.liabilities, 'Liabilities')}
+                    <tr class="font-weight-bold"><td colspan="3">Net Assets</td></tr>
+                    ${netAssetRow('Without Donor Restrictions', na.without_donor_restrictions)}
+                    ${netAssetRow('With Donor Restrictions', na.with_donor_restrictions)}
+                    ${netAssetRow('Total Net Assets', na.total, true)}
+                    ${netAssetRow('Total Liabilities and Net Assets', data.total_liabilities_and_net_assets, true)}
+                </tbody>
+            </table>
+            ${data.is_balanced.current ? '' : '<p class="error">Warning: assets do not equal liabilities plus net assets for the current period.</p>'}
+        `;
     }
 
     /**
-     * Generates a statement of activities report
+     * Generates a statement of activities report from the ledger
+     * (current calendar year to date)
      * @param {object} state - Application state
      */
-    function _generateActivitiesReport(state) {
+    async function _generateActivitiesReport(state) {
         console.log('REPORTS: Generating Statement of Activities...');
-        
-        // Placeholder for real implementation
         _showReportView('activities');
+
+        const container = _getReportContainer('activities');
+        if (!container) return;
+
+        const today = new Date();
+        const params = _entityParams(state);
+        params.set('start_date', `${today.getFullYear()}-01-01`);
+        params.set('end_date', today.toISOString().split('T')[0]);
+
+        container.innerHTML = '<p>Loading statement...</p>';
+        let data;
+        try {
+            const res = await fetch(`/api/reports/activities?${params.toString()}`, {
+                credentials: 'include'
+            });
+            data = await res.json();
+            if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        } catch (err) {
+            console.error('REPORTS: Failed to load Statement of Activities:', err);
+            container.innerHTML = `<p class="error">Unable to load report: ${_escapeHtml(err.message)}</p>`;
+            return;
+        }
+
+        const orgName = (state.organizationSettings && state.organizationSettings.name) || 'Nonprofit Organization';
+        const endLabel = new Date(`${data.params.end_date}T00:00:00`).toLocaleDateString();
+
+        const row = (label, cols, bold) => `
+            <tr${bold ? ' class="font-weight-bold"' : ''}>
+                <td>${bold ? '' : '&nbsp;&nbsp;'}${_escapeHtml(label)}</td>
+                <td class="text-right">${_formatStatementAmount(cols.without_donor_restrictions)}</td>
+                <td class="text-right">${_formatStatementAmount(cols.with_donor_restrictions)}</td>
+                <td class="text-right">${_formatStatementAmount(cols.total)}</td>
+            </tr>`;
+
+        container.innerHTML = `
+            <div class="report-header">
+                <div class="report-title">${_escapeHtml(orgName)}</div>
+                <div class="report-subtitle">Statement of Activities</div>
+                <div class="report-date">For the Period Ended ${endLabel}</div>
+            </div>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th class="text-right">Without Donor Restrictions</th>
+                        <th class="text-right">With Donor Restrictions</th>
+                        <th class="text-right">Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr class="font-weight-bold"><td colspan="4">Revenue and Support</td></tr>
+                    ${data.revenue.lines.map(l => row(l.classification, l)).join('')}
+                    ${row('Net Assets Released from Restrictions', data.net_assets_released_from_restrictions)}
+                    ${row('Total Revenue and Support', data.total_revenue_and_support, true)}
+                    <tr class="font-weight-bold"><td colspan="4">Expenses</td></tr>
+                    ${data.expenses.lines.map(l => row(l.classification, l)).join('')}
+                    ${row('Total Expenses', data.expenses.total, true)}
+                    ${row('Change in Net Assets', data.change_in_net_assets, true)}
+                    ${(data.other_changes_in_net_assets.without_donor_restrictions || data.other_changes_in_net_assets.with_donor_restrictions) ? row('Other Changes in Net Assets', data.other_changes_in_net_assets) : ''}
+                    ${row('Net Assets, Beginning of Period', data.net_assets_beginning)}
+                    ${row('Net Assets, End of Period', data.net_assets_ending, true)}
+                </tbody>
+            </table>
+        `;
     }
 
     /**
-     * Generates a statement of functional expenses report
+     * Generates a statement of functional expenses report from the ledger
+     * (current calendar year to date)
      * @param {object} state - Application state
      */
-    function _generateFunctionalExpensesReport(state) {
+    async function _generateFunctionalExpensesReport(state) {
         console.log('REPORTS: Generating Statement of Functional Expenses...');
-        
-        // Placeholder for real implementation
         _showReportView('functional-expenses');
+
+        const container = _getReportContainer('functional-expenses');
+        if (!container) return;
+
+        const today = new Date();
+        const params = _entityParams(state);
+        params.set('start_date', `${today.getFullYear()}-01-01`);
+        params.set('end_date', today.toISOString().split('T')[0]);
+
+        container.innerHTML = '<p>Loading statement...</p>';
+        let data;
+        try {
+            const res = await fetch(`/api/reports/functional-expenses?${params.toString()}`, {
+                credentials: 'include'
+            });
+            data = await res.json();
+            if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        } catch (err) {
+            console.error('REPORTS: Failed to load Statement of Functional Expenses:', err);
+            container.innerHTML = `<p class="error">Unable to load report: ${_escapeHtml(err.message)}</p>`;
+            return;
+        }
+
+        const orgName = (state.organizationSettings && state.organizationSettings.name) || 'Nonprofit Organization';
+        const endLabel = new Date(`${data.params.end_date}T00:00:00`).toLocaleDateString();
+        const showUnallocated = data.totals.unallocated !== 0;
+        const cells = (r) => `
+            <td class="text-right">${_formatStatementAmount(r.program_services)}</td>
+            <td class="text-right">${_formatStatementAmount(r.management_general)}</td>
+            <td class="text-right">${_formatStatementAmount(r.fundraising)}</td>
+            ${showUnallocated ? `<td class="text-right">${_formatStatementAmount(r.unallocated)}</td>` : ''}
+            <td class="text-right">${_formatStatementAmount(r.total)}</td>`;
+
+        container.innerHTML = `
+            <div class="report-header">
+                <div class="report-title">${_escapeHtml(orgName)}</div>
+                <div class="report-subtitle">Statement of Functional Expenses</div>
+                <div class="report-date">For the Period Ended ${endLabel}</div>
+            </div>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Expense</th>
+                        <th class="text-right">Program Services</th>
+                        <th class="text-right">Management &amp; General</th>
+                        <th class="text-right">Fundraising</th>
+                        ${showUnallocated ? '<th class="text-right">Unallocated</th>' : ''}
+                        <th class="text-right">Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${data.lines.map(l => `
+                        <tr>
+                            <td>${_escapeHtml(l.gl_code)} ${_escapeHtml(l.description || '')}</td>
+                            ${cells(l)}
+                        </tr>`).join('')}
+                    <tr class="font-weight-bold">
+                        <td>Total Expenses</td>
+                        ${cells(data.totals)}
+                    </tr>
+                </tbody>
+            </table>
+            ${showUnallocated ? '<p class="error">Some expenses have no functional allocation rule and are shown as unallocated.</p>' : ''}
+        `;
+    }
+
+    /**
+     * Builds a General Ledger report link from drill-down params
+     * @param {object} drilldown - Params for GET /api/reports/gl
+     * @returns {string} URL of the GL report page
+     */
+    function _glReportUrl(drilldown) {
+        const params = new URLSearchParams();
+        Object.entries(drilldown || {}).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+        return `gl-report.html?${params.toString()}`;
     }
 
     /**
-     * Generates a budget vs. actual report
+     * Formats a variance percentage (blank when there is no budget)
+     * @param {number|null} pct - Percentage
+     * @returns {string} Formatted percentage
+     */
+    function _formatVariancePct(pct) {
+        return pct === null || pct === undefined ? '' : `${pct.toFixed(1)}%`;
+    }
+
+    /**
+     * Generates a budget vs. actual report for the fiscal period containing
+     * today, with fiscal year-to-date columns. Actual amounts link to the
+     * General Ledger report for drill-down.
      * @param {object} state - Application state
      */
-    function _generateBudgetVsActualReport(state) {
+    async function _generateBudgetVsActualReport(state) {
         console.log('REPORTS: Generating Budget vs. Actual Report...');
-        
-        // Placeholder for real implementation
         _showReportView('budget-vs-actual');
+
+        const container = _getReportContainer('budget-vs-actual');
+        if (!container) return;
+
+        const params = _entityParams(state);
+        params.set('as_of', new Date().toISOString().split('T')[0]);
+
+        container.innerHTML = '<p>Loading report...</p>';
+        let data;
+        try {
+            const res = await fetch(`/api/reports/budget-vs-actual?${params.toString()}`, {
+                credentials: 'include'
+            });
+            data = await res.json();
+            if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        } catch (err) {
+            console.error('REPORTS: Failed to load Budget vs. Actual Report:', err);
+            container.innerHTML = `<p class="error">Unable to load report: ${_escapeHtml(err.message)}</p>`;
+            return;
+        }
+
+        const orgName = (state.organizationSettings && state.organizationSettings.name) || 'Nonprofit Organization';
+        const endLabel = new Date(`${data.params.period_end}T00:00:00`).toLocaleDateString();
+        const cells = (r) => `
+            <td class="text-right">${_formatStatementAmount(r.budget)}</td>
+            <td class="text-right">${r.drilldown ? `<a href="${_glReportUrl(r.drilldown.period)}">${_formatStatementAmount(r.actual)}</a>` : _formatStatementAmount(r.actual)}</td>
+            <td class="text-right">${_formatStatementAmount(r.variance)}</td>
+            <td class="text-right">${_formatVariancePct(r.variance_pct)}</td>
+            <td class="text-right">${_formatStatementAmount(r.ytd_budget)}</td>
+            <td class="text-right">${r.drilldown ? `<a href="${_glReportUrl(r.drilldown.ytd)}">${_formatStatementAmount(r.ytd_actual)}</a>` : _formatStatementAmount(r.ytd_actual)}</td>
+            <td class="text-right">${_formatStatementAmount(r.ytd_variance)}</td>
+            <td class="text-right">${_formatVariancePct(r.ytd_variance_pct)}</td>`;
+        const sectionRows = (section, label) => section.lines.length ? `
+            <tr><td colspan="9"><strong>${label}</strong></td></tr>
+            ${section.lines.map(l => `
+                <tr>
+                    <td>&nbsp;&nbsp;${_escapeHtml(l.account_code)} ${_escapeHtml(l.description || '')}${l.fund_code ? ` (${_escapeHtml(l.fund_code)})` : ''}</td>
+                    ${cells(l)}
+                </tr>`).join('')}
+            <tr class="font-weight-bold">
+                <td>Total ${label}</td>
+                ${cells(section.total)}
+            </tr>` : '';
+
+        container.innerHTML = `
+            <div class="report-header">
+                <div class="report-title">${_escapeHtml(orgName)}</div>
+                <div class="report-subtitle">Budget vs. Actual</div>
+                <div class="report-date">Fiscal Year ${_escapeHtml(data.params.fiscal_year)}, Period ${data.params.period} (ended ${endLabel})</div>
+            </div>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Account</th>
+                        <th class="text-right">Budget</th>
+                        <th class="text-right">Actual</th>
+                        <th class="text-right">Variance</th>
+                        <th class="text-right">Var %</th>
+                        <th class="text-right">YTD Budget</th>
+                        <th class="text-right">YTD Actual</th>
+                        <th class="text-right">YTD Variance</th>
+                        <th class="text-right">YTD Var %</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sectionRows(data.revenue, 'Revenue')}
+                    ${sectionRows(data.expense, 'Expenses')}
+                    <tr class="font-weight-bold">
+                        <td>Net Revenue over Expenses</td>
+                        ${cells(data.net)}
+                    </tr>
+                    ${sectionRows(data.other, 'Other Budgeted Accounts')}
+                </tbody>
+            </table>
+            <p>Variances are shown as favorable (positive) or unfavorable (negative).</p>
+        `;
     }
 
     /**
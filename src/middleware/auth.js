@@ -67,11 +67,11 @@ function requireRole(roles) {
     const allowedRoles = Array.isArray(roles) ? roles : [roles];
     
     return async (req, res, next) => {
+        // Determine if this is an API request (see note in requireAuth)
+        const isApi = (req.originalUrl || req.url || '').startsWith('/api/');
+
         // First check if user is authenticated
         if (!req.session || !req.session.userId) {
-            // Determine if this is an API request (see note in requireAuth)
-            const isApi = (req.originalUrl || req.url || '').startsWith('/api/');
-
             // Handle API requests
             if (isApi) {
                 return res.status(401).json({ 
@@ -92,7 +92,7 @@ function requireRole(roles) {
             req.session.destroy();
             
             // Handle API requests
-            if (req.path.startsWith('/api/')) {
+            if (isApi) {
                 return res.status(401).json({ 
                     error: 'User account is inactive or not found',
                     redirectTo: '/login.html'
@@ -106,7 +106,7 @@ function requireRole(roles) {
         // Check if user has required role
         if (!allowedRoles.includes(user.role)) {
             // Handle API requests
-            if (req.path.startsWith('/api/')) {
+            if (isApi) {
                 return res.status(403).json({ 
                     error: 'Access denied. Insufficient permissions.',
                     requiredRole: allowedRoles
@@ -0,0 +1,128 @@
+// src/middleware/permissions.js
+const { pool } = require('../database/connection');
+
+// The admin role holds every permission regardless of role_permissions
+const ADMIN_ROLE = 'admin';
+
+// Role grants are cached briefly; /api/roles clears the cache on every edit
+const CACHE_TTL_MS = 60 * 1000;
+const permissionCache = new Map();
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Load the permission codes granted to a role
+ * @param {string} role - Role code
+ * @returns {Promise<Set<string>>} Granted permission codes
+ */
+async function getRolePermissions(role) {
+    if (!role) return new Set();
+
+    const cached = permissionCache.get(role);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+        return cached.permissions;
+    }
+
+    const { rows } = role === ADMIN_ROLE
+        ? await pool.query('SELECT code AS permission_code FROM permissions')
+        : await pool.query(
+            'SELECT permission_code FROM role_permissions WHERE role_code = $1',
+            [role]
+        );
+    const permissions = new Set(rows.map(r => r.permission_code));
+    permissionCache.set(role, { permissions, loadedAt: Date.now() });
+    return permissions;
+}
+
+/**
+ * Forget cached role grants so the next request reloads them
+ */
+function clearPermissionCache() {
+    permissionCache.clear();
+}
+
+/**
+ * Check whether a user holds every listed permission
+ * @param {Object} user - User with a role (req.user)
+ * @param {string|string[]} required - Permission code(s)
+ * @returns {Promise<boolean>} True when all are granted
+ */
+async function hasPermission(user, required) {
+    if (!user) return false;
+    if (user.role === ADMIN_ROLE) return true;
+
+    const granted = await getRolePermissions(user.role);
+    const needed = Array.isArray(required) ? required : [required];
+    return needed.every(p => granted.has(p));
+}
+
+/**
+ * Body of the 403 response for a missing permission
+ * @param {string|string[]} required - Permission code(s)
+ * @returns {Object} JSON error body
+ */
+function permissionDenied(required) {
+    return {
+        error: 'Access denied. Insufficient permissions.',
+        requiredPermission: required
+    };
+}
+
+/**
+ * Run the permission check and answer 401/403 when it fails
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @param {string|string[]} required - Permission code(s)
+ */
+async function checkPermission(req, res, next, required) {
+    // getCurrentUser attaches active users only
+    if (!req.user) {
+        return res.status(401).json({
+            error: 'Authentication required',
+            redirectTo: '/login.html'
+        });
+    }
+
+    try {
+        if (!(await hasPermission(req.user, required))) {
+            return res.status(403).json(permissionDenied(required));
+        }
+    } catch (error) {
+        return next(error);
+    }
+    next();
+}
+
+/**
+ * Middleware requiring permission(s) for a single route
+ * @param {string|string[]} required - Permission code(s); all are needed
+ * @returns {Function} Middleware function
+ */
+function requirePermission(required) {
+    return (req, res, next) => checkPermission(req, res, next, required);
+}
+
+/**
+ * Middleware for a whole router: GET/HEAD/OPTIONS need `read`, every other
+ * method needs `write`. Routes with a stronger requirement add
+ * requirePermission on top.
+ * @param {Object} perms - { read, write } permission code(s)
+ * @returns {Function} Middleware function
+ */
+function authorize({ read, write }) {
+    return (req, res, next) => {
+        const required = READ_METHODS.includes(req.method) ? read : write;
+        return checkPermission(req, res, next, required);
+    };
+}
+
+module.exports = {
+    ADMIN_ROLE,
+    authorize,
+    requirePermission,
+    hasPermission,
+    permissionDenied,
+    getRolePermissions,
+    clearPermissionCache
+};
@@ -5,6 +5,16 @@ const fs = require('fs');
 const path = require('path');
 const { pool } = require('../database/connection');
 const { asyncHandler } = require('../utils/helpers');
+const {
+  IMPORTERS,
+  startImportJob,
+  logImportRow,
+  trackInsert,
+  trackUpdate,
+  withRowSavepoint,
+  finishImportJob,
+  failImportJob
+} = require('../utils/import-jobs');
 const multer = require('multer');
 const { parse } = require('csv-parse/sync');
 const XLSX = require('xlsx');
@@ -430,6 +440,22 @@ router.post(
       return res.status(400).json({ error: 'File has no data rows' });
     }
 
+    let job;
+    try {
+      job = await startImportJob(pool, {
+        importer: IMPORTERS.ACCOUNTS,
+        filename: req.file.originalname,
+        content: req.file.buffer,
+        userId: req.user?.id || null,
+        totalRows: data.length
+      });
+    } catch (err) {
+      logError(err.message);
+      logStream.end();
+      throw err;
+    }
+    log(`Import job: ${job.id}`);
+
     const client = await pool.connect();
 
     try {
@@ -439,11 +465,15 @@ router.post(
       let inserted = 0;
       let errors = 0;
 
-      for (const row of data) {
+      for (let i = 0; i < data.length; i++) {
+        const row = data[i];
         // Handle both Excel column names (with spaces) and normalized names
         const accountCode = (row['Account'] || row['account_code'] || '').trim();
 
-        if (!accountCode) continue;
+        if (!accountCode) {
+          logImportRow(job, { row: i + 1, status: 'Skipped', message: 'No account code' });
+          continue;
+        }
 
         // Parse all fields - support both Excel format and CSV format column names
         const entityCode = (row['Entity'] || row['entity_code'] || '').trim();
@@ -467,51 +497,62 @@ router.post(
         const lastUsed = parseExcelDate(row['last used'] || row['last_used']);
 
         try {
-          // Check if account exists
-          const checkResult = await client.query(
-            'SELECT id FROM accounts WHERE account_code = $1',
-            [accountCode]
-          );
-
-          if (checkResult.rows.length > 0) {
-            // Update existing account
-            await client.query(
-              `UPDATE accounts 
-               SET entity_code = $1,
-                   gl_code = $2,
-                   fund_number = $3,
-                   restriction = $4,
-                   description = $5,
-                   classification = $6,
-                   status = $7,
-                   balance_sheet = $8,
-                   beginning_balance = $9,
-                   beginning_balance_date = $10,
-                   last_used = $11
-               WHERE account_code = $12`,
-              [entityCode, glCode, fundNumber, restriction, description,
-               classification, status, balanceSheet, beginningBalance,
-               BEGINNING_BALANCE_DATE, lastUsed, accountCode]
-            );
-            log(`  Updated: ${accountCode}`);
-            updated++;
-          } else {
-            // Insert new account
-            await client.query(
-              `INSERT INTO accounts 
-               (account_code, entity_code, gl_code, fund_number, restriction,
-                description, classification, status, balance_sheet,
-                beginning_balance, beginning_balance_date, last_used)
-               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
-              [accountCode, entityCode, glCode, fundNumber, restriction,
-               description, classification, status, balanceSheet,
-               beginningBalance, BEGINNING_BALANCE_DATE, lastUsed]
+          await withRowSavepoint(client, async () => {
+            // Check if account exists
+            const checkResult = await client.query(
+              'SELECT id FROM accounts WHERE account_code = $1',
+              [accountCode]
             );
-            log(`  Inserted: ${accountCode}`);
-            inserted++;
-          }
+
+            if (checkResult.rows.length > 0) {
+              // Update existing account; the snapshot lets a rollback restore
+              // the previous beginning balance
+              for (const existing of checkResult.rows) {
+                await trackUpdate(client, job, 'accounts', existing.id);
+              }
+              await client.query(
+                `UPDATE accounts 
+                 SET entity_code = $1,
+                     gl_code = $2,
+                     fund_number = $3,
+                     restriction = $4,
+                     description = $5,
+                     classification = $6,
+                     status = $7,
+                     balance_sheet = $8,
+                     beginning_balance = $9,
+                     beginning_balance_date = $10,
+                     last_used = $11
+                 WHERE account_code = $12`,
+                [entityCode, glCode, fundNumber, restriction, description,
+                 classification, status, balanceSheet, beginningBalance,
+                 BEGINNING_BALANCE_DATE, lastUsed, accountCode]
+              );
+              log(`  Updated: ${accountCode}`);
+              logImportRow(job, { row: i + 1, reference: accountCode, status: 'Succeeded', message: 'Updated' });
+              updated++;
+            } else {
+              // Insert new account
+              const { rows: insertedRows } = await client.query(
+                `INSERT INTO accounts 
+                 (account_code, entity_code, gl_code, fund_number, restriction,
+                  description, classification, status, balance_sheet,
+                  beginning_balance, beginning_balance_date, last_used)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                 RETURNING id`,
+                [accountCode, entityCode, glCode, fundNumber, restriction,
+                 description, classification, status, balanceSheet,
+                 beginningBalance, BEGINNING_BALANCE_DATE, lastUsed]
+              );
+              await trackInsert(client, job, 'accounts', insertedRows[0].id);
+              log(`  Inserted: ${accountCode}`);
+              logImportRow(job, { row: i + 1, reference: accountCode, status: 'Succeeded', message: 'Inserted' });
+              inserted++;
+            }
+          });
         } catch (err) {
           logError(`  Error processing ${accountCode}: ${err.message}`);
+          logImportRow(job, { row: i + 1, reference: accountCode, status: 'Failed', message: err.message });
           errors++;
         }
       }
@@ -527,9 +568,12 @@ router.post(
 
       logStream.end();
 
+      await finishImportJob(pool, job, { summary: { updated, inserted, errors, log_file: path.basename(logFile) } });
+
       res.json({
         success: true,
         message: 'Import completed',
+        import_job_id: job.id,
         updated,
         inserted,
         errors,
@@ -540,6 +584,7 @@ router.post(
       await client.query('ROLLBACK');
       logError('Import failed: ' + err.message);
       logStream.end();
+      await failImportJob(pool, job, err);
       res.status(500).json({ error: 'Import failed', details: err.message });
     } finally {
       client.release();
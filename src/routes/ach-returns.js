@@ -0,0 +1,477 @@
+// src/routes/ach-returns.js
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../database/connection');
+const { asyncHandler } = require('../utils/helpers');
+const { requirePermission, hasPermission, permissionDenied } = require('../middleware/permissions');
+const { isYmd } = require('../utils/ledger');
+const { APPLICABLE_CHANGE_CODES, readReturnFile } = require('../utils/ach-returns');
+const { hasColumn, hasTable } = require('../utils/schema');
+const { reversePaymentEntries } = require('../utils/payment-posting');
+
+const toCents = (n) => Math.round(Number(n || 0) * 100);
+const todayYmd = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Find the payment item a return/NOC refers to. Trace numbers restart with
+ * every generated file, so candidates are narrowed by amount (returns) or
+ * vendor (NOCs); an ambiguous match is reported rather than guessed.
+ * @returns {Promise<Object>} { item } or { error }
+ */
+async function findPaymentItem(db, entry, paymentItemId = null) {
+    if (paymentItemId) {
+        const { rows } = await db.query('SELECT * FROM payment_items WHERE id = $1 FOR UPDATE', [paymentItemId]);
+        return rows[0] ? { item: rows[0] } : { error: 'Payment item not found' };
+    }
+    if (!await hasColumn(db, 'payment_items', 'trace_number')) {
+        return { error: 'payment_items.trace_number column is missing; generate NACHA files from payment batches first' };
+    }
+
+    const { rows } = await db.query(
+        `SELECT * FROM payment_items
+          WHERE trace_number = $1
+            AND LOWER(COALESCE(status, '')) <> 'returned'
+          ORDER BY created_at DESC
+          FOR UPDATE`,
+        [entry.original_trace_number]
+    );
+    let candidates = rows;
+    if (entry.return_type === 'Return') {
+        candidates = rows.filter(r => toCents(r.amount) === toCents(entry.amount));
+    }
+    if (!candidates.length) {
+        return { error: `No payment item found for trace number ${entry.original_trace_number}` };
+    }
+    const sameVendor = candidates.every(r => r.vendor_id === candidates[0].vendor_id);
+    if (candidates.length > 1 && !(entry.return_type === 'NOC' && sameVendor)) {
+        return { error: `${candidates.length} payment items share trace number ${entry.original_trace_number}; link the payment item manually` };
+    }
+    return { item: candidates[0] };
+}
+
+/**
+ * Write NOC corrections to the vendor's bank details: the payment item's
+ * vendor_bank_accounts row when it has one, else the bank fields on vendors
+ * @returns {Promise<Object>} { table, id, fields }
+ */
+async function applyCorrection(db, corrections, item) {
+    const targets = [];
+    if (item.vendor_bank_account_id && await hasColumn(db, 'payment_items', 'vendor_bank_account_id')) {
+        targets.push({
+            table: 'vendor_bank_accounts',
+            id: item.vendor_bank_account_id,
+            columns: { routing_number: 'routing_number', account_number: 'account_number', account_type: 'account_type' }
+        });
+    }
+    targets.push({
+        table: 'vendors',
+        id: item.vendor_id,
+        columns: { routing_number: 'bank_routing_number', account_number: 'bank_account_number', account_type: 'bank_account_type' }
+    });
+
+    for (const target of targets) {
+        const sets = [];
+        const vals = [];
+        const fields = {};
+        for (const [key, value] of Object.entries(corrections)) {
+            const column = target.columns[key];
+            if (column && await hasColumn(db, target.table, column)) {
+                vals.push(value);
+                sets.push(`${column} = $${vals.length}`);
+                fields[column] = value;
+            }
+        }
+        if (!sets.length) continue;
+        if (await hasColumn(db, target.table, 'updated_at')) {
+            sets.push('updated_at = NOW()');
+        }
+        vals.push(target.id);
+        const { rowCount } = await db.query(
+            `UPDATE ${target.table} SET ${sets.join(', ')} WHERE id = $${vals.length}`,
+            vals
+        );
+        if (rowCount) return { table: target.table, id: target.id, fields };
+    }
+    throw new Error('No vendor bank details could be updated');
+}
+
+/**
+ * Sent prenote with the entry's original trace number, if any
+ */
+async function findPrenote(db, entry) {
+    if (!await hasTable(db, 'vendor_prenotes')) return null;
+    const { rows } = await db.query(
+        `SELECT * FROM vendor_prenotes
+          WHERE trace_number = $1 AND status IN ('Sent', 'Cleared')
+          ORDER BY created_at DESC
+          LIMIT 1
+          FOR UPDATE`,
+        [entry.original_trace_number]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * A returned prenote fails the vendor until its bank details are corrected
+ * (saving them queues a new prenote). A NOC on a prenote is kept for the
+ * vendor like any other NOC.
+ */
+async function processPrenoteEntry(db, entry, prenote, { applyCorrections }) {
+    const result = { vendor_id: prenote.vendor_id };
+    if (entry.return_type === 'Return') {
+        await db.query(
+            `UPDATE vendor_prenotes SET status = 'Returned', return_code = $1, updated_at = NOW() WHERE id = $2`,
+            [entry.code, prenote.id]
+        );
+        await db.query(
+            `UPDATE vendors SET prenote_status = 'Failed' WHERE id = $1`,
+            [prenote.vendor_id]
+        );
+        result.status = 'Processed';
+        return result;
+    }
+    result.status = 'Pending';
+    if (applyCorrections && APPLICABLE_CHANGE_CODES.includes(entry.code) && Object.keys(entry.corrections || {}).length) {
+        result.applied = await applyCorrection(db, entry.corrections, { vendor_id: prenote.vendor_id });
+        result.status = 'Applied';
+    }
+    return result;
+}
+
+/**
+ * Process one return/NOC inside the caller's transaction
+ * @returns {Promise<Object>} Column values for ach_returns
+ */
+async function processEntry(db, entry, { applyCorrections, paymentItemId, userId }) {
+    const found = await findPaymentItem(db, entry, paymentItemId);
+    if (!found.item) {
+        const prenote = paymentItemId ? null : await findPrenote(db, entry);
+        if (prenote) return processPrenoteEntry(db, entry, prenote, { applyCorrections });
+        return { status: 'Unmatched', error: found.error };
+    }
+    const item = found.item;
+    const result = { payment_item_id: item.id, vendor_id: item.vendor_id };
+
+    if (entry.return_type === 'Return') {
+        // Reversals are dated when the return settles
+        const date = entry.effective_date || todayYmd();
+        const reason = `ACH return ${entry.code}${entry.reason ? ` (${entry.reason})` : ''}`;
+        result.reversal_entry_ids = await reversePaymentEntries(db, item, { date, reason, userId });
+
+        const sets = [`status = 'Returned'`];
+        const params = [item.id];
+        if (await hasColumn(db, 'payment_items', 'return_code')) {
+            params.push(entry.code);
+            sets.push(`return_code = $${params.length}`, 'returned_at = NOW()');
+        }
+        await db.query(`UPDATE payment_items SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $1`, params);
+        result.status = 'Processed';
+        return result;
+    }
+
+    // NOC: keep the corrections as a suggestion unless asked to apply them
+    result.status = 'Pending';
+    if (applyCorrections && APPLICABLE_CHANGE_CODES.includes(entry.code) && Object.keys(entry.corrections || {}).length) {
+        result.applied = await applyCorrection(db, entry.corrections, item);
+        result.status = 'Applied';
+    }
+    return result;
+}
+
+async function insertReturn(db, entry, outcome, { fileName, userId }) {
+    const { rows } = await db.query(
+        `INSERT INTO ach_returns
+             (return_type, code, reason, original_trace_number, trace_number, payment_item_id, vendor_id,
+              amount, effective_date, corrected_data, corrections, status, error, reversal_entry_ids,
+              source_file_name, source_line, created_by)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17)
+         RETURNING *`,
+        [
+            entry.return_type,
+            entry.code,
+            entry.reason,
+            entry.original_trace_number,
+            entry.trace_number || null,
+            outcome.payment_item_id || null,
+            outcome.vendor_id || null,
+            entry.amount || 0,
+            entry.effective_date || null,
+            entry.corrected_data || null,
+            entry.corrections ? JSON.stringify(entry.corrections) : null,
+            outcome.status,
+            outcome.error || null,
+            outcome.reversal_entry_ids || null,
+            fileName || null,
+            entry.line || null,
+            userId
+        ]
+    );
+    return rows[0];
+}
+
+/**
+ * GET /api/ach-returns
+ * Lists imported returns and NOCs
+ * Query: return_type (Return|NOC), status, vendor_id, payment_batch_id
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const { return_type, status, vendor_id, payment_batch_id } = req.query;
+    const params = [];
+    let query = `
+        SELECT ar.*,
+               v.name              AS vendor_name,
+               pi.payment_batch_id,
+               pb.batch_number
+          FROM ach_returns ar
+          LEFT JOIN payment_items   pi ON pi.id = ar.payment_item_id
+          LEFT JOIN payment_batches pb ON pb.id = pi.payment_batch_id
+          LEFT JOIN vendors         v  ON v.id  = ar.vendor_id
+         WHERE 1=1`;
+    if (return_type) { params.push(return_type); query += ` AND ar.return_type = $${params.length}`; }
+    if (status) { params.push(status); query += ` AND ar.status = $${params.length}`; }
+    if (vendor_id) { params.push(vendor_id); query += ` AND ar.vendor_id = $${params.length}`; }
+    if (payment_batch_id) { params.push(payment_batch_id); query += ` AND pi.payment_batch_id = $${params.length}`; }
+    query += ' ORDER BY ar.created_at DESC, ar.source_line';
+
+    const { rows } = await pool.query(query, params);
+    res.json(rows);
+}));
+
+/**
+ * GET /api/ach-returns/:id
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+    const { rows } = await pool.query(
+        `SELECT ar.*, v.name AS vendor_name
+           FROM ach_returns ar
+           LEFT JOIN vendors v ON v.id = ar.vendor_id
+          WHERE ar.id = $1`,
+        [req.params.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'ACH return not found' });
+    res.json(rows[0]);
+}));
+
+/**
+ * POST /api/ach-returns/import
+ * Imports a bank return/NOC file. Each return is matched to its payment
+ * item by original trace number, the item is marked Returned and its
+ * payment journal entries reversed. NOCs are stored as Pending suggestions,
+ * or applied to the vendor when apply_corrections is set. Reversing payment
+ * entries needs payments.pay; applying corrections also needs vendors.edit.
+ * Body: file_content (base64), file_name, apply_corrections (bool)
+ */
+router.post('/import', requirePermission('payments.pay'), asyncHandler(async (req, res) => {
+    const { file_content, file_name, apply_corrections } = req.body || {};
+    if (!file_content) {
+        return res.status(400).json({ error: 'File content is required' });
+    }
+    if (apply_corrections && !await hasPermission(req.user, 'vendors.edit')) {
+        return res.status(403).json(permissionDenied('vendors.edit'));
+    }
+    const userId = req.user && req.user.id ? req.user.id : null;
+
+    const { entries, file_errors } = readReturnFile(Buffer.from(file_content, 'base64').toString('utf8'));
+    if (!entries.length) {
+        return res.status(400).json({ error: 'No return or NOC entries found in file', file_errors });
+    }
+
+    const results = [];
+    const client = await pool.connect();
+    try {
+        for (const entry of entries) {
+            const summary = {
+                line: entry.line,
+                return_type: entry.return_type,
+                code: entry.code,
+                original_trace_number: entry.original_trace_number
+            };
+
+            // The same file imported twice
+            const dup = await client.query(
+                `SELECT id FROM ach_returns
+                  WHERE original_trace_number = $1 AND return_type = $2 AND code = $3
+                    AND trace_number IS NOT DISTINCT FROM $4 AND status <> 'Error'
+                  LIMIT 1`,
+                [entry.original_trace_number, entry.return_type, entry.code, entry.trace_number || null]
+            );
+            if (dup.rows.length) {
+                results.push({ ...summary, status: 'Duplicate', ach_return_id: dup.rows[0].id });
+                continue;
+            }
+
+            let outcome;
+            try {
+                await client.query('BEGIN');
+                outcome = await processEntry(client, entry, { applyCorrections: !!apply_corrections, userId });
+                const row = await insertReturn(client, entry, outcome, { fileName: file_name, userId });
+                await client.query('COMMIT');
+                results.push({ ...summary, ...outcome, ach_return_id: row.id });
+            } catch (err) {
+                await client.query('ROLLBACK');
+                const row = await insertReturn(client, entry, { status: 'Error', error: err.message }, { fileName: file_name, userId });
+                results.push({ ...summary, status: 'Error', error: err.message, ach_return_id: row.id });
+            }
+        }
+    } finally {
+        client.release();
+    }
+
+    const count = (status) => results.filter(r => r.status === status).length;
+    res.status(201).json({
+        success: true,
+        file_name: file_name || null,
+        summary: {
+            returns: entries.filter(e => e.return_type === 'Return').length,
+            nocs: entries.filter(e => e.return_type === 'NOC').length,
+            processed: count('Processed'),
+            applied: count('Applied'),
+            pending: count('Pending'),
+            unmatched: count('Unmatched'),
+            duplicates: count('Duplicate'),
+            errors: count('Error')
+        },
+        results,
+        file_errors
+    });
+}));
+
+/**
+ * POST /api/ach-returns/:id/process
+ * Retries an Unmatched or Error row, optionally against a payment item
+ * chosen by hand. Needs payments.pay, as for /import, and vendors.edit to
+ * apply corrections.
+ * Body: payment_item_id (optional), apply_corrections (bool)
+ */
+router.post('/:id/process', requirePermission('payments.pay'), asyncHandler(async (req, res) => {
+    const { payment_item_id, apply_corrections } = req.body || {};
+    if (apply_corrections && !await hasPermission(req.user, 'vendors.edit')) {
+        return res.status(403).json(permissionDenied('vendors.edit'));
+    }
+    const userId = req.user && req.user.id ? req.user.id : null;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows } = await client.query(
+            `SELECT *, to_char(effective_date, 'YYYY-MM-DD') AS effective_ymd FROM ach_returns WHERE id = $1 FOR UPDATE`,
+            [req.params.id]
+        );
+        if (!rows.length) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'ACH return not found' });
+        }
+        const row = rows[0];
+        if (!['Unmatched', 'Error'].includes(row.status)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: `ACH return is ${row.status}; only Unmatched or Error rows can be processed again` });
+        }
+
+        const entry = {
+            return_type: row.return_type,
+            code: row.code,
+            reason: row.reason,
+            original_trace_number: row.original_trace_number,
+            amount: Number(row.amount),
+            effective_date: isYmd(row.effective_ymd) ? row.effective_ymd : null,
+            corrections: row.corrections || {}
+        };
+        const outcome = await processEntry(client, entry, {
+            applyCorrections: !!apply_corrections,
+            paymentItemId: payment_item_id || null,
+            userId
+        });
+        if (outcome.status === 'Unmatched') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: outcome.error });
+        }
+
+        const { rows: updated } = await client.query(
+            `UPDATE ach_returns
+                SET payment_item_id = $1, vendor_id = $2, status = $3, error = NULL,
+                    reversal_entry_ids = $4, updated_at = NOW()
+              WHERE id = $5
+              RETURNING *`,
+            [outcome.payment_item_id, outcome.vendor_id, outcome.status, outcome.reversal_entry_ids || null, row.id]
+        );
+        await client.query('COMMIT');
+        res.json({ ...updated[0], applied: outcome.applied || null });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}));
+
+/**
+ * POST /api/ach-returns/:id/apply
+ * Applies a pending NOC's corrected bank details to the vendor. Needs
+ * vendors.edit.
+ */
+router.post('/:id/apply', requirePermission('vendors.edit'), asyncHandler(async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows } = await client.query('SELECT * FROM ach_returns WHERE id = $1 FOR UPDATE', [req.params.id]);
+        if (!rows.length) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'ACH return not found' });
+        }
+        const noc = rows[0];
+        if (noc.return_type !== 'NOC' || noc.status !== 'Pending') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'Only pending NOCs can be applied' });
+        }
+        const corrections = noc.corrections || {};
+        if (!APPLICABLE_CHANGE_CODES.includes(noc.code) || !Object.keys(corrections).length) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `NOC ${noc.code} does not carry bank details that can be applied; update the vendor by hand` });
+        }
+
+        // NOCs on prenotes have a vendor but no payment item
+        let target = { vendor_id: noc.vendor_id };
+        if (noc.payment_item_id) {
+            const { rows: items } = await client.query('SELECT * FROM payment_items WHERE id = $1', [noc.payment_item_id]);
+            if (!items.length) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: 'Payment item for this NOC no longer exists' });
+            }
+            target = items[0];
+        }
+
+        const applied = await applyCorrection(client, corrections, target);
+        const { rows: updated } = await client.query(
+            `UPDATE ach_returns SET status = 'Applied', updated_at = NOW() WHERE id = $1 RETURNING *`,
+            [noc.id]
+        );
+        await client.query('COMMIT');
+        res.json({ ...updated[0], applied });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}));
+
+/**
+ * POST /api/ach-returns/:id/dismiss
+ * Dismisses a pending NOC or an unmatched/failed row
+ */
+router.post('/:id/dismiss', asyncHandler(async (req, res) => {
+    const { rows } = await pool.query(
+        `UPDATE ach_returns SET status = 'Dismissed', updated_at = NOW()
+          WHERE id = $1 AND status IN ('Pending', 'Unmatched', 'Error')
+          RETURNING *`,
+        [req.params.id]
+    );
+    if (!rows.length) {
+        const exists = await pool.query('SELECT status FROM ach_returns WHERE id = $1', [req.params.id]);
+        if (!exists.rows.length) return res.status(404).json({ error: 'ACH return not found' });
+        return res.status(409).json({ error: `ACH return is ${exists.rows[0].status} and cannot be dismissed` });
+    }
+    res.json(rows[0]);
+}));
+
+module.exports = router;
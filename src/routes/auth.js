@@ -5,6 +5,7 @@ const bcrypt = require('bcrypt');
 const { pool } = require('../database/connection');
 const { asyncHandler } = require('../utils/helpers');
 const { getUserById, requireAuth } = require('../middleware/auth');
+const { getRolePermissions } = require('../middleware/permissions');
 
 /**
  * POST /api/auth/login
@@ -84,7 +85,8 @@ router.post('/logout', asyncHandler(async (req, res) => {
 
 /**
  * GET /api/auth/user
- * Get current authenticated user info
+ * Get current authenticated user info, including the permissions granted
+ * to the user's role
  */
 router.get('/user', asyncHandler(async (req, res) => {
     // Check if user is authenticated
@@ -108,6 +110,9 @@ router.get('/user', asyncHandler(async (req, res) => {
         });
     }
     
+    // Permission codes let the UI hide actions the role cannot perform
+    user.permissions = [...await getRolePermissions(user.role)].sort();
+
     // Return user info
     res.json({
         authenticated: true,
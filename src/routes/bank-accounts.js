@@ -34,6 +34,10 @@ router.get('/', asyncHandler(async (req, res) => {
             ba.last_sync,
             ba.description,
             ba.cash_account_id,
+            ba.check_company_name,
+            ba.check_company_address,
+            ba.bank_address,
+            ba.fractional_routing,
             CASE 
                 WHEN ba.cash_account_id IS NOT NULL THEN
                     COALESCE(ba.beginning_balance, 0) + COALESCE((
@@ -219,7 +223,11 @@ router.put('/:id', asyncHandler(async (req, res) => {
         description,
         last_sync,
         gl_account_id,
-        cash_account_id
+        cash_account_id,
+        check_company_name,
+        check_company_address,
+        bank_address,
+        fractional_routing
     } = req.body;
     
     // Validate required fields
@@ -280,6 +288,12 @@ router.put('/:id', asyncHandler(async (req, res) => {
     if (typeof description !== 'undefined')    { updateFields.push(`description = $${idx++}`);    params.push(description); }
     if (typeof last_sync !== 'undefined')      { updateFields.push(`last_sync = $${idx++}`);      params.push(last_sync); }
 
+    // Check face printing (company and bank address blocks)
+    if (typeof check_company_name !== 'undefined')    { updateFields.push(`check_company_name = $${idx++}`);    params.push(check_company_name || null); }
+    if (typeof check_company_address !== 'undefined') { updateFields.push(`check_company_address = $${idx++}`); params.push(check_company_address || null); }
+    if (typeof bank_address !== 'undefined')          { updateFields.push(`bank_address = $${idx++}`);          params.push(bank_address || null); }
+    if (typeof fractional_routing !== 'undefined')    { updateFields.push(`fractional_routing = $${idx++}`);    params.push(fractional_routing || null); }
+
     if (mappingProvided) {
         // Set both columns to the same value (can be NULL to clear)
         updateFields.push(`gl_account_id = $${idx}, cash_account_id = $${idx}`);
@@ -2,8 +2,19 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../database/connection');
-const crypto = require('crypto');
 const { asyncHandler } = require('../utils/helpers');
+const { requirePermission } = require('../middleware/permissions');
+const { closedPeriodMessage, findClosedPeriod } = require('../utils/period-lock');
+const {
+    IMPORTERS,
+    startImportJob,
+    logImportRow,
+    trackInsert,
+    finishImportJob,
+    failImportJob,
+    getImportJob,
+    listImportJobs
+} = require('../utils/import-jobs');
 const multer = require('multer');
 const { parse } = require('csv-parse/sync');
 
@@ -58,6 +69,22 @@ function parseDateMDY(input) {
     return dt.toISOString().slice(0, 10);
 }
 
+/**
+ * Closed accounting period (if any) an existing deposit is dated in. The
+ * deposit belongs to its bank account's entity.
+ */
+async function findClosedPeriodForDeposit(db, depositId) {
+    const r = await db.query(
+        `SELECT ba.entity_id, to_char(d.deposit_date, 'YYYY-MM-DD') AS deposit_date
+           FROM bank_deposits d
+           JOIN bank_accounts ba ON ba.id = d.bank_account_id
+          WHERE d.id = $1`,
+        [depositId]
+    );
+    if (!r.rows.length) return null;
+    return findClosedPeriod(db, r.rows[0].entity_id, r.rows[0].deposit_date);
+}
+
 /**
  * GET /api/bank-deposits
  * Returns all bank deposits with optional filtering
@@ -198,10 +225,15 @@ router.post('/', asyncHandler(async (req, res) => {
     }
     
     // Validate bank account exists
-    const bankAccountCheck = await pool.query('SELECT id FROM bank_accounts WHERE id = $1', [bank_account_id]);
+    const bankAccountCheck = await pool.query('SELECT id, entity_id FROM bank_accounts WHERE id = $1', [bank_account_id]);
     if (bankAccountCheck.rows.length === 0) {
         return res.status(400).json({ error: 'Bank account not found' });
     }
+
+    const closedPeriod = await findClosedPeriod(pool, bankAccountCheck.rows[0].entity_id, deposit_date);
+    if (closedPeriod) {
+        return res.status(409).json({ error: closedPeriodMessage(closedPeriod) });
+    }
     
     const { rows } = await pool.query(`
         INSERT INTO bank_deposits (
@@ -268,9 +300,10 @@ router.get('/item-types', asyncHandler(async (req, res) => {
 
 /**
  * POST /api/bank-deposits/batched/import
- * Import AccuFund-style batched deposits CSV
+ * Import AccuFund-style batched deposits CSV. The deposits post to the GL,
+ * so this needs imports.run and journal.post.
  */
-router.post('/batched/import', upload.single('file'), asyncHandler(async (req, res) => {
+router.post('/batched/import', requirePermission(['imports.run', 'journal.post']), upload.single('file'), asyncHandler(async (req, res) => {
     if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
 
     let records;
@@ -305,6 +338,20 @@ router.post('/batched/import', upload.single('file'), asyncHandler(async (req, r
     if (!hasAcct) missing.push('account_no');
     if (missing.length) return res.status(400).json({ error: `Missing required headers: ${missing.join(', ')}` });
 
+    const job = await startImportJob(pool, {
+        importer: IMPORTERS.BANK_DEPOSITS,
+        filename: req.file.originalname || null,
+        content: req.file.buffer,
+        userId: req.user?.id || null,
+        totalRows: records.length
+    });
+    // The response log doubles as the job's row log
+    const writeJobLog = () => {
+        for (const l of log) {
+            logImportRow(job, { row: l.line, status: l.status === 'OK' ? 'Succeeded' : 'Failed', message: l.message });
+        }
+    };
+
     // Group by reference
     const groups = new Map();
     const log = [];
@@ -339,6 +386,8 @@ router.post('/batched/import', upload.single('file'), asyncHandler(async (req, r
     }
 
     if (groups.size === 0) {
+        writeJobLog();
+        await failImportJob(pool, job, 'No valid rows parsed');
         return res.status(400).json({ error: 'No valid rows parsed', log });
     }
 
@@ -397,6 +446,13 @@ router.post('/batched/import', upload.single('file'), asyncHandler(async (req, r
             // Determine deposit date (first item's date)
             const ymd = parseDateMDY(items[0].dateStr) || new Date().toISOString().slice(0, 10);
 
+            const closedPeriod = await findClosedPeriod(client, entity_id, ymd);
+            if (closedPeriod) {
+                errors++;
+                log.push({ line: items[0].line, status: 'Failed', message: `${closedPeriodMessage(closedPeriod)} (ref ${ref})` });
+                continue;
+            }
+
             // Build valid items with resolved account and fund
             const validItems = [];
             const fundTotals = new Map(); // fund_id -> sum amount (for cash debits)
@@ -455,6 +511,7 @@ router.post('/batched/import', upload.single('file'), asyncHandler(async (req, r
                 [bank_account_id, ymd, ref, items[0].desc || `Batched import ${ref}`, req.user?.id]
             );
             const deposit_id = depRes.rows[0].id;
+            await trackInsert(client, job, 'bank_deposits', deposit_id);
             createdDeposits++;
 
             // Insert deposit items
@@ -534,6 +591,7 @@ router.post('/batched/import', upload.single('file'), asyncHandler(async (req, r
                 [entity_id, ymd, `${ref}-JE1`, `Deposit JE1 ${ref} – Undeposited Funds and item credits`, totalAll, req.user?.id]
             );
             const je1Id = je1.rows[0].id;
+            await trackInsert(client, job, 'journal_entries', je1Id);
             for (const it of validItems) {
                 const undepId = await findAccountByGLAndFund(it.account_entity_code, '1099', it.fund_number, it.restriction || null);
                 if (!undepId) {
@@ -566,6 +624,7 @@ router.post('/batched/import', upload.single('file'), asyncHandler(async (req, r
                     [entity_id, ymd, `${ref}-JE2`, `Deposit JE2 ${ref} – Cross-fund 1008 balancing`, crossTotal, req.user?.id]
                 );
                 const je2Id = je2.rows[0].id;
+                await trackInsert(client, job, 'journal_entries', je2Id);
                 // Debits per item fund
                 for (const it of crossItems) {
                     const acc1008 = await findAccountByGLAndFund(it.account_entity_code, '1008', it.fund_number, it.restriction || null);
@@ -602,6 +661,7 @@ router.post('/batched/import', upload.single('file'), asyncHandler(async (req, r
                 [entity_id, ymd, `${ref}-JE3`, `Deposit JE3 ${ref} – Move from Undeposited Funds to bank`, totalAll, req.user?.id]
             );
             const je3Id = je3.rows[0].id;
+            await trackInsert(client, job, 'journal_entries', je3Id);
             // Debit bank cash for the total
             if (Math.abs(totalAll) > 0) {
                 await client.query(
@@ -635,88 +695,46 @@ router.post('/batched/import', upload.single('file'), asyncHandler(async (req, r
         await client.query('ROLLBACK');
         // Append final error row so UI can display failure context
         log.push({ line: currentGroupFirstLine, status: 'Failed', message: `Error while processing reference ${currentGroupRef || ''}: ${e.message}` });
-        return res.status(500).json({ error: e.message, log });
+        writeJobLog();
+        await failImportJob(pool, job, e);
+        return res.status(500).json({ error: e.message, import_job_id: job.id, log });
     } finally {
         client.release();
     }
 
-    // Persist import log (best-effort; non-fatal on failure)
-    try {
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS bank_deposit_import_runs (
-                id UUID PRIMARY KEY,
-                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
-                created_by INTEGER NULL,
-                filename TEXT NULL,
-                created_deposits INTEGER NOT NULL DEFAULT 0,
-                created_items INTEGER NOT NULL DEFAULT 0,
-                errors INTEGER NOT NULL DEFAULT 0,
-                log JSONB NOT NULL
-            )`);
-        const runId = crypto.randomUUID();
-        await pool.query(
-            `INSERT INTO bank_deposit_import_runs (id, created_by, filename, created_deposits, created_items, errors, log)
-             VALUES ($1,$2,$3,$4,$5,$6,$7)`,
-            [runId, req.user?.id || null, req.file?.originalname || null, createdDeposits, createdItems, errors, JSON.stringify(log)]
-        );
-        return res.json({
-            id: runId,
-            created_deposits: createdDeposits,
-            created_items: createdItems,
-            errors,
-            log
-        });
-    } catch (err) {
-        // If logging fails, still return successful import response
-        return res.json({
-            created_deposits: createdDeposits,
-            created_items: createdItems,
-            errors,
-            log,
-            warn: 'Import saved, but logging of results failed.'
-        });
-    }
+    writeJobLog();
+    await finishImportJob(pool, job, {
+        summary: { created_deposits: createdDeposits, created_items: createdItems, errors }
+    });
+    return res.json({
+        id: job.id,
+        created_deposits: createdDeposits,
+        created_items: createdItems,
+        errors,
+        log
+    });
 }));
 
 // Return the most recent batched deposit import log
 router.get('/batched/import/last', asyncHandler(async (req, res) => {
-    try {
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS bank_deposit_import_runs (
-                id UUID PRIMARY KEY,
-                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
-                created_by INTEGER NULL,
-                filename TEXT NULL,
-                created_deposits INTEGER NOT NULL DEFAULT 0,
-                created_items INTEGER NOT NULL DEFAULT 0,
-                errors INTEGER NOT NULL DEFAULT 0,
-                log JSONB NOT NULL
-            )`);
-        const uid = req.user?.id;
-        let q;
-        if (uid) {
-            q = await pool.query(
-                `SELECT id, created_at, filename, created_deposits, created_items, errors, log
-                 FROM bank_deposit_import_runs
-                 WHERE created_by = $1
-                 ORDER BY created_at DESC
-                 LIMIT 1`,
-                [uid]
-            );
-        } else {
-            q = await pool.query(
-                `SELECT id, created_at, filename, created_deposits, created_items, errors, log
-                 FROM bank_deposit_import_runs
-                 ORDER BY created_at DESC
-                 LIMIT 1`
-            );
-        }
-        if (!q.rows.length) return res.json({ log: [], created_deposits: 0, created_items: 0, errors: 0 });
-        const r = q.rows[0];
-        return res.json({ id: r.id, created_at: r.created_at, filename: r.filename, created_deposits: r.created_deposits, created_items: r.created_items, errors: r.errors, log: r.log });
-    } catch (e) {
-        return res.status(500).json({ error: e.message });
-    }
+    const [last] = await listImportJobs(pool, {
+        importer: IMPORTERS.BANK_DEPOSITS,
+        userId: req.user?.id || null,
+        limit: 1
+    });
+    if (!last) return res.json({ log: [], created_deposits: 0, created_items: 0, errors: 0 });
+    const job = await getImportJob(pool, last.id, { withRows: true });
+    const summary = job.summary || {};
+    return res.json({
+        id: job.id,
+        created_at: job.started_at,
+        filename: job.filename,
+        status: job.status,
+        created_deposits: summary.created_deposits || 0,
+        created_items: summary.created_items || 0,
+        errors: summary.errors ?? job.failed_rows,
+        log: job.rows.map(r => ({ line: r.row_number, status: r.status === 'Succeeded' ? 'OK' : 'Failed', message: r.message }))
+    });
 }));
 
 /**
@@ -797,6 +815,24 @@ router.put('/:id', asyncHandler(async (req, res) => {
             details: 'Cleared deposits are finalized and cannot be modified'
         });
     }
+
+    // Neither the current nor the new deposit date may be in a closed period
+    let closedPeriod = await findClosedPeriodForDeposit(pool, id);
+    if (!closedPeriod && (deposit_date || bank_account_id)) {
+        const target = await pool.query(
+            `SELECT ba.entity_id, to_char(COALESCE($2::date, d.deposit_date), 'YYYY-MM-DD') AS deposit_date
+               FROM bank_deposits d
+               JOIN bank_accounts ba ON ba.id = COALESCE($3::uuid, d.bank_account_id)
+              WHERE d.id = $1`,
+            [id, deposit_date || null, bank_account_id || null]
+        );
+        if (target.rows.length) {
+            closedPeriod = await findClosedPeriod(pool, target.rows[0].entity_id, target.rows[0].deposit_date);
+        }
+    }
+    if (closedPeriod) {
+        return res.status(409).json({ error: closedPeriodMessage(closedPeriod) });
+    }
     
     // Validate status if provided
     if (status) {
@@ -908,6 +944,11 @@ router.delete('/:id', asyncHandler(async (req, res) => {
             details: `${status} deposits cannot be deleted. You may reject the deposit instead.`
         });
     }
+
+    const closedPeriod = await findClosedPeriodForDeposit(pool, id);
+    if (closedPeriod) {
+        return res.status(409).json({ error: closedPeriodMessage(closedPeriod) });
+    }
     
     // Start a transaction to delete deposit and its items
     const client = await pool.connect();
@@ -985,6 +1026,11 @@ router.post('/:id/items', asyncHandler(async (req, res) => {
             details: 'Cleared deposits are finalized and cannot be modified'
         });
     }
+
+    const closedPeriod = await findClosedPeriodForDeposit(pool, id);
+    if (closedPeriod) {
+        return res.status(409).json({ error: closedPeriodMessage(closedPeriod) });
+    }
     
     // Validate items
     if (items.length === 0) {
@@ -1105,6 +1151,11 @@ router.put('/items/:id', asyncHandler(async (req, res) => {
             details: 'Cleared deposits are finalized and cannot be modified'
         });
     }
+
+    const closedPeriod = await findClosedPeriodForDeposit(pool, itemCheck.rows[0].deposit_id);
+    if (closedPeriod) {
+        return res.status(409).json({ error: closedPeriodMessage(closedPeriod) });
+    }
     
     const updateFields = [];
     const params = [];
@@ -1204,6 +1255,11 @@ router.delete('/items/:id', asyncHandler(async (req, res) => {
             details: 'Cleared deposits are finalized and cannot be modified'
         });
     }
+
+    const closedPeriod = await findClosedPeriodForDeposit(pool, itemCheck.rows[0].deposit_id);
+    if (closedPeriod) {
+        return res.status(409).json({ error: closedPeriodMessage(closedPeriod) });
+    }
     
     // Delete the item
     await pool.query('DELETE FROM bank_deposit_items WHERE id = $1', [id]);
@@ -1255,6 +1311,11 @@ router.post('/:id/submit', asyncHandler(async (req, res) => {
             details: 'Deposit must have at least one item to submit'
         });
     }
+
+    const closedPeriod = await findClosedPeriodForDeposit(pool, id);
+    if (closedPeriod) {
+        return res.status(409).json({ error: closedPeriodMessage(closedPeriod) });
+    }
     
     // Update deposit status to Submitted
     const { rows } = await pool.query(`
@@ -3,6 +3,8 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../database/connection');
 const { asyncHandler } = require('../utils/helpers');
+const { CHECK_DATE_WINDOW, matchTransactions } = require('../utils/bank-matching');
+const { hasColumn } = require('../utils/schema');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
@@ -1076,18 +1078,32 @@ router.delete('/adjustments/:id', asyncHandler(async (req, res) => {
 
 /**
  * POST /api/bank-reconciliation/match/auto
- * Auto-match transactions based on amount, date, and description
+ * Scored auto-matching of unmatched statement lines to posted journal lines on
+ * the bank account (see utils/bank-matching). A statement line can match
+ * several journal lines whose total equals it (batched deposits, ACH batch
+ * settlements). Lines that are not matched come back with ranked suggestions.
+ * Body: bank_reconciliation_id, date_tolerance (days, default 3),
+ *       min_score (default 0.6), allow_many_to_one (default true),
+ *       max_suggestions (default 3), dry_run (default false: write matches)
  */
 router.post('/match/auto', asyncHandler(async (req, res) => {
-    const { 
+    const {
         bank_reconciliation_id,
-        date_tolerance = 3, // Days of tolerance for date matching
-        description_match = false // Whether to also match on description
+        date_tolerance = 3,
+        min_score = 0.6,
+        allow_many_to_one = true,
+        max_suggestions = 3,
+        dry_run = false
     } = req.body;
     
     if (!bank_reconciliation_id) {
         return res.status(400).json({ error: 'Reconciliation ID is required' });
     }
+    const dateTolerance = Math.max(0, parseInt(date_tolerance, 10) || 0);
+    const minScore = Number(min_score);
+    if (!(minScore > 0 && minScore <= 1)) {
+        return res.status(400).json({ error: 'min_score must be between 0 and 1' });
+    }
     
     // Get reconciliation details
     const reconciliationQuery = await pool.query(`
@@ -1105,100 +1121,108 @@ router.post('/match/auto', asyncHandler(async (req, res) => {
     
     // Get unmatched bank transactions
     const bankTransactionsQuery = await pool.query(`
-        SELECT * FROM bank_statement_transactions
+        SELECT id, to_char(transaction_date, 'YYYY-MM-DD') AS transaction_date,
+               description, reference, check_number, amount::float AS amount
+        FROM bank_statement_transactions
         WHERE bank_statement_id = $1 AND status = 'Unmatched'
+        ORDER BY transaction_date, id
     `, [reconciliation.statement_id]);
+    const bankTransactions = bankTransactionsQuery.rows;
     
-    if (bankTransactionsQuery.rows.length === 0) {
+    if (bankTransactions.length === 0) {
         return res.json({
             success: true,
             message: 'No unmatched bank transactions found',
-            matches: 0
+            matches: 0,
+            matched_items: [],
+            suggestions: []
         });
     }
     
-    // Get unmatched journal entries for this account
+    // Book-side window: checks may clear long after they were written
+    const dates = bankTransactions.map(t => t.transaction_date).sort();
+    
+    // Printed check numbers linked to journal entries (when checks carry journal_entry_id)
+    const checkJoin = await hasColumn(pool, 'printed_checks', 'journal_entry_id')
+        ? `LEFT JOIN printed_checks pc ON pc.journal_entry_id = je.id AND pc.bank_account_id = ba.id AND pc.status <> 'Voided'`
+        : `LEFT JOIN printed_checks pc ON FALSE`;
+    
+    // Unmatched posted journal lines on the bank account's GL/cash accounts
     const journalItemsQuery = await pool.query(`
-        SELECT jei.*, je.date, je.reference, je.description
-        FROM journal_entry_items jei
+        SELECT jei.id, jei.journal_entry_id, jei.description,
+               (COALESCE(jei.debit, 0) - COALESCE(jei.credit, 0))::float AS amount,
+               to_char(je.entry_date, 'YYYY-MM-DD') AS entry_date,
+               je.reference_number, je.description AS je_description,
+               pc.check_number, pc.payee_name
+        FROM bank_accounts ba
+        JOIN journal_entry_items jei ON jei.account_id IN (ba.gl_account_id, ba.cash_account_id)
         JOIN journal_entries je ON jei.journal_entry_id = je.id
-        LEFT JOIN bank_reconciliation_items bri ON bri.journal_entry_item_id = jei.id
-        WHERE jei.account_id = (
-            SELECT gl_account_id FROM bank_accounts WHERE id = $1
-        )
-        AND bri.id IS NULL
+        ${checkJoin}
+        WHERE ba.id = $1
         AND je.status = 'Posted'
-        AND je.date BETWEEN $2::DATE - INTERVAL '${date_tolerance} days' AND $3::DATE + INTERVAL '${date_tolerance} days'
-    `, [
-        reconciliation.bank_account_id,
-        reconciliation.start_date || reconciliation.reconciliation_date,
-        reconciliation.end_date || reconciliation.reconciliation_date
-    ]);
+        AND je.entry_date BETWEEN $2::date - ${CHECK_DATE_WINDOW} AND $3::date + $4::int
+        AND NOT EXISTS (
+            SELECT 1 FROM bank_reconciliation_items bri WHERE bri.journal_entry_item_id = jei.id
+        )
+    `, [reconciliation.bank_account_id, dates[0], dates[dates.length - 1], dateTolerance]);
+    const journalItems = journalItemsQuery.rows;
+    
+    const { matches, suggestions } = matchTransactions(bankTransactions, journalItems, {
+        dateTolerance,
+        minScore,
+        allowManyToOne: allow_many_to_one !== false && allow_many_to_one !== 'false',
+        maxSuggestions: Math.max(0, parseInt(max_suggestions, 10) || 0)
+    });
+    
+    const txById = new Map(bankTransactions.map(t => [t.id, t]));
+    const itemById = new Map(journalItems.map(i => [i.id, i]));
+    const describe = (p) => ({
+        score: p.score,
+        kind: p.kind,
+        components: p.components,
+        journal_items: p.journal_item_ids.map(id => itemById.get(id))
+    });
     
-    // Perform matching
-    const matches = [];
+    const matchedItems = [];
     const client = await pool.connect();
     
     try {
         await client.query('BEGIN');
         
-        for (const bankTx of bankTransactionsQuery.rows) {
-            // Find matching journal entries by amount
-            const matchingJournalItems = journalItemsQuery.rows.filter(ji => {
-                // Match by amount (debit or credit depending on bank transaction amount)
-                const journalAmount = bankTx.amount > 0 ? ji.debit : ji.credit;
-                const bankAmount = Math.abs(bankTx.amount);
-                
-                if (Math.abs(journalAmount - bankAmount) > 0.01) {
-                    return false;
-                }
-                
-                // Match by date within tolerance
-                const bankDate = new Date(bankTx.transaction_date);
-                const journalDate = new Date(ji.date);
-                const daysDiff = Math.abs((bankDate - journalDate) / (1000 * 60 * 60 * 24));
-                
-                if (daysDiff > date_tolerance) {
-                    return false;
-                }
-                
-                // Optionally match by description
-                if (description_match) {
-                    const bankDesc = bankTx.description.toLowerCase();
-                    const journalDesc = (ji.description || '').toLowerCase();
-                    
-                    // Simple fuzzy match - check if one contains parts of the other
-                    return bankDesc.includes(journalDesc) || journalDesc.includes(bankDesc);
-                }
-                
-                return true;
-            });
+        for (const match of matches) {
+            const bankTx = txById.get(match.bank_transaction_id);
+            const reconciliationItems = [];
             
-            // If we found exactly one match, create the reconciliation item
-            if (matchingJournalItems.length === 1) {
-                const journalItem = matchingJournalItems[0];
+            if (!dry_run) {
+                const note = match.kind === 'many_to_one'
+                    ? `Auto-match score ${match.score} (${match.journal_item_ids.length} journal lines)`
+                    : `Auto-match score ${match.score}`;
                 
-                // Insert reconciliation item
-                const { rows } = await client.query(`
-                    INSERT INTO bank_reconciliation_items (
+                for (const itemId of match.journal_item_ids) {
+                    const { rows } = await client.query(`
+                        INSERT INTO bank_reconciliation_items (
+                            bank_reconciliation_id,
+                            bank_statement_transaction_id,
+                            journal_entry_item_id,
+                            match_type,
+                            status,
+                            amount,
+                            notes,
+                            created_by
+                        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                        RETURNING *
+                    `, [
                         bank_reconciliation_id,
-                        bank_statement_transaction_id,
-                        journal_entry_item_id,
-                        match_type,
-                        status,
-                        amount,
-                        created_by
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-                    RETURNING *
-                `, [
-                    bank_reconciliation_id,
-                    bankTx.id,
-                    journalItem.id,
-                    'Auto',
-                    'Matched',
-                    Math.abs(bankTx.amount),
-                    req.user?.id
-                ]);
+                        bankTx.id,
+                        itemId,
+                        'Auto',
+                        'Matched',
+                        Math.abs(itemById.get(itemId).amount),
+                        note,
+                        req.user?.id
+                    ]);
+                    reconciliationItems.push(rows[0]);
+                }
                 
                 // Update bank transaction status
                 await client.query(`
@@ -1206,29 +1230,35 @@ router.post('/match/auto', asyncHandler(async (req, res) => {
                     SET status = 'Matched', updated_at = NOW()
                     WHERE id = $1
                 `, [bankTx.id]);
-                
-                matches.push({
-                    reconciliation_item: rows[0],
-                    bank_transaction: bankTx,
-                    journal_item: journalItem
-                });
             }
+            
+            matchedItems.push({
+                bank_transaction: bankTx,
+                ...describe(match),
+                reconciliation_items: reconciliationItems
+            });
         }
         
-        await client.query('COMMIT');
-        
-        res.json({
-            success: true,
-            message: `Auto-matched ${matches.length} transactions`,
-            matches: matches.length,
-            matched_items: matches
-        });
+        await client.query(dry_run ? 'ROLLBACK' : 'COMMIT');
     } catch (err) {
         await client.query('ROLLBACK');
         throw err;
     } finally {
         client.release();
     }
+    
+    res.json({
+        success: true,
+        message: `${dry_run ? 'Would auto-match' : 'Auto-matched'} ${matches.length} of ${bankTransactions.length} transactions`,
+        dry_run: !!dry_run,
+        matches: matches.length,
+        matched_items: matchedItems,
+        unmatched: suggestions.length,
+        suggestions: suggestions.map(s => ({
+            bank_transaction: txById.get(s.bank_transaction_id),
+            candidates: s.candidates.map(describe)
+        }))
+    });
 }));
 
 /**
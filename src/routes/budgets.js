@@ -0,0 +1,491 @@
+// src/routes/budgets.js
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const XLSX = require('xlsx');
+const { pool } = require('../database/connection');
+const { asyncHandler } = require('../utils/helpers');
+
+// Multer – in-memory storage for XLSX/CSV uploads
+const upload = multer({ storage: multer.memoryStorage() });
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'];
+
+// ---------------------------------------------------------------------------
+// Normalisers
+// ---------------------------------------------------------------------------
+function normalizeVersion(v) {
+    const s = (v || '').toString().trim().toLowerCase();
+    if (!s || s === 'original') return 'Original';
+    if (s === 'revised') return 'Revised';
+    return null;
+}
+
+function normalizeFiscalYear(v) {
+    const s = (v || '').toString().trim();
+    return /^\d{4}$/.test(s) ? s : null;
+}
+
+/**
+ * Normalize a period to '01'..'12'. Accepts 1, '01', 'P1', 'P01' or a month
+ * name (Jan..Dec) which is converted to a fiscal period using the entity's
+ * fiscal_year_start.
+ */
+function normalizePeriod(v, fiscalYearStart = '01-01') {
+    const s = (v ?? '').toString().trim().toLowerCase();
+    if (!s) return null;
+    const num = s.replace(/^p/, '');
+    if (/^\d{1,2}$/.test(num)) {
+        const n = Number(num);
+        return n >= 1 && n <= 12 ? String(n).padStart(2, '0') : null;
+    }
+    // The leading word must be a month name or its abbreviation ('mar',
+    // 'sept', 'march'), so headers like 'marketing' are not month columns
+    const word = (s.match(/^[a-z]+/) || [''])[0];
+    const monthIdx = word.length >= 3 ? MONTHS.findIndex(m => m.startsWith(word)) : -1;
+    if (monthIdx === -1) return null;
+    const startMonth = Number((fiscalYearStart || '01-01').split('-')[0]) - 1;
+    return String(((monthIdx - startMonth + 12) % 12) + 1).padStart(2, '0');
+}
+
+function parseAmount(value) {
+    if (value === null || value === undefined || value === '') return 0;
+    if (typeof value === 'number') return value;
+    let str = String(value).trim();
+    if (str === '-') return 0;
+    const isNegative = str.startsWith('(') && str.endsWith(')');
+    if (isNegative) str = str.slice(1, -1);
+    const num = parseFloat(str.replace(/[$,\s]/g, ''));
+    if (isNaN(num)) return NaN;
+    return isNegative ? -num : num;
+}
+
+function normalizeHeaderKey(key) {
+    return (key || '')
+        .toString()
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+// ---------------------------------------------------------------------------
+// Lookups
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve account, entity and fund for a budget line. The entity comes from
+ * accounts.entity_code and the fund from accounts.fund_number unless
+ * explicitly provided.
+ */
+async function resolveBudgetContext(db, { account_id, account_code, entity_id, fund_id }) {
+    let accRows;
+    if (account_id) {
+        ({ rows: accRows } = await db.query(
+            'SELECT id, account_code, entity_code, fund_number FROM accounts WHERE id = $1',
+            [account_id]
+        ));
+    } else if (account_code) {
+        const key = String(account_code).toLowerCase().replace(/[^a-z0-9]/g, '');
+        ({ rows: accRows } = await db.query(
+            `SELECT id, account_code, entity_code, fund_number
+               FROM accounts
+              WHERE regexp_replace(lower(account_code), '[^a-z0-9]', '', 'g') = $1
+              LIMIT 1`,
+            [key]
+        ));
+    } else {
+        return { error: 'account_id or account_code is required' };
+    }
+    if (!accRows.length) {
+        return { error: `Account not found: ${account_id || account_code}` };
+    }
+    const account = accRows[0];
+
+    let entityId = entity_id || null;
+    let fiscalYearStart = '01-01';
+    const { rows: entRows } = entityId
+        ? await db.query('SELECT id, fiscal_year_start FROM entities WHERE id = $1', [entityId])
+        : await db.query('SELECT id, fiscal_year_start FROM entities WHERE LOWER(code) = LOWER($1) LIMIT 1', [account.entity_code]);
+    if (!entRows.length) {
+        return { error: `Entity not found for account ${account.account_code}` };
+    }
+    entityId = entRows[0].id;
+    fiscalYearStart = entRows[0].fiscal_year_start || '01-01';
+
+    let fundId = fund_id || null;
+    if (!fundId) {
+        const { rows: fundRows } = await db.query(
+            `SELECT id FROM funds
+              WHERE fund_number = $1
+              ORDER BY (LOWER(entity_code) = LOWER($2)) DESC
+              LIMIT 1`,
+            [account.fund_number, account.entity_code]
+        );
+        if (!fundRows.length) {
+            return { error: `Fund ${account.fund_number} not found for account ${account.account_code}` };
+        }
+        fundId = fundRows[0].id;
+    }
+
+    return { account_id: account.id, entity_id: entityId, fund_id: fundId, fiscal_year_start: fiscalYearStart };
+}
+
+async function upsertBudgetLine(db, line) {
+    const { rows } = await db.query(
+        `INSERT INTO budgets (entity_id, fund_id, account_id, fiscal_year, period, amount, version, notes)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (account_id, fund_id, fiscal_year, period, version) DO UPDATE
+             SET amount = EXCLUDED.amount,
+                 notes = COALESCE(EXCLUDED.notes, budgets.notes),
+                 entity_id = EXCLUDED.entity_id,
+                 updated_at = NOW()
+         RETURNING *, (xmax = 0) AS inserted`,
+        [line.entity_id, line.fund_id, line.account_id, line.fiscal_year, line.period,
+         line.amount, line.version, line.notes || null]
+    );
+    return rows[0];
+}
+
+/**
+ * GET /api/budgets
+ * Returns budget lines. Optional filters: entity_id, fund_id, account_id,
+ * fiscal_year, period, version
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const { entity_id, fund_id, account_id, fiscal_year, period, version } = req.query;
+
+    let query = `
+        SELECT b.*,
+               a.account_code,
+               a.description AS account_description,
+               f.fund_code,
+               f.fund_name,
+               e.name AS entity_name
+          FROM budgets b
+          JOIN accounts a ON a.id = b.account_id
+          LEFT JOIN funds f ON f.id = b.fund_id
+          LEFT JOIN entities e ON e.id = b.entity_id
+         WHERE 1=1
+    `;
+    const params = [];
+    let paramIndex = 1;
+    const filters = { entity_id, fund_id, account_id, fiscal_year };
+    Object.entries(filters).forEach(([col, val]) => {
+        if (val) {
+            query += ` AND b.${col} = $${paramIndex++}`;
+            params.push(val);
+        }
+    });
+    if (period) {
+        query += ` AND b.period = $${paramIndex++}`;
+        params.push(normalizePeriod(period) || period);
+    }
+    if (version) {
+        const v = normalizeVersion(version);
+        if (!v) return res.status(400).json({ error: 'version must be Original or Revised' });
+        query += ` AND b.version = $${paramIndex++}`;
+        params.push(v);
+    }
+    query += ' ORDER BY b.fiscal_year, a.account_code, b.period, b.version';
+
+    const { rows } = await pool.query(query, params);
+    res.json(rows);
+}));
+
+/**
+ * GET /api/budgets/:id
+ * Returns a single budget line
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+    const { rows } = await pool.query(
+        `SELECT b.*, a.account_code, a.description AS account_description
+           FROM budgets b
+           JOIN accounts a ON a.id = b.account_id
+          WHERE b.id = $1`,
+        [req.params.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Budget line not found' });
+    res.json(rows[0]);
+}));
+
+/**
+ * POST /api/budgets
+ * Creates (or updates the existing) budget line for
+ * account/fund/fiscal_year/period/version.
+ * Body: account_id | account_code, fiscal_year, period, amount,
+ *       optional entity_id, fund_id, version (default Original), notes
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const fiscalYear = normalizeFiscalYear(body.fiscal_year);
+    const version = normalizeVersion(body.version);
+    const amount = parseAmount(body.amount);
+
+    if (!fiscalYear) return res.status(400).json({ error: 'fiscal_year must be a 4-digit year' });
+    if (!version) return res.status(400).json({ error: 'version must be Original or Revised' });
+    if (isNaN(amount)) return res.status(400).json({ error: 'amount must be numeric' });
+
+    const ctx = await resolveBudgetContext(pool, body);
+    if (ctx.error) return res.status(400).json({ error: ctx.error });
+
+    const period = normalizePeriod(body.period, ctx.fiscal_year_start);
+    if (!period) return res.status(400).json({ error: 'period must be 1-12 or a month name' });
+
+    const row = await upsertBudgetLine(pool, {
+        ...ctx,
+        fiscal_year: fiscalYear,
+        period,
+        amount,
+        version,
+        notes: body.notes
+    });
+    res.status(row.inserted ? 201 : 200).json(row);
+}));
+
+/**
+ * PUT /api/budgets/:id
+ * Updates amount, notes or status of a budget line
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { amount, notes, status } = req.body || {};
+
+    const parsed = parseAmount(amount);
+    if (amount === undefined || isNaN(parsed)) {
+        return res.status(400).json({ error: 'amount must be numeric' });
+    }
+
+    const { rows } = await pool.query(
+        `UPDATE budgets
+            SET amount = $1,
+                notes = COALESCE($2, notes),
+                status = COALESCE($3, status),
+                updated_at = NOW()
+          WHERE id = $4
+          RETURNING *`,
+        [parsed, notes ?? null, status ?? null, id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Budget line not found' });
+    res.json(rows[0]);
+}));
+
+/**
+ * DELETE /api/budgets/:id
+ * Deletes a budget line
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+    const result = await pool.query('DELETE FROM budgets WHERE id = $1', [req.params.id]);
+    if (result.rowCount === 0) return res.status(404).json({ error: 'Budget line not found' });
+    res.status(204).send();
+}));
+
+/**
+ * POST /api/budgets/import
+ * Imports budget lines from an XLSX or CSV file (multipart field "file").
+ * Body fields: fiscal_year (required unless a Fiscal Year column exists),
+ *              version (Original|Revised, default Original)
+ * Supported layouts (headers are case-insensitive):
+ *   Long: Account Code, Period, Amount [, Fiscal Year, Fund Id, Notes]
+ *   Wide: Account Code, then one column per period (1..12, P01..P12 or Jan..Dec)
+ * The whole file is rejected if any row fails validation.
+ */
+router.post('/import', upload.single('file'), asyncHandler(async (req, res) => {
+    if (!req.file || !req.file.buffer) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+    const version = normalizeVersion(req.body.version);
+    if (!version) return res.status(400).json({ error: 'version must be Original or Revised' });
+    const defaultYear = req.body.fiscal_year ? normalizeFiscalYear(req.body.fiscal_year) : null;
+    if (req.body.fiscal_year && !defaultYear) {
+        return res.status(400).json({ error: 'fiscal_year must be a 4-digit year' });
+    }
+
+    let records;
+    try {
+        // XLSX.read handles both workbook and CSV buffers
+        const wb = XLSX.read(req.file.buffer, { type: 'buffer' });
+        const sheet = wb.Sheets[wb.SheetNames[0]];
+        records = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: true });
+    } catch (err) {
+        return res.status(400).json({ error: `Failed to parse file: ${err.message}` });
+    }
+    if (!records.length) {
+        return res.status(400).json({ error: 'File has no data rows' });
+    }
+
+    const errors = [];
+    const lines = [];
+
+    for (let i = 0; i < records.length; i++) {
+        const rowNum = i + 2; // header is row 1
+        const row = {};
+        Object.entries(records[i]).forEach(([k, v]) => { row[normalizeHeaderKey(k)] = v; });
+
+        const accountCode = (row.account_code || row.account || '').toString().trim();
+        if (!accountCode) continue;
+
+        const fiscalYear = normalizeFiscalYear(row.fiscal_year || row.year) || defaultYear;
+        if (!fiscalYear) {
+            errors.push({ row: rowNum, error: 'Missing fiscal year' });
+            continue;
+        }
+
+        const ctx = await resolveBudgetContext(pool, {
+            account_code: accountCode,
+            fund_id: row.fund_id || null
+        });
+        if (ctx.error) {
+            errors.push({ row: rowNum, error: ctx.error });
+            continue;
+        }
+
+        // Long layout has a Period column; otherwise treat period columns as wide layout
+        const periodAmounts = [];
+        if (row.period !== undefined && row.period !== '') {
+            periodAmounts.push([row.period, row.amount]);
+        } else {
+            Object.entries(row).forEach(([k, v]) => {
+                if (normalizePeriod(k, ctx.fiscal_year_start) && v !== '') periodAmounts.push([k, v]);
+            });
+        }
+        if (!periodAmounts.length) {
+            errors.push({ row: rowNum, error: 'No period/amount values found' });
+            continue;
+        }
+
+        for (const [rawPeriod, rawAmount] of periodAmounts) {
+            const period = normalizePeriod(rawPeriod, ctx.fiscal_year_start);
+            const amount = parseAmount(rawAmount);
+            if (!period) {
+                errors.push({ row: rowNum, error: `Invalid period: ${rawPeriod}` });
+                continue;
+            }
+            if (isNaN(amount)) {
+                errors.push({ row: rowNum, error: `Invalid amount for period ${period}: ${rawAmount}` });
+                continue;
+            }
+            lines.push({
+                ...ctx,
+                fiscal_year: fiscalYear,
+                period,
+                amount,
+                version,
+                notes: row.notes || null
+            });
+        }
+    }
+
+    if (errors.length) {
+        return res.status(400).json({ error: 'Budget import failed validation', errors });
+    }
+
+    const client = await pool.connect();
+    let inserted = 0;
+    let updated = 0;
+    try {
+        await client.query('BEGIN');
+        for (const line of lines) {
+            const row = await upsertBudgetLine(client, line);
+            if (row.inserted) inserted++; else updated++;
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    res.json({ success: true, version, inserted, updated, lines: lines.length });
+}));
+
+/**
+ * POST /api/budgets/copy-forward
+ * Copies a fiscal year's budget into another year with a percentage uplift.
+ * Body: from_fiscal_year, to_fiscal_year, uplift_pct (default 0),
+ *       entity_id (optional), source_version ('Original' | 'Revised' |
+ *       'current' = Revised where present else Original; default 'current'),
+ *       to_version (default Original), overwrite (default false)
+ */
+router.post('/copy-forward', asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const fromYear = normalizeFiscalYear(body.from_fiscal_year);
+    const toYear = normalizeFiscalYear(body.to_fiscal_year);
+    const uplift = Number(body.uplift_pct || 0);
+    const toVersion = normalizeVersion(body.to_version);
+    const sourceVersion = (body.source_version || 'current').toString().toLowerCase();
+
+    if (!fromYear || !toYear) {
+        return res.status(400).json({ error: 'from_fiscal_year and to_fiscal_year must be 4-digit years' });
+    }
+    if (fromYear === toYear) {
+        return res.status(400).json({ error: 'to_fiscal_year must differ from from_fiscal_year' });
+    }
+    if (isNaN(uplift) || uplift <= -100) {
+        return res.status(400).json({ error: 'uplift_pct must be a number greater than -100' });
+    }
+    if (!toVersion) return res.status(400).json({ error: 'to_version must be Original or Revised' });
+    if (!['original', 'revised', 'current'].includes(sourceVersion)) {
+        return res.status(400).json({ error: 'source_version must be Original, Revised or current' });
+    }
+
+    const params = [fromYear, toYear, uplift, toVersion];
+    let sourceWhere = 'b.fiscal_year = $1';
+    if (body.entity_id) {
+        params.push(body.entity_id);
+        sourceWhere += ` AND b.entity_id = $${params.length}`;
+    }
+    if (sourceVersion !== 'current') {
+        params.push(normalizeVersion(sourceVersion));
+        sourceWhere += ` AND b.version = $${params.length}`;
+    }
+
+    const { rowCount } = await pool.query(
+        `INSERT INTO budgets (entity_id, fund_id, account_id, fiscal_year, period, amount, version, notes)
+         SELECT DISTINCT ON (b.account_id, b.fund_id, b.period)
+                b.entity_id, b.fund_id, b.account_id, $2, b.period,
+                ROUND(b.amount * (1 + $3::numeric / 100), 2), $4,
+                'Copied from FY' || b.fiscal_year || ' ' || b.version
+           FROM budgets b
+          WHERE ${sourceWhere}
+          ORDER BY b.account_id, b.fund_id, b.period, (b.version = 'Revised') DESC
+         ON CONFLICT (account_id, fund_id, fiscal_year, period, version) DO ${body.overwrite ? `UPDATE
+             SET amount = EXCLUDED.amount, notes = EXCLUDED.notes, updated_at = NOW()` : 'NOTHING'}`,
+        params
+    );
+
+    res.json({ success: true, from_fiscal_year: fromYear, to_fiscal_year: toYear, uplift_pct: uplift, version: toVersion, lines: rowCount });
+}));
+
+/**
+ * POST /api/budgets/revise
+ * Starts a revised budget by copying the Original version of a fiscal year
+ * into the Revised version. Existing revised lines are left untouched.
+ * Body: fiscal_year, entity_id (optional)
+ */
+router.post('/revise', asyncHandler(async (req, res) => {
+    const fiscalYear = normalizeFiscalYear((req.body || {}).fiscal_year);
+    if (!fiscalYear) return res.status(400).json({ error: 'fiscal_year must be a 4-digit year' });
+
+    const params = [fiscalYear];
+    let where = `fiscal_year = $1 AND version = 'Original'`;
+    if (req.body.entity_id) {
+        params.push(req.body.entity_id);
+        where += ' AND entity_id = $2';
+    }
+
+    const { rowCount } = await pool.query(
+        `INSERT INTO budgets (entity_id, fund_id, account_id, fiscal_year, period, amount, version, notes)
+         SELECT entity_id, fund_id, account_id, fiscal_year, period, amount, 'Revised', notes
+           FROM budgets
+          WHERE ${where}
+         ON CONFLICT (account_id, fund_id, fiscal_year, period, version) DO NOTHING`,
+        params
+    );
+
+    res.json({ success: true, fiscal_year: fiscalYear, lines: rowCount });
+}));
+
+module.exports = router;
@@ -3,6 +3,15 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../database/connection');
 const { asyncHandler } = require('../utils/helpers');
+const { CHECK_POSITIONS, normalizeFormat, validatePageLayout, renderCalibrationPdf } = require('../utils/check-pdf');
+
+// Page layout and printer calibration settings (see utils/check-pdf.js)
+function layoutError(format) {
+    if (!CHECK_POSITIONS.includes(format.check_position)) {
+        return `check_position must be one of: ${CHECK_POSITIONS.join(', ')}`;
+    }
+    return validatePageLayout(normalizeFormat(format));
+}
 
 /**
  * GET /api/check-formats
@@ -58,6 +67,11 @@ router.post('/', asyncHandler(async (req, res) => {
         font_name,
         font_size_normal,
         font_size_amount,
+        check_position,
+        print_offset_x,
+        print_offset_y,
+        micr_offset_x,
+        micr_offset_y,
         is_default
     } = req.body;
     
@@ -94,6 +108,11 @@ router.post('/', asyncHandler(async (req, res) => {
         }
     }
     
+    const layoutProblem = layoutError({ check_width, check_height, check_position: check_position || 'top' });
+    if (layoutProblem) {
+        return res.status(400).json({ error: layoutProblem });
+    }
+    
     // Start a transaction to handle default flag
     const client = await pool.connect();
     
@@ -131,10 +150,16 @@ router.post('/', asyncHandler(async (req, res) => {
                 font_name,
                 font_size_normal,
                 font_size_amount,
+                check_position,
+                print_offset_x,
+                print_offset_y,
+                micr_offset_x,
+                micr_offset_y,
                 is_default
             ) VALUES (
                 $1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
-                $11, $12, $13, $14, $15, $16, $17, $18, $19, $20
+                $11, $12, $13, $14, $15, $16, $17, $18, $19, $20,
+                $21, $22, $23, $24, $25
             )
             RETURNING *
         `, [
@@ -157,6 +182,11 @@ router.post('/', asyncHandler(async (req, res) => {
             font_name || 'Arial',
             font_size_normal || 10.00,
             font_size_amount || 12.00,
+            check_position || 'top',
+            Number(print_offset_x) || 0,
+            Number(print_offset_y) || 0,
+            Number(micr_offset_x) || 0,
+            Number(micr_offset_y) || 0,
             is_default || false
         ]);
         
@@ -197,15 +227,32 @@ router.put('/:id', asyncHandler(async (req, res) => {
         font_name,
         font_size_normal,
         font_size_amount,
+        check_position,
+        print_offset_x,
+        print_offset_y,
+        micr_offset_x,
+        micr_offset_y,
         is_default
     } = req.body;
     
     // Check if format exists
-    const formatCheck = await pool.query('SELECT id, is_default FROM check_formats WHERE id = $1', [id]);
+    const formatCheck = await pool.query('SELECT * FROM check_formats WHERE id = $1', [id]);
     if (formatCheck.rows.length === 0) {
         return res.status(404).json({ error: 'Check format not found' });
     }
     
+    if (check_width !== undefined || check_height !== undefined || check_position !== undefined) {
+        const current = formatCheck.rows[0];
+        const layoutProblem = layoutError({
+            check_width: check_width !== undefined ? check_width : current.check_width,
+            check_height: check_height !== undefined ? check_height : current.check_height,
+            check_position: check_position !== undefined ? check_position : (current.check_position || 'top')
+        });
+        if (layoutProblem) {
+            return res.status(400).json({ error: layoutProblem });
+        }
+    }
+    
     // Start a transaction to handle default flag
     const client = await pool.connect();
     
@@ -321,6 +368,31 @@ router.put('/:id', asyncHandler(async (req, res) => {
             params.push(font_size_amount);
         }
         
+        if (check_position !== undefined) {
+            updateFields.push(`check_position = $${paramIndex++}`);
+            params.push(check_position);
+        }
+        
+        if (print_offset_x !== undefined) {
+            updateFields.push(`print_offset_x = $${paramIndex++}`);
+            params.push(Number(print_offset_x) || 0);
+        }
+        
+        if (print_offset_y !== undefined) {
+            updateFields.push(`print_offset_y = $${paramIndex++}`);
+            params.push(Number(print_offset_y) || 0);
+        }
+        
+        if (micr_offset_x !== undefined) {
+            updateFields.push(`micr_offset_x = $${paramIndex++}`);
+            params.push(Number(micr_offset_x) || 0);
+        }
+        
+        if (micr_offset_y !== undefined) {
+            updateFields.push(`micr_offset_y = $${paramIndex++}`);
+            params.push(Number(micr_offset_y) || 0);
+        }
+        
         if (is_default !== undefined) {
             updateFields.push(`is_default = $${paramIndex++}`);
             params.push(is_default);
@@ -350,6 +422,29 @@ router.put('/:id', asyncHandler(async (req, res) => {
     }
 }));
 
+/**
+ * GET /api/check-formats/:id/calibration
+ * Returns a calibration test page (PDF) for lining the format up with the
+ * printer and check stock
+ */
+router.get('/:id/calibration', asyncHandler(async (req, res) => {
+    const { rows } = await pool.query('SELECT * FROM check_formats WHERE id = $1', [req.params.id]);
+    if (rows.length === 0) {
+        return res.status(404).json({ error: 'Check format not found' });
+    }
+    
+    let pdf;
+    try {
+        pdf = renderCalibrationPdf(rows[0]);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'inline; filename="check-calibration.pdf"');
+    res.send(pdf);
+}));
+
 /**
  * DELETE /api/check-formats/:id
  * Deletes a check format
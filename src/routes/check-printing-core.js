@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../database/connection');
 const { asyncHandler } = require('../utils/helpers');
+const { CheckStockError, claimNumber, releaseNumbers } = require('../utils/check-stock');
 
 /**
  * Converts a number to words for check printing
@@ -151,7 +152,8 @@ router.get('/', asyncHandler(async (req, res) => {
 
 /**
  * POST /api/checks
- * Creates a new check
+ * Creates a new check. payment_item_ids ties the invoices it pays to the check
+ * for its voucher stubs.
  */
 router.post('/', asyncHandler(async (req, res) => {
     const {
@@ -168,6 +170,9 @@ router.post('/', asyncHandler(async (req, res) => {
         address_state,
         address_zip,
         check_format_id,
+        fund_id,
+        payment_item_id,
+        payment_item_ids,
         status = 'Draft'
     } = req.body;
     
@@ -198,6 +203,14 @@ router.post('/', asyncHandler(async (req, res) => {
         return res.status(400).json({ error: 'Invalid status value' });
     }
     
+    // Printing posts to the GL, so checks only get there through the workflow routes
+    if (status !== 'Draft') {
+        return res.status(400).json({
+            error: 'New checks must be created as Draft',
+            details: 'Print, void or clear a check through POST /api/checks/:id/print, /void or /clear'
+        });
+    }
+    
     // Validate bank account exists
     const bankAccountCheck = await pool.query('SELECT id FROM bank_accounts WHERE id = $1', [bank_account_id]);
     if (bankAccountCheck.rows.length === 0) {
@@ -216,50 +229,99 @@ router.post('/', asyncHandler(async (req, res) => {
         });
     }
     
+    // Invoices the check pays, listed on its voucher stubs
+    const stubItemIds = Array.isArray(payment_item_ids) ? payment_item_ids.filter(Boolean) : [];
+    if (stubItemIds.length) {
+        const itemCheck = await pool.query(
+            'SELECT id FROM payment_items WHERE id = ANY($1::uuid[]) AND ($2::uuid IS NULL OR vendor_id = $2)',
+            [stubItemIds, vendor_id || null]
+        );
+        if (itemCheck.rows.length !== new Set(stubItemIds).size) {
+            return res.status(400).json({ error: 'One or more payment items were not found for this vendor' });
+        }
+    }
+    
     // Convert amount to words
     const amount_in_words = numberToWords(parseFloat(amount));
     
-    // Insert the check
-    const { rows } = await pool.query(`
-        INSERT INTO printed_checks (
+    // Insert the check and take its number from check stock in one transaction
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        
+        // Insert the check
+        const { rows } = await client.query(`
+            INSERT INTO printed_checks (
+                bank_account_id,
+                check_number,
+                check_date,
+                payee_name,
+                vendor_id,
+                amount,
+                amount_in_words,
+                memo,
+                address_line1,
+                address_line2,
+                address_city,
+                address_state,
+                address_zip,
+                check_format_id,
+                fund_id,
+                payment_item_id,
+                status,
+                created_by
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+            RETURNING *
+        `, [
             bank_account_id,
             check_number,
             check_date,
             payee_name,
-            vendor_id,
-            amount,
+            vendor_id || null,
+            parseFloat(amount),
             amount_in_words,
-            memo,
-            address_line1,
-            address_line2,
-            address_city,
-            address_state,
-            address_zip,
-            check_format_id,
+            memo || null,
+            address_line1 || null,
+            address_line2 || null,
+            address_city || null,
+            address_state || null,
+            address_zip || null,
+            check_format_id || null,
+            fund_id || null,
+            payment_item_id || null,
             status,
-            created_by
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
-        RETURNING *
-    `, [
-        bank_account_id,
-        check_number,
-        check_date,
-        payee_name,
-        vendor_id || null,
-        parseFloat(amount),
-        amount_in_words,
-        memo || null,
-        address_line1 || null,
-        address_line2 || null,
-        address_city || null,
-        address_state || null,
-        address_zip || null,
-        check_format_id || null,
-        status,
-        req.user?.id
-    ]);
-    
-    res.status(201).json(rows[0]);
+            req.user?.id
+        ]);
+
+        if (stubItemIds.length) {
+            await client.query(
+                'UPDATE payment_items SET printed_check_id = $1, updated_at = NOW() WHERE id = ANY($2::uuid[])',
+                [rows[0].id, stubItemIds]
+            );
+        }
+        
+        // Stock-managed bank accounts hold the number for the Draft check
+        try {
+            await claimNumber(client, {
+                bankAccountId: bank_account_id,
+                checkNumber: check_number,
+                printedCheckId: rows[0].id,
+                userId: req.user?.id || null
+            });
+        } catch (err) {
+            if (!(err instanceof CheckStockError)) throw err;
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: err.message, details: err.details });
+        }
+        
+        await client.query('COMMIT');
+        res.status(201).json(rows[0]);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
 }));
 
 /**
@@ -315,6 +377,8 @@ router.put('/:id', asyncHandler(async (req, res) => {
         address_state,
         address_zip,
         check_format_id,
+        fund_id,
+        payment_item_id,
         status
     } = req.body;
     
@@ -324,9 +388,18 @@ router.put('/:id', asyncHandler(async (req, res) => {
         return res.status(404).json({ error: 'Check not found' });
     }
     
-    // Prevent updates to printed, cleared, or voided checks
+    // Status changes go through the workflow routes, which keep the GL in step
     const currentStatus = checkCheck.rows[0].status;
-    if (currentStatus !== 'Draft' && (status !== currentStatus || bank_account_id || check_number)) {
+    if (status && status !== currentStatus) {
+        return res.status(409).json({
+            error: 'Check status cannot be changed here',
+            details: 'Print, void or clear a check through POST /api/checks/:id/print, /void or /clear'
+        });
+    }
+    
+    // Prevent updates to printed, cleared, or voided checks (including what they posted to the GL)
+    if (currentStatus !== 'Draft' && (bank_account_id || check_number || amount || check_date
+        || fund_id !== undefined || payment_item_id !== undefined)) {
         return res.status(409).json({ 
             error: `Cannot modify a ${currentStatus.toLowerCase()} check`,
             details: `${currentStatus} checks are finalized and cannot be modified`
@@ -438,36 +511,14 @@ router.put('/:id', asyncHandler(async (req, res) => {
         params.push(check_format_id === null ? null : check_format_id);
     }
     
-    if (status) {
-        updateFields.push(`status = $${paramIndex++}`);
-        params.push(status);
-        
-        // If status is Printed, set printed_date and printed_by
-        if (status === 'Printed' && currentStatus !== 'Printed') {
-            updateFields.push(`printed_date = $${paramIndex++}`);
-            params.push(new Date());
-            
-            updateFields.push(`printed_by = $${paramIndex++}`);
-            params.push(req.user?.id);
-        }
-        
-        // If status is Voided, set voided_date and voided_by
-        if (status === 'Voided' && currentStatus !== 'Voided') {
-            updateFields.push(`voided_date = $${paramIndex++}`);
-            params.push(new Date());
-            
-            updateFields.push(`voided_by = $${paramIndex++}`);
-            params.push(req.user?.id);
-        }
-        
-        // If status is Cleared, set cleared_date and cleared_by
-        if (status === 'Cleared' && currentStatus !== 'Cleared') {
-            updateFields.push(`cleared_date = $${paramIndex++}`);
-            params.push(new Date());
-            
-            updateFields.push(`cleared_by = $${paramIndex++}`);
-            params.push(req.user?.id);
-        }
+    if (fund_id !== undefined) {
+        updateFields.push(`fund_id = $${paramIndex++}`);
+        params.push(fund_id || null);
+    }
+    
+    if (payment_item_id !== undefined) {
+        updateFields.push(`payment_item_id = $${paramIndex++}`);
+        params.push(payment_item_id || null);
     }
     
     // Add updated_at
@@ -476,14 +527,42 @@ router.put('/:id', asyncHandler(async (req, res) => {
     // Add ID as the last parameter
     params.push(id);
     
-    const { rows } = await pool.query(`
-        UPDATE printed_checks
-        SET ${updateFields.join(', ')}
-        WHERE id = $${paramIndex}
-        RETURNING *
-    `, params);
-    
-    res.json(rows[0]);
+    // A renumbered Draft check gives its old number back to check stock
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        
+        const { rows } = await client.query(`
+            UPDATE printed_checks
+            SET ${updateFields.join(', ')}
+            WHERE id = $${paramIndex}
+            RETURNING *
+        `, params);
+        
+        if (check_number || bank_account_id) {
+            try {
+                await releaseNumbers(client, id, { userId: req.user?.id || null });
+                await claimNumber(client, {
+                    bankAccountId: rows[0].bank_account_id,
+                    checkNumber: rows[0].check_number,
+                    printedCheckId: id,
+                    userId: req.user?.id || null
+                });
+            } catch (err) {
+                if (!(err instanceof CheckStockError)) throw err;
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: err.message, details: err.details });
+            }
+        }
+        
+        await client.query('COMMIT');
+        res.json(rows[0]);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
 }));
 
 /**
@@ -508,8 +587,19 @@ router.delete('/:id', asyncHandler(async (req, res) => {
         });
     }
     
-    // Delete the check
-    await pool.query('DELETE FROM printed_checks WHERE id = $1', [id]);
+    // Delete the check, returning its reserved number to check stock
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await releaseNumbers(client, id, { userId: req.user?.id || null });
+        await client.query('DELETE FROM printed_checks WHERE id = $1', [id]);
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
     
     res.status(204).send();
 }));
@@ -6,6 +6,7 @@ const router = express.Router();
 const checkPrintingCoreRoutes = require('./check-printing-core');
 const checkPrintingWorkflowRoutes = require('./check-printing-workflow');
 const checkPrintingValidationRoutes = require('./check-printing-validation');
+const checkPrintingPdfRoutes = require('./check-printing-pdf');
 
 // Mount all route modules to the main router
 // Core routes (CRUD operations)
@@ -17,5 +18,8 @@ router.use('/', checkPrintingWorkflowRoutes);
 // Validation routes (number validation, search, reports)
 router.use('/', checkPrintingValidationRoutes);
 
+// PDF rendering (checks with MICR line and voucher stubs)
+router.use('/', checkPrintingPdfRoutes);
+
 // Export the combined router
 module.exports = router;
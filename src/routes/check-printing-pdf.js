@@ -0,0 +1,153 @@
+// src/routes/check-printing-pdf.js
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../database/connection');
+const { asyncHandler } = require('../utils/helpers');
+const { renderChecksPdf } = require('../utils/check-pdf');
+const { hasColumn } = require('../utils/schema');
+
+/**
+ * Check, bank account and the invoices a check pays. Invoices are the
+ * payment items tied to the check (payment_items.printed_check_id) plus the
+ * item on printed_checks.payment_item_id.
+ * @returns {Promise<Object|null>} { check, bank, items }
+ */
+async function loadCheckEntry(db, id) {
+    const { rows } = await db.query('SELECT * FROM printed_checks WHERE id = $1', [id]);
+    const check = rows[0];
+    if (!check) return null;
+
+    // Fall back to the vendor's address when the check has none of its own
+    if (check.vendor_id && !check.address_line1) {
+        const vendor = await db.query(
+            `SELECT street_1 AS address_line1, street_2 AS address_line2, city, state, zip
+               FROM vendors WHERE id = $1`,
+            [check.vendor_id]
+        );
+        const v = vendor.rows[0];
+        if (v) {
+            check.address_line1 = v.address_line1;
+            check.address_line2 = v.address_line2;
+            check.address_city = v.city;
+            check.address_state = v.state;
+            check.address_zip = v.zip;
+        }
+    }
+
+    const { rows: bankRows } = await db.query(
+        `SELECT ba.*, e.name AS entity_name
+           FROM bank_accounts ba
+           LEFT JOIN entities e ON e.id = ba.entity_id
+          WHERE ba.id = $1`,
+        [check.bank_account_id]
+    );
+
+    const conditions = [];
+    const params = [];
+    if (await hasColumn(db, 'payment_items', 'printed_check_id')) {
+        params.push(check.id);
+        conditions.push(`printed_check_id = $${params.length}`);
+    }
+    if (check.payment_item_id) {
+        params.push(check.payment_item_id);
+        conditions.push(`id = $${params.length}`);
+    }
+    let items = [];
+    if (conditions.length) {
+        const result = await db.query(
+            `SELECT id, invoice_number, invoice_date, reference, description, amount
+               FROM payment_items
+              WHERE ${conditions.join(' OR ')}
+              ORDER BY invoice_date NULLS LAST, invoice_number`,
+            params
+        );
+        items = result.rows;
+    }
+
+    return { check, bank: bankRows[0] || {}, items };
+}
+
+/**
+ * Format to print with: the requested one, else the check's own, else the default
+ * @returns {Promise<Object|null|undefined>} check_formats row, null for the
+ *   built-in format, undefined when a requested format does not exist
+ */
+async function resolveFormat(db, formatId, check) {
+    const id = formatId || check?.check_format_id;
+    if (id) {
+        const { rows } = await db.query('SELECT * FROM check_formats WHERE id = $1', [id]);
+        if (rows[0]) return rows[0];
+        if (formatId) return undefined;
+    }
+    const { rows } = await db.query('SELECT * FROM check_formats WHERE is_default = true LIMIT 1');
+    return rows[0] || null;
+}
+
+function sendPdf(res, pdf, fileName) {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+    res.send(pdf);
+}
+
+/**
+ * GET /api/checks/:id/pdf
+ * Renders a check with its voucher stubs as PDF for blank check stock.
+ * Rendering does not change the check's status; use POST /:id/print for that.
+ * Query: format_id (overrides the check's format)
+ */
+router.get('/:id/pdf', asyncHandler(async (req, res) => {
+    const entry = await loadCheckEntry(pool, req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Check not found' });
+    }
+
+    const format = await resolveFormat(pool, req.query.format_id, entry.check);
+    if (format === undefined) {
+        return res.status(404).json({ error: 'Check format not found' });
+    }
+
+    let pdf;
+    try {
+        pdf = renderChecksPdf([entry], format);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    sendPdf(res, pdf, `check-${entry.check.check_number}.pdf`);
+}));
+
+/**
+ * POST /api/checks/pdf
+ * Renders several checks into one PDF, in the order given. All checks use one
+ * format: format_id, else the first check's format, else the default.
+ * Body: { check_ids: [], format_id }
+ */
+router.post('/pdf', asyncHandler(async (req, res) => {
+    const { check_ids, format_id } = req.body || {};
+    if (!Array.isArray(check_ids) || check_ids.length === 0) {
+        return res.status(400).json({ error: 'check_ids must be a non-empty array' });
+    }
+
+    const entries = [];
+    for (const id of check_ids) {
+        const entry = await loadCheckEntry(pool, id);
+        if (!entry) {
+            return res.status(404).json({ error: `Check ${id} not found` });
+        }
+        entries.push(entry);
+    }
+
+    const format = await resolveFormat(pool, format_id, entries[0].check);
+    if (format === undefined) {
+        return res.status(404).json({ error: 'Check format not found' });
+    }
+
+    let pdf;
+    try {
+        pdf = renderChecksPdf(entries, format);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    sendPdf(res, pdf, `checks-${entries[0].check.check_number}-${entries[entries.length - 1].check.check_number}.pdf`);
+}));
+
+module.exports = router;
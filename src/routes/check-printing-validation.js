@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../database/connection');
 const { asyncHandler } = require('../utils/helpers');
+const { isStockManaged, isHeldByOther, nextAvailableNumber } = require('../utils/check-stock');
 
 // ========================================================
 // Check Number Validation Routes
@@ -10,7 +11,8 @@ const { asyncHandler } = require('../utils/helpers');
 
 /**
  * GET /api/checks/next-number/:bankAccountId
- * Get next available check number for a bank account
+ * Get next available check number for a bank account. Bank accounts with
+ * check stock get the lowest unused number in stock.
  */
 router.get('/next-number/:bankAccountId', asyncHandler(async (req, res) => {
     const { bankAccountId } = req.params;
@@ -21,6 +23,14 @@ router.get('/next-number/:bankAccountId', asyncHandler(async (req, res) => {
         return res.status(404).json({ error: 'Bank account not found' });
     }
     
+    if (await isStockManaged(pool, bankAccountId)) {
+        const next = await nextAvailableNumber(pool, bankAccountId);
+        if (!next) {
+            return res.status(409).json({ error: 'No unused check numbers are left in stock for this bank account' });
+        }
+        return res.json({ next_number: next, from_stock: true });
+    }
+    
     // Get highest check number for the bank account
     const { rows } = await pool.query(`
         SELECT MAX(CAST(check_number AS INTEGER)) as max_number
@@ -75,12 +85,29 @@ router.post('/validate-number', asyncHandler(async (req, res) => {
     
     const { rows } = await pool.query(query, params);
     
-    const isAvailable = rows.length === 0;
+    let isAvailable = rows.length === 0;
+    
+    // With check stock the number must also be in stock and not issued or spoiled
+    let stockStatus;
+    if (await isStockManaged(pool, bank_account_id)) {
+        const stock = /^\d+$/.test(String(check_number).trim())
+            ? await pool.query(
+                'SELECT status, printed_check_id, allocation_id FROM check_stock_numbers WHERE bank_account_id = $1 AND check_number = $2',
+                [bank_account_id, String(check_number).trim()]
+            )
+            : { rows: [] };
+        const number = stock.rows[0];
+        stockStatus = number ? number.status : 'Not in stock';
+        const heldByOther = !!number && isHeldByOther(number, { printedCheckId: check_id || null });
+        isAvailable = isAvailable && !!number
+            && (number.status === 'Available' || (number.status === 'Reserved' && !heldByOther));
+    }
     
     res.json({
         is_available: isAvailable,
         check_number: check_number,
-        bank_account_id: bank_account_id
+        bank_account_id: bank_account_id,
+        ...(stockStatus ? { stock_status: stockStatus } : {})
     });
 }));
 
@@ -3,6 +3,83 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../database/connection');
 const { asyncHandler } = require('../utils/helpers');
+const { ApiError } = require('../middleware/error-handler');
+const { requirePermission } = require('../middleware/permissions');
+const { isYmd } = require('../utils/ledger');
+const { postCheck, reverseCheck, findClearingTransaction } = require('../utils/check-posting');
+const { CheckStockError, useNumber, voidNumber } = require('../utils/check-stock');
+const { hasColumn } = require('../utils/schema');
+
+// Schema guard: GL posting needs printed_checks.journal_entry_id
+const glPostingEnabled = (db) => hasColumn(db, 'printed_checks', 'journal_entry_id');
+
+const todayYmd = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Answer an expected posting failure (check stock, closed period, missing
+ * posting account); the caller rethrows anything that is not an ApiError
+ */
+function sendPostingError(res, err, error) {
+    if (err instanceof CheckStockError) {
+        return res.status(err.statusCode).json({ error: err.message, details: err.details });
+    }
+    return res.status(err.statusCode).json({ error, details: err.message });
+}
+
+/**
+ * Print one locked Draft check: take its number from check stock, post it to
+ * the GL and mark it Printed
+ */
+async function printCheck(client, check, userId) {
+    await useNumber(client, check, { userId });
+    if (!await glPostingEnabled(client)) {
+        const { rows } = await client.query(`
+            UPDATE printed_checks
+            SET status = 'Printed', printed_date = NOW(), printed_by = $1, updated_at = NOW()
+            WHERE id = $2
+            RETURNING *
+        `, [userId, check.id]);
+        return rows[0];
+    }
+    const posting = await postCheck(client, check, { userId });
+    const { rows } = await client.query(`
+        UPDATE printed_checks
+        SET 
+            status = 'Printed',
+            printed_date = NOW(),
+            printed_by = $1,
+            journal_entry_id = $2,
+            updated_at = NOW()
+        WHERE id = $3
+        RETURNING *
+    `, [userId, posting.journal_entry_id, check.id]);
+    return { ...rows[0], gl_linked: posting.linked };
+}
+
+/**
+ * Void one locked check; a printed check that posted to the GL gets a
+ * reversing entry dated on the void date, and a check that paid a payment
+ * item hands the reopened item back as payment_item
+ */
+async function voidCheck(client, check, { userId, voidReason, voidDate }) {
+    const posted = check.status !== 'Draft' && check.journal_entry_id && await glPostingEnabled(client);
+    const { reversalId, paymentItem } = posted
+        ? await reverseCheck(client, check, { date: voidDate, reason: voidReason, userId })
+        : { reversalId: null, paymentItem: null };
+    await voidNumber(client, check, { reason: voidReason || null, userId });
+    const sets = [`status = 'Voided'`, 'voided_date = $1', 'voided_by = $2', 'void_reason = $3', 'updated_at = NOW()'];
+    const params = [voidDate, userId, voidReason || null];
+    if (reversalId) {
+        params.push(reversalId);
+        sets.push(`void_journal_entry_id = $${params.length}`);
+    }
+    params.push(check.id);
+    const { rows } = await client.query(
+        `UPDATE printed_checks SET ${sets.join(', ')} WHERE id = $${params.length} RETURNING *`,
+        params
+    );
+    return paymentItem ? { ...rows[0], payment_item: paymentItem } : rows[0];
+}
 
 /**
  * Converts a number to words for check printing
@@ -139,241 +216,342 @@ router.get('/:id/print-data', asyncHandler(async (req, res) => {
 
 /**
  * POST /api/checks/:id/print
- * Marks a check as printed
+ * Marks a check as printed. Vendor checks post Dr AP / Cr the bank account's
+ * cash account in the expense fund.
  */
-router.post('/:id/print', asyncHandler(async (req, res) => {
+router.post('/:id/print', requirePermission('checks.print'), asyncHandler(async (req, res) => {
     const { id } = req.params;
     
-    // Check if check exists
-    const checkCheck = await pool.query('SELECT status FROM printed_checks WHERE id = $1', [id]);
-    if (checkCheck.rows.length === 0) {
-        return res.status(404).json({ error: 'Check not found' });
-    }
-    
-    // Validate current status
-    const currentStatus = checkCheck.rows[0].status;
-    if (currentStatus !== 'Draft') {
-        return res.status(409).json({ 
-            error: `Cannot print a ${currentStatus.toLowerCase()} check`,
-            details: `Only checks in Draft status can be printed. Current status: ${currentStatus}`
-        });
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        
+        // Check if check exists
+        const checkCheck = await client.query('SELECT * FROM printed_checks WHERE id = $1 FOR UPDATE', [id]);
+        if (checkCheck.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Check not found' });
+        }
+        
+        // Validate current status
+        const currentStatus = checkCheck.rows[0].status;
+        if (currentStatus !== 'Draft') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ 
+                error: `Cannot print a ${currentStatus.toLowerCase()} check`,
+                details: `Only checks in Draft status can be printed. Current status: ${currentStatus}`
+            });
+        }
+        
+        let check;
+        try {
+            check = await printCheck(client, checkCheck.rows[0], req.user?.id || null);
+        } catch (err) {
+            if (!(err instanceof ApiError)) throw err;
+            await client.query('ROLLBACK');
+            return sendPostingError(res, err, 'Check could not be posted to the general ledger');
+        }
+        
+        await client.query('COMMIT');
+        res.json(check);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
     }
-    
-    // Update check status to Printed
-    const { rows } = await pool.query(`
-        UPDATE printed_checks
-        SET 
-            status = 'Printed',
-            printed_date = NOW(),
-            printed_by = $1,
-            updated_at = NOW()
-        WHERE id = $2
-        RETURNING *
-    `, [req.user?.id, id]);
-    
-    res.json(rows[0]);
 }));
 
 /**
  * POST /api/checks/:id/void
- * Voids a check
+ * Voids a check. A printed check's GL entry is reversed on the void date.
+ * Body: void_reason, void_date (YYYY-MM-DD, default today)
  */
-router.post('/:id/void', asyncHandler(async (req, res) => {
+router.post('/:id/void', requirePermission('checks.void'), asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { void_reason } = req.body;
+    const { void_reason, void_date } = req.body || {};
     
-    // Check if check exists
-    const checkCheck = await pool.query('SELECT status FROM printed_checks WHERE id = $1', [id]);
-    if (checkCheck.rows.length === 0) {
-        return res.status(404).json({ error: 'Check not found' });
+    if (void_date && !isYmd(void_date)) {
+        return res.status(400).json({ error: 'void_date must be YYYY-MM-DD' });
     }
     
-    // Validate current status
-    const currentStatus = checkCheck.rows[0].status;
-    if (currentStatus === 'Voided') {
-        return res.status(409).json({ 
-            error: 'Check is already voided',
-            details: 'This check has already been voided'
-        });
-    }
-    
-    if (currentStatus === 'Cleared') {
-        return res.status(409).json({ 
-            error: 'Cannot void a cleared check',
-            details: 'Cleared checks cannot be voided as they have been reconciled'
-        });
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        
+        // Check if check exists
+        const checkCheck = await client.query('SELECT * FROM printed_checks WHERE id = $1 FOR UPDATE', [id]);
+        if (checkCheck.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Check not found' });
+        }
+        
+        // Validate current status
+        const currentStatus = checkCheck.rows[0].status;
+        if (currentStatus === 'Voided') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ 
+                error: 'Check is already voided',
+                details: 'This check has already been voided'
+            });
+        }
+        
+        if (currentStatus === 'Cleared') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ 
+                error: 'Cannot void a cleared check',
+                details: 'Cleared checks cannot be voided as they have been reconciled'
+            });
+        }
+        
+        let check;
+        try {
+            check = await voidCheck(client, checkCheck.rows[0], {
+                userId: req.user?.id || null,
+                voidReason: void_reason,
+                voidDate: void_date || todayYmd()
+            });
+        } catch (err) {
+            if (!(err instanceof ApiError)) throw err;
+            await client.query('ROLLBACK');
+            return sendPostingError(res, err, 'Check GL entry could not be reversed');
+        }
+        
+        await client.query('COMMIT');
+        res.json(check);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
     }
-    
-    // Update check status to Voided
-    const { rows } = await pool.query(`
-        UPDATE printed_checks
-        SET 
-            status = 'Voided',
-            voided_date = NOW(),
-            voided_by = $1,
-            void_reason = $2,
-            updated_at = NOW()
-        WHERE id = $3
-        RETURNING *
-    `, [req.user?.id, void_reason || null, id]);
-    
-    res.json(rows[0]);
 }));
 
 /**
  * POST /api/checks/:id/clear
- * Marks a check as cleared
+ * Marks a check as cleared and links it to the bank statement transaction it
+ * cleared on: bank_statement_transaction_id when given, else the one unmatched
+ * transaction with the same check number and amount (if there is one)
+ * Body: clearing_date, clearing_reference, bank_statement_transaction_id
  */
 router.post('/:id/clear', asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { clearing_date, clearing_reference } = req.body;
-    
-    // Check if check exists
-    const checkCheck = await pool.query('SELECT status FROM printed_checks WHERE id = $1', [id]);
-    if (checkCheck.rows.length === 0) {
-        return res.status(404).json({ error: 'Check not found' });
-    }
+    const { clearing_date, clearing_reference, bank_statement_transaction_id } = req.body || {};
     
-    // Validate current status
-    const currentStatus = checkCheck.rows[0].status;
-    if (currentStatus === 'Cleared') {
-        return res.status(409).json({ 
-            error: 'Check is already cleared',
-            details: 'This check has already been cleared'
-        });
-    }
-    
-    if (currentStatus === 'Voided') {
-        return res.status(409).json({ 
-            error: 'Cannot clear a voided check',
-            details: 'Voided checks cannot be cleared'
-        });
-    }
-    
-    if (currentStatus === 'Draft') {
-        return res.status(409).json({ 
-            error: 'Cannot clear a draft check',
-            details: 'Checks must be printed before they can be cleared'
-        });
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        
+        // Check if check exists
+        const checkCheck = await client.query('SELECT * FROM printed_checks WHERE id = $1 FOR UPDATE', [id]);
+        if (checkCheck.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Check not found' });
+        }
+        const check = checkCheck.rows[0];
+        
+        // Validate current status
+        const currentStatus = check.status;
+        if (currentStatus === 'Cleared') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ 
+                error: 'Check is already cleared',
+                details: 'This check has already been cleared'
+            });
+        }
+        
+        if (currentStatus === 'Voided') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ 
+                error: 'Cannot clear a voided check',
+                details: 'Voided checks cannot be cleared'
+            });
+        }
+        
+        if (currentStatus === 'Draft') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ 
+                error: 'Cannot clear a draft check',
+                details: 'Checks must be printed before they can be cleared'
+            });
+        }
+        
+        let transaction = null;
+        if (await glPostingEnabled(client)) {
+            try {
+                transaction = await findClearingTransaction(client, check, bank_statement_transaction_id || null);
+            } catch (err) {
+                if (!(err instanceof ApiError)) throw err;
+                await client.query('ROLLBACK');
+                return res.status(err.statusCode).json({ error: err.message });
+            }
+        }
+        
+        const sets = [
+            `status = 'Cleared'`,
+            'cleared_date = $1',
+            'cleared_by = $2',
+            'clearing_reference = $3',
+            'updated_at = NOW()'
+        ];
+        const params = [
+            clearing_date || (transaction ? transaction.transaction_date : new Date()),
+            req.user?.id,
+            clearing_reference || (transaction ? transaction.reference : null) || null
+        ];
+        if (transaction) {
+            params.push(transaction.id);
+            sets.push(`bank_statement_transaction_id = $${params.length}`);
+            await client.query(
+                `UPDATE bank_statement_transactions SET status = 'Matched', updated_at = NOW() WHERE id = $1`,
+                [transaction.id]
+            );
+        }
+        params.push(id);
+        
+        // Update check status to Cleared
+        const { rows } = await client.query(
+            `UPDATE printed_checks SET ${sets.join(', ')} WHERE id = $${params.length} RETURNING *`,
+            params
+        );
+        
+        await client.query('COMMIT');
+        res.json(rows[0]);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
     }
-    
-    // Update check status to Cleared
-    const { rows } = await pool.query(`
-        UPDATE printed_checks
-        SET 
-            status = 'Cleared',
-            cleared_date = $1,
-            cleared_by = $2,
-            clearing_reference = $3,
-            updated_at = NOW()
-        WHERE id = $4
-        RETURNING *
-    `, [
-        clearing_date || new Date(),
-        req.user?.id,
-        clearing_reference || null,
-        id
-    ]);
-    
-    res.json(rows[0]);
 }));
 
 /**
  * POST /api/checks/batch-print
- * Prints multiple checks in a batch
+ * Prints multiple checks in a batch. Every check posts to the GL or none is printed.
  */
-router.post('/batch-print', asyncHandler(async (req, res) => {
+router.post('/batch-print', requirePermission('checks.print'), asyncHandler(async (req, res) => {
     const { check_ids } = req.body;
     
     if (!check_ids || !Array.isArray(check_ids) || check_ids.length === 0) {
         return res.status(400).json({ error: 'No check IDs provided' });
     }
     
-    // Validate all checks exist and are in Draft status
-    const checksQuery = await pool.query(`
-        SELECT id, status FROM printed_checks WHERE id = ANY($1)
-    `, [check_ids]);
-    
-    if (checksQuery.rows.length !== check_ids.length) {
-        return res.status(404).json({ error: 'One or more checks not found' });
-    }
-    
-    const nonDraftChecks = checksQuery.rows.filter(check => check.status !== 'Draft');
-    if (nonDraftChecks.length > 0) {
-        return res.status(409).json({ 
-            error: 'Cannot print checks that are not in Draft status',
-            details: `${nonDraftChecks.length} checks are not in Draft status`
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        
+        // Validate all checks exist and are in Draft status
+        const checksQuery = await client.query(`
+            SELECT * FROM printed_checks WHERE id = ANY($1) ORDER BY check_number FOR UPDATE
+        `, [check_ids]);
+        
+        if (checksQuery.rows.length !== check_ids.length) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'One or more checks not found' });
+        }
+        
+        const nonDraftChecks = checksQuery.rows.filter(check => check.status !== 'Draft');
+        if (nonDraftChecks.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ 
+                error: 'Cannot print checks that are not in Draft status',
+                details: `${nonDraftChecks.length} checks are not in Draft status`
+            });
+        }
+        
+        const rows = [];
+        for (const check of checksQuery.rows) {
+            try {
+                rows.push(await printCheck(client, check, req.user?.id || null));
+            } catch (err) {
+                if (!(err instanceof ApiError)) throw err;
+                await client.query('ROLLBACK');
+                return sendPostingError(res, err, `Check ${check.check_number} could not be posted to the general ledger`);
+            }
+        }
+        
+        await client.query('COMMIT');
+        res.json({
+            success: true,
+            message: `${rows.length} checks marked as printed`,
+            checks: rows
         });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
     }
-    
-    // Update all checks to Printed status
-    const { rows } = await pool.query(`
-        UPDATE printed_checks
-        SET 
-            status = 'Printed',
-            printed_date = NOW(),
-            printed_by = $1,
-            updated_at = NOW()
-        WHERE id = ANY($2)
-        RETURNING *
-    `, [req.user?.id, check_ids]);
-    
-    res.json({
-        success: true,
-        message: `${rows.length} checks marked as printed`,
-        checks: rows
-    });
 }));
 
 /**
  * POST /api/checks/batch-void
- * Voids multiple checks in a batch
+ * Voids multiple checks in a batch, reversing the GL entries of printed ones
+ * Body: check_ids, void_reason, void_date (YYYY-MM-DD, default today)
  */
-router.post('/batch-void', asyncHandler(async (req, res) => {
-    const { check_ids, void_reason } = req.body;
+router.post('/batch-void', requirePermission('checks.void'), asyncHandler(async (req, res) => {
+    const { check_ids, void_reason, void_date } = req.body;
     
     if (!check_ids || !Array.isArray(check_ids) || check_ids.length === 0) {
         return res.status(400).json({ error: 'No check IDs provided' });
     }
-    
-    // Validate all checks exist and are not already voided or cleared
-    const checksQuery = await pool.query(`
-        SELECT id, status FROM printed_checks WHERE id = ANY($1)
-    `, [check_ids]);
-    
-    if (checksQuery.rows.length !== check_ids.length) {
-        return res.status(404).json({ error: 'One or more checks not found' });
+    if (void_date && !isYmd(void_date)) {
+        return res.status(400).json({ error: 'void_date must be YYYY-MM-DD' });
     }
     
-    const invalidChecks = checksQuery.rows.filter(check => 
-        check.status === 'Voided' || check.status === 'Cleared'
-    );
-    
-    if (invalidChecks.length > 0) {
-        return res.status(409).json({ 
-            error: 'Cannot void checks that are already voided or cleared',
-            details: `${invalidChecks.length} checks are already voided or cleared`
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        
+        // Validate all checks exist and are not already voided or cleared
+        const checksQuery = await client.query(`
+            SELECT * FROM printed_checks WHERE id = ANY($1) ORDER BY check_number FOR UPDATE
+        `, [check_ids]);
+        
+        if (checksQuery.rows.length !== check_ids.length) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'One or more checks not found' });
+        }
+        
+        const invalidChecks = checksQuery.rows.filter(check => 
+            check.status === 'Voided' || check.status === 'Cleared'
+        );
+        
+        if (invalidChecks.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ 
+                error: 'Cannot void checks that are already voided or cleared',
+                details: `${invalidChecks.length} checks are already voided or cleared`
+            });
+        }
+        
+        const rows = [];
+        for (const check of checksQuery.rows) {
+            try {
+                rows.push(await voidCheck(client, check, {
+                    userId: req.user?.id || null,
+                    voidReason: void_reason,
+                    voidDate: void_date || todayYmd()
+                }));
+            } catch (err) {
+                if (!(err instanceof ApiError)) throw err;
+                await client.query('ROLLBACK');
+                return sendPostingError(res, err, `Check ${check.check_number} GL entry could not be reversed`);
+            }
+        }
+        
+        await client.query('COMMIT');
+        res.json({
+            success: true,
+            message: `${rows.length} checks voided`,
+            checks: rows
         });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
     }
-    
-    // Update all checks to Voided status
-    const { rows } = await pool.query(`
-        UPDATE printed_checks
-        SET 
-            status = 'Voided',
-            voided_date = NOW(),
-            voided_by = $1,
-            void_reason = $2,
-            updated_at = NOW()
-        WHERE id = ANY($3)
-        RETURNING *
-    `, [req.user?.id, void_reason || null, check_ids]);
-    
-    res.json({
-        success: true,
-        message: `${rows.length} checks voided`,
-        checks: rows
-    });
 }));
 
 module.exports = router;
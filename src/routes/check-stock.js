@@ -0,0 +1,265 @@
+// src/routes/check-stock.js
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../database/connection');
+const { asyncHandler } = require('../utils/helpers');
+const { ApiError } = require('../middleware/error-handler');
+const { requirePermission } = require('../middleware/permissions');
+const {
+    NUMBER_STATUSES,
+    receiveRange,
+    claimNumber,
+    releaseNumbers,
+    spoilNumbers,
+    allocateRange,
+    releaseAllocation,
+    missingNumberReport
+} = require('../utils/check-stock');
+
+const isNumberParam = (v) => v === undefined || v === '' || /^\d+$/.test(String(v));
+
+/**
+ * Run a stock change in a transaction; stock rule violations become 4xx responses
+ */
+async function inTransaction(res, work) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await work(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (err instanceof ApiError) {
+            res.status(err.statusCode).json({ error: err.message, ...(err.details ? { details: err.details } : {}) });
+            return undefined;
+        }
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+async function bankAccountExists(id) {
+    const { rows } = await pool.query('SELECT id FROM bank_accounts WHERE id = $1', [id]);
+    return rows.length > 0;
+}
+
+/**
+ * GET /api/check-stock/:bankAccountId/ranges
+ * Lists received stock ranges with how many numbers are in each status
+ */
+router.get('/:bankAccountId/ranges', asyncHandler(async (req, res) => {
+    const { rows } = await pool.query(
+        `SELECT r.*,
+                to_char(r.received_date, 'YYYY-MM-DD') AS received_date,
+                COUNT(*) FILTER (WHERE n.status = 'Available')::int AS available,
+                COUNT(*) FILTER (WHERE n.status = 'Reserved')::int  AS reserved,
+                COUNT(*) FILTER (WHERE n.status = 'Used')::int      AS used,
+                COUNT(*) FILTER (WHERE n.status = 'Spoiled')::int   AS spoiled,
+                COUNT(*) FILTER (WHERE n.status = 'Voided')::int    AS voided
+           FROM check_stock_ranges r
+           LEFT JOIN check_stock_numbers n ON n.range_id = r.id
+          WHERE r.bank_account_id = $1
+          GROUP BY r.id
+          ORDER BY r.start_number`,
+        [req.params.bankAccountId]
+    );
+    res.json(rows);
+}));
+
+/**
+ * POST /api/check-stock/:bankAccountId/ranges
+ * Records a range of check stock received from the printer
+ * Body: { start_number, end_number, received_date, description }
+ */
+router.post('/:bankAccountId/ranges', asyncHandler(async (req, res) => {
+    const { bankAccountId } = req.params;
+    const { start_number, end_number, received_date, description } = req.body || {};
+
+    if (!await bankAccountExists(bankAccountId)) {
+        return res.status(404).json({ error: 'Bank account not found' });
+    }
+
+    const range = await inTransaction(res, (client) => receiveRange(client, {
+        bankAccountId,
+        startNumber: start_number,
+        endNumber: end_number,
+        receivedDate: received_date || null,
+        description: description || null,
+        userId: req.user?.id || null
+    }));
+    if (range) res.status(201).json(range);
+}));
+
+/**
+ * GET /api/check-stock/:bankAccountId/numbers
+ * Lists stock numbers and their status
+ * Query: status, from, to, limit (default 500)
+ */
+router.get('/:bankAccountId/numbers', asyncHandler(async (req, res) => {
+    const { status, from, to, limit } = req.query;
+    if (status && !NUMBER_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${NUMBER_STATUSES.join(', ')}` });
+    }
+    if (!isNumberParam(from) || !isNumberParam(to)) {
+        return res.status(400).json({ error: 'from and to must be check numbers' });
+    }
+
+    const params = [req.params.bankAccountId];
+    let query = `
+        SELECT n.check_number::text AS check_number, n.status, n.status_reason, n.status_changed_at,
+               n.printed_check_id, n.allocation_id, pc.payee_name, pc.amount, pc.status AS check_status
+          FROM check_stock_numbers n
+          LEFT JOIN printed_checks pc ON pc.id = n.printed_check_id
+         WHERE n.bank_account_id = $1`;
+    if (status) {
+        params.push(status);
+        query += ` AND n.status = $${params.length}`;
+    }
+    if (from) {
+        params.push(from);
+        query += ` AND n.check_number >= $${params.length}`;
+    }
+    if (to) {
+        params.push(to);
+        query += ` AND n.check_number <= $${params.length}`;
+    }
+    params.push(Math.min(Math.max(parseInt(limit, 10) || 500, 1), 5000));
+    query += ` ORDER BY n.check_number LIMIT $${params.length}`;
+
+    const { rows } = await pool.query(query, params);
+    res.json(rows);
+}));
+
+/**
+ * POST /api/check-stock/:bankAccountId/allocate
+ * Reserves a contiguous range of unused numbers for a print run. Concurrent
+ * print runs on the same bank account wait for each other, so no two get the
+ * same numbers. With check_ids the Draft checks are numbered from the range
+ * in the order given; otherwise count numbers are reserved.
+ * Body: { count } or { check_ids: [] }
+ */
+router.post('/:bankAccountId/allocate', requirePermission('checks.print'), asyncHandler(async (req, res) => {
+    const { bankAccountId } = req.params;
+    const { count, check_ids } = req.body || {};
+    const checkIds = Array.isArray(check_ids) ? check_ids.filter(Boolean) : [];
+
+    if (!checkIds.length && !count) {
+        return res.status(400).json({ error: 'count or check_ids is required' });
+    }
+    if (checkIds.length && new Set(checkIds).size !== checkIds.length) {
+        return res.status(400).json({ error: 'check_ids contains duplicates' });
+    }
+    if (!await bankAccountExists(bankAccountId)) {
+        return res.status(404).json({ error: 'Bank account not found' });
+    }
+
+    const result = await inTransaction(res, async (client) => {
+        const userId = req.user?.id || null;
+        let checks = [];
+        if (checkIds.length) {
+            const { rows } = await client.query(
+                'SELECT * FROM printed_checks WHERE id = ANY($1::uuid[]) FOR UPDATE',
+                [checkIds]
+            );
+            if (rows.length !== checkIds.length) {
+                throw new ApiError('One or more checks not found', 404);
+            }
+            const wrong = rows.filter(c => c.status !== 'Draft' || c.bank_account_id !== bankAccountId);
+            if (wrong.length) {
+                throw new ApiError('Only Draft checks of this bank account can be numbered from stock', 409, {
+                    check_ids: wrong.map(c => c.id)
+                });
+            }
+            const byId = new Map(rows.map(c => [c.id, c]));
+            checks = checkIds.map(id => byId.get(id));
+            for (const check of checks) await releaseNumbers(client, check.id, { userId });
+        }
+
+        const allocation = await allocateRange(client, {
+            bankAccountId,
+            count: checks.length || count,
+            userId
+        });
+
+        const assignments = [];
+        for (let i = 0; i < checks.length; i++) {
+            const number = allocation.numbers[i];
+            await client.query(
+                'UPDATE printed_checks SET check_number = $1, updated_at = NOW() WHERE id = $2',
+                [number, checks[i].id]
+            );
+            await claimNumber(client, {
+                bankAccountId, checkNumber: number, printedCheckId: checks[i].id, allocationId: allocation.id, userId
+            });
+            assignments.push({ check_id: checks[i].id, old_check_number: checks[i].check_number, check_number: number });
+        }
+        return { ...allocation, assignments };
+    });
+    if (result) res.status(201).json(result);
+}));
+
+/**
+ * POST /api/check-stock/allocations/:id/release
+ * Returns a print run's numbers that no check took back to stock. Needs
+ * checks.print, as for allocating them.
+ */
+router.post('/allocations/:id/release', requirePermission('checks.print'), asyncHandler(async (req, res) => {
+    const { rows } = await pool.query('SELECT * FROM check_stock_allocations WHERE id = $1', [req.params.id]);
+    if (rows.length === 0) {
+        return res.status(404).json({ error: 'Allocation not found' });
+    }
+    const released = await inTransaction(res, (client) =>
+        releaseAllocation(client, req.params.id, { userId: req.user?.id || null }));
+    if (released !== undefined) res.json({ ...rows[0], released });
+}));
+
+/**
+ * POST /api/check-stock/:bankAccountId/spoil
+ * Marks unissued stock numbers as spoiled (damaged, jammed or misprinted)
+ * Body: { check_numbers: [], reason }
+ */
+router.post('/:bankAccountId/spoil', requirePermission('checks.void'), asyncHandler(async (req, res) => {
+    const { check_numbers, reason } = req.body || {};
+    if (!Array.isArray(check_numbers) || check_numbers.length === 0) {
+        return res.status(400).json({ error: 'check_numbers must be a non-empty array' });
+    }
+    if (!reason || !String(reason).trim()) {
+        return res.status(400).json({ error: 'A reason is required to spoil check stock' });
+    }
+
+    const spoiled = await inTransaction(res, (client) => spoilNumbers(client, {
+        bankAccountId: req.params.bankAccountId,
+        checkNumbers: check_numbers,
+        reason: String(reason).trim(),
+        userId: req.user?.id || null
+    }));
+    if (spoiled) res.json({ spoiled: spoiled.length, numbers: spoiled.map(n => String(n.check_number)) });
+}));
+
+/**
+ * GET /api/check-stock/:bankAccountId/missing-report
+ * Missing-check-number report for internal controls review: numbers skipped
+ * in the issued sequence, spoiled and voided numbers, duplicate check numbers
+ * and checks printed outside the received stock
+ * Query: from, to (check numbers)
+ */
+router.get('/:bankAccountId/missing-report', asyncHandler(async (req, res) => {
+    const { from, to } = req.query;
+    if (!isNumberParam(from) || !isNumberParam(to)) {
+        return res.status(400).json({ error: 'from and to must be check numbers' });
+    }
+    const { rows } = await pool.query(
+        'SELECT id, bank_name, account_name, account_number FROM bank_accounts WHERE id = $1',
+        [req.params.bankAccountId]
+    );
+    if (rows.length === 0) {
+        return res.status(404).json({ error: 'Bank account not found' });
+    }
+
+    const report = await missingNumberReport(pool, req.params.bankAccountId, { fromNumber: from, toNumber: to });
+    res.json({ bank_account: rows[0], generated_at: new Date().toISOString(), ...report });
+}));
+
+module.exports = router;
@@ -0,0 +1,188 @@
+// src/routes/fiscal-periods.js
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../database/connection');
+const { asyncHandler } = require('../utils/helpers');
+const { requirePermission } = require('../middleware/permissions');
+const { fiscalPeriodBounds } = require('../utils/ledger');
+
+const PERIOD_COLUMNS = `
+    fp.id, fp.entity_id, fp.fiscal_year, fp.period,
+    to_char(fp.start_date, 'YYYY-MM-DD') AS start_date,
+    to_char(fp.end_date, 'YYYY-MM-DD')   AS end_date,
+    fp.status, fp.closed_at, fp.closed_by, fp.updated_at`;
+
+/**
+ * Validate the common close/reopen body
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message or null when valid
+ */
+function validatePeriodRequest(body) {
+    const { entity_id, fiscal_year, period, reason } = body || {};
+    if (!entity_id) return 'entity_id is required';
+    if (!/^\d{4}$/.test(String(fiscal_year || ''))) return 'fiscal_year must be a 4-digit year';
+    const p = Number(period);
+    if (!Number.isInteger(p) || p < 1 || p > 12) return 'period must be between 1 and 12';
+    if (!reason || !String(reason).trim()) return 'reason is required';
+    return null;
+}
+
+/**
+ * Change a period's status and record the reason in fiscal_period_history
+ * @param {Object} req - Express request
+ * @param {string} status - 'Closed' or 'Open'
+ * @returns {Promise<Object>} { error, statusCode } or { period }
+ */
+async function setPeriodStatus(req, status) {
+    const { entity_id, fiscal_year, reason } = req.body;
+    const period = Number(req.body.period);
+    const userId = req.user && req.user.id ? req.user.id : null;
+
+    const { rows: entRows } = await pool.query(
+        'SELECT id, fiscal_year_start FROM entities WHERE id = $1',
+        [entity_id]
+    );
+    if (!entRows.length) return { statusCode: 404, error: 'Entity not found' };
+
+    const bounds = fiscalPeriodBounds(entRows[0].fiscal_year_start || '01-01', fiscal_year, period);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows: existing } = await client.query(
+            `SELECT id, status FROM fiscal_periods
+              WHERE entity_id = $1 AND fiscal_year = $2 AND period = $3
+              FOR UPDATE`,
+            [entity_id, String(fiscal_year), period]
+        );
+        const current = existing[0] ? existing[0].status : 'Open';
+        if (current === status) {
+            await client.query('ROLLBACK');
+            return { statusCode: 409, error: `Period ${period} of FY${fiscal_year} is already ${status.toLowerCase()}` };
+        }
+
+        const { rows } = await client.query(
+            `INSERT INTO fiscal_periods (entity_id, fiscal_year, period, start_date, end_date, status, closed_at, closed_by)
+             VALUES ($1, $2, $3, $4, $5, $6,
+                     CASE WHEN $6 = 'Closed' THEN NOW() END,
+                     CASE WHEN $6 = 'Closed' THEN $7::uuid END)
+             ON CONFLICT (entity_id, fiscal_year, period) DO UPDATE
+                 SET status = EXCLUDED.status,
+                     closed_at = EXCLUDED.closed_at,
+                     closed_by = EXCLUDED.closed_by,
+                     updated_at = NOW()
+             RETURNING id`,
+            [entity_id, String(fiscal_year), period, bounds.start, bounds.end, status, userId]
+        );
+
+        await client.query(
+            `INSERT INTO fiscal_period_history (fiscal_period_id, action, reason, user_id)
+             VALUES ($1, $2, $3, $4)`,
+            [rows[0].id, status === 'Closed' ? 'Close' : 'Reopen', String(reason).trim(), userId]
+        );
+
+        await client.query('COMMIT');
+
+        const { rows: out } = await pool.query(
+            `SELECT ${PERIOD_COLUMNS} FROM fiscal_periods fp WHERE fp.id = $1`,
+            [rows[0].id]
+        );
+        return { period: out[0] };
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * GET /api/fiscal-periods
+ * Returns the 12 periods of a fiscal year for an entity with their status.
+ * Periods that have never been closed are reported as Open.
+ * Query params: entity_id (required), fiscal_year (required)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const { entity_id, fiscal_year } = req.query;
+    if (!entity_id || !/^\d{4}$/.test(fiscal_year || '')) {
+        return res.status(400).json({ error: 'entity_id and fiscal_year (YYYY) are required' });
+    }
+
+    const { rows: entRows } = await pool.query(
+        'SELECT id, fiscal_year_start FROM entities WHERE id = $1',
+        [entity_id]
+    );
+    if (!entRows.length) return res.status(404).json({ error: 'Entity not found' });
+    const fyStart = entRows[0].fiscal_year_start || '01-01';
+
+    const { rows } = await pool.query(
+        `SELECT ${PERIOD_COLUMNS} FROM fiscal_periods fp
+          WHERE fp.entity_id = $1 AND fp.fiscal_year = $2`,
+        [entity_id, fiscal_year]
+    );
+    const byPeriod = new Map(rows.map(r => [Number(r.period), r]));
+
+    const periods = [];
+    for (let p = 1; p <= 12; p++) {
+        const bounds = fiscalPeriodBounds(fyStart, fiscal_year, p);
+        periods.push(byPeriod.get(p) || {
+            id: null,
+            entity_id,
+            fiscal_year,
+            period: p,
+            start_date: bounds.start,
+            end_date: bounds.end,
+            status: 'Open',
+            closed_at: null,
+            closed_by: null
+        });
+    }
+    res.json(periods);
+}));
+
+/**
+ * GET /api/fiscal-periods/:id/history
+ * Returns the close/reopen history of a period
+ */
+router.get('/:id/history', asyncHandler(async (req, res) => {
+    const { rows } = await pool.query(
+        `SELECT h.*, TRIM(CONCAT(u.first_name, ' ', u.last_name)) AS user_name
+           FROM fiscal_period_history h
+           LEFT JOIN users u ON u.id = h.user_id
+          WHERE h.fiscal_period_id = $1
+          ORDER BY h.created_at`,
+        [req.params.id]
+    );
+    res.json(rows);
+}));
+
+/**
+ * POST /api/fiscal-periods/close
+ * Closes a period so no transactions dated inside it can be written
+ * Body: entity_id, fiscal_year, period (1-12), reason
+ */
+router.post('/close', asyncHandler(async (req, res) => {
+    const validationError = validatePeriodRequest(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const result = await setPeriodStatus(req, 'Closed');
+    if (result.error) return res.status(result.statusCode).json({ error: result.error });
+    res.json(result.period);
+}));
+
+/**
+ * POST /api/fiscal-periods/reopen
+ * Reopens a closed period
+ * Body: entity_id, fiscal_year, period (1-12), reason
+ */
+router.post('/reopen', requirePermission('period.reopen'), asyncHandler(async (req, res) => {
+    const validationError = validatePeriodRequest(req.body);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const result = await setPeriodStatus(req, 'Open');
+    if (result.error) return res.status(result.statusCode).json({ error: result.error });
+    res.json(result.period);
+}));
+
+module.exports = router;
@@ -0,0 +1,154 @@
+// src/routes/functional-expense-rules.js
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../database/connection');
+const { asyncHandler } = require('../utils/helpers');
+const { validateRulePercentages } = require('../utils/functional-allocation');
+
+/**
+ * GET /api/functional-expense-rules
+ * Returns allocation rules, optionally filtered by entity_id or status
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const { entity_id, status } = req.query;
+
+    let query = `
+        SELECT r.*,
+               e.name AS entity_name,
+               f.fund_code,
+               f.fund_name,
+               gc.description AS gl_description
+          FROM functional_expense_rules r
+          LEFT JOIN entities e  ON e.id = r.entity_id
+          LEFT JOIN funds f     ON f.id = r.fund_id
+          LEFT JOIN gl_codes gc ON LOWER(gc.code) = LOWER(r.gl_code)
+         WHERE 1=1
+    `;
+    const params = [];
+    let paramIndex = 1;
+
+    if (entity_id) {
+        query += ` AND (r.entity_id = $${paramIndex++} OR r.entity_id IS NULL)`;
+        params.push(entity_id);
+    }
+    if (status) {
+        query += ` AND r.status = $${paramIndex++}`;
+        params.push(status);
+    }
+
+    query += ' ORDER BY e.name NULLS FIRST, r.gl_code NULLS FIRST, f.fund_code NULLS FIRST';
+
+    const { rows } = await pool.query(query, params);
+    res.json(rows);
+}));
+
+/**
+ * POST /api/functional-expense-rules
+ * Creates an allocation rule. Percentages must total 100.
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const {
+        entity_id,
+        gl_code,
+        fund_id,
+        program_pct,
+        management_general_pct,
+        fundraising_pct,
+        description,
+        status
+    } = req.body || {};
+
+    const pctError = validateRulePercentages(req.body || {});
+    if (pctError) {
+        return res.status(400).json({ error: pctError });
+    }
+
+    const { rows } = await pool.query(
+        `INSERT INTO functional_expense_rules
+             (entity_id, gl_code, fund_id, program_pct, management_general_pct,
+              fundraising_pct, description, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [
+            entity_id || null,
+            gl_code ? String(gl_code).trim() : null,
+            fund_id || null,
+            Number(program_pct || 0),
+            Number(management_general_pct || 0),
+            Number(fundraising_pct || 0),
+            description || null,
+            status === 'Inactive' ? 'Inactive' : 'Active'
+        ]
+    );
+
+    res.status(201).json(rows[0]);
+}));
+
+/**
+ * PUT /api/functional-expense-rules/:id
+ * Updates an allocation rule
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const {
+        entity_id,
+        gl_code,
+        fund_id,
+        program_pct,
+        management_general_pct,
+        fundraising_pct,
+        description,
+        status
+    } = req.body || {};
+
+    const pctError = validateRulePercentages(req.body || {});
+    if (pctError) {
+        return res.status(400).json({ error: pctError });
+    }
+
+    const { rows } = await pool.query(
+        `UPDATE functional_expense_rules
+            SET entity_id = $1,
+                gl_code = $2,
+                fund_id = $3,
+                program_pct = $4,
+                management_general_pct = $5,
+                fundraising_pct = $6,
+                description = $7,
+                status = $8,
+                updated_at = NOW()
+          WHERE id = $9
+          RETURNING *`,
+        [
+            entity_id || null,
+            gl_code ? String(gl_code).trim() : null,
+            fund_id || null,
+            Number(program_pct || 0),
+            Number(management_general_pct || 0),
+            Number(fundraising_pct || 0),
+            description || null,
+            status === 'Inactive' ? 'Inactive' : 'Active',
+            id
+        ]
+    );
+
+    if (rows.length === 0) {
+        return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json(rows[0]);
+}));
+
+/**
+ * DELETE /api/functional-expense-rules/:id
+ * Deletes an allocation rule
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const result = await pool.query('DELETE FROM functional_expense_rules WHERE id = $1', [id]);
+    if (result.rowCount === 0) {
+        return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.status(204).send();
+}));
+
+module.exports = router;
@@ -3,6 +3,14 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../database/connection');
 const { asyncHandler } = require('../utils/helpers');
+const {
+    IMPORTERS,
+    startImportJob,
+    logImportRow,
+    trackInsert,
+    trackUpdate,
+    finishImportJob
+} = require('../utils/import-jobs');
 const multer = require('multer');
 const { parse } = require('csv-parse/sync');
 
@@ -547,6 +555,14 @@ router.post(
                 .json({ error: 'Invalid CSV format', message: err.message });
         }
 
+        const job = await startImportJob(pool, {
+            importer: IMPORTERS.FUNDS,
+            filename: req.file.originalname || null,
+            content: req.file.buffer,
+            userId: req.user?.id || null,
+            totalRows: records.length
+        });
+
         let inserted = 0,
             updated = 0,
             failed = 0;
@@ -621,7 +637,8 @@ router.post(
                 }
 
                 if (existing.rows.length === 1) {
-                    // UPDATE
+                    // UPDATE (snapshot first so a rollback restores the starting balance)
+                    await trackUpdate(pool, job, 'funds', existing.rows[0].id);
                     await pool.query(
                         `UPDATE funds
                            SET fund_number=$1,
@@ -654,13 +671,15 @@ router.post(
                         ]
                     );
                     updated++;
+                    logImportRow(job, { row: i + 1, reference: normRow.fund_number, status: 'Succeeded', message: 'Updated' });
                 } else {
                     // INSERT
-                    await pool.query(
+                    const { rows: insertedRows } = await pool.query(
                         `INSERT INTO funds
                             (fund_number,fund_code,fund_name,entity_name,entity_code,
                              restriction,budget,balance_sheet,status,starting_balance,starting_balance_date,last_used)
-                         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,COALESCE($10::numeric,0::numeric),COALESCE($11::date,CURRENT_DATE),COALESCE($12::date,CURRENT_DATE))`,
+                         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,COALESCE($10::numeric,0::numeric),COALESCE($11::date,CURRENT_DATE),COALESCE($12::date,CURRENT_DATE))
+                         RETURNING id`,
                         [
                             normRow.fund_number,
                             normRow.fund_code,
@@ -676,17 +695,23 @@ router.post(
                             normRow.last_used
                         ]
                     );
+                    await trackInsert(pool, job, 'funds', insertedRows[0].id);
                     inserted++;
+                    logImportRow(job, { row: i + 1, reference: normRow.fund_number, status: 'Succeeded', message: 'Inserted' });
                 }
             } catch (err) {
                 failed++;
+                logImportRow(job, { row: i + 1, reference: rec.fund_number || null, status: 'Failed', message: err.message });
                 if (errors.length < 20) {
                     errors.push(`Row ${i + 1}: ${err.message}`);
                 }
             }
         }
 
+        await finishImportJob(pool, job, { summary: { inserted, updated, failed } });
+
         res.json({
+            import_job_id: job.id,
             total: records.length,
             inserted,
             updated,
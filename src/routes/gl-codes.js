@@ -6,6 +6,16 @@ const upload = multer({ storage: multer.memoryStorage() });
 const { parse } = require('csv-parse/sync');
 const { pool } = require('../database/connection');
 const { asyncHandler } = require('../utils/helpers');
+const {
+    IMPORTERS,
+    startImportJob,
+    logImportRow,
+    trackInsert,
+    trackUpdate,
+    withRowSavepoint,
+    finishImportJob,
+    failImportJob
+} = require('../utils/import-jobs');
 
 // Try to derive a general ledger line type from a more specific classification
 // Falls back to 'Asset' if it cannot be determined
@@ -184,6 +194,14 @@ router.post('/import', upload.single('file'), asyncHandler(async (req, res) => {
         return res.status(400).json({ error: 'Invalid CSV' });
     }
 
+    const job = await startImportJob(pool, {
+        importer: IMPORTERS.GL_CODES,
+        filename: req.file.originalname || null,
+        content: req.file.buffer,
+        userId: req.user?.id || null,
+        totalRows: records.length
+    });
+
     const client = await pool.connect();
     let inserted = 0, updated = 0, failed = 0;
     const errors = [];
@@ -191,71 +209,85 @@ router.post('/import', upload.single('file'), asyncHandler(async (req, res) => {
     try {
         await client.query('BEGIN');
 
-        for (const row of records) {
+        for (let i = 0; i < records.length; i++) {
+            const row = records[i];
             const code = (row.code || row.GLCode || row.gl_code || row.glcode || row.GL_CODE || row["GL Code"])?.toString().trim();
             const description = (row.description || row.desc || row["Description"])?.toString().trim() || null;
             const classification = (row.classification || row.class || row["Classification"])?.toString().trim() || null;
 
-            if (!code) { failed++; errors.push('Missing code'); continue; }
+            if (!code) {
+                failed++;
+                errors.push('Missing code');
+                logImportRow(job, { row: i + 1, status: 'Failed', message: 'Missing code' });
+                continue;
+            }
 
             try {
-                const { rows: existing } = await client.query(
-                    'SELECT id FROM gl_codes WHERE LOWER(code) = LOWER($1) LIMIT 1',
-                    [code]
-                );
+                await withRowSavepoint(client, async () => {
+                    const { rows: existing } = await client.query(
+                        'SELECT id FROM gl_codes WHERE LOWER(code) = LOWER($1) LIMIT 1',
+                        [code]
+                    );
 
-                if (existing.length === 0) {
-                    const lt = resolveLineType(classification);
-                    try {
-                        await client.query(
-                            `INSERT INTO gl_codes (code, description, classification, line_type)
-                             VALUES ($1, $2, $3, $4)`,
-                            [code, description, classification, lt]
-                        );
-                    } catch (e) {
-                        if (e && (e.code === '42703' || /column\s+"line_type"\s+of\s+relation/i.test(e.message))) {
-                            await client.query(
-                                `INSERT INTO gl_codes (code, description, classification)
-                                 VALUES ($1, $2, $3)`,
-                                [code, description, classification]
+                    if (existing.length === 0) {
+                        const lt = resolveLineType(classification);
+                        let created;
+                        try {
+                            created = await client.query(
+                                `INSERT INTO gl_codes (code, description, classification, line_type)
+                                 VALUES ($1, $2, $3, $4) RETURNING id`,
+                                [code, description, classification, lt]
                             );
-                        } else {
-                            throw e;
+                        } catch (e) {
+                            if (e && (e.code === '42703' || /column\s+"line_type"\s+of\s+relation/i.test(e.message))) {
+                                created = await client.query(
+                                    `INSERT INTO gl_codes (code, description, classification)
+                                     VALUES ($1, $2, $3) RETURNING id`,
+                                    [code, description, classification]
+                                );
+                            } else {
+                                throw e;
+                            }
                         }
-                    }
-                    inserted++;
-                } else {
-                    const lt = resolveLineType(classification);
-                    try {
-                        await client.query(
-                            `UPDATE gl_codes
-                                SET description = $2,
-                                    classification = $3,
-                                    line_type = $4,
-                                    updated_at = NOW()
-                              WHERE id = $1`,
-                            [existing[0].id, description, classification, lt]
-                        );
-                    } catch (e) {
-                        if (e && (e.code === '42703' || /column\s+"line_type"\s+of\s+relation/i.test(e.message))) {
+                        await trackInsert(client, job, 'gl_codes', created.rows[0].id);
+                        inserted++;
+                        logImportRow(job, { row: i + 1, reference: code, status: 'Succeeded', message: 'Inserted' });
+                    } else {
+                        const lt = resolveLineType(classification);
+                        await trackUpdate(client, job, 'gl_codes', existing[0].id);
+                        try {
                             await client.query(
                                 `UPDATE gl_codes
                                     SET description = $2,
                                         classification = $3,
+                                        line_type = $4,
                                         updated_at = NOW()
                                   WHERE id = $1`,
-                                [existing[0].id, description, classification]
+                                [existing[0].id, description, classification, lt]
                             );
-                        } else {
-                            throw e;
+                        } catch (e) {
+                            if (e && (e.code === '42703' || /column\s+"line_type"\s+of\s+relation/i.test(e.message))) {
+                                await client.query(
+                                    `UPDATE gl_codes
+                                        SET description = $2,
+                                            classification = $3,
+                                            updated_at = NOW()
+                                      WHERE id = $1`,
+                                    [existing[0].id, description, classification]
+                                );
+                            } else {
+                                throw e;
+                            }
                         }
+                        updated++;
+                        logImportRow(job, { row: i + 1, reference: code, status: 'Succeeded', message: 'Updated' });
                     }
-                    updated++;
-                }
+                });
             } catch (rowErr) {
                 console.error('[GL Codes] Import row error:', rowErr);
                 failed++;
                 errors.push(rowErr.message);
+                logImportRow(job, { row: i + 1, reference: code, status: 'Failed', message: rowErr.message });
             }
         }
 
@@ -263,12 +295,15 @@ router.post('/import', upload.single('file'), asyncHandler(async (req, res) => {
     } catch (err) {
         await client.query('ROLLBACK');
         console.error('[GL Codes] Import transaction error:', err);
-        return res.status(500).json({ error: 'Import failed' });
+        await failImportJob(pool, job, err);
+        return res.status(500).json({ error: 'Import failed', import_job_id: job.id });
     } finally {
         client.release();
     }
 
-    res.json({ inserted, updated, failed, errors });
+    await finishImportJob(pool, job, { summary: { inserted, updated, failed } });
+
+    res.json({ import_job_id: job.id, inserted, updated, failed, errors });
 }));
 
 module.exports = router;
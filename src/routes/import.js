@@ -4,17 +4,28 @@ const router = express.Router();
 const multer = require('multer');
 const fs = require('fs');
 const { parse } = require('csv-parse/sync');
-const crypto = require('crypto');
-const path = require('path');
 const { pool } = require('../database/connection');
 const { asyncHandler } = require('../utils/helpers');
+const { requirePermission } = require('../middleware/permissions');
+const { assertPeriodOpen } = require('../utils/period-lock');
+const { isYmd } = require('../utils/ledger');
+const {
+    IMPORTERS,
+    JOB_STATUSES,
+    startImportJob,
+    logImportRow,
+    trackInsert,
+    withRowSavepoint,
+    finishImportJob,
+    failImportJob,
+    getImportJob,
+    listImportJobs,
+    rollbackImportJob
+} = require('../utils/import-jobs');
 
 // Configure multer for file uploads
 const upload = multer({ dest: 'uploads/' });
 
-// In-memory store for import job status
-const importJobs = {};
-
 /**
  * POST /api/import/analyze
  * Analyzes an uploaded CSV file and returns column headers and suggested mappings
@@ -138,21 +149,27 @@ router.post('/validate', asyncHandler(async (req, res) => {
 
 /**
  * POST /api/import/process
- * Starts the data import process
+ * Starts the data import process. The rows are hashed so the same file cannot
+ * be imported twice; progress and the per-row log live in import_jobs. The
+ * import writes posted journal entries, so journal.post is required too.
  */
-router.post('/process', asyncHandler(async (req, res) => {
-    const { data, mapping } = req.body;
-    const importId = crypto.randomUUID();
-
-    importJobs[importId] = {
-        id: importId,
-        status: 'processing',
-        progress: 0,
-        totalRecords: data.length,
-        processedRecords: 0,
-        errors: [],
-        startTime: new Date(),
-    };
+router.post('/process', requirePermission('journal.post'), asyncHandler(async (req, res) => {
+    const { data, mapping, filename, entity_id: entityId = null, payment_batch_id: batchId = null } = req.body;
+    if (!Array.isArray(data) || data.length === 0) {
+        return res.status(400).json({ error: 'No data provided or invalid data format.' });
+    }
+    if (!mapping) {
+        return res.status(400).json({ error: 'Mapping is required.' });
+    }
+
+    const job = await startImportJob(pool, {
+        importer: IMPORTERS.PAYMENTS_GL,
+        filename: filename || null,
+        content: data,
+        userId: req.user?.id || null,
+        totalRows: data.length
+    });
+    const importId = job.id;
 
     // Return immediately and process in the background
     res.status(202).json({ message: 'Import process started.', importId });
@@ -160,6 +177,7 @@ router.post('/process', asyncHandler(async (req, res) => {
     // --- Non-blocking import process ---
     setTimeout(async () => {
         const client = await pool.connect();
+        let processed = 0;
         try {
             const { transactionId, entryDate, debit, credit, accountCode, fundCode, description, paymentId, bankAccountName } = mapping;
 
@@ -169,87 +187,88 @@ router.post('/process', asyncHandler(async (req, res) => {
             const user = userRes.rows[0] || { first_name: 'System', last_name: 'User', id: null };
             const createdBy = `Payment import - ${user.first_name} ${user.last_name}`;
 
-            const log = async (level, msg, pItemId = null) => {
-                await client.query(
-                    'INSERT INTO batch_payment_log (import_id, payment_item_id, log_level, message) VALUES ($1, $2, $3, $4)',
-                    [importId, pItemId, level, msg]
-                );
-            };
-
-            for (const line of data) {
-                let paymentItemId = null;
+            for (let i = 0; i < data.length; i++) {
+                const line = data[i];
                 try {
-                    const paymentStatus = line[paymentId] ? 'completed' : 'pending';
-                    const amount = parseFloat(line[debit] || line[credit] || 0);
-
-                    const expenseAccountId = await lookupAccountId(client, line[accountCode]);
-                    if (!expenseAccountId) throw new Error(`Expense account with code '${line[accountCode]}' not found.`);
-
-                    const apAccountId = await lookupFundedApAccountId(client, expenseAccountId);
-                    if (!apAccountId) throw new Error(`Could not find a matching fund-specific AP account for expense account ${line[accountCode]}.`);
-
-                    const bankGlAccountId = await lookupBankGlAccountId(client, line[bankAccountName]);
-                    if (!bankGlAccountId) throw new Error(`Could not find a bank account named '${line[bankAccountName]}'.`);
-
-                    const paymentItemRes = await client.query(
-                        `INSERT INTO payment_items (payment_batch_id, vendor_id, amount, description, status)
-                         VALUES ($1, $2, $3, $4, $5) RETURNING id`,
-                        [
-                            importJobs[importId].batchId,
-                            await lookupVendorId(client, line.vendor_code),
-                            amount,
-                            line[description] || '',
-                            paymentStatus
-                        ]
-                    );
-                    paymentItemId = paymentItemRes.rows[0].id;
-
-                    // JE 1: Expense -> AP
-                    const je1Res = await client.query(
-                        `INSERT INTO journal_entries (entity_id, entry_date, description, total_amount, status, created_by, import_id)
-                         VALUES ($1, $2, $3, $4, 'Posted', $5, $6) RETURNING id`,
-                        [importJobs[importId].entityId, new Date(line[entryDate]), `Expense for ${line[description]}`, amount, createdBy, importId]
-                    );
-                    const je1Id = je1Res.rows[0].id;
-                    await client.query(
-                        `INSERT INTO journal_entry_items (journal_entry_id, account_id, debit, credit) VALUES ($1, $2, $3, 0), ($1, $4, 0, $3)`,
-                        [je1Id, expenseAccountId, amount, apAccountId]
-                    );
-
-                    // JE 2: AP -> Bank
-                    const je2Res = await client.query(
-                        `INSERT INTO journal_entries (entity_id, entry_date, description, total_amount, status, created_by, import_id)
-                         VALUES ($1, $2, $3, $4, 'Posted', $5, $6) RETURNING id`,
-                        [importJobs[importId].entityId, new Date(line[entryDate]), `Payment for ${line[description]}`, amount, createdBy, importId]
-                    );
-                    const je2Id = je2Res.rows[0].id;
-                    await client.query(
-                        `INSERT INTO journal_entry_items (journal_entry_id, account_id, debit, credit) VALUES ($1, $2, $3, 0), ($1, $4, 0, $3)`,
-                        [je2Id, apAccountId, amount, bankGlAccountId]
-                    );
-
-                    // Back-post the JE ID to the payment item
-                    await client.query('UPDATE payment_items SET journal_entry_id = $1 WHERE id = $2', [je1Id, paymentItemId]);
-
-                    await log('SUCCESS', `Successfully processed payment for ${amount}`, paymentItemId);
-                    importJobs[importId].processedRecords++;
-
+                    const amount = await withRowSavepoint(client, async () => {
+                        const paymentStatus = line[paymentId] ? 'completed' : 'pending';
+                        const amount = parseFloat(line[debit] || line[credit] || 0);
+
+                        const ymd = entryYmd(line[entryDate]);
+                        if (!ymd) throw new Error(`Invalid entry date '${line[entryDate] ?? ''}'.`);
+
+                        const expenseAccountId = await lookupAccountId(client, line[accountCode]);
+                        if (!expenseAccountId) throw new Error(`Expense account with code '${line[accountCode]}' not found.`);
+
+                        const apAccountId = await lookupFundedApAccountId(client, expenseAccountId);
+                        if (!apAccountId) throw new Error(`Could not find a matching fund-specific AP account for expense account ${line[accountCode]}.`);
+
+                        const bankGlAccountId = await lookupBankGlAccountId(client, line[bankAccountName]);
+                        if (!bankGlAccountId) throw new Error(`Could not find a bank account named '${line[bankAccountName]}'.`);
+
+                        // Lock on the entities the accounts belong to as well as the requested one
+                        const lineEntityIds = await lookupAccountEntityIds(client, [expenseAccountId, apAccountId, bankGlAccountId]);
+                        await assertPeriodOpen(client, [entityId, ...lineEntityIds], ymd);
+
+                        const paymentItemRes = await client.query(
+                            `INSERT INTO payment_items (payment_batch_id, vendor_id, amount, description, status)
+                             VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+                            [
+                                batchId,
+                                await lookupVendorId(client, line.vendor_code),
+                                amount,
+                                line[description] || '',
+                                paymentStatus
+                            ]
+                        );
+                        const paymentItemId = paymentItemRes.rows[0].id;
+                        await trackInsert(client, job, 'payment_items', paymentItemId);
+
+                        // JE 1: Expense -> AP
+                        const je1Res = await client.query(
+                            `INSERT INTO journal_entries (entity_id, entry_date, description, total_amount, status, created_by, import_id)
+                             VALUES ($1, $2, $3, $4, 'Posted', $5, $6) RETURNING id`,
+                            [entityId, ymd, `Expense for ${line[description]}`, amount, createdBy, importId]
+                        );
+                        const je1Id = je1Res.rows[0].id;
+                        await trackInsert(client, job, 'journal_entries', je1Id);
+                        await client.query(
+                            `INSERT INTO journal_entry_items (journal_entry_id, account_id, debit, credit) VALUES ($1, $2, $3, 0), ($1, $4, 0, $3)`,
+                            [je1Id, expenseAccountId, amount, apAccountId]
+                        );
+
+                        // JE 2: AP -> Bank
+                        const je2Res = await client.query(
+                            `INSERT INTO journal_entries (entity_id, entry_date, description, total_amount, status, created_by, import_id)
+                             VALUES ($1, $2, $3, $4, 'Posted', $5, $6) RETURNING id`,
+                            [entityId, ymd, `Payment for ${line[description]}`, amount, createdBy, importId]
+                        );
+                        const je2Id = je2Res.rows[0].id;
+                        await trackInsert(client, job, 'journal_entries', je2Id);
+                        await client.query(
+                            `INSERT INTO journal_entry_items (journal_entry_id, account_id, debit, credit) VALUES ($1, $2, $3, 0), ($1, $4, 0, $3)`,
+                            [je2Id, apAccountId, amount, bankGlAccountId]
+                        );
+
+                        // Back-post the JE ID to the payment item
+                        await client.query('UPDATE payment_items SET journal_entry_id = $1 WHERE id = $2', [je1Id, paymentItemId]);
+                        return amount;
+                    });
+
+                    processed++;
+                    logImportRow(job, { row: i + 1, reference: line[transactionId], status: 'Succeeded', message: `Successfully processed payment for ${amount}` });
                 } catch (lineError) {
-                    await log('ERROR', `Failed to process line: ${lineError.message}`, paymentItemId);
-                    importJobs[importId].errors.push(`Row ${importJobs[importId].processedRecords + 1}: ${lineError.message}`);
+                    logImportRow(job, { row: i + 1, reference: line[transactionId], status: 'Failed', message: `Failed to process line: ${lineError.message}` });
                 }
             }
 
             await client.query('COMMIT');
-            importJobs[importId].status = 'completed';
+            await finishImportJob(pool, job, { summary: { processed_records: processed } });
         } catch (error) {
             await client.query('ROLLBACK');
             console.error(`Import ${importId} failed:`, error);
-            importJobs[importId].status = 'failed';
-            importJobs[importId].errors.push(error.message);
+            await failImportJob(pool, job, error).catch(err => console.error(`Import ${importId} could not be marked failed:`, err));
         } finally {
-            importJobs[importId].progress = 100;
-            importJobs[importId].endTime = new Date();
             client.release();
         }
     }, 100);
@@ -280,6 +299,29 @@ async function lookupFundedApAccountId(db, expenseAccountId) {
     return apAccountRes.rows[0]?.id || null;
 }
 
+/**
+ * Normalize an import date cell to YYYY-MM-DD
+ * @param {*} value - Cell value (YYYY-MM-DD, a date string Date can parse, or a Date)
+ * @returns {string|null} Date string, or null when unparseable
+ */
+function entryYmd(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const s = String(value).trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return isYmd(s) ? s : null;
+    const d = value instanceof Date ? value : new Date(s);
+    if (isNaN(d.getTime())) return null;
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+async function lookupAccountEntityIds(db, accountIds) {
+    const r = await db.query(
+        `SELECT DISTINCT e.id FROM accounts a JOIN entities e ON e.code = a.entity_code
+          WHERE a.id = ANY($1::uuid[])`,
+        [accountIds.filter(Boolean)]
+    );
+    return r.rows.map(row => row.id);
+}
+
 async function lookupBankGlAccountId(db, bankAccountName) {
     if (!bankAccountName) return null;
     const r = await db.query('SELECT gl_account_id FROM bank_accounts WHERE account_name = $1 LIMIT 1', [bankAccountName.trim()]);
@@ -294,67 +336,68 @@ async function lookupVendorId(db, vCode) {
 
 /**
  * GET /api/import/status/:importId
- * Gets the status of an ongoing import
+ * Gets the status and per-row log of an import job (any importer)
  */
 router.get('/status/:importId', asyncHandler(async (req, res) => {
-    const { importId } = req.params;
-    const job = importJobs[importId];
-    if (job) {
-        res.json(job);
-    } else {
-        res.status(404).json({ error: 'Import job not found.' });
+    const job = await getImportJob(pool, req.params.importId, { withRows: true });
+    if (!job) {
+        return res.status(404).json({ error: 'Import job not found.' });
     }
+    res.json(job);
 }));
 
 /**
  * GET /api/import/history
- * Gets the history of all import jobs
+ * Lists import jobs from every importer, newest first
+ * Query params: importer, status, mine=true, limit
  */
 router.get('/history', asyncHandler(async (req, res) => {
-    // Return a summary of jobs, not the full data
-    const history = Object.values(importJobs).map(job => ({
-        id: job.id,
-        status: job.status,
-        startTime: job.startTime,
-        endTime: job.endTime,
-        totalRecords: job.totalRecords,
-        errors: job.errors
-    }));
-    res.json(history.reverse());
+    const { importer, status, mine, limit } = req.query;
+    if (importer && !Object.values(IMPORTERS).includes(importer)) {
+        return res.status(400).json({ error: `importer must be one of: ${Object.values(IMPORTERS).join(', ')}` });
+    }
+    if (status && !JOB_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+    const jobs = await listImportJobs(pool, {
+        importer: importer || null,
+        status: status || null,
+        userId: mine === 'true' ? req.user?.id || null : null,
+        limit
+    });
+    res.json(jobs);
 }));
 
 /**
  * POST /api/import/rollback/:importId
- * Rolls back an import by deleting all associated journal entries
+ * Rolls back an import job (any importer): deletes the unposted journal
+ * entries, deposits, payment items and records it created, reverses its posted
+ * journal entries and restores rows it updated
+ * Body: reversal_date (optional YYYY-MM-DD, default today) for the reversing entries
  */
-router.post('/rollback/:importId', asyncHandler(async (req, res) => {
-    const { importId } = req.params;
-    const job = importJobs[importId];
-
-    if (!job) {
-        return res.status(404).json({ error: 'Import job not found.' });
-    }
-    if (job.status !== 'completed' && job.status !== 'failed') {
-        return res.status(400).json({ error: 'Cannot rollback an import that is still in progress.' });
+router.post('/rollback/:importId', requirePermission(['imports.rollback', 'journal.post']), asyncHandler(async (req, res) => {
+    const { reversal_date } = req.body || {};
+    if (reversal_date && !isYmd(reversal_date)) {
+        return res.status(400).json({ error: 'reversal_date must be YYYY-MM-DD' });
     }
 
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
-        const deleteResult = await client.query(
-            'DELETE FROM journal_entries WHERE import_id = $1',
-            [importId]
-        );
+        const job = await rollbackImportJob(client, req.params.importId, {
+            userId: req.user?.id || null,
+            reversalDate: reversal_date || null
+        });
         await client.query('COMMIT');
-        
-        job.status = 'rolled_back';
-        job.rollbackTime = new Date();
-        
-        res.json({ message: `Rollback successful. Deleted ${deleteResult.rowCount} journal entries.` });
+
+        const count = (group) => Object.values(job.rollback_summary?.[group] || {}).reduce((s, n) => s + n, 0);
+        res.json({
+            message: `Rollback successful. Deleted ${count('deleted')} records, reversed ${count('reversed')} posted journal entries and restored ${count('restored')}.`,
+            job
+        });
     } catch (error) {
         await client.query('ROLLBACK');
-        console.error(`Rollback for import ${importId} failed:`, error);
-        res.status(500).json({ error: 'Rollback failed.', message: error.message });
+        throw error;
     } finally {
         client.release();
     }
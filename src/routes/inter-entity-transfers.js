@@ -0,0 +1,396 @@
+// src/routes/inter-entity-transfers.js
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../database/connection');
+const { asyncHandler } = require('../utils/helpers');
+const { ApiError } = require('../middleware/error-handler');
+const { hasPermission, permissionDenied, requirePermission } = require('../middleware/permissions');
+const { isYmd } = require('../utils/ledger');
+const {
+    TRANSFER_STATUSES,
+    validateAccountRule,
+    buildTransfer,
+    writeTransfer,
+    loadTransfer,
+    updateTransfer,
+    deleteTransfer,
+    postTransfer,
+    reverseTransfer,
+    transferExceptions
+} = require('../utils/inter-entity');
+
+const trimCode = (v) => (v === undefined || v === null || String(v).trim() === '' ? null : String(v).trim());
+
+/**
+ * Run a transfer change in a transaction; rule violations become 4xx responses
+ */
+async function inTransaction(res, work) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await work(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (err instanceof ApiError) {
+            res.status(err.statusCode).json({ error: err.message, ...(err.details ? { details: err.details } : {}) });
+            return undefined;
+        }
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+// Lock both sides of a transfer, or throw a 404
+async function lockTransfer(client, id) {
+    const transfer = await loadTransfer(client, id, { forUpdate: true });
+    if (!transfer) throw new ApiError('Inter-entity transfer not found', 404);
+    return transfer;
+}
+
+// ---------------------------------------------------------------------------
+// Due-to / due-from account configuration
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/inter-entity-transfers/accounts
+ * Lists the due-to/due-from GL codes configured per entity, optionally
+ * filtered by entity_id
+ */
+router.get('/accounts', asyncHandler(async (req, res) => {
+    const params = [];
+    let query = `
+        SELECT r.*, e.code AS entity_code, e.name AS entity_name,
+               c.code AS counterparty_entity_code, c.name AS counterparty_entity_name
+          FROM inter_entity_accounts r
+          JOIN entities e      ON e.id = r.entity_id
+          LEFT JOIN entities c ON c.id = r.counterparty_entity_id
+    `;
+    if (req.query.entity_id) {
+        params.push(req.query.entity_id);
+        query += ' WHERE r.entity_id = $1';
+    }
+    query += ' ORDER BY e.code, c.code NULLS FIRST';
+
+    const { rows } = await pool.query(query, params);
+    res.json(rows);
+}));
+
+/**
+ * POST /api/inter-entity-transfers/accounts
+ * Configures the due-from and due-to GL codes an entity uses with a
+ * counterparty (or with every counterparty when counterparty_entity_id is null)
+ * Body: { entity_id, counterparty_entity_id, due_from_gl_code, due_to_gl_code, description, status }
+ */
+router.post('/accounts', requirePermission('master_data.edit'), asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const validationError = validateAccountRule(body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const { rows } = await pool.query(
+            `INSERT INTO inter_entity_accounts
+                 (entity_id, counterparty_entity_id, due_from_gl_code, due_to_gl_code, description, status)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+            [
+                body.entity_id,
+                body.counterparty_entity_id || null,
+                trimCode(body.due_from_gl_code),
+                trimCode(body.due_to_gl_code),
+                body.description || null,
+                body.status || 'Active'
+            ]
+        );
+        res.status(201).json(rows[0]);
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'Inter-entity accounts are already configured for this entity and counterparty' });
+        }
+        if (err.code === '23503') {
+            return res.status(400).json({ error: 'Entity not found' });
+        }
+        throw err;
+    }
+}));
+
+/**
+ * PUT /api/inter-entity-transfers/accounts/:id
+ * Updates the GL codes, description or status of a configuration row
+ */
+router.put('/accounts/:id', requirePermission('master_data.edit'), asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const validationError = validateAccountRule(body, { partial: true });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    const { rows } = await pool.query(
+        `UPDATE inter_entity_accounts
+            SET due_from_gl_code = COALESCE($2, due_from_gl_code),
+                due_to_gl_code   = COALESCE($3, due_to_gl_code),
+                description      = COALESCE($4, description),
+                status           = COALESCE($5, status),
+                updated_at       = NOW()
+          WHERE id = $1
+          RETURNING *`,
+        [
+            req.params.id,
+            trimCode(body.due_from_gl_code),
+            trimCode(body.due_to_gl_code),
+            body.description === undefined ? null : body.description,
+            body.status || null
+        ]
+    );
+    if (rows.length === 0) {
+        return res.status(404).json({ error: 'Inter-entity account configuration not found' });
+    }
+    res.json(rows[0]);
+}));
+
+/**
+ * DELETE /api/inter-entity-transfers/accounts/:id
+ */
+router.delete('/accounts/:id', requirePermission('master_data.edit'), asyncHandler(async (req, res) => {
+    const { rowCount } = await pool.query('DELETE FROM inter_entity_accounts WHERE id = $1', [req.params.id]);
+    if (rowCount === 0) {
+        return res.status(404).json({ error: 'Inter-entity account configuration not found' });
+    }
+    res.status(204).send();
+}));
+
+// ---------------------------------------------------------------------------
+// Exceptions report
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/inter-entity-transfers/exceptions
+ * Inter-entity entries that are unmatched or out of balance: entries with no
+ * counterpart, pairs missing a side, sides that do not mirror each other,
+ * unbalanced entries and pairs whose due-from and due-to amounts disagree
+ * Query: entity_id, start_date, end_date (YYYY-MM-DD)
+ */
+router.get('/exceptions', asyncHandler(async (req, res) => {
+    const { entity_id, start_date, end_date } = req.query;
+    if ((start_date && !isYmd(start_date)) || (end_date && !isYmd(end_date))) {
+        return res.status(400).json({ error: 'start_date and end_date must be YYYY-MM-DD' });
+    }
+
+    const exceptions = await transferExceptions(pool, {
+        entityId: entity_id || null,
+        startDate: start_date || null,
+        endDate: end_date || null
+    });
+    res.json({
+        params: { entity_id: entity_id || null, start_date: start_date || null, end_date: end_date || null },
+        generated_at: new Date().toISOString(),
+        count: exceptions.length,
+        exceptions
+    });
+}));
+
+// ---------------------------------------------------------------------------
+// Transfers
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/inter-entity-transfers
+ * Lists transfers (one row per matching_transaction_id)
+ * Query: entity_id (either side), start_date, end_date, status
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const { entity_id, start_date, end_date, status } = req.query;
+    if ((start_date && !isYmd(start_date)) || (end_date && !isYmd(end_date))) {
+        return res.status(400).json({ error: 'start_date and end_date must be YYYY-MM-DD' });
+    }
+
+    const params = [];
+    let where = 'je.is_inter_entity = TRUE AND je.matching_transaction_id IS NOT NULL';
+    if (entity_id) {
+        params.push(entity_id);
+        where += ` AND (je.entity_id = $${params.length} OR je.target_entity_id = $${params.length})`;
+    }
+    if (start_date) {
+        params.push(start_date);
+        where += ` AND je.entry_date >= $${params.length}`;
+    }
+    if (end_date) {
+        params.push(end_date);
+        where += ` AND je.entry_date <= $${params.length}`;
+    }
+
+    let query = `
+        SELECT je.matching_transaction_id,
+               to_char(MIN(je.entry_date), 'YYYY-MM-DD') AS entry_date,
+               MIN(je.description) AS description,
+               MAX(je.total_amount) AS amount,
+               CASE WHEN COUNT(DISTINCT je.status) = 1 THEN MIN(je.status) ELSE 'Mixed' END AS status,
+               COUNT(*)::int AS entry_count,
+               json_agg(json_build_object(
+                   'id', je.id,
+                   'entity_id', je.entity_id,
+                   'entity_code', e.code,
+                   'target_entity_id', je.target_entity_id,
+                   'target_entity_code', te.code,
+                   'reference_number', je.reference_number,
+                   'status', je.status,
+                   'reversal_of_id', je.reversal_of_id
+               ) ORDER BY je.created_at) AS entries
+          FROM journal_entries je
+          LEFT JOIN entities e  ON e.id = je.entity_id
+          LEFT JOIN entities te ON te.id = je.target_entity_id
+         WHERE ${where}
+         GROUP BY je.matching_transaction_id
+    `;
+    if (status) {
+        params.push(status);
+        query += ` HAVING (CASE WHEN COUNT(DISTINCT je.status) = 1 THEN MIN(je.status) ELSE 'Mixed' END) = $${params.length}`;
+    }
+    query += ' ORDER BY MIN(je.entry_date) DESC, je.matching_transaction_id';
+
+    const { rows } = await pool.query(query, params);
+    res.json(rows);
+}));
+
+/**
+ * GET /api/inter-entity-transfers/:id
+ * Both journal entries of a transfer with their lines (:id is the
+ * matching_transaction_id)
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+    const transfer = await loadTransfer(pool, req.params.id);
+    if (!transfer) {
+        return res.status(404).json({ error: 'Inter-entity transfer not found' });
+    }
+    res.json(transfer);
+}));
+
+/**
+ * POST /api/inter-entity-transfers
+ * Creates both sides of a transfer in one transaction, using the configured
+ * due-to/due-from accounts:
+ *   source entity  Due-from Dr / source_account_id Cr
+ *   target entity  target_account_id Dr / Due-to Cr
+ * With dry_run the entries are returned without being written.
+ * Body: { source_entity_id, target_entity_id, entry_date, amount, description,
+ *         reference_number, source_account_id, target_account_id,
+ *         source_fund_id, target_fund_id, status ('Posted' | 'Draft'), dry_run }
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const status = body.status || 'Posted';
+
+    for (const field of ['source_entity_id', 'target_entity_id', 'source_account_id', 'target_account_id']) {
+        if (!body[field]) {
+            return res.status(400).json({ error: `${field} is required` });
+        }
+    }
+    if (!isYmd(body.entry_date)) {
+        return res.status(400).json({ error: 'entry_date is required (YYYY-MM-DD)' });
+    }
+    if (!body.description || !String(body.description).trim()) {
+        return res.status(400).json({ error: 'description is required' });
+    }
+    if (!TRANSFER_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${TRANSFER_STATUSES.join(', ')}` });
+    }
+    if (status === 'Posted' && !body.dry_run && !await hasPermission(req.user, 'journal.post')) {
+        return res.status(403).json(permissionDenied('journal.post'));
+    }
+
+    const input = {
+        sourceEntityId: body.source_entity_id,
+        targetEntityId: body.target_entity_id,
+        sourceAccountId: body.source_account_id,
+        targetAccountId: body.target_account_id,
+        sourceFundId: body.source_fund_id || null,
+        targetFundId: body.target_fund_id || null,
+        entryDate: body.entry_date,
+        amount: body.amount,
+        description: String(body.description).trim(),
+        referenceNumber: body.reference_number || null
+    };
+
+    if (body.dry_run) {
+        const plan = await inTransaction(res, (client) => buildTransfer(client, input));
+        if (plan) res.json({ dry_run: true, status, ...plan });
+        return;
+    }
+
+    const transfer = await inTransaction(res, async (client) => {
+        const plan = await buildTransfer(client, input);
+        return writeTransfer(client, plan, { status, userId: req.user?.id || null });
+    });
+    if (transfer) res.status(201).json(transfer);
+}));
+
+/**
+ * PUT /api/inter-entity-transfers/:id
+ * Changes both sides of a Draft transfer together
+ * Body: { entry_date, description, reference_number, amount }
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    if (body.entry_date !== undefined && !isYmd(body.entry_date)) {
+        return res.status(400).json({ error: 'entry_date must be YYYY-MM-DD' });
+    }
+
+    const transfer = await inTransaction(res, async (client) => {
+        const current = await lockTransfer(client, req.params.id);
+        return updateTransfer(client, current, {
+            entry_date: body.entry_date,
+            description: body.description,
+            reference_number: body.reference_number,
+            amount: body.amount
+        });
+    });
+    if (transfer) res.json(transfer);
+}));
+
+/**
+ * DELETE /api/inter-entity-transfers/:id
+ * Deletes both sides of a Draft transfer. Posted transfers are reversed instead.
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+    const deleted = await inTransaction(res, async (client) =>
+        deleteTransfer(client, await lockTransfer(client, req.params.id)));
+    if (deleted) res.status(204).send();
+}));
+
+/**
+ * POST /api/inter-entity-transfers/:id/post
+ * Posts both sides of a Draft transfer
+ */
+router.post('/:id/post', requirePermission('journal.post'), asyncHandler(async (req, res) => {
+    const transfer = await inTransaction(res, async (client) =>
+        postTransfer(client, await lockTransfer(client, req.params.id)));
+    if (transfer) res.json(transfer);
+}));
+
+/**
+ * POST /api/inter-entity-transfers/:id/reverse
+ * Reverses both sides of a posted transfer with a new linked pair of
+ * reversing entries
+ * Body: reversal_date (YYYY-MM-DD), description (optional), reason (optional)
+ */
+router.post('/:id/reverse', requirePermission('journal.post'), asyncHandler(async (req, res) => {
+    const { reversal_date, description, reason } = req.body || {};
+    if (!isYmd(reversal_date)) {
+        return res.status(400).json({ error: 'reversal_date is required (YYYY-MM-DD)' });
+    }
+
+    const reversal = await inTransaction(res, async (client) =>
+        reverseTransfer(client, await lockTransfer(client, req.params.id), {
+            date: reversal_date,
+            description: description || null,
+            reason: reason || null,
+            userId: req.user?.id || null
+        }));
+    if (reversal) res.status(201).json({ reversal_of: req.params.id, ...reversal });
+}));
+
+module.exports = router;
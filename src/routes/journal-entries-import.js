@@ -1,425 +1,289 @@
 /**
  * Journal Entries Import API
- * Handles xlsx file upload and import of journal entries
+ * Imports journal entries from GL export spreadsheets (xlsx, xls, csv) using
+ * saved column mapping profiles; see src/utils/je-import.js
  */
 
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const fs = require('fs');
-const path = require('path');
-const { execSync } = require('child_process');
 const { pool } = require('../database/connection');
 const { asyncHandler } = require('../utils/helpers');
+const { ApiError } = require('../middleware/error-handler');
+const { hasPermission, permissionDenied } = require('../middleware/permissions');
+const { IMPORTERS, startImportJob, logImportRow, trackInsert, finishImportJob, failImportJob } = require('../utils/import-jobs');
+const {
+    DEFAULT_PROFILE,
+    validateProfile,
+    normalizeProfile,
+    readWorkbook,
+    readEntries,
+    validateEntries,
+    entrySummary
+} = require('../utils/je-import');
 
-// Configure multer for file uploads
-const upload = multer({ dest: 'uploads/je-imports/' });
+// Multer – in-memory storage for file uploads
+const upload = multer({ storage: multer.memoryStorage() });
 
-// Ensure upload directory exists
-const uploadDir = path.join(__dirname, '../../uploads/je-imports');
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-}
+const PROFILE_COLUMNS = ['name', 'source_system', 'sheet_name', 'header_row', 'columns', 'amount_mode', 'date_format', 'account_separator'];
 
-// Parse xlsx file
-function parseXlsx(filePath) {
-    const tempDir = `/tmp/xlsx_extract_${Date.now()}`;
-    execSync(`mkdir -p ${tempDir}`);
-    execSync(`unzip -q "${filePath}" -d ${tempDir}`);
-    
-    // Read shared strings
-    const ssXml = fs.readFileSync(`${tempDir}/xl/sharedStrings.xml`, 'utf8');
-    const strings = [];
-    
-    const siMatches = ssXml.matchAll(/<si>(.*?)<\/si>/gs);
-    for (const siMatch of siMatches) {
-        const siContent = siMatch[1];
-        const textParts = [];
-        const tMatches = siContent.matchAll(/<t[^>]*>([^<]*)<\/t>/g);
-        for (const tMatch of tMatches) {
-            textParts.push(tMatch[1]);
+/**
+ * The mapping a request asks for: an inline `profile` (JSON, e.g. unsaved
+ * edits in the modal), a saved `profile_id`, else the built-in AccuFund layout
+ */
+async function requestProfile(body) {
+    if (body.profile) {
+        let profile;
+        try {
+            profile = typeof body.profile === 'string' ? JSON.parse(body.profile) : body.profile;
+        } catch (err) {
+            throw new ApiError('profile must be valid JSON', 400);
         }
-        strings.push(textParts.join(''));
+        const withName = { ...profile, name: profile.name || 'Unsaved mapping' };
+        const error = validateProfile(withName);
+        if (error) throw new ApiError(error, 400);
+        return { id: profile.id || null, ...normalizeProfile(withName) };
     }
-    
-    // Read sheet1
-    const sheetXml = fs.readFileSync(`${tempDir}/xl/worksheets/sheet1.xml`, 'utf8');
-    
-    const rows = [];
-    const rowMatches = sheetXml.matchAll(/<row[^>]*r="(\d+)"[^>]*>(.*?)<\/row>/gs);
-    
-    for (const rowMatch of rowMatches) {
-        const rowNum = parseInt(rowMatch[1]);
-        const rowContent = rowMatch[2];
-        const cells = {};
-        
-        const cellMatches = rowContent.matchAll(/<c\s+([^>]*)>(.*?)<\/c>/gs);
-        for (const cellMatch of cellMatches) {
-            const attrs = cellMatch[1];
-            const cellContent = cellMatch[2];
-            
-            const refMatch = attrs.match(/r="([A-Z]+)\d+"/);
-            if (!refMatch) continue;
-            const col = refMatch[1];
-            
-            const typeMatch = attrs.match(/t="([^"]*)"/);
-            const cellType = typeMatch ? typeMatch[1] : '';
-            
-            const valMatch = cellContent.match(/<v>([^<]*)<\/v>/);
-            let val = valMatch ? valMatch[1] : '';
-            
-            if (cellType === 's' && val !== '') {
-                const idx = parseInt(val);
-                val = (idx >= 0 && idx < strings.length) ? strings[idx] : val;
-            }
-            
-            cells[col] = val;
-        }
-        rows.push({ rowNum, cells });
+    if (body.profile_id) {
+        const { rows } = await pool.query('SELECT * FROM je_import_profiles WHERE id = $1', [body.profile_id]);
+        if (!rows[0]) throw new ApiError('Import profile not found', 404);
+        return rows[0];
     }
-    
-    execSync(`rm -rf ${tempDir}`);
-    return rows;
+    return DEFAULT_PROFILE;
 }
 
-// Parse date from Excel
-function parseDate(val) {
-    if (!val) return null;
-    if (typeof val === 'string' && val.includes('/')) {
-        const parts = val.split('/');
-        if (parts.length === 3) {
-            const [m, d, y] = parts;
-            return `${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}`;
-        }
-    }
-    const num = parseFloat(val);
-    if (!isNaN(num) && num > 0) {
-        const excelEpoch = new Date(1899, 11, 30);
-        const date = new Date(excelEpoch.getTime() + num * 24 * 60 * 60 * 1000);
-        return date.toISOString().split('T')[0];
+// ---------------------------------------------------------------------------
+// Mapping profiles
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/journal-entries-import/profiles
+ * Saved profiles, after the built-in AccuFund layout
+ */
+router.get('/profiles', asyncHandler(async (req, res) => {
+    const { rows } = await pool.query('SELECT * FROM je_import_profiles ORDER BY LOWER(name)');
+    res.json([DEFAULT_PROFILE, ...rows]);
+}));
+
+/**
+ * GET /api/journal-entries-import/profiles/:id
+ */
+router.get('/profiles/:id', asyncHandler(async (req, res) => {
+    const { rows } = await pool.query('SELECT * FROM je_import_profiles WHERE id = $1', [req.params.id]);
+    if (!rows[0]) return res.status(404).json({ error: 'Import profile not found' });
+    res.json(rows[0]);
+}));
+
+/**
+ * POST /api/journal-entries-import/profiles
+ * Body: { name, source_system, sheet_name, header_row, columns, amount_mode,
+ *         date_format, account_separator }
+ */
+router.post('/profiles', asyncHandler(async (req, res) => {
+    const error = validateProfile(req.body || {});
+    if (error) return res.status(400).json({ error });
+    const p = normalizeProfile(req.body);
+
+    try {
+        const { rows } = await pool.query(
+            `INSERT INTO je_import_profiles
+                (name, source_system, sheet_name, header_row, columns, amount_mode, date_format, account_separator, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             RETURNING *`,
+            [p.name, p.source_system, p.sheet_name, p.header_row, JSON.stringify(p.columns),
+             p.amount_mode, p.date_format, p.account_separator, req.user?.id || null]
+        );
+        res.status(201).json(rows[0]);
+    } catch (err) {
+        if (err.code === '23505') return res.status(409).json({ error: `A profile named "${p.name}" already exists` });
+        throw err;
     }
-    return null;
-}
+}));
 
-function parseAmount(val) {
-    if (!val || val === '') return 0;
-    const num = parseFloat(val);
-    return isNaN(num) ? 0 : Math.round(num * 100) / 100;
-}
+/**
+ * PUT /api/journal-entries-import/profiles/:id
+ * Partial update; the merged profile must still be complete
+ */
+router.put('/profiles/:id', asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const error = validateProfile(body, { partial: true });
+    if (error) return res.status(400).json({ error });
 
-function parseAccountNumber(accountStr) {
-    if (!accountStr) return null;
-    const parts = accountStr.trim().split(/\s+/);
-    if (parts.length < 3) return null;
-    const codeParts = parts.length >= 5 ? parts.slice(0, 4) : parts;
-    const account_code = codeParts.join(' ');
-    return {
-        entity_code: parts[0],
-        gl_code: parts[1],
-        fund_number: parts[2],
-        restriction: parts[3] || '00',
-        account_code: account_code
-    };
-}
+    const { rows: existing } = await pool.query('SELECT * FROM je_import_profiles WHERE id = $1', [req.params.id]);
+    if (!existing[0]) return res.status(404).json({ error: 'Import profile not found' });
 
-// POST /api/journal-entries-import/analyze
-router.post('/analyze', upload.single('file'), asyncHandler(async (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded' });
+    const merged = { ...existing[0] };
+    for (const field of PROFILE_COLUMNS) {
+        if (body[field] !== undefined) merged[field] = body[field];
     }
-    
-    const filePath = req.file.path;
-    
+    const mergedError = validateProfile(merged);
+    if (mergedError) return res.status(400).json({ error: mergedError });
+    const p = normalizeProfile(merged);
+
     try {
-        const rows = parseXlsx(filePath);
-        const dataRows = rows.filter(r => r.rowNum >= 4);
-        
-        // Group by JE number
-        const jeGroups = new Map();
-        
-        for (const row of dataRows) {
-            const { cells } = row;
-            if (cells.A && cells.A.startsWith('This journal entry')) continue;
-            const jeNum = cells.E;
-            if (!jeNum || !cells.H) continue;
-            
-            if (!jeGroups.has(jeNum)) {
-                jeGroups.set(jeNum, {
-                    jeNum,
-                    date: cells.A,
-                    reference: cells.F || `JE-${jeNum}`,
-                    description: cells.G || cells.F || '',
-                    lines: []
-                });
-            }
-            
-            const debit = parseAmount(cells.L);
-            const credit = parseAmount(cells.M);
-            if (debit === 0 && credit === 0) continue;
-            
-            const parsed = parseAccountNumber(cells.H);
-            if (!parsed) continue;
-            
-            jeGroups.get(jeNum).lines.push({
-                accountCode: parsed.account_code,
-                entityCode: parsed.entity_code,
-                glCode: parsed.gl_code,
-                fundNumber: parsed.fund_number,
-                accountDesc: cells.I || '',
-                debit,
-                credit
-            });
-        }
-        
-        // Check for existing entries and validate accounts
-        const results = [];
-        const client = await pool.connect();
-        
-        try {
-            for (const [jeNum, je] of jeGroups) {
-                const result = {
-                    jeNum,
-                    reference: je.reference,
-                    description: je.description,
-                    date: parseDate(je.date),
-                    lineCount: je.lines.length,
-                    totalDebits: je.lines.reduce((s, l) => s + l.debit, 0),
-                    totalCredits: je.lines.reduce((s, l) => s + l.credit, 0),
-                    status: 'ready',
-                    issues: []
-                };
-                
-                // Check if already exists
-                const existing = await client.query(
-                    'SELECT id FROM journal_entries WHERE reference_number = $1 LIMIT 1',
-                    [je.reference]
-                );
-                if (existing.rows.length > 0) {
-                    result.status = 'exists';
-                    result.issues.push('Already imported');
-                }
-                
-                // Check accounts exist
-                if (result.status === 'ready') {
-                    for (const line of je.lines) {
-                        const acc = await client.query(
-                            'SELECT id FROM accounts WHERE account_code = $1 LIMIT 1',
-                            [line.accountCode]
-                        );
-                        if (acc.rows.length === 0) {
-                            result.status = 'error';
-                            result.issues.push(`Account not found: ${line.accountCode}`);
-                            break;
-                        }
-                    }
-                }
-                
-                results.push(result);
-            }
-        } finally {
-            client.release();
-        }
-        
-        // Clean up uploaded file
-        fs.unlinkSync(filePath);
-        
-        const summary = {
-            total: results.length,
-            ready: results.filter(r => r.status === 'ready').length,
-            exists: results.filter(r => r.status === 'exists').length,
-            errors: results.filter(r => r.status === 'error').length
-        };
-        
-        res.json({ summary, entries: results });
-        
+        const { rows } = await pool.query(
+            `UPDATE je_import_profiles
+                SET name = $1, source_system = $2, sheet_name = $3, header_row = $4, columns = $5,
+                    amount_mode = $6, date_format = $7, account_separator = $8,
+                    updated_at = CURRENT_TIMESTAMP
+              WHERE id = $9
+              RETURNING *`,
+            [p.name, p.source_system, p.sheet_name, p.header_row, JSON.stringify(p.columns),
+             p.amount_mode, p.date_format, p.account_separator, req.params.id]
+        );
+        res.json(rows[0]);
     } catch (err) {
-        fs.unlinkSync(filePath);
+        if (err.code === '23505') return res.status(409).json({ error: `A profile named "${p.name}" already exists` });
         throw err;
     }
 }));
 
-// POST /api/journal-entries-import/run
+/**
+ * DELETE /api/journal-entries-import/profiles/:id
+ */
+router.delete('/profiles/:id', asyncHandler(async (req, res) => {
+    const result = await pool.query('DELETE FROM je_import_profiles WHERE id = $1', [req.params.id]);
+    if (!result.rowCount) return res.status(404).json({ error: 'Import profile not found' });
+    res.status(204).send();
+}));
+
+// ---------------------------------------------------------------------------
+// Preview and import
+// ---------------------------------------------------------------------------
+
+/**
+ * POST /api/journal-entries-import/analyze
+ * Validated preview of what /run would import.
+ * Multipart: file, plus profile_id or profile (JSON)
+ */
+router.post('/analyze', upload.single('file'), asyncHandler(async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const profile = await requestProfile(req.body);
+    const parsed = readEntries(readWorkbook(req.file.buffer), profile);
+    const entries = await validateEntries(pool, parsed.entries);
+
+    res.json({
+        profile: { id: profile.id, name: profile.name },
+        sheet: parsed.sheet,
+        sheets: parsed.sheets,
+        headers: parsed.headers,
+        summary: {
+            total: entries.length,
+            ready: entries.filter(e => e.status === 'ready').length,
+            exists: entries.filter(e => e.status === 'exists').length,
+            errors: entries.filter(e => e.status === 'error').length,
+            skippedRows: parsed.skippedRows.length
+        },
+        entries: entries.map(entrySummary),
+        skippedRows: parsed.skippedRows
+    });
+}));
+
+/**
+ * POST /api/journal-entries-import/run
+ * Imports the entries the preview marks ready; the rest are logged and left out.
+ * Multipart: file, status (Pending | Posted), plus profile_id or profile (JSON)
+ */
 router.post('/run', upload.single('file'), asyncHandler(async (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
-    
+
     const importStatus = req.body.status || 'Pending';
-    const filePath = req.file.path;
-    
+    if (!['Pending', 'Posted'].includes(importStatus)) {
+        return res.status(400).json({ error: 'status must be Pending or Posted' });
+    }
+    if (importStatus === 'Posted' && !await hasPermission(req.user, 'journal.post')) {
+        return res.status(403).json(permissionDenied('journal.post'));
+    }
+    const profile = await requestProfile(req.body);
+    const parsed = readEntries(readWorkbook(req.file.buffer), profile);
+
+    const job = await startImportJob(pool, {
+        importer: IMPORTERS.JOURNAL_ENTRIES,
+        filename: req.file.originalname,
+        content: req.file.buffer,
+        userId: req.user?.id || null,
+        totalRows: parsed.entries.length
+    });
+
+    const log = [];
+    const note = (jeNum, status, message) => {
+        log.push(`JE ${jeNum}: ${message}`);
+        logImportRow(job, { reference: jeNum, status, message });
+    };
+    let imported = 0;
+    let skipped = 0;
+    let errors = 0;
+
     try {
-        const rows = parseXlsx(filePath);
-        const dataRows = rows.filter(r => r.rowNum >= 4);
-        
-        // Group by JE number
-        const jeGroups = new Map();
-        
-        for (const row of dataRows) {
-            const { cells } = row;
-            if (cells.A && cells.A.startsWith('This journal entry')) continue;
-            const jeNum = cells.E;
-            if (!jeNum || !cells.H) continue;
-            
-            if (!jeGroups.has(jeNum)) {
-                jeGroups.set(jeNum, {
-                    jeNum,
-                    date: cells.A,
-                    reference: cells.F || `JE-${jeNum}`,
-                    description: cells.G || cells.F || '',
-                    lines: []
-                });
-            }
-            
-            const debit = parseAmount(cells.L);
-            const credit = parseAmount(cells.M);
-            if (debit === 0 && credit === 0) continue;
-            
-            const parsed = parseAccountNumber(cells.H);
-            if (!parsed) continue;
-            
-            jeGroups.get(jeNum).lines.push({
-                accountCode: parsed.account_code,
-                entityCode: parsed.entity_code,
-                glCode: parsed.gl_code,
-                fundNumber: parsed.fund_number,
-                accountDesc: cells.I || '',
-                debit,
-                credit
-            });
+        const entries = await validateEntries(pool, parsed.entries);
+        for (const skippedRow of parsed.skippedRows) {
+            logImportRow(job, { row: skippedRow.row, status: 'Skipped', message: skippedRow.reason });
         }
-        
+
         const client = await pool.connect();
-        const log = [];
-        let imported = 0;
-        let skipped = 0;
-        let errors = 0;
-        
         try {
-            for (const [jeNum, je] of jeGroups) {
-                if (je.lines.length === 0) {
-                    log.push(`JE ${jeNum}: Skipped - no line items`);
-                    skipped++;
-                    continue;
-                }
-                
-                const entryDate = parseDate(je.date);
-                if (!entryDate) {
-                    log.push(`JE ${jeNum}: Skipped - invalid date`);
-                    skipped++;
-                    continue;
-                }
-                
-                // Check if exists
-                const existing = await client.query(
-                    'SELECT id FROM journal_entries WHERE reference_number = $1 LIMIT 1',
-                    [je.reference]
-                );
-                if (existing.rows.length > 0) {
-                    log.push(`JE ${jeNum}: Skipped - already exists`);
+            for (const je of entries) {
+                if (je.status === 'exists') {
+                    note(je.key, 'Skipped', 'Skipped - already exists');
                     skipped++;
                     continue;
                 }
-                
-                // Get entity ID
-                const firstLine = je.lines[0];
-                const entityResult = await client.query(
-                    "SELECT id FROM entities WHERE code = $1 OR code LIKE $2 LIMIT 1",
-                    [firstLine.entityCode, `%${firstLine.entityCode}%`]
-                );
-                if (entityResult.rows.length === 0) {
-                    log.push(`JE ${jeNum}: Error - entity not found: ${firstLine.entityCode}`);
+                if (je.status !== 'ready') {
+                    note(je.key, 'Failed', `Error - ${je.issues.join('; ')}`);
                     errors++;
                     continue;
                 }
-                const entityId = entityResult.rows[0].id;
-                
-                // Resolve accounts and funds
-                const resolvedLines = [];
-                let hasError = false;
-                
-                for (const line of je.lines) {
-                    const accResult = await client.query(
-                        'SELECT id FROM accounts WHERE account_code = $1 LIMIT 1',
-                        [line.accountCode]
-                    );
-                    if (accResult.rows.length === 0) {
-                        log.push(`JE ${jeNum}: Error - account not found: ${line.accountCode}`);
-                        hasError = true;
-                        break;
-                    }
-                    
-                    const fundResult = await client.query(
-                        'SELECT id FROM funds WHERE fund_number = $1 LIMIT 1',
-                        [line.fundNumber]
-                    );
-                    if (fundResult.rows.length === 0) {
-                        log.push(`JE ${jeNum}: Error - fund not found: ${line.fundNumber}`);
-                        hasError = true;
-                        break;
-                    }
-                    
-                    resolvedLines.push({
-                        account_id: accResult.rows[0].id,
-                        fund_id: fundResult.rows[0].id,
-                        debit: line.debit,
-                        credit: line.credit,
-                        description: line.accountDesc
-                    });
-                }
-                
-                if (hasError) {
-                    errors++;
-                    continue;
-                }
-                
-                const totalAmount = Math.max(
-                    resolvedLines.reduce((s, l) => s + l.debit, 0),
-                    resolvedLines.reduce((s, l) => s + l.credit, 0)
-                );
-                
+
                 // Create journal entry
                 try {
                     await client.query('BEGIN');
-                    
+
                     const jeResult = await client.query(
-                        `INSERT INTO journal_entries (entity_id, entry_date, reference_number, description, total_amount, status)
-                         VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
-                        [entityId, entryDate, je.reference, je.description, totalAmount, importStatus]
+                        `INSERT INTO journal_entries (entity_id, entry_date, reference_number, description, total_amount, status, import_id)
+                         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+                        [je.entity_id, je.date, je.reference, je.description, je.total_amount, importStatus, job.id]
                     );
                     const journalEntryId = jeResult.rows[0].id;
-                    
-                    for (const line of resolvedLines) {
+                    await trackInsert(client, job, 'journal_entries', journalEntryId);
+
+                    for (const line of je.lines) {
                         await client.query(
                             `INSERT INTO journal_entry_items (journal_entry_id, account_id, fund_id, debit, credit, description)
                              VALUES ($1, $2, $3, $4, $5, $6)`,
                             [journalEntryId, line.account_id, line.fund_id, line.debit, line.credit, line.description]
                         );
                     }
-                    
+
                     await client.query('COMMIT');
-                    log.push(`JE ${jeNum}: Created (${resolvedLines.length} lines, $${totalAmount.toFixed(2)})`);
+                    note(je.key, 'Succeeded', `Created (${je.lines.length} lines, $${je.total_amount.toFixed(2)})`);
                     imported++;
                 } catch (err) {
                     await client.query('ROLLBACK');
-                    log.push(`JE ${jeNum}: Error - ${err.message}`);
+                    note(je.key, 'Failed', `Error - ${err.message}`);
                     errors++;
                 }
             }
         } finally {
             client.release();
         }
-        
-        fs.unlinkSync(filePath);
-        
-        res.json({
-            summary: { total: jeGroups.size, imported, skipped, errors },
-            log
-        });
-        
     } catch (err) {
-        fs.unlinkSync(filePath);
+        await failImportJob(pool, job, err);
         throw err;
     }
+
+    const summary = { total: parsed.entries.length, imported, skipped, errors, skippedRows: parsed.skippedRows.length };
+    await finishImportJob(pool, job, { summary, totalRows: parsed.entries.length });
+
+    res.json({
+        import_job_id: job.id,
+        summary,
+        log
+    });
 }));
 
 module.exports = router;
@@ -3,6 +3,34 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../database/connection');
 const { asyncHandler } = require('../utils/helpers');
+const { hasPermission, permissionDenied, requirePermission } = require('../middleware/permissions');
+const {
+    CLOSING_ENTRY_TYPE,
+    POSTED_ENTRY_ERROR,
+    REVERSAL_ENTRY_TYPE,
+    isPostedEntry,
+    isYmd
+} = require('../utils/ledger');
+const {
+    closedPeriodMessage,
+    findClosedPeriod,
+    findClosedPeriodForEntry
+} = require('../utils/period-lock');
+const { isTransferEntry, transferEntryError } = require('../utils/inter-entity');
+
+// Returns the entry when it exists and is posted, else null
+async function findPostedEntry(db, id) {
+    const { rows } = await db.query('SELECT * FROM journal_entries WHERE id = $1', [id]);
+    return rows[0] && isPostedEntry(rows[0]) ? rows[0] : null;
+}
+
+async function logEntryAudit(db, { journalEntryId, action, relatedEntryId = null, reason = null, userId = null }) {
+    await db.query(
+        `INSERT INTO journal_entry_audit_log (journal_entry_id, action, related_entry_id, reason, user_id)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [journalEntryId, action, relatedEntryId, reason, userId]
+    );
+}
 
 // Schema guard: check if a table has a column
 async function hasColumn(db, table, column) {
@@ -462,6 +490,16 @@ router.post('/', asyncHandler(async (req, res) => {
         return res.status(400).json({ error: 'Entry date is required' });
     }
 
+    // Entries are saved as Posted unless another status is given
+    if (isPostedEntry({ status: status || 'Posted' }) && !await hasPermission(req.user, 'journal.post')) {
+        return res.status(403).json(permissionDenied('journal.post'));
+    }
+
+    const closedPeriod = await findClosedPeriod(pool, [entity_id, target_entity_id], entry_date);
+    if (closedPeriod) {
+        return res.status(409).json({ error: closedPeriodMessage(closedPeriod) });
+    }
+
     const hasLines = Array.isArray(lines) && lines.length > 0;
 
     // When lines are provided, validate debits == credits (only for Posted entries)
@@ -683,12 +721,30 @@ router.put('/:id', asyncHandler(async (req, res) => {
     if (!entry_date) {
         return res.status(400).json({ error: 'Entry date is required' });
     }
+
+    if (isPostedEntry({ status }) && !await hasPermission(req.user, 'journal.post')) {
+        return res.status(403).json(permissionDenied('journal.post'));
+    }
     
     // Check if journal entry exists
-    const entryCheck = await pool.query('SELECT id FROM journal_entries WHERE id = $1', [id]);
+    const entryCheck = await pool.query('SELECT * FROM journal_entries WHERE id = $1', [id]);
     if (entryCheck.rows.length === 0) {
         return res.status(404).json({ error: 'Journal entry not found' });
     }
+
+    if (await findPostedEntry(pool, id)) {
+        return res.status(409).json(POSTED_ENTRY_ERROR);
+    }
+    if (isTransferEntry(entryCheck.rows[0])) {
+        return res.status(409).json(transferEntryError(entryCheck.rows[0]));
+    }
+
+    // Neither the entry's current period nor the one it is moved into may be closed
+    const closedPeriod = await findClosedPeriodForEntry(pool, id)
+        || await findClosedPeriod(pool, [entity_id, target_entity_id], entry_date);
+    if (closedPeriod) {
+        return res.status(409).json({ error: closedPeriodMessage(closedPeriod) });
+    }
     
     // Introspect columns and build dynamic UPDATE
     const jeHas = {
@@ -775,12 +831,27 @@ router.delete('/:id/items', asyncHandler(async (req, res) => {
         );
 
         // If no entry, 404
-        const check = await client.query('SELECT id FROM journal_entries WHERE id = $1', [id]);
+        const check = await client.query('SELECT * FROM journal_entries WHERE id = $1', [id]);
         if (check.rows.length === 0) {
             await client.query('ROLLBACK');
             return res.status(404).json({ error: 'Journal entry not found' });
         }
 
+        if (await findPostedEntry(client, id)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json(POSTED_ENTRY_ERROR);
+        }
+        if (isTransferEntry(check.rows[0])) {
+            await client.query('ROLLBACK');
+            return res.status(409).json(transferEntryError(check.rows[0]));
+        }
+
+        const closedPeriod = await findClosedPeriodForEntry(client, id);
+        if (closedPeriod) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: closedPeriodMessage(closedPeriod) });
+        }
+
         // Reverse balances for existing lines
         for (const line of existing) {
             if (line.debit && line.debit > 0) {
@@ -825,12 +896,23 @@ router.post('/:id/items', asyncHandler(async (req, res) => {
     }
 
     // Check entry status - skip balance validation for Pending entries
-    const entryResult = await pool.query('SELECT status FROM journal_entries WHERE id = $1', [id]);
+    const entryResult = await pool.query('SELECT * FROM journal_entries WHERE id = $1', [id]);
     if (entryResult.rows.length === 0) {
         return res.status(404).json({ error: 'Journal entry not found' });
     }
+    if (isPostedEntry(entryResult.rows[0])) {
+        return res.status(409).json(POSTED_ENTRY_ERROR);
+    }
+    if (isTransferEntry(entryResult.rows[0])) {
+        return res.status(409).json(transferEntryError(entryResult.rows[0]));
+    }
     const entryStatus = (entryResult.rows[0].status || '').toString().toLowerCase();
 
+    const closedPeriod = await findClosedPeriodForEntry(pool, id);
+    if (closedPeriod) {
+        return res.status(409).json({ error: closedPeriodMessage(closedPeriod) });
+    }
+
     // Validate balanced (only for non-Pending entries)
     let totalDebits = 0;
     let totalCredits = 0;
@@ -937,14 +1019,26 @@ router.post('/:id/items', asyncHandler(async (req, res) => {
  * Marks a journal entry as Posted (schema-aware: uses status or posted boolean)
  * Validates that debits equal credits before posting
  */
-router.post('/:id/post', asyncHandler(async (req, res) => {
+router.post('/:id/post', requirePermission('journal.post'), asyncHandler(async (req, res) => {
     const { id } = req.params;
 
     // Ensure entry exists
-    const exists = await pool.query('SELECT id FROM journal_entries WHERE id = $1', [id]);
+    const exists = await pool.query('SELECT * FROM journal_entries WHERE id = $1', [id]);
     if (exists.rows.length === 0) {
         return res.status(404).json({ error: 'Journal entry not found' });
     }
+    if (isTransferEntry(exists.rows[0])) {
+        return res.status(409).json(transferEntryError(exists.rows[0]));
+    }
+    // The draft closing entry is posted by finalizing the year-end close
+    if (exists.rows[0].entry_type === CLOSING_ENTRY_TYPE) {
+        return res.status(409).json({ error: 'Year-end closing entries are managed through /api/year-end-close' });
+    }
+
+    const closedPeriod = await findClosedPeriodForEntry(pool, id);
+    if (closedPeriod) {
+        return res.status(409).json({ error: closedPeriodMessage(closedPeriod) });
+    }
 
     // Validate balance before posting - debits must equal credits
     const jeiCols = await getJeiCoreCols(pool);
@@ -996,9 +1090,222 @@ router.post('/:id/post', asyncHandler(async (req, res) => {
     res.json(rows[0]);
 }));
 
+/**
+ * POST /api/journal-entries/:id/reverse
+ * Creates a posted reversing entry (debits and credits swapped) linked to the
+ * original through reversal_of_id. The original stays posted.
+ * Body: reversal_date (YYYY-MM-DD, on/after the original entry date),
+ *       description (optional), reason (optional)
+ */
+router.post('/:id/reverse', requirePermission('journal.post'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { reversal_date, description, reason } = req.body || {};
+    const userId = req.user && req.user.id ? req.user.id : null;
+
+    if (!isYmd(reversal_date)) {
+        return res.status(400).json({ error: 'reversal_date is required (YYYY-MM-DD)' });
+    }
+    if (!await hasColumn(pool, 'journal_entries', 'reversal_of_id')) {
+        return res.status(400).json({ error: 'Reversal not supported: missing journal_entries.reversal_of_id column' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows } = await client.query(
+            `SELECT *, to_char(entry_date, 'YYYY-MM-DD') AS entry_ymd
+               FROM journal_entries WHERE id = $1 FOR UPDATE`,
+            [id]
+        );
+        if (!rows.length) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Journal entry not found' });
+        }
+        const original = rows[0];
+
+        if (!isPostedEntry(original)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'Only posted journal entries can be reversed; edit or delete the unposted entry instead' });
+        }
+        if (isTransferEntry(original)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json(transferEntryError(original));
+        }
+        if (original.entry_type === CLOSING_ENTRY_TYPE) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'Year-end closing entries are managed through /api/year-end-close' });
+        }
+        const existing = await client.query('SELECT id FROM journal_entries WHERE reversal_of_id = $1', [id]);
+        if (existing.rows.length) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'Journal entry has already been reversed', reversal_entry_id: existing.rows[0].id });
+        }
+        if (reversal_date < original.entry_ymd) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `reversal_date cannot be before the original entry date (${original.entry_ymd})` });
+        }
+
+        const closedPeriod = await findClosedPeriod(client, [original.entity_id, original.target_entity_id], reversal_date);
+        if (closedPeriod) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: closedPeriodMessage(closedPeriod) });
+        }
+
+        const reference = `REV-${original.reference_number || original.id}`.slice(0, 50);
+        const { rows: revRows } = await client.query(
+            `INSERT INTO journal_entries
+                 (entity_id, target_entity_id, entry_date, reference_number, description, total_amount,
+                  status, is_inter_entity, entry_type, entry_mode, created_by, reversal_of_id)
+             VALUES ($1, $2, $3, $4, $5, $6, 'Posted', $7, $8, 'Manual', $9, $10)
+             RETURNING *`,
+            [
+                original.entity_id,
+                original.target_entity_id,
+                reversal_date,
+                reference,
+                description || `Reversal of ${original.reference_number || original.id}${original.description ? ` – ${original.description}` : ''}`,
+                original.total_amount,
+                !!original.is_inter_entity,
+                REVERSAL_ENTRY_TYPE,
+                userId,
+                id
+            ]
+        );
+        const reversal = revRows[0];
+
+        const jeiCols = await getJeiCoreCols(client);
+        const { rows: lines } = await client.query(
+            `SELECT * FROM journal_entry_items WHERE ${jeiCols.jeRef} = $1 ORDER BY id`,
+            [id]
+        );
+        for (const line of lines) {
+            const debit = Number(line[jeiCols.creditCol] || 0);
+            const credit = Number(line[jeiCols.debitCol] || 0);
+            const cols = [jeiCols.jeRef, jeiCols.accRef, jeiCols.fundRef, jeiCols.debitCol, jeiCols.creditCol];
+            const vals = [reversal.id, line[jeiCols.accRef], line[jeiCols.fundRef], debit, credit];
+            if (await hasColumn(client, 'journal_entry_items', jeiCols.descCol)) {
+                cols.push(jeiCols.descCol);
+                vals.push(line[jeiCols.descCol] || '');
+            }
+            const ph = vals.map((_, i) => `$${i + 1}`).join(',');
+            await client.query(`INSERT INTO journal_entry_items (${cols.join(',')}) VALUES (${ph})`, vals);
+
+            if (debit > 0) {
+                await maybeUpdateAccountBalance(client, line[jeiCols.accRef], debit);
+                await maybeUpdateFundBalance(client, line[jeiCols.fundRef], debit, line[jeiCols.accRef]);
+            }
+            if (credit > 0) {
+                await maybeUpdateAccountBalance(client, line[jeiCols.accRef], -credit);
+                await maybeUpdateFundBalance(client, line[jeiCols.fundRef], -credit, line[jeiCols.accRef]);
+            }
+        }
+
+        await logEntryAudit(client, {
+            journalEntryId: id,
+            action: 'Reverse',
+            relatedEntryId: reversal.id,
+            reason: reason || null,
+            userId
+        });
+
+        await client.query('COMMIT');
+        res.status(201).json({ ...reversal, line_count: lines.length });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}));
+
+/**
+ * POST /api/journal-entries/:id/unpost
+ * Returns a posted entry to Draft so it can be corrected. Requires
+ * journal.unpost (held by admins unless granted to another role); the
+ * reason is recorded. Entries that were reversed, reversing entries and
+ * year-end closing entries cannot be unposted.
+ * Body: reason (required)
+ */
+router.post('/:id/unpost', requirePermission('journal.unpost'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+    const userId = req.user && req.user.id ? req.user.id : null;
+
+    if (!reason || !String(reason).trim()) {
+        return res.status(400).json({ error: 'reason is required' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows } = await client.query('SELECT * FROM journal_entries WHERE id = $1 FOR UPDATE', [id]);
+        if (!rows.length) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Journal entry not found' });
+        }
+        const entry = rows[0];
+
+        if (!isPostedEntry(entry)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'Journal entry is not posted' });
+        }
+        if (isTransferEntry(entry)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json(transferEntryError(entry));
+        }
+        if (entry.entry_type === CLOSING_ENTRY_TYPE) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'Year-end closing entries are managed through /api/year-end-close' });
+        }
+        if (entry.reversal_of_id) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'Reversing entries cannot be unposted' });
+        }
+        const reversed = await client.query('SELECT id FROM journal_entries WHERE reversal_of_id = $1', [id]);
+        if (reversed.rows.length) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'Journal entry has been reversed and cannot be unposted', reversal_entry_id: reversed.rows[0].id });
+        }
+
+        const closedPeriod = await findClosedPeriodForEntry(client, id);
+        if (closedPeriod) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: closedPeriodMessage(closedPeriod) });
+        }
+
+        if (await hasColumn(client, 'journal_entries', 'status')) {
+            await client.query(`UPDATE journal_entries SET status = 'Draft', updated_at = NOW() WHERE id = $1`, [id]);
+        }
+        if (await hasColumn(client, 'journal_entries', 'posted')) {
+            await client.query('UPDATE journal_entries SET posted = FALSE WHERE id = $1', [id]);
+        }
+
+        await logEntryAudit(client, {
+            journalEntryId: id,
+            action: 'Unpost',
+            reason: String(reason).trim(),
+            userId
+        });
+
+        await client.query('COMMIT');
+
+        const { rows: out } = await pool.query('SELECT * FROM journal_entries WHERE id = $1', [id]);
+        res.json(out[0]);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}));
+
 /**
  * DELETE /api/journal-entries/:id
- * Deletes a journal entry and its lines
+ * Deletes an unposted journal entry and its lines. Posted entries must be
+ * reversed instead; inter-entity transfer entries are deleted in pairs through
+ * /api/inter-entity-transfers.
  */
 router.delete('/:id', asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -1007,6 +1314,22 @@ router.delete('/:id', asyncHandler(async (req, res) => {
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
+
+        if (await findPostedEntry(client, id)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json(POSTED_ENTRY_ERROR);
+        }
+        const { rows: entryRows } = await client.query('SELECT * FROM journal_entries WHERE id = $1', [id]);
+        if (isTransferEntry(entryRows[0])) {
+            await client.query('ROLLBACK');
+            return res.status(409).json(transferEntryError(entryRows[0]));
+        }
+
+        const closedPeriod = await findClosedPeriodForEntry(client, id);
+        if (closedPeriod) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: closedPeriodMessage(closedPeriod) });
+        }
         
         // Get the journal entry lines to reverse account and fund balances (schema-aware)
         const jeiCols = await getJeiCoreCols(client);
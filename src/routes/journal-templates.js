@@ -0,0 +1,807 @@
+// src/routes/journal-templates.js
+//
+// Journal entry templates for entries that are booked repeatedly (rent,
+// depreciation, payroll accruals). A template can be saved from an existing
+// entry and scheduled Monthly, Quarterly or Annually until an end date or a
+// number of occurrences. Occurrence dates are always computed from start_date
+// so month-end schedules do not drift (Jan 31, Feb 28, Mar 31, ...).
+// Auto-reversing templates also post a linked reversing entry on the first
+// day of the next fiscal period.
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../database/connection');
+const { asyncHandler } = require('../utils/helpers');
+const { requirePermission } = require('../middleware/permissions');
+const {
+    CLOSING_ENTRY_TYPE,
+    REVERSAL_ENTRY_TYPE,
+    round2,
+    addMonths,
+    dayAfter,
+    fiscalPeriodFor,
+    isYmd
+} = require('../utils/ledger');
+const { closedPeriodMessage, findClosedPeriod } = require('../utils/period-lock');
+
+/** journal_entries.entry_type of entries generated from a template */
+const RECURRING_ENTRY_TYPE = 'Recurring';
+
+const FREQUENCY_MONTHS = { Monthly: 1, Quarterly: 3, Annually: 12 };
+const SETTABLE_STATUSES = ['Active', 'Paused'];
+
+// Upper bound on occurrences generated per template in one request
+const MAX_OCCURRENCES_PER_RUN = 120;
+
+const TEMPLATE_COLUMNS = `
+    t.id, t.entity_id, t.target_entity_id, t.name, t.description, t.reference_prefix,
+    t.frequency,
+    to_char(t.start_date, 'YYYY-MM-DD') AS start_date,
+    to_char(t.end_date, 'YYYY-MM-DD')   AS end_date,
+    t.max_occurrences, t.occurrences_generated, t.auto_reverse, t.status,
+    t.source_journal_entry_id, t.created_by, t.created_at, t.updated_at,
+    e.name AS entity_name,
+    COALESCE(e.fiscal_year_start, '01-01') AS fiscal_year_start`;
+
+const todayYmd = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Normalize a frequency value ('monthly', 'QUARTERLY', ...)
+ * @param {*} v - Raw value
+ * @returns {string|null|undefined} Canonical frequency, null when empty,
+ *   undefined when invalid
+ */
+function normalizeFrequency(v) {
+    if (v === undefined || v === null || String(v).trim() === '') return null;
+    const s = String(v).trim().toLowerCase();
+    if (s.startsWith('month')) return 'Monthly';
+    if (s.startsWith('quarter')) return 'Quarterly';
+    if (s.startsWith('annual') || s.startsWith('year')) return 'Annually';
+    return undefined;
+}
+
+/**
+ * Date of the n-th occurrence (0-based) of a scheduled template
+ * @param {Object} template - Template row
+ * @param {number} n - Occurrence index
+ * @returns {string} YYYY-MM-DD
+ */
+function occurrenceDate(template, n) {
+    return addMonths(template.start_date, n * FREQUENCY_MONTHS[template.frequency]);
+}
+
+/**
+ * Date of the occurrence after `generated` occurrences, or null when the
+ * schedule has ended (end date or occurrence count reached)
+ * @param {Object} template - Template row
+ * @param {number} generated - Occurrences already generated
+ * @returns {string|null} YYYY-MM-DD or null
+ */
+function scheduledDate(template, generated) {
+    if (!template.frequency || !template.start_date) return null;
+    if (template.max_occurrences && generated >= Number(template.max_occurrences)) return null;
+    const date = occurrenceDate(template, generated);
+    if (template.end_date && date > template.end_date) return null;
+    return date;
+}
+
+/**
+ * Reversal date of an auto-reversing occurrence: the first day of the fiscal
+ * period after the one containing the entry date
+ * @param {string} fiscalYearStart - Entity fiscal_year_start ('MM-DD')
+ * @param {string} entryDate - Occurrence date
+ * @returns {string} YYYY-MM-DD
+ */
+function reversalDateFor(fiscalYearStart, entryDate) {
+    const period = fiscalPeriodFor(fiscalYearStart, entryDate);
+    return dayAfter(period.end);
+}
+
+/**
+ * Upcoming occurrences of a template
+ * @param {Object} template - Template row (with fiscal_year_start)
+ * @param {Object} opts - { count, through }
+ * @returns {Object[]} { occurrence_number, entry_date, reversal_date }
+ */
+function upcomingOccurrences(template, { count = 12, through = null } = {}) {
+    const out = [];
+    if (template.status !== 'Active') return out;
+    let n = Number(template.occurrences_generated || 0);
+    while (out.length < count) {
+        const date = scheduledDate(template, n);
+        if (!date || (through && date > through)) break;
+        out.push({
+            occurrence_number: n + 1,
+            entry_date: date,
+            reversal_date: template.auto_reverse ? reversalDateFor(template.fiscal_year_start, date) : null
+        });
+        n++;
+    }
+    return out;
+}
+
+/**
+ * Decorate a template row with its totals and next occurrence
+ * @param {Object} template - Template row
+ * @param {Object[]} [lines] - Template lines
+ * @returns {Object} Template for the API response
+ */
+function presentTemplate(template, lines) {
+    const next = upcomingOccurrences(template, { count: 1 })[0] || null;
+    const out = {
+        ...template,
+        next_occurrence_date: next ? next.entry_date : null,
+        next_reversal_date: next ? next.reversal_date : null
+    };
+    if (lines) {
+        out.lines = lines;
+        out.total_debits = round2(lines.reduce((s, l) => s + Number(l.debit || 0), 0));
+        out.total_credits = round2(lines.reduce((s, l) => s + Number(l.credit || 0), 0));
+    }
+    return out;
+}
+
+/**
+ * Validate template lines: each line has an account, a fund and one positive
+ * side, and the lines balance
+ * @param {Object[]} lines - Raw lines
+ * @returns {Object} { error } or { lines }
+ */
+function validateLines(lines) {
+    if (!Array.isArray(lines) || lines.length < 2) {
+        return { error: 'At least two lines are required' };
+    }
+    const out = [];
+    let debits = 0;
+    let credits = 0;
+    for (let i = 0; i < lines.length; i++) {
+        const l = lines[i] || {};
+        const debit = round2(l.debit);
+        const credit = round2(l.credit);
+        if (!l.account_id) return { error: `Line ${i + 1}: account_id is required` };
+        if (!l.fund_id) return { error: `Line ${i + 1}: fund_id is required` };
+        if (debit < 0 || credit < 0) return { error: `Line ${i + 1}: amounts cannot be negative` };
+        if ((debit > 0) === (credit > 0)) {
+            return { error: `Line ${i + 1}: enter either a debit or a credit` };
+        }
+        debits += debit;
+        credits += credit;
+        out.push({
+            account_id: l.account_id,
+            fund_id: l.fund_id,
+            description: l.description || null,
+            debit,
+            credit
+        });
+    }
+    if (round2(debits) !== round2(credits)) {
+        return { error: `Lines do not balance (debits ${round2(debits)}, credits ${round2(credits)})` };
+    }
+    return { lines: out };
+}
+
+/**
+ * Validate and normalize the schedule fields of a create/update body.
+ * Fields missing from the body fall back to `current`.
+ * @param {Object} body - Request body
+ * @param {Object} [current] - Existing template
+ * @returns {Object} { error } or { fields }
+ */
+function validateSchedule(body, current = {}) {
+    const pick = (k) => (body[k] !== undefined ? body[k] : current[k]);
+
+    const frequency = normalizeFrequency(pick('frequency'));
+    if (frequency === undefined) return { error: 'frequency must be Monthly, Quarterly or Annually' };
+
+    const startDate = pick('start_date') || null;
+    const endDate = pick('end_date') || null;
+    if (startDate && !isYmd(startDate)) return { error: 'start_date must be YYYY-MM-DD' };
+    if (endDate && !isYmd(endDate)) return { error: 'end_date must be YYYY-MM-DD' };
+    if (frequency && !startDate) return { error: 'start_date is required for a recurring template' };
+    if (startDate && endDate && endDate < startDate) return { error: 'end_date cannot be before start_date' };
+
+    const rawMax = pick('max_occurrences');
+    const maxOccurrences = rawMax === null || rawMax === undefined || rawMax === '' ? null : Number(rawMax);
+    if (maxOccurrences !== null && (!Number.isInteger(maxOccurrences) || maxOccurrences < 1)) {
+        return { error: 'max_occurrences must be a positive whole number' };
+    }
+
+    const prefix = String(pick('reference_prefix') || 'REC').trim().slice(0, 20) || 'REC';
+    // Completed is derived from the schedule; callers can only pause or resume
+    if (body.status !== undefined && !SETTABLE_STATUSES.includes(body.status)) {
+        return { error: `status must be one of ${SETTABLE_STATUSES.join(', ')}` };
+    }
+    const status = pick('status') || 'Active';
+
+    return {
+        fields: {
+            frequency,
+            start_date: startDate,
+            end_date: endDate,
+            max_occurrences: maxOccurrences,
+            reference_prefix: prefix,
+            auto_reverse: pick('auto_reverse') === true || pick('auto_reverse') === 'true',
+            status
+        }
+    };
+}
+
+/**
+ * Status after a schedule change: an Active template with nothing left to
+ * generate is Completed, and a Completed one whose schedule was extended is
+ * Active again
+ * @param {Object} template - Template with schedule fields and occurrences_generated
+ * @returns {string} Status
+ */
+function resolveStatus(template) {
+    if (template.status === 'Paused') return 'Paused';
+    if (!template.frequency) return 'Active';
+    return scheduledDate(template, Number(template.occurrences_generated || 0)) ? 'Active' : 'Completed';
+}
+
+async function loadTemplate(db, id, { forUpdate = false } = {}) {
+    const { rows } = await db.query(
+        `SELECT ${TEMPLATE_COLUMNS}
+           FROM journal_templates t
+           JOIN entities e ON e.id = t.entity_id
+          WHERE t.id = $1
+          ${forUpdate ? 'FOR UPDATE OF t' : ''}`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+async function loadLines(db, templateId) {
+    const { rows } = await db.query(
+        `SELECT l.id, l.line_number, l.account_id, l.fund_id, l.description, l.debit, l.credit,
+                a.account_code, a.description AS account_description,
+                f.fund_number, f.fund_name
+           FROM journal_template_lines l
+           JOIN accounts a ON a.id = l.account_id
+           LEFT JOIN funds f ON f.id = l.fund_id
+          WHERE l.template_id = $1
+          ORDER BY l.line_number`,
+        [templateId]
+    );
+    return rows.map(r => ({ ...r, debit: round2(r.debit), credit: round2(r.credit) }));
+}
+
+async function replaceLines(db, templateId, lines) {
+    await db.query('DELETE FROM journal_template_lines WHERE template_id = $1', [templateId]);
+    for (let i = 0; i < lines.length; i++) {
+        const l = lines[i];
+        await db.query(
+            `INSERT INTO journal_template_lines (template_id, line_number, account_id, fund_id, description, debit, credit)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [templateId, i + 1, l.account_id, l.fund_id, l.description, l.debit, l.credit]
+        );
+    }
+}
+
+/**
+ * Insert a new template with its lines
+ * @param {Object} db - pg client inside a transaction
+ * @param {Object} data - { entity_id, target_entity_id, name, description, fields, lines, source_journal_entry_id, userId }
+ * @returns {Promise<string>} Template id
+ */
+async function insertTemplate(db, data) {
+    const f = data.fields;
+    const status = resolveStatus({ ...f, occurrences_generated: 0 });
+    const { rows } = await db.query(
+        `INSERT INTO journal_templates
+             (entity_id, target_entity_id, name, description, reference_prefix, frequency,
+              start_date, end_date, max_occurrences, auto_reverse, status,
+              source_journal_entry_id, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         RETURNING id`,
+        [
+            data.entity_id, data.target_entity_id || null, data.name, data.description || null,
+            f.reference_prefix, f.frequency, f.start_date, f.end_date, f.max_occurrences,
+            f.auto_reverse, status, data.source_journal_entry_id || null, data.userId
+        ]
+    );
+    await replaceLines(db, rows[0].id, data.lines);
+    return rows[0].id;
+}
+
+/**
+ * Post one journal entry (and its lines) generated from a template
+ * @returns {Promise<string>} Journal entry id
+ */
+async function insertGeneratedEntry(db, template, lines, { entryDate, reference, description, entryType, reversalOfId, swap, userId }) {
+    const total = round2(lines.reduce((s, l) => s + Number(l.debit || 0), 0));
+    const { rows } = await db.query(
+        `INSERT INTO journal_entries
+             (entity_id, target_entity_id, entry_date, reference_number, description, total_amount,
+              status, is_inter_entity, entry_type, entry_mode, created_by, reversal_of_id)
+         VALUES ($1, $2, $3, $4, $5, $6, 'Posted', $7, $8, 'Auto', $9, $10)
+         RETURNING id`,
+        [
+            template.entity_id, template.target_entity_id, entryDate, reference.slice(0, 50),
+            description, total, !!template.target_entity_id, entryType, userId, reversalOfId || null
+        ]
+    );
+    const journalEntryId = rows[0].id;
+    for (const l of lines) {
+        await db.query(
+            `INSERT INTO journal_entry_items (journal_entry_id, account_id, fund_id, description, debit, credit)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [journalEntryId, l.account_id, l.fund_id, l.description,
+                swap ? l.credit : l.debit, swap ? l.debit : l.credit]
+        );
+    }
+    return journalEntryId;
+}
+
+/**
+ * Generate the next due occurrence of a template in its own transaction.
+ * @param {string} templateId - Template UUID
+ * @param {string} asOf - Generate occurrences dated on/before this date
+ * @param {string|null} userId - Acting user
+ * @returns {Promise<Object|null>} { run } when an entry was generated,
+ *   { error } when the occurrence could not be booked, null when nothing is due
+ */
+async function generateNextOccurrence(templateId, asOf, userId) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const template = await loadTemplate(client, templateId, { forUpdate: true });
+        if (!template || template.status !== 'Active') {
+            await client.query('ROLLBACK');
+            return null;
+        }
+        const generated = Number(template.occurrences_generated || 0);
+        const entryDate = scheduledDate(template, generated);
+        if (!entryDate || entryDate > asOf) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+        const reversalDate = template.auto_reverse
+            ? reversalDateFor(template.fiscal_year_start, entryDate)
+            : null;
+
+        const entityIds = [template.entity_id, template.target_entity_id];
+        for (const date of [entryDate, reversalDate].filter(Boolean)) {
+            const closed = await findClosedPeriod(client, entityIds, date);
+            if (closed) {
+                await client.query('ROLLBACK');
+                return { error: closedPeriodMessage(closed), occurrence_date: entryDate };
+            }
+        }
+
+        const lines = await loadLines(client, template.id);
+        const check = validateLines(lines);
+        if (check.error) {
+            await client.query('ROLLBACK');
+            return { error: `Template lines are invalid: ${check.error}`, occurrence_date: entryDate };
+        }
+
+        const reference = `${template.reference_prefix}-${entryDate.replace(/-/g, '')}`;
+        const description = template.description || template.name;
+
+        const journalEntryId = await insertGeneratedEntry(client, template, lines, {
+            entryDate,
+            reference,
+            description,
+            entryType: RECURRING_ENTRY_TYPE,
+            userId
+        });
+
+        let reversalEntryId = null;
+        if (reversalDate) {
+            reversalEntryId = await insertGeneratedEntry(client, template, lines, {
+                entryDate: reversalDate,
+                reference: `REV-${reference}`,
+                description: `Reversal of ${reference} – ${description}`,
+                entryType: REVERSAL_ENTRY_TYPE,
+                reversalOfId: journalEntryId,
+                swap: true,
+                userId
+            });
+        }
+
+        const { rows: runRows } = await client.query(
+            `INSERT INTO journal_template_runs (template_id, occurrence_date, journal_entry_id, reversal_entry_id, created_by)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING id, template_id, to_char(occurrence_date, 'YYYY-MM-DD') AS occurrence_date,
+                       journal_entry_id, reversal_entry_id`,
+            [template.id, entryDate, journalEntryId, reversalEntryId, userId]
+        );
+
+        const next = { ...template, occurrences_generated: generated + 1 };
+        await client.query(
+            `UPDATE journal_templates
+                SET occurrences_generated = $2, status = $3, updated_at = NOW()
+              WHERE id = $1`,
+            [template.id, generated + 1, resolveStatus(next)]
+        );
+
+        await client.query('COMMIT');
+        return {
+            run: {
+                ...runRows[0],
+                template_name: template.name,
+                reference_number: reference,
+                reversal_date: reversalDate
+            }
+        };
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * GET /api/journal-templates
+ * Lists templates with their next occurrence.
+ * Optional filters: entity_id, status
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const { entity_id, status } = req.query;
+    const conds = [];
+    const params = [];
+    if (entity_id) {
+        params.push(entity_id);
+        conds.push(`t.entity_id = $${params.length}`);
+    }
+    if (status) {
+        params.push(status);
+        conds.push(`t.status = $${params.length}`);
+    }
+    const { rows } = await pool.query(
+        `SELECT ${TEMPLATE_COLUMNS},
+                COALESCE((SELECT SUM(l.debit) FROM journal_template_lines l WHERE l.template_id = t.id), 0) AS total_amount
+           FROM journal_templates t
+           JOIN entities e ON e.id = t.entity_id
+          ${conds.length ? `WHERE ${conds.join(' AND ')}` : ''}
+          ORDER BY t.name`,
+        params
+    );
+    res.json(rows.map(r => ({ ...presentTemplate(r), total_amount: round2(r.total_amount) })));
+}));
+
+/**
+ * GET /api/journal-templates/upcoming
+ * Upcoming occurrences of all active templates, in date order.
+ * Query params: through (default three months from today), entity_id
+ */
+router.get('/upcoming', asyncHandler(async (req, res) => {
+    const through = req.query.through || addMonths(todayYmd(), 3);
+    if (!isYmd(through)) return res.status(400).json({ error: 'through must be YYYY-MM-DD' });
+
+    const params = [];
+    let where = `WHERE t.status = 'Active' AND t.frequency IS NOT NULL`;
+    if (req.query.entity_id) {
+        params.push(req.query.entity_id);
+        where += ` AND t.entity_id = $1`;
+    }
+    const { rows } = await pool.query(
+        `SELECT ${TEMPLATE_COLUMNS},
+                COALESCE((SELECT SUM(l.debit) FROM journal_template_lines l WHERE l.template_id = t.id), 0) AS total_amount
+           FROM journal_templates t
+           JOIN entities e ON e.id = t.entity_id
+          ${where}`,
+        params
+    );
+
+    const today = todayYmd();
+    const occurrences = [];
+    for (const t of rows) {
+        for (const o of upcomingOccurrences(t, { count: MAX_OCCURRENCES_PER_RUN, through })) {
+            occurrences.push({
+                template_id: t.id,
+                template_name: t.name,
+                entity_id: t.entity_id,
+                entity_name: t.entity_name,
+                frequency: t.frequency,
+                amount: round2(t.total_amount),
+                due: o.entry_date <= today,
+                ...o
+            });
+        }
+    }
+    occurrences.sort((a, b) => a.entry_date.localeCompare(b.entry_date) || a.template_name.localeCompare(b.template_name));
+    res.json({ through, occurrences });
+}));
+
+/**
+ * GET /api/journal-templates/:id
+ * Returns a template with its lines, generated occurrences and next
+ * scheduled occurrences
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+    const template = await loadTemplate(pool, req.params.id);
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+
+    const lines = await loadLines(pool, template.id);
+    const { rows: runs } = await pool.query(
+        `SELECT r.id, to_char(r.occurrence_date, 'YYYY-MM-DD') AS occurrence_date,
+                r.journal_entry_id, je.reference_number, je.status,
+                r.reversal_entry_id, to_char(rev.entry_date, 'YYYY-MM-DD') AS reversal_date,
+                r.created_at
+           FROM journal_template_runs r
+           LEFT JOIN journal_entries je  ON je.id  = r.journal_entry_id
+           LEFT JOIN journal_entries rev ON rev.id = r.reversal_entry_id
+          WHERE r.template_id = $1
+          ORDER BY r.occurrence_date DESC`,
+        [template.id]
+    );
+    res.json({
+        ...presentTemplate(template, lines),
+        runs,
+        upcoming: upcomingOccurrences(template, { count: 6 })
+    });
+}));
+
+/**
+ * GET /api/journal-templates/:id/preview
+ * Preview of the template's upcoming occurrences (dates only, nothing saved).
+ * Query params: count (default 12, max 120), through (YYYY-MM-DD, optional)
+ */
+router.get('/:id/preview', asyncHandler(async (req, res) => {
+    const template = await loadTemplate(pool, req.params.id);
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    if (!template.frequency) return res.status(400).json({ error: 'Template is not scheduled as recurring' });
+
+    const count = Math.min(Math.max(parseInt(req.query.count, 10) || 12, 1), MAX_OCCURRENCES_PER_RUN);
+    const through = req.query.through || null;
+    if (through && !isYmd(through)) return res.status(400).json({ error: 'through must be YYYY-MM-DD' });
+
+    const lines = await loadLines(pool, template.id);
+    res.json({
+        ...presentTemplate(template, lines),
+        occurrences: upcomingOccurrences(template, { count, through })
+    });
+}));
+
+/**
+ * POST /api/journal-templates
+ * Creates a template.
+ * Body: entity_id, target_entity_id (optional), name, description,
+ *       reference_prefix, frequency (Monthly/Quarterly/Annually, optional),
+ *       start_date, end_date, max_occurrences, auto_reverse,
+ *       lines: [{ account_id, fund_id, description, debit, credit }]
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    if (!body.entity_id) return res.status(400).json({ error: 'entity_id is required' });
+    if (!body.name || !String(body.name).trim()) return res.status(400).json({ error: 'name is required' });
+
+    const schedule = validateSchedule(body);
+    if (schedule.error) return res.status(400).json({ error: schedule.error });
+    const lineCheck = validateLines(body.lines);
+    if (lineCheck.error) return res.status(400).json({ error: lineCheck.error });
+
+    const client = await pool.connect();
+    let id;
+    try {
+        await client.query('BEGIN');
+        id = await insertTemplate(client, {
+            entity_id: body.entity_id,
+            target_entity_id: body.target_entity_id,
+            name: String(body.name).trim(),
+            description: body.description,
+            fields: schedule.fields,
+            lines: lineCheck.lines,
+            userId: req.user && req.user.id ? req.user.id : null
+        });
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    const template = await loadTemplate(pool, id);
+    res.status(201).json(presentTemplate(template, await loadLines(pool, id)));
+}));
+
+/**
+ * POST /api/journal-templates/from-entry/:journalEntryId
+ * Saves an existing journal entry's lines as a template. Without a
+ * start_date, a recurring template starts one interval after the entry date.
+ * Body: name (defaults to the entry description), frequency, start_date,
+ *       end_date, max_occurrences, auto_reverse, reference_prefix
+ */
+router.post('/from-entry/:journalEntryId', asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const { rows } = await pool.query(
+        `SELECT id, entity_id, target_entity_id, reference_number, description, entry_type,
+                to_char(entry_date, 'YYYY-MM-DD') AS entry_date
+           FROM journal_entries WHERE id = $1`,
+        [req.params.journalEntryId]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Journal entry not found' });
+    const entry = rows[0];
+    if (entry.entry_type === CLOSING_ENTRY_TYPE) {
+        return res.status(400).json({ error: 'Year-end closing entries cannot be saved as templates' });
+    }
+
+    const { rows: items } = await pool.query(
+        `SELECT account_id, fund_id, description, debit, credit
+           FROM journal_entry_items WHERE journal_entry_id = $1 ORDER BY id`,
+        [entry.id]
+    );
+    const lineCheck = validateLines(items.map(i => ({ ...i, debit: Number(i.debit || 0), credit: Number(i.credit || 0) })));
+    if (lineCheck.error) return res.status(400).json({ error: `Journal entry cannot be used as a template: ${lineCheck.error}` });
+
+    const frequency = normalizeFrequency(body.frequency);
+    const defaults = {};
+    if (frequency && !body.start_date && entry.entry_date) {
+        defaults.start_date = addMonths(entry.entry_date, FREQUENCY_MONTHS[frequency]);
+    }
+    const schedule = validateSchedule(body, defaults);
+    if (schedule.error) return res.status(400).json({ error: schedule.error });
+
+    const name = String(body.name || entry.description || entry.reference_number || 'Journal template').trim().slice(0, 100);
+
+    const client = await pool.connect();
+    let id;
+    try {
+        await client.query('BEGIN');
+        id = await insertTemplate(client, {
+            entity_id: entry.entity_id,
+            target_entity_id: entry.target_entity_id,
+            name,
+            description: body.description !== undefined ? body.description : entry.description,
+            fields: schedule.fields,
+            lines: lineCheck.lines,
+            source_journal_entry_id: entry.id,
+            userId: req.user && req.user.id ? req.user.id : null
+        });
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    const template = await loadTemplate(pool, id);
+    res.status(201).json(presentTemplate(template, await loadLines(pool, id)));
+}));
+
+/**
+ * PUT /api/journal-templates/:id
+ * Updates a template. Lines are replaced when `lines` is given. The
+ * frequency and start date cannot change once occurrences have been
+ * generated (that would move dates already booked); set an end date and
+ * create a new template instead.
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const current = await loadTemplate(client, req.params.id, { forUpdate: true });
+        if (!current) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        const schedule = validateSchedule(body, current);
+        if (schedule.error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: schedule.error });
+        }
+        const f = schedule.fields;
+        if (Number(current.occurrences_generated) > 0 &&
+            (f.frequency !== current.frequency || f.start_date !== current.start_date)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'frequency and start_date cannot change after occurrences have been generated' });
+        }
+
+        let lines = null;
+        if (body.lines !== undefined) {
+            const lineCheck = validateLines(body.lines);
+            if (lineCheck.error) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: lineCheck.error });
+            }
+            lines = lineCheck.lines;
+        }
+
+        const name = body.name !== undefined ? String(body.name).trim() : current.name;
+        if (!name) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'name is required' });
+        }
+        const status = resolveStatus({ ...f, occurrences_generated: current.occurrences_generated });
+
+        await client.query(
+            `UPDATE journal_templates
+                SET name = $2, description = $3, reference_prefix = $4, frequency = $5,
+                    start_date = $6, end_date = $7, max_occurrences = $8, auto_reverse = $9,
+                    status = $10, target_entity_id = $11, updated_at = NOW()
+              WHERE id = $1`,
+            [
+                current.id, name,
+                body.description !== undefined ? body.description : current.description,
+                f.reference_prefix, f.frequency, f.start_date, f.end_date, f.max_occurrences,
+                f.auto_reverse, status,
+                body.target_entity_id !== undefined ? body.target_entity_id || null : current.target_entity_id
+            ]
+        );
+        if (lines) await replaceLines(client, current.id, lines);
+
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    const template = await loadTemplate(pool, req.params.id);
+    res.json(presentTemplate(template, await loadLines(pool, template.id)));
+}));
+
+/**
+ * DELETE /api/journal-templates/:id
+ * Deletes a template. Entries already generated from it are kept.
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+    const { rowCount } = await pool.query('DELETE FROM journal_templates WHERE id = $1', [req.params.id]);
+    if (!rowCount) return res.status(404).json({ error: 'Template not found' });
+    res.json({ message: 'Template deleted' });
+}));
+
+/**
+ * POST /api/journal-templates/generate
+ * Posts every occurrence that is due on or before as_of, oldest first
+ * (missed occurrences are caught up). Auto-reversing templates also post
+ * the reversing entry. A template stops at the first occurrence that cannot
+ * be booked (e.g. closed period); the others continue.
+ * Body: as_of (default today), entity_id (optional), template_id (optional)
+ */
+router.post('/generate', requirePermission('journal.post'), asyncHandler(async (req, res) => {
+    const { entity_id, template_id } = req.body || {};
+    const asOf = (req.body && req.body.as_of) || todayYmd();
+    if (!isYmd(asOf)) return res.status(400).json({ error: 'as_of must be YYYY-MM-DD' });
+    const userId = req.user && req.user.id ? req.user.id : null;
+
+    const conds = [`status = 'Active'`, `frequency IS NOT NULL`, `start_date <= $1`];
+    const params = [asOf];
+    if (entity_id) {
+        params.push(entity_id);
+        conds.push(`entity_id = $${params.length}`);
+    }
+    if (template_id) {
+        params.push(template_id);
+        conds.push(`id = $${params.length}`);
+    }
+    const { rows: templates } = await pool.query(
+        `SELECT id, name FROM journal_templates WHERE ${conds.join(' AND ')} ORDER BY name`,
+        params
+    );
+
+    const generated = [];
+    const errors = [];
+    for (const t of templates) {
+        for (let i = 0; i < MAX_OCCURRENCES_PER_RUN; i++) {
+            let result;
+            try {
+                result = await generateNextOccurrence(t.id, asOf, userId);
+            } catch (err) {
+                // One broken template must not hide the occurrences already committed
+                console.error(`Generating journal template ${t.id} failed:`, err);
+                errors.push({ template_id: t.id, template_name: t.name, error: 'The next occurrence could not be generated' });
+                break;
+            }
+            if (!result) break;
+            if (result.error) {
+                errors.push({ template_id: t.id, template_name: t.name, occurrence_date: result.occurrence_date, error: result.error });
+                break;
+            }
+            generated.push(result.run);
+        }
+    }
+
+    res.json({ as_of: asOf, generated_count: generated.length, generated, errors });
+}));
+
+module.exports = router;
@@ -5,11 +5,17 @@ const { pool } = require('../database/connection');
 const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
+const NachaParser = require('../js/nacha-parser');
 const writeFileAsync = promisify(fs.writeFile);
 const readFileAsync = promisify(fs.readFile);
 const unlinkAsync = promisify(fs.unlink);
 const mkdirAsync = promisify(fs.mkdir);
 
+// Statuses allowed by chk_nacha_file_status (compared case-insensitively)
+const FILE_STATUSES = ['draft', 'generated', 'superseded', 'transmitted', 'sent', 'confirmed', 'rejected', 'error'];
+
+const invalidStatus = (status) => status != null && !FILE_STATUSES.includes(String(status).toLowerCase());
+
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, '../../uploads/nacha');
 
@@ -125,6 +131,10 @@ router.post('/', asyncHandler(async (req, res) => {
     if (!file_content) {
         return res.status(400).json({ error: 'File content is required' });
     }
+
+    if (invalidStatus(status)) {
+        return res.status(400).json({ error: `status must be one of: ${FILE_STATUSES.join(', ')}` });
+    }
     
     // Generate unique file path
     const timestamp = Date.now();
@@ -181,6 +191,10 @@ router.put('/:id', asyncHandler(async (req, res) => {
         file_control_total,
         status
     } = req.body;
+
+    if (invalidStatus(status)) {
+        return res.status(400).json({ error: `status must be one of: ${FILE_STATUSES.join(', ')}` });
+    }
     
     // Check if file exists
     const checkResult = await pool.query('SELECT * FROM nacha_files WHERE id = $1', [id]);
@@ -276,4 +290,41 @@ router.get('/:id/download', asyncHandler(async (req, res) => {
     }
 }));
 
+/**
+ * GET /api/nacha-files/:id/parsed
+ * Parses a stored NACHA file into its records and validates it
+ * (record length, blocking, entry hash, totals, routing check digits)
+ */
+router.get('/:id/parsed', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const { rows } = await pool.query('SELECT * FROM nacha_files WHERE id = $1', [id]);
+    if (rows.length === 0) {
+        return res.status(404).json({ error: 'NACHA file not found' });
+    }
+    const file = rows[0];
+
+    // Generated files keep their content in the row; uploaded ones on disk
+    let content = file.file_content || null;
+    if (!content && file.file_path) {
+        try {
+            content = await readFileAsync(file.file_path, 'utf8');
+        } catch (err) {
+            console.error(`Error reading file ${file.file_path}:`, err);
+            return res.status(404).json({ error: 'File not found on disk' });
+        }
+    }
+    if (!content) {
+        return res.status(404).json({ error: 'NACHA file has no content' });
+    }
+
+    const parsed = NachaParser.parse(content);
+    res.json({
+        id: file.id,
+        file_name: file.file_name || file.filename || null,
+        payment_batch_id: file.payment_batch_id || null,
+        ...parsed
+    });
+}));
+
 module.exports = router;
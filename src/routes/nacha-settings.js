@@ -67,7 +67,8 @@ router.post('/', asyncHandler(async (req, res) => {
         company_id,
         originating_dfi_id,
         company_entry_description,
-        is_production
+        is_production,
+        balanced_file
     } = req.body;
     
     // Validate required fields
@@ -103,8 +104,9 @@ router.post('/', asyncHandler(async (req, res) => {
             company_id,
             originating_dfi_id,
             company_entry_description,
-            is_production
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+            is_production,
+            balanced_file
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
         RETURNING *
     `, [
         entity_id,
@@ -113,7 +115,8 @@ router.post('/', asyncHandler(async (req, res) => {
         company_id,
         originating_dfi_id,
         company_entry_description || 'PAYMENT',
-        is_production || false
+        is_production || false,
+        balanced_file || false
     ]);
     
     res.status(201).json(rows[0]);
@@ -132,7 +135,8 @@ router.put('/:id', asyncHandler(async (req, res) => {
         company_id,
         originating_dfi_id,
         company_entry_description,
-        is_production
+        is_production,
+        balanced_file
     } = req.body;
     
     // Validate required fields
@@ -175,8 +179,9 @@ router.put('/:id', asyncHandler(async (req, res) => {
             originating_dfi_id = $5,
             company_entry_description = $6,
             is_production = $7,
+            balanced_file = COALESCE($8, balanced_file),
             updated_at = NOW()
-        WHERE id = $8
+        WHERE id = $9
         RETURNING *
     `, [
         entity_id,
@@ -186,6 +191,7 @@ router.put('/:id', asyncHandler(async (req, res) => {
         originating_dfi_id,
         company_entry_description,
         is_production,
+        balanced_file,
         id
     ]);
     
@@ -3,6 +3,89 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../database/connection');
 const { asyncHandler } = require('../utils/helpers');
+const { requirePermission } = require('../middleware/permissions');
+const fs = require('fs');
+const path = require('path');
+const { hasColumn } = require('../utils/schema');
+const {
+    SEC_CODES,
+    loadNachaSettings,
+    loadBatchPayments,
+    loadSettlementAccounts,
+    nextFileIdModifier,
+    buildBatchFile
+} = require('../utils/nacha-batch');
+const {
+    refreshPrenoteStatuses,
+    loadQueuedPrenotes,
+    markPrenotesSent,
+    requeuePrenotes
+} = require('../utils/prenotes');
+
+// Same location POST /api/nacha-files writes to, so downloads work for both
+const nachaUploadsDir = path.join(__dirname, '../../uploads/nacha');
+
+/**
+ * Move payments held for prenotes out of a batch into a new draft batch with
+ * the same entity, fund and NACHA settings, so they can go out in a later
+ * file once the vendors clear
+ * @param {Object} db - pg client inside the generate transaction
+ * @param {Object} batch - payment_batches row being generated
+ * @param {Object[]} held - built.held from buildBatchFile
+ * @returns {Promise<Object|null>} The new batch, or null when nothing was held
+ */
+async function moveHeldPayments(db, batch, held) {
+    if (!held.length) return null;
+    const itemIds = held.map(h => h.payment_item_id);
+    const heldTotal = Math.round(held.reduce((sum, h) => sum + Number(h.amount || 0), 0) * 100) / 100;
+
+    let batchNumber = null;
+    for (let n = 1; !batchNumber; n++) {
+        const candidate = `${batch.batch_number}-H${n}`;
+        const taken = await db.query('SELECT 1 FROM payment_batches WHERE batch_number = $1', [candidate]);
+        if (!taken.rows.length) batchNumber = candidate;
+    }
+
+    // Copy whichever columns this install's payment_batches has
+    const overrides = {
+        batch_number: batchNumber,
+        status: 'draft',
+        description: `Payments held for prenotes from batch ${batch.batch_number}`,
+        total_amount: heldTotal,
+        total_items: held.length
+    };
+    const { rows: columns } = await db.query(
+        `SELECT column_name, udt_name FROM information_schema.columns
+          WHERE table_schema = 'public' AND table_name = 'payment_batches'
+            AND column_name NOT IN ('id', 'created_at', 'updated_at')`
+    );
+    const params = [batch.id];
+    const select = columns.map(c => {
+        if (!(c.column_name in overrides)) return c.column_name;
+        params.push(overrides[c.column_name]);
+        return `$${params.length}::${c.udt_name}`;
+    });
+    const { rows } = await db.query(
+        `INSERT INTO payment_batches (${columns.map(c => c.column_name).join(', ')})
+         SELECT ${select.join(', ')} FROM payment_batches WHERE id = $1
+         RETURNING *`,
+        params
+    );
+    const heldBatch = rows[0];
+
+    await db.query(
+        'UPDATE payment_items SET payment_batch_id = $1, updated_at = NOW() WHERE id = ANY($2::uuid[])',
+        [heldBatch.id, itemIds]
+    );
+    const itemCount = await hasColumn(db, 'payment_batches', 'total_items')
+        ? ', total_items = GREATEST(COALESCE(total_items, 0) - $3, 0)'
+        : '';
+    await db.query(
+        `UPDATE payment_batches SET total_amount = total_amount - $2${itemCount}, updated_at = NOW() WHERE id = $1`,
+        itemCount ? [batch.id, heldTotal, held.length] : [batch.id, heldTotal]
+    );
+    return heldBatch;
+}
 
 /**
  * GET /api/payment-batches
@@ -222,7 +305,8 @@ router.post('/', asyncHandler(async (req, res) => {
         batch_date,
         effective_date,
         description,
-        status
+        status,
+        sec_code
     } = req.body;
 
     // Validate required fields
@@ -230,6 +314,10 @@ router.post('/', asyncHandler(async (req, res) => {
         return res.status(400).json({ error: 'Entity ID is required' });
     }
 
+    if (sec_code && !SEC_CODES.includes(sec_code)) {
+        return res.status(400).json({ error: `SEC code must be one of ${SEC_CODES.join(', ')}` });
+    }
+
     if (!batch_number) {
         return res.status(400).json({ error: 'Batch number is required' });
     }
@@ -262,8 +350,9 @@ router.post('/', asyncHandler(async (req, res) => {
             total_amount,
             total_items,
             bank_name,
-            created_by
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            created_by,
+            sec_code
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
         RETURNING *
     `, [
         entity_id,
@@ -277,7 +366,8 @@ router.post('/', asyncHandler(async (req, res) => {
         0,          // Initial total_amount
         0,          // Initial total_items
         bank_name,
-        created_by
+        created_by,
+        sec_code || null
     ]);
     
     res.status(201).json(rows[0]);
@@ -298,9 +388,14 @@ router.put('/:id', asyncHandler(async (req, res) => {
         effective_date,
         description,
         status,
-        total_amount
+        total_amount,
+        sec_code
     } = req.body;
 
+    if (sec_code && !SEC_CODES.includes(sec_code)) {
+        return res.status(400).json({ error: `SEC code must be one of ${SEC_CODES.join(', ')}` });
+    }
+
     // Validate batch exists
     const batchCheck = await pool.query('SELECT id FROM payment_batches WHERE id = $1', [id]);
     if (batchCheck.rows.length === 0) {
@@ -328,8 +423,9 @@ router.put('/:id', asyncHandler(async (req, res) => {
             total_amount = $8,
             description = $9,
             bank_name = $10,
+            sec_code = $11,
             updated_at = NOW()
-        WHERE id = $11
+        WHERE id = $12
         RETURNING *
     `, [
         entity_id,
@@ -342,6 +438,7 @@ router.put('/:id', asyncHandler(async (req, res) => {
         total_amount,
         description,
         bank_name,
+        sec_code || null,
         id
     ]);
     
@@ -584,4 +681,207 @@ router.delete('/:batchId/items/:itemId', asyncHandler(async (req, res) => {
     }
 }));
 
+/**
+ * POST /api/payment-batches/:id/generate-nacha
+ * Builds the batch's ACH file on the server from its payment items, the
+ * vendors' bank details and the batch's NACHA settings, and stores it in
+ * nacha_files with the file control totals, entry hash and file ID modifier.
+ * Each payment item gets its trace number. A batch that already has a file
+ * needs `regenerate: true`, which marks the earlier file Superseded; a batch
+ * cannot be regenerated once a file has been transmitted. Payments are split
+ * into ACH batches by SEC code (the batch's sec_code, else per vendor),
+ * effective date and settlement account.
+ * Queued prenotes for the batch's vendors go into the file; payments to
+ * vendors still on prenote hold are left out, moved to a new draft batch
+ * (held_batch) and listed in held_payments.
+ * Body: regenerate (optional), balanced (optional; defaults to the NACHA
+ *       settings' balanced_file)
+ */
+router.post('/:id/generate-nacha', requirePermission('nacha.generate'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const regenerate = req.body && (req.body.regenerate === true || req.body.regenerate === 'true');
+    const balanced = req.body && req.body.balanced !== undefined
+        ? req.body.balanced === true || req.body.balanced === 'true'
+        : undefined;
+    const userId = (req.user && req.user.id) || (req.session && req.session.userId) || null;
+
+    const client = await pool.connect();
+    let written = null;
+    try {
+        await client.query('BEGIN');
+
+        const batchResult = await client.query(`
+            SELECT pb.*, to_char(pb.effective_date, 'YYYY-MM-DD') AS effective_date
+              FROM payment_batches pb
+             WHERE pb.id = $1
+               FOR UPDATE
+        `, [id]);
+        if (batchResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Payment batch not found' });
+        }
+        const batch = batchResult.rows[0];
+
+        const existing = await client.query(
+            'SELECT id, status FROM nacha_files WHERE payment_batch_id = $1',
+            [id]
+        );
+        const transmitted = existing.rows.find(f => /^(transmitted|confirmed|sent)$/i.test(f.status || ''));
+        if (transmitted) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'A NACHA file for this batch has already been transmitted', nacha_file_id: transmitted.id });
+        }
+        const current = existing.rows.filter(f => !/^superseded$/i.test(f.status || ''));
+        if (current.length && !regenerate) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                error: 'A NACHA file already exists for this batch; send regenerate: true to build a new one',
+                nacha_file_id: current[0].id
+            });
+        }
+
+        const settings = await loadNachaSettings(client, batch);
+        if (!settings) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'No NACHA settings found for this batch' });
+        }
+
+        const prenotesEnabled = await hasColumn(client, 'vendors', 'prenote_status');
+        if (prenotesEnabled) {
+            await refreshPrenoteStatuses(client);
+            await requeuePrenotes(client, current.map(f => f.id));
+        }
+        const prenotes = prenotesEnabled ? await loadQueuedPrenotes(client, id) : [];
+        const payments = await loadBatchPayments(client, id);
+
+        // The file has to agree with the batch as recorded in the ledger
+        const totals = await client.query(
+            'SELECT COALESCE(SUM(amount), 0)::float AS total FROM payment_items WHERE payment_batch_id = $1',
+            [id]
+        );
+        if (Math.round(totals.rows[0].total * 100) !== Math.round(Number(batch.total_amount || 0) * 100)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                error: 'Batch total does not match the sum of its payment items',
+                batch_total: Number(batch.total_amount || 0),
+                items_total: totals.rows[0].total
+            });
+        }
+
+        const now = new Date();
+        const fileDate = now.toISOString().split('T')[0];
+        const fileIdModifier = await nextFileIdModifier(client, batch, fileDate);
+        if (!fileIdModifier) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'All 36 file ID modifiers have been used today for these NACHA settings' });
+        }
+
+        const settlementAccounts = await loadSettlementAccounts(client, settings, payments);
+        const built = buildBatchFile({ batch, settings, payments, fileIdModifier, settlementAccounts, prenotes, balanced, now });
+        if (built.errors) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'NACHA file could not be generated', details: built.errors, held_payments: built.held || [] });
+        }
+
+        const fileName = `${String(batch.batch_number || id).replace(/[^a-zA-Z0-9._-]/g, '_')}_${fileDate.replace(/-/g, '')}_${fileIdModifier}.ach`;
+        await fs.promises.mkdir(nachaUploadsDir, { recursive: true });
+        const filePath = path.join(nachaUploadsDir, `${Date.now()}_${fileName}`);
+        await fs.promises.writeFile(filePath, built.content, 'utf8');
+        written = filePath;
+
+        // nacha_files differs between installs; write the columns it has
+        const values = {
+            payment_batch_id: id,
+            file_name: fileName,
+            filename: fileName,
+            file_path: filePath,
+            file_content: built.content,
+            file_date: fileDate,
+            status: 'Generated',
+            file_id_modifier: fileIdModifier,
+            entry_hash: built.totals.entry_hash,
+            file_control_total: built.totals.entry_hash,
+            batch_count: built.totals.batch_count,
+            block_count: built.totals.block_count,
+            entry_addenda_count: built.totals.entry_addenda_count,
+            total_debit_amount: built.totals.total_debit_amount,
+            total_credit_amount: built.totals.total_credit_amount,
+            total_amount: built.totals.total_credit_amount,
+            total_items: built.totals.total_items,
+            created_by: userId
+        };
+        const cols = [];
+        const vals = [];
+        for (const [col, val] of Object.entries(values)) {
+            if (await hasColumn(client, 'nacha_files', col)) {
+                cols.push(col);
+                vals.push(val);
+            }
+        }
+        const { rows } = await client.query(
+            `INSERT INTO nacha_files (${cols.join(', ')})
+             VALUES (${vals.map((_, i) => `$${i + 1}`).join(', ')})
+             RETURNING *`,
+            vals
+        );
+
+        const heldBatch = await moveHeldPayments(client, batch, built.held || []);
+
+        // Earlier files for the batch stay on record but are replaced by this one
+        if (current.length) {
+            await client.query(
+                `UPDATE nacha_files SET status = 'Superseded' WHERE id = ANY($1::uuid[])`,
+                [current.map(f => f.id)]
+            );
+        }
+
+        if (await hasColumn(client, 'payment_items', 'trace_number')) {
+            for (const [itemId, trace] of Object.entries(built.traces)) {
+                await client.query(
+                    'UPDATE payment_items SET trace_number = $1, updated_at = NOW() WHERE id = $2',
+                    [trace, itemId]
+                );
+            }
+        }
+
+        const sentPrenotes = prenotes.filter(p => built.prenote_traces[p.id]);
+        let prenoteHoldUntil = null;
+        if (sentPrenotes.length) {
+            prenoteHoldUntil = await markPrenotesSent(client, sentPrenotes, {
+                nachaFileId: rows[0].id,
+                traces: built.prenote_traces,
+                effectiveDate: batch.effective_date || fileDate,
+                waitDays: settings.prenote_wait_days
+            });
+        }
+
+        await client.query('COMMIT');
+        written = null;
+
+        const file = { ...rows[0] };
+        delete file.file_content;
+        res.status(201).json({
+            ...file,
+            totals: built.totals,
+            batches: built.batches,
+            payment_count: Object.keys(built.traces).length,
+            held_payments: built.held,
+            held_batch: heldBatch ? { id: heldBatch.id, batch_number: heldBatch.batch_number } : null,
+            prenotes: {
+                sent: sentPrenotes.length,
+                hold_until: prenoteHoldUntil,
+                skipped: built.skipped_prenotes
+            }
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+        if (written) {
+            fs.promises.unlink(written).catch(() => {});
+        }
+    }
+}));
+
 module.exports = router;
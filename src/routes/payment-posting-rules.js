@@ -0,0 +1,172 @@
+// src/routes/payment-posting-rules.js
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../database/connection');
+const { asyncHandler } = require('../utils/helpers');
+const {
+    PAYMENT_TYPES,
+    GL_CODE_FIELDS,
+    normalizePaymentType,
+    validatePostingRule,
+    defaultRuleFor
+} = require('../utils/payment-posting');
+
+const trimCode = (v) => (v === undefined || v === null || String(v).trim() === '' ? null : String(v).trim());
+
+// Column values from a request body; AP, due-to/due-from and clearing (1020
+// for EFT) fall back to the payment type's defaults
+const ruleValues = (body) => {
+    const defaults = defaultRuleFor(body.payment_type);
+    const values = {};
+    for (const field of GL_CODE_FIELDS) {
+        values[field] = trimCode(body[field]);
+    }
+    ['ap_gl_code', 'due_to_gl_code', 'due_from_gl_code', 'clearing_gl_code'].forEach(field => {
+        if (!values[field]) values[field] = defaults[field];
+    });
+    return values;
+};
+
+/**
+ * GET /api/payment-posting-rules
+ * Returns posting rules, optionally filtered by entity_id (which includes the
+ * rules that apply to every entity) or payment_type. `defaults` lists the
+ * built-in rule used for each payment type when no rule matches.
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const { entity_id, payment_type } = req.query;
+
+    let query = `
+        SELECT r.*, e.name AS entity_name
+          FROM payment_posting_rules r
+          LEFT JOIN entities e ON e.id = r.entity_id
+         WHERE 1=1
+    `;
+    const params = [];
+    let paramIndex = 1;
+
+    if (entity_id) {
+        query += ` AND (r.entity_id = $${paramIndex++} OR r.entity_id IS NULL)`;
+        params.push(entity_id);
+    }
+    if (payment_type) {
+        query += ` AND r.payment_type = $${paramIndex++}`;
+        params.push(normalizePaymentType(payment_type));
+    }
+
+    query += ' ORDER BY e.name NULLS FIRST, r.payment_type';
+
+    const { rows } = await pool.query(query, params);
+    res.json({ rules: rows, defaults: PAYMENT_TYPES.map(defaultRuleFor) });
+}));
+
+/**
+ * POST /api/payment-posting-rules
+ * Creates a posting rule for an entity (or every entity) and payment type
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const validationError = validatePostingRule(body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    const v = ruleValues(body);
+
+    try {
+        const { rows } = await pool.query(
+            `INSERT INTO payment_posting_rules
+                 (entity_id, payment_type, ap_gl_code, due_to_gl_code, due_from_gl_code,
+                  clearing_gl_code, cash_gl_code, compound_entry, description, status)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING *`,
+            [
+                body.entity_id || null,
+                normalizePaymentType(body.payment_type),
+                v.ap_gl_code,
+                v.due_to_gl_code,
+                v.due_from_gl_code,
+                v.clearing_gl_code,
+                v.cash_gl_code,
+                !!body.compound_entry,
+                body.description || null,
+                body.status === 'Inactive' ? 'Inactive' : 'Active'
+            ]
+        );
+        res.status(201).json(rows[0]);
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'A rule for this entity and payment type already exists' });
+        }
+        throw err;
+    }
+}));
+
+/**
+ * PUT /api/payment-posting-rules/:id
+ * Updates a posting rule
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const body = req.body || {};
+    const validationError = validatePostingRule(body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    const v = ruleValues(body);
+
+    try {
+        const { rows } = await pool.query(
+            `UPDATE payment_posting_rules
+                SET entity_id = $1,
+                    payment_type = $2,
+                    ap_gl_code = $3,
+                    due_to_gl_code = $4,
+                    due_from_gl_code = $5,
+                    clearing_gl_code = $6,
+                    cash_gl_code = $7,
+                    compound_entry = $8,
+                    description = $9,
+                    status = $10,
+                    updated_at = NOW()
+              WHERE id = $11
+              RETURNING *`,
+            [
+                body.entity_id || null,
+                normalizePaymentType(body.payment_type),
+                v.ap_gl_code,
+                v.due_to_gl_code,
+                v.due_from_gl_code,
+                v.clearing_gl_code,
+                v.cash_gl_code,
+                !!body.compound_entry,
+                body.description || null,
+                body.status === 'Inactive' ? 'Inactive' : 'Active',
+                id
+            ]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+        res.json(rows[0]);
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'A rule for this entity and payment type already exists' });
+        }
+        throw err;
+    }
+}));
+
+/**
+ * DELETE /api/payment-posting-rules/:id
+ * Deletes a posting rule; payments of that type fall back to the next rule or the default
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const result = await pool.query('DELETE FROM payment_posting_rules WHERE id = $1', [id]);
+    if (result.rowCount === 0) {
+        return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.status(204).send();
+}));
+
+module.exports = router;
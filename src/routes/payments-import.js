@@ -5,21 +5,52 @@ const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
 const { parse } = require('csv-parse/sync');
-const crypto = require('crypto');
 const { pool } = require('../database/connection');
 const { asyncHandler } = require('../utils/helpers');
+const {
+    IMPORTERS,
+    startImportJob,
+    logImportRow,
+    trackInsert,
+    withRowSavepoint,
+    finishImportJob,
+    failImportJob,
+    getImportJob,
+    listImportJobs
+} = require('../utils/import-jobs');
 
 // Upload destination (ephemeral)
 const upload = multer({ dest: 'uploads/' });
 
-// Payment logs folder
+// Log files written for batches imported before jobs were kept in import_jobs
 const LOGS_DIR = path.join(__dirname, '../../..', 'uploads/payment-logs');
-if (!fs.existsSync(LOGS_DIR)) {
-    fs.mkdirSync(LOGS_DIR, { recursive: true });
-}
 
-// In-memory job tracker
-const importJobs = {};
+const LEGACY_STATUS = { Processing: 'processing', Completed: 'completed', Failed: 'failed', 'Rolled Back': 'rolled_back' };
+const LEGACY_LEVEL = { Succeeded: 'success', Failed: 'error', Skipped: 'warn' };
+
+// The payments screen predates import_jobs; keep answering in its job shape
+function toLegacyJob(job) {
+    const summary = job.summary || {};
+    const rows = job.rows || [];
+    return {
+        id: job.id,
+        status: LEGACY_STATUS[job.status] || job.status,
+        progress: job.status === 'Processing' ? 0 : 100,
+        totalRecords: job.total_rows,
+        processedRecords: job.succeeded_rows,
+        errors: [
+            ...(job.error ? [job.error] : []),
+            ...rows.filter(r => r.status === 'Failed').map(r => r.message)
+        ],
+        logs: rows.map(r => ({ i: r.row_number, level: LEGACY_LEVEL[r.status] || 'info', msg: r.message })),
+        createdBatches: summary.created_batches || [],
+        createdItems: summary.created_items || 0,
+        createdJEs: [],
+        startTime: job.started_at,
+        endTime: job.completed_at,
+        filename: job.filename
+    };
+}
 
 // --- Helper Functions ---
 
@@ -183,18 +214,21 @@ router.post('/process', asyncHandler(async (req, res) => {
     if (!Array.isArray(data) || !data.length) return res.status(400).json({ error: 'No data provided.' });
     if (!mapping) return res.status(400).json({ error: 'Mapping is required.' });
 
-    const jobId = crypto.randomUUID();
-    importJobs[jobId] = {
-        id: jobId, status: 'processing', progress: 0, totalRecords: data.length, processedRecords: 0,
-        errors: [], logs: [], createdBatches: [], createdItems: 0, createdJEs: [],
-        startTime: new Date(), filename: filename || null
-    };
+    const job = await startImportJob(pool, {
+        importer: IMPORTERS.VENDOR_PAYMENTS,
+        filename: filename || null,
+        content: data,
+        userId: currentUserId,
+        totalRows: data.length
+    });
+    const jobId = job.id;
 
     res.status(202).json({ message: 'Import started', id: jobId });
 
     setTimeout(async () => {
         const client = await pool.connect();
-        const job = importJobs[jobId];
+        const createdBatches = [];
+        let createdItems = 0;
         try {
             await client.query('BEGIN');
 
@@ -252,84 +286,86 @@ router.post('/process', asyncHandler(async (req, res) => {
                 [batchEntityId, batchFundId, `IMPORT-${jobId.substring(0, 8)}`, batchDate, batchDescription, batchBankName, currentUserId]
             );
             const batchId = batchRes.rows[0].id;
-            job.createdBatches.push(batchId);
+            await trackInsert(client, job, 'payment_batches', batchId);
+            createdBatches.push(batchId);
             let batchTotal = 0;
 
             for (let i = 0; i < data.length; i++) {
                 const row = data[i];
                 const logPrefix = `Row ${i + 1}:`;
+                const reference = row[mapping.reference] || row[mapping.paymentId] || null;
 
                 try {
                     const amount = parseAccountingAmount(row[mapping.amount]);
                     if (!amount) {
-                        job.logs.push({ i: i + 1, level: 'warn', msg: 'Skipped row with zero amount.' });
+                        logImportRow(job, { row: i + 1, reference, status: 'Skipped', message: 'Skipped row with zero amount.' });
                         continue;
                     }
-                    
-                    const expenseAccountId = await lookupAccountId(client, row[mapping.accountNo]);
-                    if (!expenseAccountId) throw new Error(`Expense account '${row[mapping.accountNo]}' not found.`);
 
-                    // JE creation removed; AP and Bank GL lookups no longer required
+                    const dateNote = await withRowSavepoint(client, async () => {
+                        const expenseAccountId = await lookupAccountId(client, row[mapping.accountNo]);
+                        if (!expenseAccountId) throw new Error(`Expense account '${row[mapping.accountNo]}' not found.`);
 
-                    const vendorId = await resolveVendorId(client, { zid: row[mapping.vendorZid], name: row[mapping.vendorName] });
-                    if (!vendorId) throw new Error(`Vendor not found (zid/name): ${row[mapping.vendorZid] || row[mapping.vendorName]}`);
+                        // JE creation removed; AP and Bank GL lookups no longer required
 
-                    const expenseAccountRes = await client.query('SELECT entity_code, fund_number FROM accounts WHERE id = $1', [expenseAccountId]);
-                    if (!expenseAccountRes.rows.length) throw new Error(`Could not find account details for ID ${expenseAccountId}`);
-                    const { entity_code: entityCode, fund_number: fundNumber } = expenseAccountRes.rows[0];
+                        const vendorId = await resolveVendorId(client, { zid: row[mapping.vendorZid], name: row[mapping.vendorName] });
+                        if (!vendorId) throw new Error(`Vendor not found (zid/name): ${row[mapping.vendorZid] || row[mapping.vendorName]}`);
 
-                    // Entity/Fund ID lookups only needed for JE; omit for item import
+                        const expenseAccountRes = await client.query('SELECT entity_code, fund_number FROM accounts WHERE id = $1', [expenseAccountId]);
+                        if (!expenseAccountRes.rows.length) throw new Error(`Could not find account details for ID ${expenseAccountId}`);
 
-                    let jeDate = parseDateMDY(row[mapping.effectiveDate]);
-                    if (!jeDate) {
-                        job.logs.push({ i: i + 1, level: 'warn', msg: `Invalid or missing date '${row[mapping.effectiveDate]}'. Defaulting to today's date.` });
-                        jeDate = new Date();
-                    }
+                        // Entity/Fund ID lookups only needed for JE; omit for item import
+
+                        let note = '';
+                        let jeDate = parseDateMDY(row[mapping.effectiveDate]);
+                        if (!jeDate) {
+                            note = ` (invalid or missing date '${row[mapping.effectiveDate]}', defaulted to today)`;
+                            jeDate = new Date();
+                        }
+
+                        const baseReference = row[mapping.reference] || row[mapping.invoiceNumber] || 'Payment Import';
+
+                        const description = row[mapping.memo] || `${baseReference} - ${row[mapping.invoiceNumber] || 'Payment'}`;
 
-                    const baseReference = row[mapping.reference] || row[mapping.invoiceNumber] || 'Payment Import';
-
-                    const description = row[mapping.memo] || `${baseReference} - ${row[mapping.invoiceNumber] || 'Payment'}`;
-                    
-                    // Idempotency against JEs removed (JEs no longer created here)
-
-                    // Parse account number components
-                    const { entity_code, gl_code, fund_number } = parseAccountNumber(row[mapping.accountNo]);
-
-                    // Create the payment item record
-                    const paymentItemRes = await client.query(
-                        `INSERT INTO payment_items (
-                            payment_batch_id, vendor_id, amount, status,
-                            reference, post_date, payee_zid, invoice_date, invoice_number,
-                            account_number, bank_name, payment_type, "1099_amount", payment_id,
-                            entity_code, gl_code, fund_number, description
-                         ) VALUES ($1, $2, $3, 'Pending', $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17) RETURNING id`,
-                        [
-                            batchId, vendorId, amount,
-                            row[mapping.reference], jeDate, row[mapping.vendorZid], parseDateMDY(row[mapping.invoiceDate]), row[mapping.invoiceNumber],
-                            row[mapping.accountNo], row[mapping.bankAccountName], row[mapping.paymentType], parseAccountingAmount(row[mapping.ten99Amount]), row[mapping.paymentId],
-                            entity_code, gl_code, fund_number, description
-                        ]
-                    );
-                    const paymentItemId = paymentItemRes.rows[0].id;
-                    job.createdItems++;
-                    
-                    job.logs.push({ i: i + 1, level: 'success', msg: `Imported payment item for ${amount}` });
+                        // Parse account number components
+                        const { entity_code, gl_code, fund_number } = parseAccountNumber(row[mapping.accountNo]);
+
+                        // Create the payment item record
+                        const paymentItemRes = await client.query(
+                            `INSERT INTO payment_items (
+                                payment_batch_id, vendor_id, amount, status,
+                                reference, post_date, payee_zid, invoice_date, invoice_number,
+                                account_number, bank_name, payment_type, "1099_amount", payment_id,
+                                entity_code, gl_code, fund_number, description
+                             ) VALUES ($1, $2, $3, 'Pending', $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17) RETURNING id`,
+                            [
+                                batchId, vendorId, amount,
+                                row[mapping.reference], jeDate, row[mapping.vendorZid], parseDateMDY(row[mapping.invoiceDate]), row[mapping.invoiceNumber],
+                                row[mapping.accountNo], row[mapping.bankAccountName], row[mapping.paymentType], parseAccountingAmount(row[mapping.ten99Amount]), row[mapping.paymentId],
+                                entity_code, gl_code, fund_number, description
+                            ]
+                        );
+                        await trackInsert(client, job, 'payment_items', paymentItemRes.rows[0].id);
+                        return note;
+                    });
+                    createdItems++;
+
+                    logImportRow(job, { row: i + 1, reference, status: 'Succeeded', message: `Imported payment item for ${amount}${dateNote}` });
 
                     batchTotal += amount;
 
                 } catch (lineError) {
-                    job.logs.push({ i: i + 1, level: 'error', msg: `${logPrefix} ${lineError.message}` });
-                    job.errors.push(`${logPrefix} ${lineError.message}`);
+                    logImportRow(job, { row: i + 1, reference, status: 'Failed', message: `${logPrefix} ${lineError.message}` });
                 }
             }
 
             // Update the payment batch with final numbers
-            if (job.createdItems > 0) {
+            if (createdItems > 0) {
                 await client.query(
                     `UPDATE payment_batches 
                      SET total_amount = $1, total_items = $2, status = 'processed'
                      WHERE id = $3`,
-                    [batchTotal, job.createdItems, batchId]
+                    [batchTotal, createdItems, batchId]
                 );
             } else {
                 // If no rows were processed, mark batch as failed
@@ -337,93 +373,49 @@ router.post('/process', asyncHandler(async (req, res) => {
             }
 
             await client.query('COMMIT');
-            job.status = 'completed';
-
-            // Save log file for this batch
-            const logFilename = `import-${batchId}.json`;
-            const logPath = path.join(LOGS_DIR, logFilename);
-            const logData = {
-                jobId: job.id,
-                batchId,
-                filename: job.filename,
-                startTime: job.startTime,
-                endTime: new Date(),
-                totalRecords: job.totalRecords,
-                createdItems: job.createdItems,
-                errors: job.errors,
-                logs: job.logs
-            };
-            fs.writeFileSync(logPath, JSON.stringify(logData, null, 2));
-            job.logFile = logFilename;
-
-            // Update batch with log file reference
-            await pool.query(
-                `UPDATE payment_batches SET log_file = $1 WHERE id = $2`,
-                [logFilename, batchId]
-            );
+            await finishImportJob(pool, job, {
+                summary: { created_batches: createdBatches, created_items: createdItems, batch_total: batchTotal }
+            });
         } catch (e) {
             await client.query('ROLLBACK');
-            job.status = 'failed';
-            job.errors.push(e.message || String(e));
-
-            // Save error log even on failure
-            if (job.createdBatches.length > 0) {
-                const failedBatchId = job.createdBatches[0];
-                const logFilename = `import-${failedBatchId}.json`;
-                const logPath = path.join(LOGS_DIR, logFilename);
-                const logData = {
-                    jobId: job.id,
-                    batchId: failedBatchId,
-                    filename: job.filename,
-                    startTime: job.startTime,
-                    endTime: new Date(),
-                    totalRecords: job.totalRecords,
-                    createdItems: job.createdItems,
-                    errors: job.errors,
-                    logs: job.logs,
-                    status: 'failed'
-                };
-                try {
-                    fs.writeFileSync(logPath, JSON.stringify(logData, null, 2));
-                    job.logFile = logFilename;
-                    await pool.query(
-                        `UPDATE payment_batches SET log_file = $1 WHERE id = $2`,
-                        [logFilename, failedBatchId]
-                    );
-                } catch (_) { /* ignore log write errors */ }
-            }
+            console.error(`Payments import ${jobId} failed:`, e);
+            // The batch and items went with the ROLLBACK
+            await failImportJob(pool, job, e, { summary: { created_batches: [], created_items: 0 } })
+                .catch(err => console.error(`Payments import ${jobId} could not be marked failed:`, err));
         } finally {
-            job.progress = 100;
-            job.endTime = new Date();
             client.release();
         }
     }, 50);
 }));
 
 router.get('/status/:id', asyncHandler(async (req, res) => {
-    const job = importJobs[req.params.id];
-    if (!job) return res.status(404).json({ error: 'Job not found' });
-    res.json(job);
+    const job = await getImportJob(pool, req.params.id, { withRows: true });
+    if (!job || job.importer !== IMPORTERS.VENDOR_PAYMENTS) return res.status(404).json({ error: 'Job not found' });
+    res.json(toLegacyJob(job));
 }));
 
-// GET /api/vendor-payments/import/log/:batchId - Retrieve log file for a batch
+// GET /api/vendor-payments/import/log/:batchId - Retrieve the import log for a batch
 router.get('/log/:batchId', asyncHandler(async (req, res) => {
     const { batchId } = req.params;
-    
-    // First try to get log_file from database
+
+    const { rows: jobRows } = await pool.query(
+        `SELECT job_id FROM import_job_records
+          WHERE record_table = 'payment_batches' AND record_id = $1 AND action = 'insert'
+          LIMIT 1`,
+        [batchId]
+    );
+    if (jobRows.length) {
+        const job = await getImportJob(pool, jobRows[0].job_id, { withRows: true });
+        const legacy = toLegacyJob(job);
+        return res.json({ jobId: job.id, batchId, ...legacy });
+    }
+
+    // Batches imported before import_jobs kept a JSON log file
     const { rows } = await pool.query(
         'SELECT log_file FROM payment_batches WHERE id = $1',
         [batchId]
     );
-    
-    let logFilename = rows[0]?.log_file;
-    
-    // Fallback: try default naming convention
-    if (!logFilename) {
-        logFilename = `import-${batchId}.json`;
-    }
-    
-    const logPath = path.join(LOGS_DIR, logFilename);
+    const logPath = path.join(LOGS_DIR, rows[0]?.log_file || `import-${batchId}.json`);
     
     if (!fs.existsSync(logPath)) {
         return res.status(404).json({ error: 'Log file not found for this batch' });
@@ -439,10 +431,13 @@ router.get('/log/:batchId', asyncHandler(async (req, res) => {
 }));
 
 router.get('/last', asyncHandler(async (req, res) => {
-    // This is a simplified version for now, returning the last in-memory job
-    const lastJobId = Object.keys(importJobs).pop();
-    if (!lastJobId) return res.json({ log: [] });
-    const lastJob = importJobs[lastJobId];
+    const [last] = await listImportJobs(pool, {
+        importer: IMPORTERS.VENDOR_PAYMENTS,
+        userId: req.user?.id || null,
+        limit: 1
+    });
+    if (!last) return res.json({ log: [] });
+    const lastJob = toLegacyJob(await getImportJob(pool, last.id, { withRows: true }));
     res.json({
         id: lastJob.id,
         created_at: lastJob.startTime,
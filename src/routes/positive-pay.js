@@ -0,0 +1,277 @@
+// src/routes/positive-pay.js
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../database/connection');
+const { asyncHandler } = require('../utils/helpers');
+const { DEFAULT_LAYOUT, validateLayout, renderPositivePay } = require('../utils/positive-pay');
+
+const LAYOUT_COLUMNS = [
+    'file_format', 'fields', 'delimiter', 'include_header', 'date_format',
+    'issue_code', 'void_code', 'line_ending', 'file_extension'
+];
+
+async function loadLayout(db, bankAccountId) {
+    const { rows } = await db.query('SELECT * FROM positive_pay_layouts WHERE bank_account_id = $1', [bankAccountId]);
+    return rows[0] || { ...DEFAULT_LAYOUT, bank_account_id: bankAccountId, is_default: true };
+}
+
+/**
+ * Checks the bank has not been sent yet: printed (or already cleared) checks
+ * without an issue record, and printed checks voided since without a void
+ * record. Draft checks that were voided never left the building and are skipped.
+ */
+async function loadPendingRecords(db, bankAccountId) {
+    const { rows } = await db.query(
+        `SELECT pc.id, pc.check_number, pc.payee_name, pc.amount, pc.status,
+                to_char(pc.check_date, 'YYYY-MM-DD')  AS check_date,
+                to_char(pc.voided_date, 'YYYY-MM-DD') AS voided_date,
+                EXISTS (SELECT 1 FROM positive_pay_export_items i
+                         WHERE i.printed_check_id = pc.id AND i.record_type = 'Issue') AS issue_sent,
+                EXISTS (SELECT 1 FROM positive_pay_export_items i
+                         WHERE i.printed_check_id = pc.id AND i.record_type = 'Void') AS void_sent
+           FROM printed_checks pc
+          WHERE pc.bank_account_id = $1
+            AND (pc.status IN ('Printed', 'Cleared') OR (pc.status = 'Voided' AND pc.printed_date IS NOT NULL))
+          ORDER BY pc.check_number`,
+        [bankAccountId]
+    );
+
+    const records = [];
+    for (const c of rows) {
+        const base = {
+            printed_check_id: c.id,
+            check_number: c.check_number,
+            amount: Number(c.amount),
+            payee_name: c.payee_name,
+            issue_date: c.check_date
+        };
+        if (c.status === 'Voided') {
+            if (!c.void_sent) records.push({ ...base, record_type: 'Void', void_date: c.voided_date });
+        } else if (!c.issue_sent) {
+            records.push({ ...base, record_type: 'Issue', void_date: null });
+        }
+    }
+    return records;
+}
+
+const summarize = (records) => {
+    const sum = (type) => Math.round(records.filter(r => r.record_type === type)
+        .reduce((s, r) => s + r.amount, 0) * 100) / 100;
+    return {
+        issue_count: records.filter(r => r.record_type === 'Issue').length,
+        void_count: records.filter(r => r.record_type === 'Void').length,
+        issue_amount: sum('Issue'),
+        void_amount: sum('Void')
+    };
+};
+
+/**
+ * GET /api/positive-pay/layouts/:bankAccountId
+ * Returns the bank account's positive pay layout (the default when none is saved)
+ */
+router.get('/layouts/:bankAccountId', asyncHandler(async (req, res) => {
+    res.json(await loadLayout(pool, req.params.bankAccountId));
+}));
+
+/**
+ * PUT /api/positive-pay/layouts/:bankAccountId
+ * Saves the bank account's positive pay layout. Missing settings take the
+ * default layout's values.
+ */
+router.put('/layouts/:bankAccountId', asyncHandler(async (req, res) => {
+    const { bankAccountId } = req.params;
+    const layout = {};
+    for (const col of LAYOUT_COLUMNS) {
+        layout[col] = req.body?.[col] !== undefined ? req.body[col] : DEFAULT_LAYOUT[col];
+    }
+    layout.include_header = !!layout.include_header;
+
+    const validationError = validateLayout(layout);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    const bank = await pool.query('SELECT id FROM bank_accounts WHERE id = $1', [bankAccountId]);
+    if (bank.rows.length === 0) {
+        return res.status(404).json({ error: 'Bank account not found' });
+    }
+
+    const { rows } = await pool.query(
+        `INSERT INTO positive_pay_layouts
+             (bank_account_id, file_format, fields, delimiter, include_header,
+              date_format, issue_code, void_code, line_ending, file_extension)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT (bank_account_id) DO UPDATE
+            SET file_format = EXCLUDED.file_format,
+                fields = EXCLUDED.fields,
+                delimiter = EXCLUDED.delimiter,
+                include_header = EXCLUDED.include_header,
+                date_format = EXCLUDED.date_format,
+                issue_code = EXCLUDED.issue_code,
+                void_code = EXCLUDED.void_code,
+                line_ending = EXCLUDED.line_ending,
+                file_extension = EXCLUDED.file_extension,
+                updated_at = NOW()
+         RETURNING *`,
+        [
+            bankAccountId,
+            layout.file_format,
+            JSON.stringify(layout.fields),
+            layout.delimiter,
+            layout.include_header,
+            layout.date_format,
+            layout.issue_code,
+            layout.void_code,
+            layout.line_ending,
+            String(layout.file_extension || 'txt').replace(/^\./, '')
+        ]
+    );
+    res.json(rows[0]);
+}));
+
+/**
+ * GET /api/positive-pay/exports
+ * Lists past exports (without file content)
+ * Query: bank_account_id
+ */
+router.get('/exports', asyncHandler(async (req, res) => {
+    const { bank_account_id } = req.query;
+    const params = [];
+    let query = `
+        SELECT x.id, x.bank_account_id, x.file_name, x.issue_count, x.void_count,
+               x.issue_amount, x.void_amount, x.exported_by, x.created_at,
+               ba.bank_name, ba.account_name
+          FROM positive_pay_exports x
+          JOIN bank_accounts ba ON ba.id = x.bank_account_id
+         WHERE 1=1`;
+    if (bank_account_id) {
+        params.push(bank_account_id);
+        query += ` AND x.bank_account_id = $${params.length}`;
+    }
+    query += ' ORDER BY x.created_at DESC';
+
+    const { rows } = await pool.query(query, params);
+    res.json(rows);
+}));
+
+/**
+ * GET /api/positive-pay/exports/:id
+ * Returns an export with the checks it carried
+ */
+router.get('/exports/:id', asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { rows } = await pool.query('SELECT * FROM positive_pay_exports WHERE id = $1', [id]);
+    if (rows.length === 0) {
+        return res.status(404).json({ error: 'Positive pay export not found' });
+    }
+    const { rows: items } = await pool.query(
+        `SELECT i.*, pc.payee_name, pc.status AS check_status
+           FROM positive_pay_export_items i
+           JOIN printed_checks pc ON pc.id = i.printed_check_id
+          WHERE i.export_id = $1
+          ORDER BY i.check_number, i.record_type`,
+        [id]
+    );
+    res.json({ ...rows[0], items });
+}));
+
+/**
+ * GET /api/positive-pay/exports/:id/download
+ * Downloads the file an export produced (the same file again; nothing is re-sent)
+ */
+router.get('/exports/:id/download', asyncHandler(async (req, res) => {
+    const { rows } = await pool.query('SELECT file_name, file_content FROM positive_pay_exports WHERE id = $1', [req.params.id]);
+    if (rows.length === 0) {
+        return res.status(404).json({ error: 'Positive pay export not found' });
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${rows[0].file_name}"`);
+    res.setHeader('Content-Type', 'text/plain');
+    res.send(rows[0].file_content);
+}));
+
+/**
+ * GET /api/positive-pay/:bankAccountId/pending
+ * Issued and voided checks the next export would send
+ */
+router.get('/:bankAccountId/pending', asyncHandler(async (req, res) => {
+    const records = await loadPendingRecords(pool, req.params.bankAccountId);
+    res.json({ ...summarize(records), records });
+}));
+
+/**
+ * POST /api/positive-pay/:bankAccountId/export
+ * Builds a positive pay file of the checks issued or voided since the last
+ * export and records which checks it carried
+ */
+router.post('/:bankAccountId/export', asyncHandler(async (req, res) => {
+    const { bankAccountId } = req.params;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // Serialise exports per bank account so two can't pick up the same checks
+        const bank = await client.query('SELECT * FROM bank_accounts WHERE id = $1 FOR UPDATE', [bankAccountId]);
+        if (bank.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Bank account not found' });
+        }
+        const bankAccount = bank.rows[0];
+
+        const records = await loadPendingRecords(client, bankAccountId);
+        if (records.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'No checks have been issued or voided since the last export' });
+        }
+
+        const layout = await loadLayout(client, bankAccountId);
+        let content;
+        try {
+            content = renderPositivePay(layout, records, bankAccount);
+        } catch (err) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: err.message });
+        }
+
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '_').slice(0, 15);
+        const last4 = String(bankAccount.account_number || '').replace(/\D/g, '').slice(-4);
+        const fileName = `positive-pay_${last4}_${stamp}.${layout.file_extension || 'txt'}`;
+        const totals = summarize(records);
+
+        const { rows } = await client.query(
+            `INSERT INTO positive_pay_exports
+                 (bank_account_id, file_name, file_content, issue_count, void_count,
+                  issue_amount, void_amount, exported_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING *`,
+            [
+                bankAccountId,
+                fileName,
+                content,
+                totals.issue_count,
+                totals.void_count,
+                totals.issue_amount,
+                totals.void_amount,
+                req.user?.id || null
+            ]
+        );
+        const exportRow = rows[0];
+
+        for (const r of records) {
+            await client.query(
+                `INSERT INTO positive_pay_export_items (export_id, printed_check_id, record_type, check_number, amount)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [exportRow.id, r.printed_check_id, r.record_type, r.check_number, r.amount]
+            );
+        }
+
+        await client.query('COMMIT');
+        res.status(201).json({ ...exportRow, records });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}));
+
+module.exports = router;
@@ -4,6 +4,28 @@ const router = express.Router();
 const XLSX = require('xlsx');
 const { pool } = require('../database/connection');
 const { asyncHandler } = require('../utils/helpers');
+const {
+    CLOSING_ENTRY_TYPE,
+    NET_ASSET_CLASSES,
+    round2,
+    resolveEntityScope,
+    fetchAccountBalances,
+    dayBefore,
+    shiftYears,
+    isYmd,
+    normalizeLineType,
+    fiscalYearBounds,
+    fiscalPeriodBounds,
+    fiscalPeriodFor
+} = require('../utils/ledger');
+const { ApiError } = require('../middleware/error-handler');
+const { consolidateTrialBalance } = require('../utils/consolidation');
+const {
+    FUNCTIONAL_CLASSES,
+    loadRules,
+    findRule,
+    allocate
+} = require('../utils/functional-allocation');
 
 // A secure map of allowed fields and tables for the report builder.
 // This is a critical security measure to prevent SQL injection.
@@ -703,4 +725,776 @@ router.get('/gl-export', asyncHandler(async (req, res) => {
     res.send(buffer);
 }));
 
+// ---------------------------------------------------------------------------
+// Statement of Financial Position
+// ---------------------------------------------------------------------------
+
+/**
+ * Group account balances into the Statement of Financial Position layout.
+ * Assets are presented debit-positive; liabilities and net assets
+ * credit-positive. Net assets = equity accounts plus the cumulative
+ * revenue/expense not yet closed, split by donor restriction.
+ */
+function summarizeFinancialPosition(rows) {
+    const emptyNetAssets = () => ({
+        [NET_ASSET_CLASSES.WITHOUT]: 0,
+        [NET_ASSET_CLASSES.WITH]: 0
+    });
+    const section = () => ({ groups: new Map(), total: 0 });
+    const assets = section();
+    const liabilities = section();
+    const netAssets = emptyNetAssets();
+    const unclassified = [];
+
+    const addToSection = (sec, row, amount) => {
+        const key = row.classification || row.line_type;
+        if (!sec.groups.has(key)) {
+            sec.groups.set(key, { classification: key, amount: 0, accounts: [] });
+        }
+        const g = sec.groups.get(key);
+        g.amount += amount;
+        g.accounts.push({
+            account_id: row.account_id,
+            account_code: row.account_code,
+            description: row.description,
+            restriction: row.restriction,
+            amount
+        });
+        sec.total += amount;
+    };
+
+    for (const row of rows) {
+        switch (row.line_type) {
+            case 'Asset':
+                addToSection(assets, row, row.net_debit);
+                break;
+            case 'Liability':
+                addToSection(liabilities, row, -row.net_debit);
+                break;
+            case 'Equity':
+            case 'Revenue':
+            case 'Expense':
+                netAssets[row.net_asset_class] += -row.net_debit;
+                break;
+            default:
+                unclassified.push({
+                    account_id: row.account_id,
+                    account_code: row.account_code,
+                    description: row.description,
+                    net_debit: row.net_debit
+                });
+        }
+    }
+
+    const finish = (sec) => ({
+        groups: [...sec.groups.values()].map(g => ({
+            ...g,
+            amount: round2(g.amount),
+            accounts: g.accounts.map(a => ({ ...a, amount: round2(a.amount) }))
+        })),
+        total: round2(sec.total)
+    });
+
+    const totalNetAssets = round2(netAssets[NET_ASSET_CLASSES.WITHOUT] + netAssets[NET_ASSET_CLASSES.WITH]);
+    const totalLiabilities = round2(liabilities.total);
+
+    return {
+        assets: finish(assets),
+        liabilities: finish(liabilities),
+        net_assets: {
+            [NET_ASSET_CLASSES.WITHOUT]: round2(netAssets[NET_ASSET_CLASSES.WITHOUT]),
+            [NET_ASSET_CLASSES.WITH]: round2(netAssets[NET_ASSET_CLASSES.WITH]),
+            total: totalNetAssets
+        },
+        total_liabilities_and_net_assets: round2(totalLiabilities + totalNetAssets),
+        is_balanced: round2(assets.total) === round2(totalLiabilities + totalNetAssets),
+        unclassified_accounts: unclassified
+    };
+}
+
+/**
+ * Merge current/prior summaries into rows keyed by classification so the
+ * client can render a two-column comparative statement.
+ */
+function mergeComparative(current, prior) {
+    const merge = (cur, pri) => {
+        const keys = new Map();
+        cur.groups.forEach(g => keys.set(g.classification, { classification: g.classification, current: g.amount, prior: 0, accounts: g.accounts }));
+        pri.groups.forEach(g => {
+            const row = keys.get(g.classification) || { classification: g.classification, current: 0, prior: 0, accounts: [] };
+            row.prior = g.amount;
+            keys.set(g.classification, row);
+        });
+        return {
+            lines: [...keys.values()].sort((a, b) => String(a.classification).localeCompare(String(b.classification))),
+            total: { current: cur.total, prior: pri.total }
+        };
+    };
+
+    const na = (key) => ({ current: current.net_assets[key], prior: prior.net_assets[key] });
+
+    return {
+        assets: merge(current.assets, prior.assets),
+        liabilities: merge(current.liabilities, prior.liabilities),
+        net_assets: {
+            [NET_ASSET_CLASSES.WITHOUT]: na(NET_ASSET_CLASSES.WITHOUT),
+            [NET_ASSET_CLASSES.WITH]: na(NET_ASSET_CLASSES.WITH),
+            total: na('total')
+        },
+        total_liabilities_and_net_assets: {
+            current: current.total_liabilities_and_net_assets,
+            prior: prior.total_liabilities_and_net_assets
+        },
+        is_balanced: { current: current.is_balanced, prior: prior.is_balanced },
+        unclassified_accounts: { current: current.unclassified_accounts, prior: prior.unclassified_accounts }
+    };
+}
+
+/**
+ * GET /api/reports/financial-position
+ * Statement of Financial Position computed from the ledger.
+ * Query params:
+ *   as_of        (YYYY-MM-DD) – required
+ *   compare_to   (YYYY-MM-DD) – optional prior-period date (default: as_of minus one year)
+ *   entity_id    – optional UUID
+ *   consolidated – optional 'true' to include the entity's child entities
+ *   fund_id      – optional UUID
+ */
+router.get('/financial-position', asyncHandler(async (req, res) => {
+    const { as_of, compare_to, entity_id, fund_id, consolidated } = req.query;
+
+    if (!isYmd(as_of)) {
+        return res.status(400).json({ error: 'as_of is required (YYYY-MM-DD)' });
+    }
+    if (compare_to && !isYmd(compare_to)) {
+        return res.status(400).json({ error: 'compare_to must be YYYY-MM-DD' });
+    }
+
+    const priorDate = compare_to || shiftYears(as_of, -1);
+    const entityIds = await resolveEntityScope(pool, entity_id, consolidated === 'true');
+    const filters = { entityIds, fundId: fund_id || null };
+
+    const [currentRows, priorRows] = await Promise.all([
+        fetchAccountBalances(pool, { ...filters, endDate: as_of }),
+        fetchAccountBalances(pool, { ...filters, endDate: priorDate })
+    ]);
+
+    const statement = mergeComparative(
+        summarizeFinancialPosition(currentRows),
+        summarizeFinancialPosition(priorRows)
+    );
+
+    res.json({
+        params: { as_of, compare_to: priorDate, entity_id, fund_id, consolidated: consolidated === 'true' },
+        ...statement
+    });
+}));
+
+// ---------------------------------------------------------------------------
+// Consolidated Trial Balance
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/reports/consolidated-trial-balance
+ * Trial balance of a consolidating entity and the entities below it, with a
+ * column per entity, an eliminations column for inter-entity due-to/due-from
+ * balances and revenue/expense, and the consolidated total. Amounts are net
+ * debits. See utils/consolidation.js.
+ * Query params:
+ *   entity_id  – required UUID of an entity flagged is_consolidated
+ *   as_of      (YYYY-MM-DD) – required
+ *   start_date (YYYY-MM-DD) – optional start of revenue/expense activity
+ *                             (defaults to the entity's fiscal year start)
+ */
+router.get('/consolidated-trial-balance', asyncHandler(async (req, res) => {
+    const { entity_id, as_of, start_date } = req.query;
+
+    if (!entity_id) {
+        return res.status(400).json({ error: 'entity_id is required' });
+    }
+    if (!isYmd(as_of)) {
+        return res.status(400).json({ error: 'as_of is required (YYYY-MM-DD)' });
+    }
+    if (start_date && (!isYmd(start_date) || start_date > as_of)) {
+        return res.status(400).json({ error: 'start_date must be YYYY-MM-DD and on or before as_of' });
+    }
+
+    try {
+        const result = await consolidateTrialBalance(pool, {
+            entityId: entity_id,
+            endDate: as_of,
+            startDate: start_date || null
+        });
+        res.json({ params: { entity_id, as_of, start_date: result.start_date }, ...result });
+    } catch (err) {
+        if (err instanceof ApiError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        throw err;
+    }
+}));
+
+// ---------------------------------------------------------------------------
+// Statement of Activities
+// ---------------------------------------------------------------------------
+
+/**
+ * Empty {without, with, total} column set
+ */
+function activityColumns() {
+    return {
+        [NET_ASSET_CLASSES.WITHOUT]: 0,
+        [NET_ASSET_CLASSES.WITH]: 0,
+        total: 0
+    };
+}
+
+function addToColumns(cols, netAssetClass, amount) {
+    cols[netAssetClass] += amount;
+    cols.total += amount;
+}
+
+function roundColumns(cols) {
+    return {
+        [NET_ASSET_CLASSES.WITHOUT]: round2(cols[NET_ASSET_CLASSES.WITHOUT]),
+        [NET_ASSET_CLASSES.WITH]: round2(cols[NET_ASSET_CLASSES.WITH]),
+        total: round2(cols.total)
+    };
+}
+
+/**
+ * Build the Statement of Activities from period activity rows.
+ *
+ * Revenue is reported in the column of its fund's restriction. All expenses
+ * are reported as without donor restrictions; expenses charged to restricted
+ * funds are shown as "net assets released from restrictions" (moved out of
+ * the with-donor column into the without-donor column). Direct postings to
+ * net asset (equity) accounts are reported as other changes so the ending
+ * balance ties to the Statement of Financial Position.
+ */
+function summarizeActivities(rows) {
+    const revenue = new Map();
+    const expenses = new Map();
+    const releases = activityColumns();
+    const otherChanges = activityColumns();
+
+    const addLine = (map, row, netAssetClass, amount) => {
+        const key = row.classification || row.line_type;
+        if (!map.has(key)) {
+            map.set(key, { classification: key, ...activityColumns(), accounts: [] });
+        }
+        const line = map.get(key);
+        addToColumns(line, netAssetClass, amount);
+        line.accounts.push({
+            account_id: row.account_id,
+            account_code: row.account_code,
+            description: row.description,
+            restriction: row.restriction,
+            amount
+        });
+    };
+
+    for (const row of rows) {
+        if (row.line_type === 'Revenue') {
+            addLine(revenue, row, row.net_asset_class, -row.net_debit);
+        } else if (row.line_type === 'Expense') {
+            addLine(expenses, row, NET_ASSET_CLASSES.WITHOUT, row.net_debit);
+            if (row.net_asset_class === NET_ASSET_CLASSES.WITH) {
+                addToColumns(releases, NET_ASSET_CLASSES.WITHOUT, row.net_debit);
+                addToColumns(releases, NET_ASSET_CLASSES.WITH, -row.net_debit);
+            }
+        } else if (row.line_type === 'Equity') {
+            addToColumns(otherChanges, row.net_asset_class, -row.net_debit);
+        }
+    }
+
+    const finish = (map) => {
+        const lines = [...map.values()]
+            .map(l => ({
+                ...l,
+                ...roundColumns(l),
+                accounts: l.accounts.map(a => ({ ...a, amount: round2(a.amount) }))
+            }))
+            .sort((a, b) => String(a.classification).localeCompare(String(b.classification)));
+        const total = activityColumns();
+        lines.forEach(l => {
+            total[NET_ASSET_CLASSES.WITHOUT] += l[NET_ASSET_CLASSES.WITHOUT];
+            total[NET_ASSET_CLASSES.WITH] += l[NET_ASSET_CLASSES.WITH];
+            total.total += l.total;
+        });
+        return { lines, total: roundColumns(total) };
+    };
+
+    const rev = finish(revenue);
+    const exp = finish(expenses);
+
+    const totalSupport = activityColumns();
+    const change = activityColumns();
+    [NET_ASSET_CLASSES.WITHOUT, NET_ASSET_CLASSES.WITH, 'total'].forEach(k => {
+        totalSupport[k] = rev.total[k] + releases[k];
+        change[k] = totalSupport[k] - exp.total[k];
+    });
+
+    return {
+        revenue: rev,
+        net_assets_released_from_restrictions: roundColumns(releases),
+        total_revenue_and_support: roundColumns(totalSupport),
+        expenses: exp,
+        change_in_net_assets: roundColumns(change),
+        other_changes_in_net_assets: roundColumns(otherChanges)
+    };
+}
+
+/**
+ * GET /api/reports/activities
+ * Statement of Activities (change in net assets) for a date range.
+ * Query params:
+ *   start_date   (YYYY-MM-DD) – required
+ *   end_date     (YYYY-MM-DD) – required
+ *   entity_id    – optional UUID (omit for all entities)
+ *   consolidated – optional 'true' to include the entity's child entities
+ *   fund_id      – optional UUID
+ */
+router.get('/activities', asyncHandler(async (req, res) => {
+    const { start_date, end_date, entity_id, fund_id, consolidated } = req.query;
+
+    if (!isYmd(start_date) || !isYmd(end_date)) {
+        return res.status(400).json({ error: 'start_date and end_date are required (YYYY-MM-DD)' });
+    }
+    if (start_date > end_date) {
+        return res.status(400).json({ error: 'start_date must be on or before end_date' });
+    }
+
+    const entityIds = await resolveEntityScope(pool, entity_id, consolidated === 'true');
+    const filters = { entityIds, fundId: fund_id || null };
+
+    const [periodRows, openingRows] = await Promise.all([
+        fetchAccountBalances(pool, { ...filters, startDate: start_date, endDate: end_date }),
+        fetchAccountBalances(pool, { ...filters, endDate: dayBefore(start_date) })
+    ]);
+
+    const statement = summarizeActivities(periodRows);
+    const beginning = summarizeFinancialPosition(openingRows).net_assets;
+
+    const ending = activityColumns();
+    [NET_ASSET_CLASSES.WITHOUT, NET_ASSET_CLASSES.WITH, 'total'].forEach(k => {
+        ending[k] = beginning[k] + statement.change_in_net_assets[k] + statement.other_changes_in_net_assets[k];
+    });
+
+    res.json({
+        params: { start_date, end_date, entity_id, fund_id, consolidated: consolidated === 'true' },
+        ...statement,
+        net_assets_beginning: roundColumns({ ...beginning }),
+        net_assets_ending: roundColumns(ending)
+    });
+}));
+
+// ---------------------------------------------------------------------------
+// Statement of Functional Expenses
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/reports/functional-expenses
+ * Natural-by-functional expense matrix (Form 990 Part IX layout). Rows are
+ * natural expense GL codes; columns are Program Services, Management &
+ * General and Fundraising, allocated by functional_expense_rules. Expense
+ * with no matching rule is reported in an "unallocated" column.
+ * Query params:
+ *   start_date   (YYYY-MM-DD) – required
+ *   end_date     (YYYY-MM-DD) – required
+ *   entity_id    – optional UUID (omit for all entities)
+ *   consolidated – optional 'true' to include the entity's child entities
+ *   fund_id      – optional UUID
+ */
+router.get('/functional-expenses', asyncHandler(async (req, res) => {
+    const { start_date, end_date, entity_id, fund_id, consolidated } = req.query;
+
+    if (!isYmd(start_date) || !isYmd(end_date)) {
+        return res.status(400).json({ error: 'start_date and end_date are required (YYYY-MM-DD)' });
+    }
+    if (start_date > end_date) {
+        return res.status(400).json({ error: 'start_date must be on or before end_date' });
+    }
+
+    const entityIds = await resolveEntityScope(pool, entity_id, consolidated === 'true');
+
+    const params = [start_date, end_date];
+    let idx = 3;
+    const itemConds = [
+        `je.status = 'Posted'`,
+        `je.entry_date BETWEEN $1 AND $2`,
+        `COALESCE(je.entry_type, '') <> '${CLOSING_ENTRY_TYPE}'`
+    ];
+    const openConds = [`a.beginning_balance_date BETWEEN $1 AND $2`];
+    if (entityIds) {
+        itemConds.push(`je.entity_id = ANY($${idx}::uuid[])`);
+        openConds.push(`e.id = ANY($${idx}::uuid[])`);
+        params.push(entityIds);
+        idx++;
+    }
+    if (fund_id) {
+        itemConds.push(`jei.fund_id = $${idx}`);
+        openConds.push(`f.id = $${idx}`);
+        params.push(fund_id);
+        idx++;
+    }
+
+    // Expense activity by entity / natural GL code / fund. Beginning balances
+    // dated inside the period count as activity (same rule as the Statement
+    // of Activities) so the totals tie between the two statements.
+    const sql = `
+WITH expense_accounts AS (
+  SELECT a.*
+    FROM accounts a
+    LEFT JOIN gl_codes gc ON LOWER(gc.code) = LOWER(a.gl_code)
+   WHERE LOWER(COALESCE(gc.line_type, a.classification, '')) LIKE 'exp%'
+),
+activity AS (
+  SELECT je.entity_id, a.gl_code, jei.fund_id,
+         SUM(COALESCE(jei.debit, 0) - COALESCE(jei.credit, 0)) AS amount
+    FROM journal_entry_items jei
+    JOIN journal_entries je  ON je.id = jei.journal_entry_id
+    JOIN expense_accounts a  ON a.id  = jei.account_id
+   WHERE ${itemConds.join(' AND ')}
+   GROUP BY je.entity_id, a.gl_code, jei.fund_id
+),
+opening AS (
+  SELECT e.id AS entity_id, a.gl_code, f.id AS fund_id,
+         SUM(COALESCE(a.beginning_balance, 0)) AS amount
+    FROM expense_accounts a
+    LEFT JOIN entities e ON e.code = a.entity_code
+    LEFT JOIN LATERAL (
+      SELECT id FROM funds
+       WHERE fund_number = a.fund_number
+       ORDER BY (LOWER(entity_code) = LOWER(a.entity_code)) DESC
+       LIMIT 1
+    ) f ON TRUE
+   WHERE ${openConds.join(' AND ')}
+   GROUP BY e.id, a.gl_code, f.id
+)
+SELECT u.entity_id, u.gl_code, u.fund_id,
+       gc.description AS gl_description,
+       gc.classification,
+       SUM(u.amount) AS amount
+  FROM (SELECT * FROM activity UNION ALL SELECT * FROM opening) u
+  LEFT JOIN gl_codes gc ON LOWER(gc.code) = LOWER(u.gl_code)
+ GROUP BY u.entity_id, u.gl_code, u.fund_id, gc.description, gc.classification
+HAVING SUM(u.amount) <> 0
+ ORDER BY u.gl_code`;
+
+    const [{ rows }, rules] = await Promise.all([
+        pool.query(sql, params),
+        loadRules(pool)
+    ]);
+
+    const columns = [...FUNCTIONAL_CLASSES, 'unallocated'];
+    const emptyRow = () => columns.reduce((o, c) => { o[c] = 0; return o; }, { total: 0 });
+    const byGl = new Map();
+    const totals = emptyRow();
+    const unmatched = [];
+
+    for (const r of rows) {
+        const amount = round2(r.amount);
+        const key = r.gl_code;
+        if (!byGl.has(key)) {
+            byGl.set(key, {
+                gl_code: r.gl_code,
+                description: r.gl_description,
+                classification: r.classification,
+                ...emptyRow()
+            });
+        }
+        const line = byGl.get(key);
+        const rule = findRule(rules, r);
+        const parts = rule ? allocate(amount, rule) : { unallocated: amount };
+        if (!rule) {
+            unmatched.push({ entity_id: r.entity_id, gl_code: r.gl_code, fund_id: r.fund_id, amount });
+        }
+        Object.entries(parts).forEach(([cls, v]) => {
+            line[cls] += v;
+            totals[cls] += v;
+        });
+        line.total += amount;
+        totals.total += amount;
+    }
+
+    const roundRow = (row) => {
+        const out = { ...row };
+        [...columns, 'total'].forEach(c => { out[c] = round2(row[c]); });
+        return out;
+    };
+
+    res.json({
+        params: { start_date, end_date, entity_id, fund_id, consolidated: consolidated === 'true' },
+        columns,
+        lines: [...byGl.values()].map(roundRow),
+        totals: roundRow(totals),
+        unallocated_lines: unmatched
+    });
+}));
+
+// ---------------------------------------------------------------------------
+// Budget vs. Actual
+// ---------------------------------------------------------------------------
+
+// Line types whose natural balance is a credit; amounts are flipped so
+// budget and actual are both reported as positive figures.
+const CREDIT_NORMAL_TYPES = ['Revenue', 'Liability', 'Equity'];
+
+/**
+ * Favorable-positive variance: revenue over budget and expense under budget
+ * are both positive.
+ * @param {string} lineType - Normalized line type
+ * @param {number} budget - Budget amount
+ * @param {number} actual - Actual amount
+ * @returns {{variance: number, variance_pct: number|null}}
+ */
+function budgetVariance(lineType, budget, actual) {
+    const variance = round2(lineType === 'Expense' ? budget - actual : actual - budget);
+    const variance_pct = budget ? round2((variance / Math.abs(budget)) * 100) : null;
+    return { variance, variance_pct };
+}
+
+/**
+ * GET /api/reports/budget-vs-actual
+ * Budget vs. actual by account and fund for one fiscal period plus fiscal
+ * year-to-date. Actuals are posted journal_entry_items (and beginning
+ * balances dated inside the fiscal year). The Revised budget is used where
+ * one exists, else the Original, unless `version` is given.
+ * Query params:
+ *   fiscal_year    – e.g. 2026 (year in which the fiscal year ends)
+ *   period         – optional fiscal period 1-12 (default 12)
+ *   as_of          – optional YYYY-MM-DD; used instead of fiscal_year/period
+ *                    to report the fiscal period containing that date
+ *   entity_id      – optional UUID; its fiscal_year_start sets the calendar
+ *   consolidated   – optional 'true' to include the entity's child entities
+ *   fund_id        – optional UUID
+ *   classification – optional GL classification filter
+ *   version        – optional 'Original' or 'Revised'
+ * Each line carries `drilldown` params for GET /api/reports/gl.
+ */
+router.get('/budget-vs-actual', asyncHandler(async (req, res) => {
+    const { as_of, entity_id, fund_id, classification, consolidated, version } = req.query;
+    let fiscal_year = req.query.fiscal_year;
+    let period = Number(req.query.period || 12);
+
+    if (as_of !== undefined && !isYmd(as_of)) {
+        return res.status(400).json({ error: 'as_of must be a date (YYYY-MM-DD)' });
+    }
+    if (!as_of && !/^\d{4}$/.test(fiscal_year || '')) {
+        return res.status(400).json({ error: 'fiscal_year (YYYY) or as_of (YYYY-MM-DD) is required' });
+    }
+    if (!Number.isInteger(period) || period < 1 || period > 12) {
+        return res.status(400).json({ error: 'period must be between 1 and 12' });
+    }
+    if (version && !['Original', 'Revised'].includes(version)) {
+        return res.status(400).json({ error: 'version must be Original or Revised' });
+    }
+
+    // Fiscal calendar comes from the selected entity, else the top-level entity
+    const { rows: fyRows } = entity_id
+        ? await pool.query('SELECT fiscal_year_start FROM entities WHERE id = $1', [entity_id])
+        : await pool.query(
+            `SELECT fiscal_year_start FROM entities
+              WHERE parent_entity_id IS NULL
+              ORDER BY is_consolidated DESC, name
+              LIMIT 1`
+        );
+    if (entity_id && !fyRows.length) {
+        return res.status(404).json({ error: 'Entity not found' });
+    }
+    const fyStartSetting = (fyRows[0] && fyRows[0].fiscal_year_start) || '01-01';
+    if (as_of) {
+        const located = fiscalPeriodFor(fyStartSetting, as_of);
+        fiscal_year = String(located.fiscal_year);
+        period = located.period;
+    }
+    const fy = fiscalYearBounds(fyStartSetting, fiscal_year);
+    const pb = fiscalPeriodBounds(fyStartSetting, fiscal_year, period);
+
+    const entityIds = await resolveEntityScope(pool, entity_id, consolidated === 'true');
+
+    const params = [fiscal_year, period, fy.start, pb.start, pb.end];
+    let idx = 6;
+    const budgetConds = [`b.fiscal_year = $1`];
+    const itemConds = [
+        `je.status = 'Posted'`,
+        `je.entry_date BETWEEN $3 AND $5`,
+        `COALESCE(je.entry_type, '') <> '${CLOSING_ENTRY_TYPE}'`
+    ];
+    const openConds = [`a.beginning_balance_date BETWEEN $3 AND $5`];
+    const acctConds = ['TRUE'];
+
+    if (entityIds) {
+        budgetConds.push(`b.entity_id = ANY($${idx}::uuid[])`);
+        itemConds.push(`je.entity_id = ANY($${idx}::uuid[])`);
+        openConds.push(`e.id = ANY($${idx}::uuid[])`);
+        params.push(entityIds);
+        idx++;
+    }
+    if (fund_id) {
+        budgetConds.push(`b.fund_id = $${idx}`);
+        itemConds.push(`jei.fund_id = $${idx}`);
+        openConds.push(`f.id = $${idx}`);
+        params.push(fund_id);
+        idx++;
+    }
+    if (classification) {
+        acctConds.push(`LOWER(COALESCE(gc.classification, a.classification)) = LOWER($${idx})`);
+        params.push(classification);
+        idx++;
+    }
+    if (version) {
+        budgetConds.push(`b.version = $${idx}`);
+        params.push(version);
+        idx++;
+    }
+
+    const sql = `
+WITH acct AS (
+  SELECT a.id, a.account_code, a.description, a.gl_code,
+         COALESCE(gc.classification, a.classification) AS classification,
+         COALESCE(gc.line_type, a.classification)      AS line_type
+    FROM accounts a
+    LEFT JOIN gl_codes gc ON LOWER(gc.code) = LOWER(a.gl_code)
+   WHERE ${acctConds.join(' AND ')}
+),
+budget AS (
+  SELECT DISTINCT ON (b.account_id, b.fund_id, b.period)
+         b.account_id, b.fund_id, b.amount,
+         CASE WHEN b.period ~ '^[0-9]+$' THEN b.period::int END AS period_no
+    FROM budgets b
+   WHERE ${budgetConds.join(' AND ')}
+   ORDER BY b.account_id, b.fund_id, b.period, (b.version = 'Revised') DESC
+),
+actual AS (
+  SELECT jei.account_id, jei.fund_id, je.entry_date,
+         COALESCE(jei.debit, 0) - COALESCE(jei.credit, 0) AS amount
+    FROM journal_entry_items jei
+    JOIN journal_entries je ON je.id = jei.journal_entry_id
+   WHERE ${itemConds.join(' AND ')}
+  UNION ALL
+  SELECT a.id, f.id, a.beginning_balance_date, COALESCE(a.beginning_balance, 0)
+    FROM accounts a
+    LEFT JOIN entities e ON e.code = a.entity_code
+    LEFT JOIN LATERAL (
+      SELECT id FROM funds
+       WHERE fund_number = a.fund_number
+       ORDER BY (LOWER(entity_code) = LOWER(a.entity_code)) DESC
+       LIMIT 1
+    ) f ON TRUE
+   WHERE ${openConds.join(' AND ')}
+),
+combined AS (
+  SELECT account_id, fund_id,
+         CASE WHEN period_no = $2 THEN amount ELSE 0 END  AS period_budget,
+         CASE WHEN period_no <= $2 THEN amount ELSE 0 END AS ytd_budget,
+         amount                                           AS annual_budget,
+         0 AS period_actual, 0 AS ytd_actual
+    FROM budget
+  UNION ALL
+  SELECT account_id, fund_id, 0, 0, 0,
+         CASE WHEN entry_date >= $4 THEN amount ELSE 0 END,
+         amount
+    FROM actual
+)
+SELECT ac.id AS account_id, ac.account_code, ac.description, ac.gl_code,
+       ac.classification, ac.line_type,
+       c.fund_id, fu.fund_code, fu.fund_name,
+       SUM(c.period_budget) AS period_budget,
+       SUM(c.ytd_budget)    AS ytd_budget,
+       SUM(c.annual_budget) AS annual_budget,
+       SUM(c.period_actual) AS period_actual,
+       SUM(c.ytd_actual)    AS ytd_actual
+  FROM combined c
+  JOIN acct ac ON ac.id = c.account_id
+  LEFT JOIN funds fu ON fu.id = c.fund_id
+ GROUP BY ac.id, ac.account_code, ac.description, ac.gl_code, ac.classification,
+          ac.line_type, c.fund_id, fu.fund_code, fu.fund_name
+ ORDER BY ac.account_code, fu.fund_code`;
+
+    const { rows } = await pool.query(sql, params);
+
+    const sections = { Revenue: [], Expense: [], Other: [] };
+    const emptyTotals = () => ({ budget: 0, actual: 0, ytd_budget: 0, ytd_actual: 0, annual_budget: 0 });
+    const totals = { Revenue: emptyTotals(), Expense: emptyTotals(), Other: emptyTotals() };
+
+    for (const r of rows) {
+        const lineType = normalizeLineType(r.line_type);
+        const hasBudget = Number(r.annual_budget) !== 0;
+        // Balance-sheet activity only appears when it was budgeted
+        if (!hasBudget && lineType !== 'Revenue' && lineType !== 'Expense') continue;
+
+        const sign = CREDIT_NORMAL_TYPES.includes(lineType) ? -1 : 1;
+        const line = {
+            account_id: r.account_id,
+            account_code: r.account_code,
+            description: r.description,
+            gl_code: r.gl_code,
+            classification: r.classification,
+            line_type: lineType,
+            fund_id: r.fund_id,
+            fund_code: r.fund_code,
+            fund_name: r.fund_name,
+            budget: round2(r.period_budget),
+            actual: round2(sign * r.period_actual),
+            ytd_budget: round2(r.ytd_budget),
+            ytd_actual: round2(sign * r.ytd_actual),
+            annual_budget: round2(r.annual_budget)
+        };
+        if (!line.budget && !line.actual && !line.ytd_budget && !line.ytd_actual && !line.annual_budget) continue;
+
+        const pv = budgetVariance(lineType, line.budget, line.actual);
+        const yv = budgetVariance(lineType, line.ytd_budget, line.ytd_actual);
+        Object.assign(line, pv, { ytd_variance: yv.variance, ytd_variance_pct: yv.variance_pct });
+
+        const gl = {
+            entity_id: entity_id || undefined,
+            fund_id: r.fund_id || undefined,
+            account_code_from: r.account_code,
+            account_code_to: r.account_code,
+            status: 'Posted'
+        };
+        line.drilldown = {
+            period: { ...gl, start_date: pb.start, end_date: pb.end },
+            ytd: { ...gl, start_date: fy.start, end_date: pb.end }
+        };
+
+        const key = sections[lineType] ? lineType : 'Other';
+        sections[key].push(line);
+        Object.keys(totals[key]).forEach(k => { totals[key][k] += line[k]; });
+    }
+
+    const finishTotals = (lineType, t) => {
+        const out = {};
+        Object.keys(t).forEach(k => { out[k] = round2(t[k]); });
+        const pv = budgetVariance(lineType, out.budget, out.actual);
+        const yv = budgetVariance(lineType, out.ytd_budget, out.ytd_actual);
+        return { ...out, ...pv, ytd_variance: yv.variance, ytd_variance_pct: yv.variance_pct };
+    };
+
+    // Net = revenue less expense, compared like revenue (over budget is favorable)
+    const net = emptyTotals();
+    Object.keys(net).forEach(k => { net[k] = totals.Revenue[k] - totals.Expense[k]; });
+
+    res.json({
+        params: {
+            fiscal_year,
+            period,
+            entity_id,
+            fund_id,
+            classification,
+            version: version || null,
+            consolidated: consolidated === 'true',
+            fiscal_year_start: fy.start,
+            period_start: pb.start,
+            period_end: pb.end
+        },
+        revenue: { lines: sections.Revenue, total: finishTotals('Revenue', totals.Revenue) },
+        expense: { lines: sections.Expense, total: finishTotals('Expense', totals.Expense) },
+        other: { lines: sections.Other, total: finishTotals('Other', totals.Other) },
+        net: finishTotals('Revenue', net)
+    });
+}));
+
 module.exports = router;
@@ -0,0 +1,277 @@
+// src/routes/roles.js
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../database/connection');
+const { asyncHandler } = require('../utils/helpers');
+const { ApiError } = require('../middleware/error-handler');
+const { ADMIN_ROLE, clearPermissionCache } = require('../middleware/permissions');
+
+const ROLE_CODE = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Run a role change in a transaction; validation failures become 4xx responses
+ */
+async function inTransaction(res, work) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await work(client);
+        await client.query('COMMIT');
+        clearPermissionCache();
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (err instanceof ApiError) {
+            res.status(err.statusCode).json({ error: err.message, ...(err.details ? { details: err.details } : {}) });
+            return undefined;
+        }
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Load roles with their granted permissions and assigned user count
+ * @param {Object} db - pg pool or client
+ * @param {string} [code] - Limit to one role
+ * @returns {Promise<Object[]>} Roles
+ */
+async function loadRoles(db, code = null) {
+    const { rows } = await db.query(
+        `SELECT r.code, r.name, r.description, r.is_system, r.created_at, r.updated_at,
+                CASE WHEN r.code = $2
+                     THEN ARRAY(SELECT p.code FROM permissions p ORDER BY p.code)
+                     ELSE ARRAY(SELECT rp.permission_code FROM role_permissions rp
+                                 WHERE rp.role_code = r.code ORDER BY rp.permission_code)
+                END AS permissions,
+                (SELECT COUNT(*)::int FROM users u WHERE u.role = r.code) AS user_count
+           FROM roles r
+          WHERE $1::varchar IS NULL OR r.code = $1
+          ORDER BY r.is_system DESC, r.name`,
+        [code, ADMIN_ROLE]
+    );
+    return rows;
+}
+
+/**
+ * Check a permission list against the catalog
+ * @param {Object} db - pg pool or client
+ * @param {*} permissions - Value from the request body
+ * @returns {Promise<string[]>} Distinct permission codes
+ */
+async function validPermissions(db, permissions) {
+    if (!Array.isArray(permissions)) {
+        throw new ApiError('permissions must be an array of permission codes', 400);
+    }
+    const codes = [...new Set(permissions.map(p => String(p).trim()))];
+    const { rows } = await db.query(
+        'SELECT code FROM permissions WHERE code = ANY($1::varchar[])',
+        [codes]
+    );
+    const known = new Set(rows.map(r => r.code));
+    const unknown = codes.filter(c => !known.has(c));
+    if (unknown.length) {
+        throw new ApiError(`Unknown permission(s): ${unknown.join(', ')}`, 400);
+    }
+    return codes;
+}
+
+/**
+ * Replace a role's grants, recording each grant and revoke
+ * @param {Object} client - pg client inside a transaction
+ * @param {string} roleCode - Role code
+ * @param {string[]} permissions - Permission codes the role should hold
+ * @param {string|null} userId - User making the change
+ * @returns {Promise<Object>} { granted, revoked }
+ */
+async function setRolePermissions(client, roleCode, permissions, userId) {
+    const { rows } = await client.query(
+        'SELECT permission_code FROM role_permissions WHERE role_code = $1',
+        [roleCode]
+    );
+    const current = new Set(rows.map(r => r.permission_code));
+    const wanted = new Set(permissions);
+    const granted = permissions.filter(p => !current.has(p));
+    const revoked = [...current].filter(p => !wanted.has(p));
+
+    if (revoked.length) {
+        await client.query(
+            'DELETE FROM role_permissions WHERE role_code = $1 AND permission_code = ANY($2::varchar[])',
+            [roleCode, revoked]
+        );
+    }
+    if (granted.length) {
+        await client.query(
+            `INSERT INTO role_permissions (role_code, permission_code, granted_by)
+             SELECT $1, unnest($2::varchar[]), $3`,
+            [roleCode, granted, userId]
+        );
+    }
+
+    const changes = [
+        ...granted.map(p => [p, 'Grant']),
+        ...revoked.map(p => [p, 'Revoke'])
+    ];
+    if (changes.length) {
+        await client.query(
+            `INSERT INTO role_permission_history (role_code, permission_code, action, user_id)
+             SELECT $1, c.permission_code, c.action, $4
+               FROM unnest($2::varchar[], $3::varchar[]) AS c(permission_code, action)`,
+            [roleCode, changes.map(c => c[0]), changes.map(c => c[1]), userId]
+        );
+    }
+    return { granted, revoked };
+}
+
+/**
+ * GET /api/roles
+ * Lists roles with their permissions and how many users hold each
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    res.json(await loadRoles(pool));
+}));
+
+/**
+ * GET /api/roles/permissions
+ * Lists every permission that can be granted
+ */
+router.get('/permissions', asyncHandler(async (req, res) => {
+    const { rows } = await pool.query(
+        'SELECT code, category, description FROM permissions ORDER BY category, code'
+    );
+    res.json(rows);
+}));
+
+/**
+ * GET /api/roles/:code
+ * Returns one role with its permissions and grant/revoke history
+ */
+router.get('/:code', asyncHandler(async (req, res) => {
+    const [role] = await loadRoles(pool, req.params.code);
+    if (!role) {
+        return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const { rows: history } = await pool.query(
+        `SELECT h.permission_code, h.action, h.user_id, h.created_at,
+                NULLIF(TRIM(CONCAT(u.first_name, ' ', u.last_name)), '') AS user_name
+           FROM role_permission_history h
+           LEFT JOIN users u ON u.id = h.user_id
+          WHERE h.role_code = $1
+          ORDER BY h.created_at DESC
+          LIMIT 200`,
+        [role.code]
+    );
+    res.json({ ...role, history });
+}));
+
+/**
+ * POST /api/roles
+ * Creates a role
+ * Body: { code, name, description, permissions: [permission codes] }
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const { code, name, description, permissions = [] } = req.body || {};
+
+    if (!code || !ROLE_CODE.test(code) || code.length > 50) {
+        return res.status(400).json({
+            error: 'code is required: lowercase letters, digits and underscores, starting with a letter'
+        });
+    }
+    if (!name || !String(name).trim()) {
+        return res.status(400).json({ error: 'name is required' });
+    }
+
+    const created = await inTransaction(res, async (client) => {
+        const exists = await client.query('SELECT 1 FROM roles WHERE code = $1', [code]);
+        if (exists.rows.length) {
+            throw new ApiError(`Role ${code} already exists`, 409);
+        }
+        const codes = await validPermissions(client, permissions);
+        await client.query(
+            'INSERT INTO roles (code, name, description) VALUES ($1, $2, $3)',
+            [code, String(name).trim(), description || null]
+        );
+        await setRolePermissions(client, code, codes, req.user?.id || null);
+        return true;
+    });
+    if (!created) return;
+
+    const [role] = await loadRoles(pool, code);
+    res.status(201).json(role);
+}));
+
+/**
+ * PUT /api/roles/:code
+ * Renames a role and/or replaces its permissions
+ * Body: { name, description, permissions: [permission codes] }
+ */
+router.put('/:code', asyncHandler(async (req, res) => {
+    const { code } = req.params;
+    const { name, description, permissions } = req.body || {};
+
+    if (name !== undefined && !String(name).trim()) {
+        return res.status(400).json({ error: 'name cannot be empty' });
+    }
+    if (code === ADMIN_ROLE && permissions !== undefined) {
+        return res.status(409).json({ error: 'The admin role always holds every permission' });
+    }
+
+    const result = await inTransaction(res, async (client) => {
+        const { rows } = await client.query('SELECT code FROM roles WHERE code = $1 FOR UPDATE', [code]);
+        if (!rows.length) {
+            throw new ApiError('Role not found', 404);
+        }
+
+        await client.query(
+            `UPDATE roles
+                SET name = COALESCE($2, name),
+                    description = CASE WHEN $3::boolean THEN $4 ELSE description END,
+                    updated_at = NOW()
+              WHERE code = $1`,
+            [code, name !== undefined ? String(name).trim() : null,
+             description !== undefined, description || null]
+        );
+
+        if (permissions === undefined) return { granted: [], revoked: [] };
+        const codes = await validPermissions(client, permissions);
+        return setRolePermissions(client, code, codes, req.user?.id || null);
+    });
+    if (!result) return;
+
+    const [role] = await loadRoles(pool, code);
+    res.json({ ...role, granted: result.granted, revoked: result.revoked });
+}));
+
+/**
+ * DELETE /api/roles/:code
+ * Deletes a role that is not built in and has no users
+ */
+router.delete('/:code', asyncHandler(async (req, res) => {
+    const { code } = req.params;
+
+    const deleted = await inTransaction(res, async (client) => {
+        const { rows } = await client.query(
+            `SELECT r.is_system, (SELECT COUNT(*)::int FROM users u WHERE u.role = r.code) AS user_count
+               FROM roles r WHERE r.code = $1 FOR UPDATE`,
+            [code]
+        );
+        if (!rows.length) {
+            throw new ApiError('Role not found', 404);
+        }
+        if (rows[0].is_system) {
+            throw new ApiError('Built-in roles cannot be deleted', 409);
+        }
+        if (rows[0].user_count > 0) {
+            throw new ApiError(`Role is assigned to ${rows[0].user_count} user(s)`, 409, 'Reassign those users first');
+        }
+
+        const revoked = await setRolePermissions(client, code, [], req.user?.id || null);
+        await client.query('DELETE FROM roles WHERE code = $1', [code]);
+        return revoked;
+    });
+    if (deleted) res.status(204).send();
+}));
+
+module.exports = router;
@@ -5,6 +5,16 @@ const { pool } = require('../database/connection');
 const { asyncHandler } = require('../utils/helpers');
 const bcrypt = require('bcrypt');
 
+/**
+ * Check that a role code exists in the roles table
+ * @param {string} role - Role code
+ * @returns {Promise<boolean>} True when the role exists
+ */
+async function roleExists(role) {
+    const { rows } = await pool.query('SELECT 1 FROM roles WHERE code = $1', [role]);
+    return rows.length > 0;
+}
+
 /**
  * GET /api/users
  * Returns all users
@@ -80,6 +90,10 @@ router.post('/', asyncHandler(async (req, res) => {
     if (!password) {
         return res.status(400).json({ error: 'Password is required' });
     }
+
+    if (!await roleExists(role || 'user')) {
+        return res.status(400).json({ error: `Unknown role: ${role}` });
+    }
     
     // Check if email already exists
     const emailCheck = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
@@ -128,10 +142,25 @@ router.put('/:id', asyncHandler(async (req, res) => {
     const { first_name, last_name, email, username, password, role, status } = req.body;
     
     // Check if user exists
-    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [id]);
+    const userCheck = await pool.query('SELECT id, role FROM users WHERE id = $1', [id]);
     if (userCheck.rows.length === 0) {
         return res.status(404).json({ error: 'User not found' });
     }
+
+    if (role !== undefined && role !== userCheck.rows[0].role) {
+        if (!await roleExists(role)) {
+            return res.status(400).json({ error: `Unknown role: ${role}` });
+        }
+        if (userCheck.rows[0].role === 'admin') {
+            const adminCheck = await pool.query("SELECT COUNT(*)::int AS count FROM users WHERE role = 'admin'");
+            if (adminCheck.rows[0].count <= 1) {
+                return res.status(409).json({
+                    error: 'Cannot change the role of the last admin user',
+                    details: 'At least one admin user must remain in the system'
+                });
+            }
+        }
+    }
     
     // Check if email already exists (for another user)
     if (email) {
@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../database/connection');
 const { asyncHandler } = require('../utils/helpers');
+const { buildPaymentPosting, writePaymentPosting } = require('../utils/payment-posting');
 
 // Basic information_schema guard
 async function hasColumn(db, table, column) {
@@ -18,128 +19,81 @@ async function hasColumn(db, table, column) {
   }
 }
 
-async function getEntityIdByCode(db, code) {
-  const r = await db.query('SELECT id FROM entities WHERE code = $1 LIMIT 1', [code]);
-  return r.rows[0]?.id || null;
-}
-
-async function getFundIdByNumber(db, fundNumber) {
-  const r = await db.query('SELECT id FROM funds WHERE fund_number = $1 LIMIT 1', [fundNumber]);
-  return r.rows[0]?.id || null;
-}
-
-async function getAccountByCode(db, accountCode) {
-  const r = await db.query('SELECT * FROM accounts WHERE account_code = $1 LIMIT 1', [accountCode]);
-  return r.rows[0] || null;
-}
-
-async function getAccountById(db, id) {
-  const r = await db.query('SELECT * FROM accounts WHERE id = $1 LIMIT 1', [id]);
-  return r.rows[0] || null;
-}
-
-async function findAPAccount(db, entityCode, fundNumber) {
-  // REQUIRE AP account with specific GL code 2010 in the item's fund and entity
-  const r = await db.query(
-    `SELECT id FROM accounts 
-       WHERE gl_code = '2010'
-         AND entity_code = $1 AND fund_number = $2
-       LIMIT 1`,
-    [entityCode, fundNumber]
+// Lock the item and pick up the batch bank_name fallback
+async function loadPaymentItem(db, id, { lock }) {
+  // Lock only the payment_items row (no join in the FOR UPDATE query)
+  const { rows: piRows } = await db.query(
+    `SELECT * FROM payment_items WHERE id = $1${lock ? ' FOR UPDATE' : ''}`,
+    [id]
   );
-  return r.rows[0]?.id || null;
-}
-
-async function findARAccount(db, entityCode, fundNumber) {
-  // REQUIRE AR account with specific GL code 1008 in the item's fund and entity
-  const r = await db.query(
-    `SELECT id FROM accounts 
-       WHERE classification = 'Accounts Receivable'
-         AND gl_code = '1008'
-         AND entity_code = $1 AND fund_number = $2
-       LIMIT 1`,
-    [entityCode, fundNumber]
-  );
-  return r.rows[0]?.id || null;
-}
-
-async function findBankAccountByName(db, bankName) {
-  if (!bankName) return null;
-  // Try bank_name exact, then account_name exact, then ILIKE fuzzy on both
-  const q = `
-    SELECT *
-      FROM bank_accounts
-     WHERE LOWER(bank_name) = LOWER($1)
-        OR LOWER(account_name) = LOWER($1)
-     ORDER BY created_at DESC
-     LIMIT 1
-  `;
-  const r = await db.query(q, [bankName]);
-  if (r.rows[0]) return r.rows[0];
-  const r2 = await db.query(
-    `SELECT * FROM bank_accounts WHERE bank_name ILIKE $1 OR account_name ILIKE $1 ORDER BY created_at DESC LIMIT 1`,
-    [bankName]
-  );
-  return r2.rows[0] || null;
-}
-
-// NOTE: Per user instruction, do NOT use NACHA settings to resolve bank account.
-// Only resolve by matching bank_accounts.account_name (preferred) or bank_name (fallback)
-async function resolveBankAccountByNameOnly(db, name) {
-  if (!name) return null;
-  return await findBankAccountByName(db, name);
-}
-
-async function findEftClearingAccountByEntity(db, entityCode) {
-  const r = await db.query(
-    `SELECT id FROM accounts WHERE gl_code = '1020' AND entity_code = $1 LIMIT 1`,
-    [entityCode]
-  );
-  return r.rows[0]?.id || null;
-}
-
-async function insertJournalEntry(db, { entityId, entryDate, reference, description, totalAmount, paymentItemId, createdBy }) {
-  // Build dynamic insert for optional columns
-  const cols = ['entity_id', 'entry_date', 'total_amount'];
-  const vals = [entityId, entryDate, totalAmount];
-  const ph = () => `$${vals.length}`;
-
-  if (await hasColumn(db, 'journal_entries', 'reference_number')) {
-    cols.push('reference_number'); vals.push(reference);
-  } else if (await hasColumn(db, 'journal_entries', 'reference')) {
-    cols.push('reference'); vals.push(reference);
-  }
-  if (await hasColumn(db, 'journal_entries', 'description')) {
-    cols.push('description'); vals.push(description || '');
-  }
-  if (await hasColumn(db, 'journal_entries', 'status')) {
-    cols.push('status'); vals.push('Posted');
+  if (!piRows.length) {
+    throw new Error('Payment item not found');
   }
-  if (await hasColumn(db, 'journal_entries', 'entry_mode')) {
-    cols.push('entry_mode'); vals.push('Auto');
-  }
-  if (await hasColumn(db, 'journal_entries', 'payment_item_id') && paymentItemId) {
-    cols.push('payment_item_id'); vals.push(paymentItemId);
-  }
-  if (await hasColumn(db, 'journal_entries', 'created_by') && createdBy) {
-    cols.push('created_by'); vals.push(createdBy);
+  const pi = piRows[0];
+
+  let batchBankName = null;
+  if (pi.payment_batch_id) {
+    try {
+      const rbn = await db.query(
+        `SELECT bank_name FROM payment_batches WHERE id = $1 LIMIT 1`,
+        [pi.payment_batch_id]
+      );
+      batchBankName = rbn.rows[0]?.bank_name || null;
+    } catch (_) {
+      batchBankName = null;
+    }
   }
-
-  const placeholders = vals.map((_, i) => `$${i + 1}`).join(',');
-  const sql = `INSERT INTO journal_entries (${cols.join(',')}) VALUES (${placeholders}) RETURNING id`;
-  const r = await db.query(sql, vals);
-  return r.rows[0].id;
+  return { pi, batchBankName };
 }
 
-async function insertJeLine(db, { journalEntryId, accountId, fundId, debit, credit, description }) {
-  const cols = ['journal_entry_id', 'account_id', 'fund_id', 'debit', 'credit'];
-  const vals = [journalEntryId, accountId, fundId, debit || 0, credit || 0];
-  if (await hasColumn(db, 'journal_entry_items', 'description')) {
-    cols.push('description'); vals.push(description || '');
+// Planned entries without ids, for the dry run
+const describePlan = (plan) => ({
+  entity_id: plan.entity_id,
+  entry_date: plan.entry_date,
+  reference: plan.reference,
+  description: plan.description,
+  amount: plan.amount,
+  rule: {
+    id: plan.rule.id,
+    entity_id: plan.rule.entity_id,
+    payment_type: plan.rule.payment_type,
+    ap_gl_code: plan.rule.ap_gl_code,
+    due_to_gl_code: plan.rule.due_to_gl_code,
+    due_from_gl_code: plan.rule.due_from_gl_code,
+    clearing_gl_code: plan.rule.clearing_gl_code,
+    cash_gl_code: plan.rule.cash_gl_code,
+    compound_entry: plan.rule.compound_entry,
+    is_default: !plan.rule.id
+  },
+  entries: plan.entries
+});
+
+// POST /api/vendor-payments/pay/dry-run
+// Body: { payment_item_ids: [uuid,...] }
+// Shows the journal entries /pay would write (per the posting rules) without writing anything
+router.post('/pay/dry-run', asyncHandler(async (req, res) => {
+  const ids = req.body?.payment_item_ids || req.body?.ids || [];
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).json({ error: 'payment_item_ids array is required' });
+  }
+
+  const results = [];
+  for (const id of ids) {
+    const itemResult = { payment_item_id: id };
+    try {
+      const { pi, batchBankName } = await loadPaymentItem(pool, id, { lock: false });
+      const plan = await buildPaymentPosting(pool, pi, { batchBankName });
+      itemResult.ok = true;
+      Object.assign(itemResult, describePlan(plan));
+    } catch (err) {
+      itemResult.ok = false;
+      itemResult.error = err.message || String(err);
+    }
+    results.push(itemResult);
   }
-  const placeholders = vals.map((_, i) => `$${i + 1}`).join(',');
-  await db.query(`INSERT INTO journal_entry_items (${cols.join(',')}) VALUES (${placeholders})`, vals);
-}
+
+  res.json({ results });
+}));
 
 // POST /api/vendor-payments/pay
 // Body: { payment_item_ids: [uuid,...] }
@@ -157,151 +111,13 @@ router.post('/pay', asyncHandler(async (req, res) => {
       try {
         await client.query('BEGIN');
 
-        // Lock the item
-        // Lock only the payment_items row (avoid locking nullable side of an outer join)
-        const { rows: piRows } = await client.query(
-          `SELECT * FROM payment_items WHERE id = $1 FOR UPDATE`,
-          [id]
-        );
-        if (!piRows.length) {
-          throw new Error('Payment item not found');
-        }
-        const pi = piRows[0];
-
-        // Fetch batch bank_name separately (no join in the FOR UPDATE query)
-        let batchBankName = null;
-        if (pi.payment_batch_id) {
-          try {
-            const rbn = await client.query(
-              `SELECT bank_name FROM payment_batches WHERE id = $1 LIMIT 1`,
-              [pi.payment_batch_id]
-            );
-            batchBankName = rbn.rows[0]?.bank_name || null;
-          } catch (_) {
-            batchBankName = null;
-          }
-        }
-
-        const amount = Math.abs(Number(pi.amount || 0));
-        if (!amount) throw new Error('Invalid amount');
-        const entryDate = pi.post_date || new Date();
-        const reference = pi.reference || pi.invoice_number || String(pi.id);
-        const paymentType = (pi.payment_type || '').toString().toUpperCase();
-        const bankName = pi.bank_name || batchBankName || null;
-
-        // Fetch vendor name for journal entry description
-        let vendorName = '';
-        if (pi.vendor_id) {
-          const vr = await client.query('SELECT name FROM vendors WHERE id = $1 LIMIT 1', [pi.vendor_id]);
-          vendorName = vr.rows[0]?.name || '';
-        }
-        // Concatenate vendor name + description for journal entries
-        const itemDesc = pi.description || '';
-        const description = [vendorName, itemDesc].filter(Boolean).join(' - ');
-
-        // Expense account from payment item.account_number (canonical)
-        let expenseAccount = await getAccountByCode(client, pi.account_number);
-        if (!expenseAccount && pi.entity_code && pi.gl_code && pi.fund_number) {
-          const r = await client.query(
-            `SELECT * FROM accounts WHERE entity_code=$1 AND gl_code=$2 AND fund_number=$3 LIMIT 1`,
-            [pi.entity_code, pi.gl_code, pi.fund_number]
-          );
-          expenseAccount = r.rows[0] || null;
-        }
-        if (!expenseAccount) throw new Error('Expense account not found from account_number');
-
-        const entityId = await getEntityIdByCode(client, expenseAccount.entity_code);
-        if (!entityId) throw new Error('Entity not found for expense account');
-        const expenseFundId = await getFundIdByNumber(client, expenseAccount.fund_number);
-        if (!expenseFundId) throw new Error('Fund not found for expense account');
-
-        // AP/AR accounts in the item fund
-        const apAccountId = await findAPAccount(client, expenseAccount.entity_code, expenseAccount.fund_number);
-        if (!apAccountId) throw new Error('Accounts Payable account not found for item fund');
-        const arAccountId = await findARAccount(client, expenseAccount.entity_code, expenseAccount.fund_number);
-        if (!arAccountId) throw new Error('Accounts Receivable account not found for item fund');
-
-        // Resolve bank account strictly by account_name/bank_name (no NACHA linking)
-        const bankAcct = await resolveBankAccountByNameOnly(client, bankName);
-        if (!bankAcct || !bankAcct.cash_account_id) {
-          throw new Error('Bank cash account not found by account_name/bank_name');
-        }
-        const bankCash = await getAccountById(client, bankAcct.cash_account_id);
-        if (!bankCash) throw new Error('Bank cash GL account not found');
-        const bankFundId = await getFundIdByNumber(client, bankCash.fund_number);
-        if (!bankFundId) throw new Error('Bank fund not found');
-
-        // Optional EFT clearing account by payment item's entity_code (gl_code = 1020)
-        const isEft = paymentType === 'EFT';
-        let eftAccountId = null;
-        if (isEft) {
-          const itemEntityCode = pi.entity_code || expenseAccount.entity_code;
-          eftAccountId = await findEftClearingAccountByEntity(client, itemEntityCode);
-          if (!eftAccountId) throw new Error('EFT clearing (gl_code 1020) account not found for item entity');
-        }
-
-        // JE1: Expense Dr (item fund) / AP Cr (item fund)
-        const je1Id = await insertJournalEntry(client, {
-          entityId,
-          entryDate,
-          reference,
-          description,
-          totalAmount: amount,
-          paymentItemId: id,
-          createdBy: (req.user && req.user.id) || null
-        });
-        await insertJeLine(client, { journalEntryId: je1Id, accountId: expenseAccount.id, fundId: expenseFundId, debit: amount, credit: 0, description });
-        await insertJeLine(client, { journalEntryId: je1Id, accountId: apAccountId,      fundId: expenseFundId, debit: 0,      credit: amount, description });
-
-        // JE2: Interfund reclass using AR(1008) accounts only when funds differ
-        // DR AR(1008) in bank fund; CR AR(1008) in expense fund
-        let je2Id = null;
-        if (String(expenseAccount.fund_number) !== String(bankCash.fund_number)) {
-          // Find AR(1008) in the bank cash fund as well
-          const arBankFundAccountId = await findARAccount(client, expenseAccount.entity_code, bankCash.fund_number);
-          if (!arBankFundAccountId) throw new Error('Accounts Receivable (1008) account not found for bank fund');
-
-          je2Id = await insertJournalEntry(client, {
-            entityId,
-            entryDate,
-            reference,
-            description,
-            totalAmount: amount,
-            paymentItemId: id,
-            createdBy: (req.user && req.user.id) || null
-          });
-          await insertJeLine(client, { journalEntryId: je2Id, accountId: arBankFundAccountId, fundId: bankFundId,    debit: amount, credit: 0,      description });
-          await insertJeLine(client, { journalEntryId: je2Id, accountId: arAccountId,        fundId: expenseFundId, debit: 0,      credit: amount, description });
-        }
-
-        // JE3: EFT only — Debit and Credit same EFT clearing (bank fund)
-        let je3Id = null;
-        if (isEft) {
-          je3Id = await insertJournalEntry(client, {
-            entityId,
-            entryDate,
-            reference,
-            description,
-            totalAmount: amount,
-            paymentItemId: id,
-            createdBy: (req.user && req.user.id) || null
-          });
-          await insertJeLine(client, { journalEntryId: je3Id, accountId: eftAccountId, fundId: bankFundId, debit: amount, credit: 0, description });
-          await insertJeLine(client, { journalEntryId: je3Id, accountId: eftAccountId, fundId: bankFundId, debit: 0,      credit: amount, description });
-        }
-
-        // JE4: AP Dr (item fund) / Bank Cash Cr (bank fund)
-        const je4Id = await insertJournalEntry(client, {
-          entityId,
-          entryDate,
-          reference,
-          description,
-          totalAmount: amount,
-          paymentItemId: id,
+        const { pi, batchBankName } = await loadPaymentItem(client, id, { lock: true });
+        const plan = await buildPaymentPosting(client, pi, { batchBankName });
+        const entryIds = await writePaymentPosting(client, plan, {
           createdBy: (req.user && req.user.id) || null
         });
-        await insertJeLine(client, { journalEntryId: je4Id, accountId: apAccountId,   fundId: expenseFundId, debit: amount, credit: 0,      description });
-        await insertJeLine(client, { journalEntryId: je4Id, accountId: bankCash.id,   fundId: bankFundId,    debit: 0,      credit: amount, description });
+        // A compound entry stands in for JE1
+        const je1Id = entryIds.accrual || entryIds.compound;
 
         // Persist on payment item
         // Mark as Paid and store JE1 on journal_entry_id
@@ -322,7 +138,13 @@ router.post('/pay', asyncHandler(async (req, res) => {
         await client.query('COMMIT');
 
         itemResult.ok = true;
-        itemResult.journal_entries = { je1Id, je2Id, je3Id, je4Id };
+        itemResult.journal_entries = {
+          je1Id,
+          je2Id: entryIds.interfund || null,
+          je3Id: entryIds.clearing || null,
+          je4Id: entryIds.payment || null
+        };
+        itemResult.compound = !!entryIds.compound;
       } catch (err) {
         await client.query('ROLLBACK');
         itemResult.ok = false;
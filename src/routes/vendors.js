@@ -3,6 +3,15 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../database/connection');
 const { asyncHandler } = require('../utils/helpers');
+const { prenotesEnabled, queuePrenoteIfChanged, effectivePrenoteStatus } = require('../utils/prenotes');
+const {
+  IMPORTERS,
+  startImportJob,
+  logImportRow,
+  trackInsert,
+  trackUpdate,
+  finishImportJob
+} = require('../utils/import-jobs');
 const multer = require('multer');
 const { parse } = require('csv-parse/sync');
 
@@ -107,12 +116,43 @@ router.get('/', asyncHandler(async (_req, res) => {
   const { rows } = await pool.query(
     'SELECT * FROM vendors ORDER BY name'
   );
-  res.json(rows);
+  // Vendors whose prenote waiting period has passed show as Verified
+  res.json(rows.map(v => (v.prenote_status ? { ...v, prenote_status: effectivePrenoteStatus(v) } : v)));
+}));
+
+/**
+ * GET /api/vendors/:id/prenotes
+ * Prenote history for a vendor, newest first.
+ */
+router.get('/:id/prenotes', asyncHandler(async (req, res) => {
+  if (!await prenotesEnabled(pool)) {
+    return res.status(404).json({ error: 'Vendor prenotes are not set up in this database' });
+  }
+  const vendor = await pool.query(
+    `SELECT id, name, prenote_status, prenote_date, prenote_hold_until FROM vendors WHERE id = $1`,
+    [req.params.id]
+  );
+  if (!vendor.rows.length) {
+    return res.status(404).json({ error: 'Vendor not found' });
+  }
+  const { rows } = await pool.query(
+    `SELECT vp.id, vp.routing_number,
+            '****' || RIGHT(vp.account_number, 4) AS account_number,
+            vp.account_type, vp.status, vp.nacha_file_id, vp.trace_number,
+            vp.effective_date, vp.hold_until, vp.return_code, vp.created_at
+       FROM vendor_prenotes vp
+      WHERE vp.vendor_id = $1
+      ORDER BY vp.created_at DESC`,
+    [req.params.id]
+  );
+  const v = vendor.rows[0];
+  res.json({ vendor: { ...v, prenote_status: effectivePrenoteStatus(v) }, prenotes: rows });
 }));
 
 /**
  * POST /api/vendors
- * Creates a new vendor.
+ * Creates a new vendor. Bank details queue a prenote and hold the vendor's
+ * ACH payments until it has cleared.
  */
 router.post('/', asyncHandler(async (req, res) => {
   const {
@@ -144,52 +184,68 @@ router.post('/', asyncHandler(async (req, res) => {
   }
 
   const statusVal = status ? status.toLowerCase() : 'active';
-
-  const { rows } = await pool.query(
-    `INSERT INTO vendors
-      (zid, name, name_detail, contact_name, email,
-       street_1, street_2, city, state, zip, country,
-       tax_id, vendor_type, subject_to_1099,
-       bank_account_type, bank_routing_number, bank_account_number,
-       account_type, payment_type,
-       status, notes)
-     VALUES ($1,$2,$3,$4,$5,
-             $6,$7,$8,$9,$10,$11,
-             $12,$13,$14,
-             $15,$16,$17,
-             $18,$19,
-             $20,$21)
-     RETURNING *`,
-    [
-      zid.toString().trim(),
-      name,
-      name_detail,
-      contact_name,
-      email,
-      street_1,
-      street_2,
-      city,
-      state,
-      zip,
-      country ?? 'USA',
-      tax_id,
-      vendor_type,
-      subject_to_1099 ?? false,
-      bank_account_type,
-      bank_routing_number,
-      bank_account_number,
-      account_type,
-      payment_type,
-      statusVal,
-      notes || ''
-    ]
-  );
-  res.status(201).json(rows[0]);
+  const userId = (req.user && req.user.id) || null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `INSERT INTO vendors
+        (zid, name, name_detail, contact_name, email,
+         street_1, street_2, city, state, zip, country,
+         tax_id, vendor_type, subject_to_1099,
+         bank_account_type, bank_routing_number, bank_account_number,
+         account_type, payment_type,
+         status, notes)
+       VALUES ($1,$2,$3,$4,$5,
+               $6,$7,$8,$9,$10,$11,
+               $12,$13,$14,
+               $15,$16,$17,
+               $18,$19,
+               $20,$21)
+       RETURNING *`,
+      [
+        zid.toString().trim(),
+        name,
+        name_detail,
+        contact_name,
+        email,
+        street_1,
+        street_2,
+        city,
+        state,
+        zip,
+        country ?? 'USA',
+        tax_id,
+        vendor_type,
+        subject_to_1099 ?? false,
+        bank_account_type,
+        bank_routing_number,
+        bank_account_number,
+        account_type,
+        payment_type,
+        statusVal,
+        notes || ''
+      ]
+    );
+    const prenote = await queuePrenoteIfChanged(client, null, rows[0], userId);
+    const saved = prenote
+      ? (await client.query('SELECT * FROM vendors WHERE id = $1', [rows[0].id])).rows[0]
+      : rows[0];
+    await client.query('COMMIT');
+    res.status(201).json(saved);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
 }));
 
 /**
  * PUT /api/vendors/:id
- * Updates an existing vendor.
+ * Updates an existing vendor. Changed bank details queue a new prenote and
+ * hold the vendor's ACH payments until it has cleared.
  */
 router.put('/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -222,58 +278,78 @@ router.put('/:id', asyncHandler(async (req, res) => {
   }
 
   const statusVal = status ? status.toLowerCase() : 'active';
-
-  const { rows } = await pool.query(
-    `UPDATE vendors
-        SET zid                  = $1,
-            name                 = $2,
-            name_detail          = $3,
-            contact_name         = $4,
-            email                = $5,
-            street_1             = $6,
-            street_2             = $7,
-            city                 = $8,
-            state                = $9,
-            zip                  = $10,
-            country              = $11,
-            tax_id               = $12,
-            vendor_type          = $13,
-            subject_to_1099      = $14,
-            bank_account_type    = $15,
-            bank_routing_number  = $16,
-            bank_account_number  = $17,
-            account_type         = $18,
-            payment_type         = $19,
-            status               = $20,
-            notes                = $21
-      WHERE id = $22
-      RETURNING *`,
-    [
-      zid.toString().trim(),
-      name,
-      name_detail,
-      contact_name,
-      email,
-      street_1,
-      street_2,
-      city,
-      state,
-      zip,
-      country ?? 'USA',
-      tax_id,
-      vendor_type,
-      subject_to_1099 ?? false,
-      bank_account_type,
-      bank_routing_number,
-      bank_account_number,
-      account_type,
-      payment_type,
-      statusVal,
-      notes || '',
-      id
-    ]
-  );
-  res.json(rows[0]);
+  const userId = (req.user && req.user.id) || null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const before = await client.query('SELECT * FROM vendors WHERE id = $1 FOR UPDATE', [id]);
+    if (!before.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Vendor not found' });
+    }
+    const { rows } = await client.query(
+      `UPDATE vendors
+          SET zid                  = $1,
+              name                 = $2,
+              name_detail          = $3,
+              contact_name         = $4,
+              email                = $5,
+              street_1             = $6,
+              street_2             = $7,
+              city                 = $8,
+              state                = $9,
+              zip                  = $10,
+              country              = $11,
+              tax_id               = $12,
+              vendor_type          = $13,
+              subject_to_1099      = $14,
+              bank_account_type    = $15,
+              bank_routing_number  = $16,
+              bank_account_number  = $17,
+              account_type         = $18,
+              payment_type         = $19,
+              status               = $20,
+              notes                = $21
+        WHERE id = $22
+        RETURNING *`,
+      [
+        zid.toString().trim(),
+        name,
+        name_detail,
+        contact_name,
+        email,
+        street_1,
+        street_2,
+        city,
+        state,
+        zip,
+        country ?? 'USA',
+        tax_id,
+        vendor_type,
+        subject_to_1099 ?? false,
+        bank_account_type,
+        bank_routing_number,
+        bank_account_number,
+        account_type,
+        payment_type,
+        statusVal,
+        notes || '',
+        id
+      ]
+    );
+    const prenote = await queuePrenoteIfChanged(client, before.rows[0], rows[0], userId);
+    const saved = prenote
+      ? (await client.query('SELECT * FROM vendors WHERE id = $1', [id])).rows[0]
+      : rows[0];
+    await client.query('COMMIT');
+    res.json(saved);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
 }));
 
 /**
@@ -312,6 +388,15 @@ router.post(
         .json({ error: 'Invalid CSV format', message: err.message });
     }
 
+    const userId = (req.user && req.user.id) || null;
+    const job = await startImportJob(pool, {
+      importer: IMPORTERS.VENDORS,
+      filename: req.file.originalname || null,
+      content: req.file.buffer,
+      userId,
+      totalRows: records.length
+    });
+
     let inserted = 0,
       updated = 0,
       failed = 0;
@@ -356,20 +441,22 @@ router.post(
 
         // Upsert by zID (case-insensitive)
         const byZid = await pool.query(
-          'SELECT id FROM vendors WHERE LOWER(zid) = LOWER($1) LIMIT 1',
+          'SELECT * FROM vendors WHERE LOWER(zid) = LOWER($1) LIMIT 1',
           [zidCandidate]
         );
 
         if (byZid.rows.length) {
           const vid = byZid.rows[0].id;
-          await pool.query(
+          await trackUpdate(pool, job, 'vendors', vid);
+          const after = await pool.query(
             `UPDATE vendors
                SET zid=$1, name=$2, name_detail=$3, contact_name=$4, email=$5,
                    street_1=$6, street_2=$7, city=$8, state=$9, zip=$10, country=$11,
                    tax_id=$12, vendor_type=$13, subject_to_1099=$14,
                    bank_account_type=$15, bank_routing_number=$16, bank_account_number=$17,
                    last_used=$18, status=$19, account_type=$20, payment_type=$21
-             WHERE id=$22`,
+             WHERE id=$22
+             RETURNING *`,
             [
               row.zid, row.name, row.name_detail, row.contact_name, row.email,
               row.street_1, row.street_2, row.city, row.state, row.zip, row.country,
@@ -379,20 +466,24 @@ router.post(
               vid
             ]
           );
+          await queuePrenoteIfChanged(pool, byZid.rows[0], after.rows[0], userId);
           updated++;
+          logImportRow(job, { row: i + 1, reference: row.zid, status: 'Succeeded', message: 'Updated' });
         } else {
           // Fallback upsert by name (case-insensitive)
-          const existing = await pool.query('SELECT id FROM vendors WHERE LOWER(name) = LOWER($1) LIMIT 1', [row.name]);
+          const existing = await pool.query('SELECT * FROM vendors WHERE LOWER(name) = LOWER($1) LIMIT 1', [row.name]);
           if (existing.rows.length) {
             const id = existing.rows[0].id;
-            await pool.query(
+            await trackUpdate(pool, job, 'vendors', id);
+            const after = await pool.query(
               `UPDATE vendors
                  SET zid=$1, name=$2, name_detail=$3, contact_name=$4, email=$5,
                      street_1=$6, street_2=$7, city=$8, state=$9, zip=$10, country=$11,
                      tax_id=$12, vendor_type=$13, subject_to_1099=$14,
                      bank_account_type=$15, bank_routing_number=$16, bank_account_number=$17,
                      last_used=$18, status=$19, account_type=$20, payment_type=$21
-               WHERE id=$22`,
+               WHERE id=$22
+               RETURNING *`,
               [
                 row.zid, row.name, row.name_detail, row.contact_name, row.email,
                 row.street_1, row.street_2, row.city, row.state, row.zip, row.country,
@@ -402,9 +493,11 @@ router.post(
                 id
               ]
             );
+            await queuePrenoteIfChanged(pool, existing.rows[0], after.rows[0], userId);
             updated++;
+            logImportRow(job, { row: i + 1, reference: row.zid, status: 'Succeeded', message: 'Updated (matched by name)' });
           } else {
-            await pool.query(
+            const created = await pool.query(
               `INSERT INTO vendors
                 (zid, name, name_detail, contact_name, email,
                  street_1, street_2, city, state, zip, country,
@@ -415,7 +508,8 @@ router.post(
                        $6,$7,$8,$9,$10,$11,
                        $12,$13,$14,
                        $15,$16,$17,
-                       $18,$19,$20,$21)`,
+                       $18,$19,$20,$21)
+               RETURNING *`,
               [
                 row.zid, row.name, row.name_detail, row.contact_name, row.email,
                 row.street_1, row.street_2, row.city, row.state, row.zip, row.country,
@@ -424,16 +518,23 @@ router.post(
                 row.last_used, row.status, row.account_type, row.payment_type
               ]
             );
+            await trackInsert(pool, job, 'vendors', created.rows[0].id);
+            await queuePrenoteIfChanged(pool, null, created.rows[0], userId);
             inserted++;
+            logImportRow(job, { row: i + 1, reference: row.zid, status: 'Succeeded', message: 'Inserted' });
           }
         }
       } catch (err) {
         failed++;
         errors.push(`Row ${i + 1}: ${err.message}`);
+        logImportRow(job, { row: i + 1, reference: rec.zid || null, status: 'Failed', message: err.message });
       }
     }
 
+    await finishImportJob(pool, job, { summary: { inserted, updated, failed } });
+
     res.json({
+      import_job_id: job.id,
       total: records.length,
       inserted,
       updated,
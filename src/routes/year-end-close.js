@@ -0,0 +1,531 @@
+// src/routes/year-end-close.js
+//
+// Fiscal year-end close. Revenue and expense balances for the year are moved
+// into each fund's net asset equity account by a single 'Year-End Close'
+// journal entry. Account balances in this app are always beginning_balance
+// plus every posted item, so accounts.beginning_balance and
+// funds.starting_balance are left as they are; the next year's opening
+// balances are recorded in year_end_close_balances instead.
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../database/connection');
+const { asyncHandler } = require('../utils/helpers');
+const { requirePermission } = require('../middleware/permissions');
+const {
+    CLOSING_ENTRY_TYPE,
+    normalizeLineType,
+    round2,
+    fetchAccountBalances,
+    fiscalYearBounds,
+    addMonths
+} = require('../utils/ledger');
+const { closedPeriodMessage, findClosedPeriod } = require('../utils/period-lock');
+
+/**
+ * Compute the closing entry for an entity's fiscal year without writing
+ * anything.
+ * @param {Object} db - pg Pool or client
+ * @param {string} entityId - Entity UUID
+ * @param {string} fiscalYear - Fiscal year label (YYYY)
+ * @returns {Promise<Object>} { error } or the closing plan
+ */
+async function buildClosingPlan(db, entityId, fiscalYear) {
+    const { rows: entRows } = await db.query(
+        'SELECT id, code, name, fiscal_year_start FROM entities WHERE id = $1',
+        [entityId]
+    );
+    if (!entRows.length) return { statusCode: 404, error: 'Entity not found' };
+    const entity = entRows[0];
+
+    const fy = fiscalYearBounds(entity.fiscal_year_start || '01-01', fiscalYear);
+    const openingDate = addMonths(fy.start, 12);
+
+    // Revenue / expense net debit by account and fund for the fiscal year.
+    // Beginning balances dated inside the year count as activity.
+    const { rows } = await db.query(
+        `WITH pl_accounts AS (
+           SELECT a.*, COALESCE(gc.line_type, a.classification) AS line_type
+             FROM accounts a
+             LEFT JOIN gl_codes gc ON LOWER(gc.code) = LOWER(a.gl_code)
+            WHERE LOWER(COALESCE(gc.line_type, a.classification, '')) LIKE 'rev%'
+               OR LOWER(COALESCE(gc.line_type, a.classification, '')) LIKE 'exp%'
+               OR LOWER(COALESCE(gc.line_type, a.classification, '')) LIKE '%income%'
+         ),
+         activity AS (
+           SELECT jei.account_id, jei.fund_id,
+                  SUM(COALESCE(jei.debit, 0) - COALESCE(jei.credit, 0)) AS amount
+             FROM journal_entry_items jei
+             JOIN journal_entries je ON je.id = jei.journal_entry_id
+             JOIN pl_accounts a      ON a.id  = jei.account_id
+            WHERE je.entity_id = $1
+              AND je.status = 'Posted'
+              AND je.entry_date BETWEEN $2 AND $3
+              AND COALESCE(je.entry_type, '') <> $4
+            GROUP BY jei.account_id, jei.fund_id
+         ),
+         opening AS (
+           SELECT a.id AS account_id, f.id AS fund_id, COALESCE(a.beginning_balance, 0) AS amount
+             FROM pl_accounts a
+             JOIN entities e ON e.code = a.entity_code AND e.id = $1
+             LEFT JOIN LATERAL (
+               SELECT id FROM funds
+                WHERE fund_number = a.fund_number
+                ORDER BY (LOWER(entity_code) = LOWER(a.entity_code)) DESC
+                LIMIT 1
+             ) f ON TRUE
+            WHERE a.beginning_balance_date BETWEEN $2 AND $3
+         )
+         SELECT u.account_id, a.account_code, a.description, a.line_type,
+                u.fund_id, f.fund_code, f.fund_name, f.entity_code AS fund_entity_code,
+                f.fund_number, f.restriction,
+                SUM(u.amount) AS amount
+           FROM (SELECT * FROM activity UNION ALL SELECT * FROM opening) u
+           JOIN pl_accounts a ON a.id = u.account_id
+           LEFT JOIN funds f  ON f.id = u.fund_id
+          GROUP BY u.account_id, a.account_code, a.description, a.line_type,
+                   u.fund_id, f.fund_code, f.fund_name, f.entity_code, f.fund_number, f.restriction
+         HAVING SUM(u.amount) <> 0
+          ORDER BY f.fund_code, a.account_code`,
+        [entityId, fy.start, fy.end, CLOSING_ENTRY_TYPE]
+    );
+
+    const errors = [];
+    const byFund = new Map();
+    for (const r of rows) {
+        if (!r.fund_id) {
+            errors.push(`Account ${r.account_code} has activity with no fund`);
+            continue;
+        }
+        if (!byFund.has(r.fund_id)) {
+            byFund.set(r.fund_id, {
+                fund_id: r.fund_id,
+                fund_code: r.fund_code,
+                fund_name: r.fund_name,
+                entity_code: r.fund_entity_code,
+                fund_number: r.fund_number,
+                restriction: r.restriction,
+                revenue: 0,
+                expense: 0,
+                accounts: []
+            });
+        }
+        const fund = byFund.get(r.fund_id);
+        const amount = round2(r.amount);
+        if (normalizeLineType(r.line_type) === 'Expense') fund.expense += amount;
+        else fund.revenue -= amount;
+        fund.accounts.push({ account_id: r.account_id, account_code: r.account_code, description: r.description, net_debit: amount });
+    }
+
+    const lines = [];
+    const funds = [];
+    for (const fund of byFund.values()) {
+        // Net asset equity account in the same entity/fund, matching restriction first
+        const { rows: eqRows } = await db.query(
+            `SELECT a.id, a.account_code, a.description
+               FROM accounts a
+               LEFT JOIN gl_codes gc ON LOWER(gc.code) = LOWER(a.gl_code)
+              WHERE LOWER(a.entity_code) = LOWER($1)
+                AND a.fund_number = $2
+                AND (LOWER(COALESCE(gc.line_type, a.classification, '')) LIKE 'equity%'
+                     OR LOWER(COALESCE(gc.line_type, a.classification, '')) LIKE '%net asset%')
+                AND a.status = 'Active'
+              ORDER BY (a.restriction = $3) DESC, a.account_code
+              LIMIT 1`,
+            [fund.entity_code, fund.fund_number, fund.restriction]
+        );
+        const equity = eqRows[0] || null;
+        if (!equity) {
+            errors.push(`No net asset (equity) account found for fund ${fund.fund_code}`);
+        }
+
+        let net = 0;
+        for (const acc of fund.accounts) {
+            net += acc.net_debit;
+            lines.push({
+                account_id: acc.account_id,
+                account_code: acc.account_code,
+                description: `Close ${acc.account_code} ${acc.description || ''}`.trim(),
+                fund_id: fund.fund_id,
+                debit: acc.net_debit < 0 ? -acc.net_debit : 0,
+                credit: acc.net_debit > 0 ? acc.net_debit : 0
+            });
+        }
+        net = round2(net);
+        if (equity && net !== 0) {
+            lines.push({
+                account_id: equity.id,
+                account_code: equity.account_code,
+                description: `FY${fiscalYear} change in net assets – ${fund.fund_code}`,
+                fund_id: fund.fund_id,
+                debit: net > 0 ? net : 0,
+                credit: net < 0 ? -net : 0
+            });
+        }
+
+        funds.push({
+            fund_id: fund.fund_id,
+            fund_code: fund.fund_code,
+            fund_name: fund.fund_name,
+            restriction: fund.restriction,
+            revenue: round2(fund.revenue),
+            expense: round2(fund.expense),
+            change_in_net_assets: round2(fund.revenue - fund.expense),
+            net_asset_account: equity
+        });
+    }
+
+    const totalRevenue = round2(funds.reduce((s, f) => s + f.revenue, 0));
+    const totalExpense = round2(funds.reduce((s, f) => s + f.expense, 0));
+    const totalDebits = round2(lines.reduce((s, l) => s + l.debit, 0));
+    const totalCredits = round2(lines.reduce((s, l) => s + l.credit, 0));
+
+    return {
+        entity: { id: entity.id, code: entity.code, name: entity.name },
+        fiscal_year: String(fiscalYear),
+        fiscal_year_start: fy.start,
+        closing_date: fy.end,
+        opening_date: openingDate,
+        funds,
+        lines,
+        total_revenue: totalRevenue,
+        total_expense: totalExpense,
+        change_in_net_assets: round2(totalRevenue - totalExpense),
+        total_debits: totalDebits,
+        total_credits: totalCredits,
+        errors
+    };
+}
+
+/**
+ * Opening balances of the next fiscal year: balance-sheet account balances at
+ * the closing date with the closing lines applied.
+ * @param {Object} db - pg Pool or client
+ * @param {Object} plan - Result of buildClosingPlan
+ * @returns {Promise<Object[]>} { account_id, account_code, restriction, opening_balance }
+ */
+async function computeOpeningBalances(db, plan) {
+    const rows = await fetchAccountBalances(db, {
+        endDate: plan.closing_date,
+        entityIds: [plan.entity.id]
+    });
+
+    const balances = new Map();
+    rows.filter(r => ['Asset', 'Liability', 'Equity'].includes(r.line_type)).forEach(r => {
+        balances.set(`${r.account_id}|${r.restriction}`, {
+            account_id: r.account_id,
+            account_code: r.account_code,
+            restriction: r.restriction,
+            opening_balance: r.net_debit
+        });
+    });
+
+    // Equity lines of the (not yet posted) closing entry
+    const fundRestriction = new Map(plan.funds.map(f => [f.fund_id, f.restriction]));
+    const equityIds = new Set(plan.funds.filter(f => f.net_asset_account).map(f => f.net_asset_account.id));
+    plan.lines.filter(l => equityIds.has(l.account_id)).forEach(l => {
+        const restriction = fundRestriction.get(l.fund_id);
+        const key = `${l.account_id}|${restriction}`;
+        if (!balances.has(key)) {
+            balances.set(key, { account_id: l.account_id, account_code: l.account_code, restriction, opening_balance: 0 });
+        }
+        const b = balances.get(key);
+        b.opening_balance = round2(b.opening_balance + l.debit - l.credit);
+    });
+
+    return [...balances.values()].filter(b => b.opening_balance !== 0);
+}
+
+function validateCloseParams(entityId, fiscalYear) {
+    if (!entityId) return 'entity_id is required';
+    if (!/^\d{4}$/.test(String(fiscalYear || ''))) return 'fiscal_year must be a 4-digit year';
+    return null;
+}
+
+/**
+ * GET /api/year-end-close
+ * Lists close runs. Optional filters: entity_id, fiscal_year, status
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const { entity_id, fiscal_year, status } = req.query;
+    let query = `
+        SELECT yc.*, e.name AS entity_name, je.reference_number
+          FROM year_end_closes yc
+          JOIN entities e ON e.id = yc.entity_id
+          LEFT JOIN journal_entries je ON je.id = yc.journal_entry_id
+         WHERE 1=1`;
+    const params = [];
+    let idx = 1;
+    if (entity_id) { query += ` AND yc.entity_id = $${idx++}`; params.push(entity_id); }
+    if (fiscal_year) { query += ` AND yc.fiscal_year = $${idx++}`; params.push(fiscal_year); }
+    if (status) { query += ` AND yc.status = $${idx++}`; params.push(status); }
+    query += ' ORDER BY yc.fiscal_year DESC, e.name, yc.created_at DESC';
+
+    const { rows } = await pool.query(query, params);
+    res.json(rows);
+}));
+
+/**
+ * GET /api/year-end-close/preview
+ * Shows the closing entry and resulting opening balances without saving.
+ * Query params: entity_id, fiscal_year
+ */
+router.get('/preview', asyncHandler(async (req, res) => {
+    const { entity_id, fiscal_year } = req.query;
+    const validationError = validateCloseParams(entity_id, fiscal_year);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const plan = await buildClosingPlan(pool, entity_id, fiscal_year);
+    if (plan.error) return res.status(plan.statusCode).json({ error: plan.error });
+
+    const opening_balances = await computeOpeningBalances(pool, plan);
+    res.json({ ...plan, opening_balances });
+}));
+
+/**
+ * GET /api/year-end-close/:id
+ * Returns a close run with its journal entry lines and opening balances
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+    const { rows } = await pool.query(
+        `SELECT yc.*, e.name AS entity_name, je.reference_number, je.status AS journal_entry_status
+           FROM year_end_closes yc
+           JOIN entities e ON e.id = yc.entity_id
+           LEFT JOIN journal_entries je ON je.id = yc.journal_entry_id
+          WHERE yc.id = $1`,
+        [req.params.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Year-end close not found' });
+    const close = rows[0];
+
+    const [{ rows: lines }, { rows: balances }] = await Promise.all([
+        pool.query(
+            `SELECT jei.*, a.account_code, a.description AS account_description, f.fund_code
+               FROM journal_entry_items jei
+               JOIN accounts a ON a.id = jei.account_id
+               LEFT JOIN funds f ON f.id = jei.fund_id
+              WHERE jei.journal_entry_id = $1
+              ORDER BY f.fund_code, a.account_code`,
+            [close.journal_entry_id]
+        ),
+        pool.query(
+            `SELECT b.*, a.account_code, a.description AS account_description
+               FROM year_end_close_balances b
+               JOIN accounts a ON a.id = b.account_id
+              WHERE b.year_end_close_id = $1
+              ORDER BY a.account_code, b.restriction`,
+            [close.id]
+        )
+    ]);
+
+    res.json({ ...close, lines, opening_balances: balances });
+}));
+
+/**
+ * POST /api/year-end-close
+ * Generates the closing journal entry (as Draft) and records the opening
+ * balances. The run stays Pending until finalized or reversed.
+ * Body: entity_id, fiscal_year, notes (optional)
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const { entity_id, fiscal_year, notes } = req.body || {};
+    const validationError = validateCloseParams(entity_id, fiscal_year);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const userId = req.user && req.user.id ? req.user.id : null;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const existing = await client.query(
+            `SELECT id, status FROM year_end_closes
+              WHERE entity_id = $1 AND fiscal_year = $2 AND status <> 'Reversed'
+              LIMIT 1`,
+            [entity_id, String(fiscal_year)]
+        );
+        if (existing.rows.length) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                error: `FY${fiscal_year} already has a ${existing.rows[0].status.toLowerCase()} year-end close`,
+                year_end_close_id: existing.rows[0].id
+            });
+        }
+
+        const plan = await buildClosingPlan(client, entity_id, fiscal_year);
+        if (plan.error) {
+            await client.query('ROLLBACK');
+            return res.status(plan.statusCode).json({ error: plan.error });
+        }
+        if (plan.errors.length) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Year-end close cannot be generated', details: plan.errors });
+        }
+        if (!plan.lines.length) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `No revenue or expense activity to close for FY${fiscal_year}` });
+        }
+
+        const closedPeriod = await findClosedPeriod(client, entity_id, plan.closing_date);
+        if (closedPeriod) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: closedPeriodMessage(closedPeriod) });
+        }
+
+        const je = await client.query(
+            `INSERT INTO journal_entries (entity_id, entry_date, reference_number, description, entry_type, status, total_amount, created_by, entry_mode)
+             VALUES ($1, $2, $3, $4, $5, 'Draft', $6, $7, 'Auto') RETURNING id`,
+            [
+                entity_id,
+                plan.closing_date,
+                `YE-CLOSE-FY${plan.fiscal_year}`,
+                `FY${plan.fiscal_year} year-end close – revenue and expense to net assets`,
+                CLOSING_ENTRY_TYPE,
+                plan.total_debits,
+                userId
+            ]
+        );
+        const journalEntryId = je.rows[0].id;
+
+        for (const line of plan.lines) {
+            await client.query(
+                `INSERT INTO journal_entry_items (journal_entry_id, account_id, fund_id, description, debit, credit)
+                 VALUES ($1, $2, $3, $4, $5, $6)`,
+                [journalEntryId, line.account_id, line.fund_id, line.description, line.debit, line.credit]
+            );
+        }
+
+        const { rows: closeRows } = await client.query(
+            `INSERT INTO year_end_closes
+                 (entity_id, fiscal_year, closing_date, status, journal_entry_id,
+                  total_revenue, total_expense, notes, created_by)
+             VALUES ($1, $2, $3, 'Pending', $4, $5, $6, $7, $8)
+             RETURNING *`,
+            [entity_id, plan.fiscal_year, plan.closing_date, journalEntryId,
+             plan.total_revenue, plan.total_expense, notes || null, userId]
+        );
+        const close = closeRows[0];
+
+        const openingBalances = await computeOpeningBalances(client, plan);
+        for (const b of openingBalances) {
+            await client.query(
+                `INSERT INTO year_end_close_balances (year_end_close_id, account_id, restriction, opening_balance, opening_date)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [close.id, b.account_id, b.restriction, b.opening_balance, plan.opening_date]
+            );
+        }
+
+        await client.query('COMMIT');
+        res.status(201).json({ ...close, funds: plan.funds, opening_balances: openingBalances });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}));
+
+/**
+ * POST /api/year-end-close/:id/finalize
+ * Posts the closing journal entry. A finalized close can no longer be reversed.
+ */
+router.post('/:id/finalize', asyncHandler(async (req, res) => {
+    const userId = req.user && req.user.id ? req.user.id : null;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows } = await client.query(
+            'SELECT * FROM year_end_closes WHERE id = $1 FOR UPDATE',
+            [req.params.id]
+        );
+        if (!rows.length) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Year-end close not found' });
+        }
+        const close = rows[0];
+        if (close.status !== 'Pending') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: `Year-end close is already ${close.status.toLowerCase()}` });
+        }
+        if (!close.journal_entry_id) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'Closing journal entry no longer exists; reverse and regenerate the close' });
+        }
+
+        const closedPeriod = await findClosedPeriod(client, close.entity_id, close.closing_date);
+        if (closedPeriod) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: closedPeriodMessage(closedPeriod) });
+        }
+
+        await client.query(
+            `UPDATE journal_entries SET status = 'Posted', updated_at = NOW() WHERE id = $1`,
+            [close.journal_entry_id]
+        );
+        const { rows: out } = await client.query(
+            `UPDATE year_end_closes
+                SET status = 'Finalized', finalized_by = $1, finalized_at = NOW(), updated_at = NOW()
+              WHERE id = $2
+              RETURNING *`,
+            [userId, close.id]
+        );
+
+        await client.query('COMMIT');
+        res.json(out[0]);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}));
+
+/**
+ * POST /api/year-end-close/:id/reverse
+ * Discards a Pending close: deletes the draft closing entry and the recorded
+ * opening balances. The run is kept with status Reversed for the audit trail.
+ */
+router.post('/:id/reverse', requirePermission('period.reopen'), asyncHandler(async (req, res) => {
+    const userId = req.user && req.user.id ? req.user.id : null;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows } = await client.query(
+            'SELECT * FROM year_end_closes WHERE id = $1 FOR UPDATE',
+            [req.params.id]
+        );
+        if (!rows.length) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Year-end close not found' });
+        }
+        const close = rows[0];
+        if (close.status !== 'Pending') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: `Only a pending year-end close can be reversed (status: ${close.status})` });
+        }
+
+        if (close.journal_entry_id) {
+            await client.query('DELETE FROM journal_entry_items WHERE journal_entry_id = $1', [close.journal_entry_id]);
+            await client.query('DELETE FROM journal_entries WHERE id = $1', [close.journal_entry_id]);
+        }
+        await client.query('DELETE FROM year_end_close_balances WHERE year_end_close_id = $1', [close.id]);
+        const { rows: out } = await client.query(
+            `UPDATE year_end_closes
+                SET status = 'Reversed', journal_entry_id = NULL,
+                    reversed_by = $1, reversed_at = NOW(), updated_at = NOW()
+              WHERE id = $2
+              RETURNING *`,
+            [userId, close.id]
+        );
+
+        await client.query('COMMIT');
+        res.json(out[0]);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}));
+
+module.exports = router;
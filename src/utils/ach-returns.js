@@ -0,0 +1,156 @@
+// src/utils/ach-returns.js
+//
+// Reads bank return and notification-of-change (NOC) files with NachaParser
+// and turns each R-code / C-code entry into a plain object that can be
+// matched to a payment item by its original trace number.
+
+const NachaParser = require('../js/nacha-parser');
+
+const RETURN_REASONS = {
+    R01: 'Insufficient funds',
+    R02: 'Account closed',
+    R03: 'No account / unable to locate account',
+    R04: 'Invalid account number',
+    R05: 'Unauthorized debit to consumer account',
+    R06: 'Returned per ODFI request',
+    R07: 'Authorization revoked by customer',
+    R08: 'Payment stopped',
+    R09: 'Uncollected funds',
+    R10: 'Customer advises not authorized',
+    R11: 'Customer advises entry not in accordance with the terms of the authorization',
+    R12: 'Account sold to another DFI',
+    R13: 'Invalid ACH routing number',
+    R14: 'Representative payee deceased',
+    R15: 'Beneficiary or account holder deceased',
+    R16: 'Account frozen',
+    R17: 'File record edit criteria',
+    R20: 'Non-transaction account',
+    R21: 'Invalid company identification',
+    R22: 'Invalid individual ID number',
+    R23: 'Credit entry refused by receiver',
+    R24: 'Duplicate entry',
+    R29: 'Corporate customer advises not authorized',
+    R31: 'Permissible return entry (CCD and CTX only)',
+    R61: 'Misrouted return'
+};
+
+const CHANGE_CODES = {
+    C01: 'Incorrect DFI account number',
+    C02: 'Incorrect routing number',
+    C03: 'Incorrect routing number and DFI account number',
+    C04: 'Incorrect individual name / receiving company name',
+    C05: 'Incorrect transaction code',
+    C06: 'Incorrect DFI account number and transaction code',
+    C07: 'Incorrect routing number, DFI account number and transaction code',
+    C09: 'Incorrect individual identification number',
+    C13: 'Addenda format error'
+};
+
+// Change codes whose corrected data maps onto vendor bank details
+const APPLICABLE_CHANGE_CODES = ['C01', 'C02', 'C03', 'C05', 'C06', 'C07'];
+
+const accountTypeForTransactionCode = (code) => {
+    if (/^2\d$/.test(code || '')) return 'checking';
+    if (/^3\d$/.test(code || '')) return 'savings';
+    return null;
+};
+
+const fromYymmdd = (v) => (/^\d{6}$/.test(v || '') ? `20${v.slice(0, 2)}-${v.slice(2, 4)}-${v.slice(4, 6)}` : null);
+
+/**
+ * Corrected bank details carried by a NOC
+ * @param {string} changeCode - C01..C13
+ * @param {string} correctedData - Addenda positions 36-64
+ * @returns {Object} { routing_number, account_number, account_type } (only the fields the code corrects)
+ */
+function parseCorrection(changeCode, correctedData) {
+    const cd = String(correctedData || '').padEnd(29, ' ');
+    const field = (start, end) => cd.slice(start, end).trim();
+    const out = {};
+    switch (changeCode) {
+        case 'C01':
+            out.account_number = field(0, 17);
+            break;
+        case 'C02':
+            out.routing_number = field(0, 9);
+            break;
+        case 'C03':
+            out.routing_number = field(0, 9);
+            out.account_number = field(12, 29);
+            break;
+        case 'C05':
+            out.account_type = accountTypeForTransactionCode(field(0, 2));
+            break;
+        case 'C06':
+            out.account_number = field(0, 17);
+            out.account_type = accountTypeForTransactionCode(field(20, 22));
+            break;
+        case 'C07':
+            out.routing_number = field(0, 9);
+            out.account_number = field(9, 26);
+            out.account_type = accountTypeForTransactionCode(field(26, 28));
+            break;
+        default:
+            break;
+    }
+    Object.keys(out).forEach(k => { if (!out[k]) delete out[k]; });
+    return out;
+}
+
+/**
+ * Read a return/NOC file
+ * @param {string} content - NACHA file content
+ * @returns {Object} { entries, file_errors } where entries are
+ *   { return_type, code, reason, original_trace_number, trace_number, amount,
+ *     effective_date, corrected_data, corrections, line }
+ */
+function readReturnFile(content) {
+    const parsed = NachaParser.parse(content);
+    const entries = [];
+
+    for (const batch of parsed.batches) {
+        const effectiveDate = fromYymmdd(batch.header.effectiveEntryDate);
+        for (const entry of batch.entries) {
+            for (const addenda of entry.addenda) {
+                if (addenda.addendaTypeCode === '99') {
+                    entries.push({
+                        return_type: 'Return',
+                        code: addenda.returnReasonCode,
+                        reason: RETURN_REASONS[addenda.returnReasonCode] || null,
+                        original_trace_number: addenda.originalEntryTraceNumber,
+                        trace_number: entry.traceNumber,
+                        amount: entry.amount,
+                        effective_date: effectiveDate,
+                        corrected_data: null,
+                        corrections: null,
+                        line: addenda.line
+                    });
+                } else if (addenda.addendaTypeCode === '98') {
+                    const correctedData = addenda.correctedData;
+                    entries.push({
+                        return_type: 'NOC',
+                        code: addenda.changeCode,
+                        reason: CHANGE_CODES[addenda.changeCode] || null,
+                        original_trace_number: addenda.originalEntryTraceNumber,
+                        trace_number: entry.traceNumber,
+                        amount: entry.amount,
+                        effective_date: effectiveDate,
+                        corrected_data: correctedData,
+                        corrections: parseCorrection(addenda.changeCode, correctedData),
+                        line: addenda.line
+                    });
+                }
+            }
+        }
+    }
+
+    return { entries, file_errors: parsed.errors };
+}
+
+module.exports = {
+    RETURN_REASONS,
+    CHANGE_CODES,
+    APPLICABLE_CHANGE_CODES,
+    parseCorrection,
+    readReturnFile
+};
@@ -0,0 +1,342 @@
+// src/utils/bank-matching.js
+//
+// Scored matching of bank statement lines to posted journal lines on the bank
+// account. Every candidate must agree on amount (to the cent) and direction;
+// the score then weighs date distance, check number, reference number and
+// description similarity. One bank line can match several journal lines
+// (a batched deposit, a NACHA batch settlement) when their total agrees.
+
+const WEIGHTS = {
+    amount: 0.45,
+    date: 0.20,
+    description: 0.15,
+    check: 0.12,
+    reference: 0.08
+};
+
+// Checks often clear weeks after they are written; a check number match
+// allows a much wider date window than the configured tolerance
+const CHECK_DATE_WINDOW = 90;
+
+// Score deduction for many-to-one matches: journal lines that share an entry
+// or a date are a natural batch, arbitrary combinations are less certain
+const GROUP_PENALTY = { natural: 0.05, combination: 0.10 };
+
+const MAX_GROUP_CANDIDATES = 18;
+const MAX_GROUP_SIZE = 30;
+const MAX_SEARCH_NODES = 50000;
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'of', 'to', 'from', 'for', 'in', 'on', 'by', 'at', 'inc', 'llc',
+    'pos', 'ach', 'debit', 'credit', 'payment', 'pmt', 'txn', 'trans', 'transfer',
+    'withdrawal', 'online', 'ref', 'no', 'je', 'entry'
+]);
+
+const toCents = (n) => Math.round((Number(n) || 0) * 100);
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+/**
+ * Whole days between two YYYY-MM-DD dates
+ * @param {string} a - Date
+ * @param {string} b - Date
+ * @returns {number} Absolute day difference
+ */
+const daysBetween = (a, b) =>
+    Math.round(Math.abs(new Date(`${a}T00:00:00Z`) - new Date(`${b}T00:00:00Z`)) / 86400000);
+
+/**
+ * Split text into comparable tokens (lowercase words, stop words removed)
+ * @param {...string} parts - Text
+ * @returns {Set<string>} Tokens
+ */
+const tokenize = (...parts) => {
+    const tokens = new Set();
+    for (const p of parts) {
+        for (const t of String(p || '').toLowerCase().split(/[^a-z0-9]+/)) {
+            if (t.length < 2 || STOP_WORDS.has(t)) continue;
+            tokens.add(t);
+        }
+    }
+    return tokens;
+};
+
+/**
+ * Dice coefficient of two token sets (0..1)
+ * @param {Set<string>} a - Tokens
+ * @param {Set<string>} b - Tokens
+ * @returns {number} Similarity
+ */
+const tokenSimilarity = (a, b) => {
+    if (!a.size || !b.size) return 0;
+    let common = 0;
+    for (const t of a) if (b.has(t)) common++;
+    return (2 * common) / (a.size + b.size);
+};
+
+const normalizeRef = (v) => String(v || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Check number of a bank line: the check_number column, else parsed from the
+ * description ("CHECK 1234", "CHK #1234")
+ * @param {Object} tx - Bank statement line
+ * @returns {string|null} Check number without leading zeros
+ */
+const bankCheckNumber = (tx) => {
+    const raw = tx.check_number ||
+        ((String(tx.description || '').match(/\b(?:check|chk|ck)\s*#?\s*(\d{3,})\b/i) || [])[1]);
+    const digits = String(raw || '').replace(/\D/g, '').replace(/^0+/, '');
+    return digits || null;
+};
+
+const itemCheckNumber = (item) => {
+    const digits = String(item.check_number || '').replace(/\D/g, '').replace(/^0+/, '');
+    return digits || null;
+};
+
+/**
+ * Reference agreement: equal after normalization, or one contains the other
+ * (at least 4 characters)
+ */
+const referenceMatches = (bankRef, itemRef) => {
+    const a = normalizeRef(bankRef);
+    const b = normalizeRef(itemRef);
+    if (a.length < 4 || b.length < 4) return false;
+    return a === b || a.includes(b) || b.includes(a);
+};
+
+const weigh = (components) =>
+    Object.keys(WEIGHTS).reduce((s, k) => s + WEIGHTS[k] * (components[k] || 0), 0);
+
+/**
+ * Score one bank line against one journal line.
+ * @param {Object} tx - Bank line { id, transaction_date, amount, description, reference, check_number }
+ * @param {Object} item - Journal line { id, entry_date, amount (debit - credit), description,
+ *   je_description, reference_number, check_number }
+ * @param {Object} opts - { dateTolerance }
+ * @returns {Object|null} { score, components } or null when not a candidate
+ */
+const scorePair = (tx, item, { dateTolerance }) => {
+    if (toCents(tx.amount) !== toCents(item.amount) || toCents(tx.amount) === 0) return null;
+
+    const txCheck = bankCheckNumber(tx);
+    const refDigits = String(item.reference_number || '').replace(/\D/g, '').replace(/^0+/, '');
+    const check = txCheck && (itemCheckNumber(item) === txCheck || refDigits === txCheck) ? 1 : 0;
+    // A different printed check on the journal side rules the pair out
+    if (txCheck && itemCheckNumber(item) && itemCheckNumber(item) !== txCheck) return null;
+
+    const days = daysBetween(tx.transaction_date, item.entry_date);
+    const window = check ? CHECK_DATE_WINDOW : dateTolerance;
+    if (days > window) return null;
+
+    const components = {
+        amount: 1,
+        date: Math.max(0, 1 - days / (window + 1)),
+        description: tokenSimilarity(
+            tokenize(tx.description),
+            tokenize(item.description, item.je_description, item.payee_name)
+        ),
+        check,
+        reference: referenceMatches(tx.reference, item.reference_number) ? 1 : 0
+    };
+    return { score: weigh(components), components };
+};
+
+/**
+ * Score a bank line against a group of journal lines whose total equals it
+ * @param {Object} tx - Bank line
+ * @param {Object[]} items - Journal lines
+ * @param {string} origin - 'natural' or 'combination'
+ * @param {Object} opts - { dateTolerance }
+ * @returns {Object} { score, components }
+ */
+const scoreGroup = (tx, items, origin, { dateTolerance }) => {
+    const dateScores = items.map(i => Math.max(0, 1 - daysBetween(tx.transaction_date, i.entry_date) / (dateTolerance + 1)));
+    const itemTokens = tokenize(...items.flatMap(i => [i.description, i.je_description, i.payee_name]));
+    const components = {
+        amount: 1,
+        date: dateScores.reduce((s, d) => s + d, 0) / dateScores.length,
+        description: tokenSimilarity(tokenize(tx.description), itemTokens),
+        check: 0,
+        reference: items.some(i => referenceMatches(tx.reference, i.reference_number)) ? 1 : 0
+    };
+    return { score: Math.max(0, weigh(components) - GROUP_PENALTY[origin]), components };
+};
+
+/**
+ * Find sets of journal lines that add up to a bank line: first natural
+ * batches (lines of one journal entry, lines of one date), then a bounded
+ * subset-sum search over the closest candidates.
+ * @param {Object} tx - Bank line
+ * @param {Object[]} items - Available journal lines
+ * @param {Object} opts - { dateTolerance }
+ * @returns {Object[]} [{ items, origin }]
+ */
+const findGroups = (tx, items, { dateTolerance }) => {
+    const target = toCents(tx.amount);
+    const sign = Math.sign(target);
+    const eligible = items.filter(i => {
+        const c = toCents(i.amount);
+        return Math.sign(c) === sign && Math.abs(c) < Math.abs(target) &&
+            daysBetween(tx.transaction_date, i.entry_date) <= dateTolerance;
+    });
+    if (eligible.length < 2) return [];
+
+    const groups = [];
+    const seen = new Set();
+    const add = (members, origin) => {
+        if (members.length < 2 || members.length > MAX_GROUP_SIZE) return;
+        const key = members.map(m => m.id).sort().join('|');
+        if (seen.has(key)) return;
+        seen.add(key);
+        groups.push({ items: members, origin });
+    };
+    const sumCents = (members) => members.reduce((s, m) => s + toCents(m.amount), 0);
+
+    for (const field of ['journal_entry_id', 'entry_date']) {
+        const byKey = new Map();
+        for (const i of eligible) {
+            if (!byKey.has(i[field])) byKey.set(i[field], []);
+            byKey.get(i[field]).push(i);
+        }
+        for (const members of byKey.values()) {
+            if (sumCents(members) === target) add(members, 'natural');
+        }
+    }
+
+    // Bounded subset-sum over the candidates closest in date
+    const candidates = eligible
+        .slice()
+        .sort((a, b) => daysBetween(tx.transaction_date, a.entry_date) - daysBetween(tx.transaction_date, b.entry_date))
+        .slice(0, MAX_GROUP_CANDIDATES)
+        .sort((a, b) => Math.abs(toCents(b.amount)) - Math.abs(toCents(a.amount)));
+    const amounts = candidates.map(c => Math.abs(toCents(c.amount)));
+    const suffix = amounts.map((_, i) => amounts.slice(i).reduce((s, a) => s + a, 0));
+    const goal = Math.abs(target);
+    let nodes = 0;
+    const chosen = [];
+    const search = (start, remaining) => {
+        if (remaining === 0) {
+            add(chosen.map(i => candidates[i]), 'combination');
+            return;
+        }
+        for (let i = start; i < candidates.length; i++) {
+            if (++nodes > MAX_SEARCH_NODES || groups.length >= 5) return;
+            if (suffix[i] < remaining) return;
+            if (amounts[i] > remaining) continue;
+            chosen.push(i);
+            search(i + 1, remaining - amounts[i]);
+            chosen.pop();
+        }
+    };
+    search(0, goal);
+
+    return groups;
+};
+
+/**
+ * All match proposals for one bank line, best first
+ * @param {Object} tx - Bank line
+ * @param {Object[]} items - Available journal lines
+ * @param {Object} opts - { dateTolerance, allowManyToOne, minScore }
+ * @returns {Object[]} [{ bank_transaction_id, journal_item_ids, kind, score, components }]
+ */
+const proposalsFor = (tx, items, opts) => {
+    const out = [];
+    for (const item of items) {
+        const s = scorePair(tx, item, opts);
+        if (s) out.push({ bank_transaction_id: tx.id, journal_item_ids: [item.id], kind: 'one_to_one', ...s });
+    }
+    const bestSingle = out.reduce((m, p) => Math.max(m, p.score), 0);
+    if (opts.allowManyToOne && bestSingle < opts.minScore) {
+        for (const g of findGroups(tx, items, opts)) {
+            out.push({
+                bank_transaction_id: tx.id,
+                journal_item_ids: g.items.map(i => i.id),
+                kind: 'many_to_one',
+                ...scoreGroup(tx, g.items, g.origin, opts)
+            });
+        }
+    }
+    return out
+        .map(p => ({
+            ...p,
+            score: round3(p.score),
+            components: Object.fromEntries(Object.entries(p.components).map(([k, v]) => [k, round3(v)]))
+        }))
+        .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Match bank lines to journal lines.
+ *
+ * A bank line is matched automatically when its best proposal scores at
+ * least minScore and beats its runner-up by `margin`; proposals are taken
+ * highest score first and a journal line is used at most once. Bank lines
+ * left over get up to maxSuggestions ranked proposals from the journal lines
+ * that are still free.
+ *
+ * @param {Object[]} bankTxs - Unmatched bank lines
+ * @param {Object[]} journalItems - Unmatched journal lines on the bank account
+ * @param {Object} [options]
+ * @param {number} [options.dateTolerance=3] - Max days between bank and book date
+ * @param {number} [options.minScore=0.6] - Auto-match threshold
+ * @param {number} [options.margin=0.05] - Required lead over the runner-up
+ * @param {number} [options.suggestionMinScore=0.45] - Lowest score suggested
+ * @param {number} [options.maxSuggestions=3] - Suggestions per bank line
+ * @param {boolean} [options.allowManyToOne=true] - Consider groups of journal lines
+ * @returns {{ matches: Object[], suggestions: Object[] }}
+ */
+const matchTransactions = (bankTxs, journalItems, options = {}) => {
+    const opts = {
+        dateTolerance: 3,
+        minScore: 0.6,
+        margin: 0.05,
+        suggestionMinScore: 0.45,
+        maxSuggestions: 3,
+        allowManyToOne: true,
+        ...options
+    };
+
+    const candidates = [];
+    for (const tx of bankTxs) {
+        const proposals = proposalsFor(tx, journalItems, opts);
+        const [best, runnerUp] = proposals;
+        if (best && best.score >= opts.minScore && (!runnerUp || best.score - runnerUp.score >= opts.margin)) {
+            candidates.push(best);
+        }
+    }
+    candidates.sort((a, b) => b.score - a.score);
+
+    const usedTx = new Set();
+    const usedItems = new Set();
+    const matches = [];
+    for (const p of candidates) {
+        if (usedTx.has(p.bank_transaction_id) || p.journal_item_ids.some(id => usedItems.has(id))) continue;
+        usedTx.add(p.bank_transaction_id);
+        p.journal_item_ids.forEach(id => usedItems.add(id));
+        matches.push(p);
+    }
+
+    const freeItems = journalItems.filter(i => !usedItems.has(i.id));
+    const suggestions = [];
+    for (const tx of bankTxs) {
+        if (usedTx.has(tx.id)) continue;
+        const ranked = proposalsFor(tx, freeItems, { ...opts, minScore: Infinity })
+            .filter(p => p.score >= opts.suggestionMinScore)
+            .slice(0, opts.maxSuggestions);
+        suggestions.push({ bank_transaction_id: tx.id, candidates: ranked });
+    }
+
+    return { matches, suggestions };
+};
+
+module.exports = {
+    WEIGHTS,
+    CHECK_DATE_WINDOW,
+    tokenize,
+    tokenSimilarity,
+    bankCheckNumber,
+    scorePair,
+    findGroups,
+    matchTransactions
+};
@@ -0,0 +1,419 @@
+// src/utils/check-pdf.js
+//
+// Renders printed checks as PDF for blank check stock: the check face (company
+// and bank address blocks, check number, date, payee and address, amounts,
+// memo, signature line and the E-13B MICR line) plus voucher stubs listing the
+// invoices paid. Field positions come from check_formats (inches from the
+// check's top-left corner, y on the text baseline); the page layout comes from
+// check_formats.check_position:
+//   top            check, stub, stub
+//   middle         stub, check, stub
+//   bottom         stub, stub, check
+//   three_per_page three checks per page, no stubs
+// print_offset_x/y shift everything on the page and micr_offset_x/y shift the
+// MICR line on top of that, so a printer can be calibrated with the test page.
+
+const PdfDocument = require('./pdf-writer');
+const { buildMicrLine, drawMicrLine, MICR_PITCH, MICR_RIGHT_MARGIN } = require('./micr-e13b');
+
+const CHECK_POSITIONS = ['top', 'middle', 'bottom', 'three_per_page'];
+
+const PAGE_WIDTH = 8.5;
+const PAGE_HEIGHT = 11;
+
+// Used when no check format is saved
+const DEFAULT_FORMAT = {
+    format_name: 'Standard business check',
+    check_width: 8.5,
+    check_height: 3.5,
+    date_x: 6.4,
+    date_y: 0.95,
+    payee_x: 1.3,
+    payee_y: 1.4,
+    amount_x: 7.0,
+    amount_y: 1.4,
+    amount_words_x: 0.4,
+    amount_words_y: 1.8,
+    memo_x: 0.8,
+    memo_y: 2.7,
+    signature_x: 5.3,
+    signature_y: 2.7,
+    font_name: 'Helvetica',
+    font_size_normal: 10,
+    font_size_amount: 12,
+    check_position: 'top',
+    print_offset_x: 0,
+    print_offset_y: 0,
+    micr_offset_x: 0,
+    micr_offset_y: 0
+};
+
+const NUMERIC_FIELDS = [
+    'check_width', 'check_height', 'date_x', 'date_y', 'payee_x', 'payee_y',
+    'amount_x', 'amount_y', 'amount_words_x', 'amount_words_y', 'memo_x', 'memo_y',
+    'signature_x', 'signature_y', 'font_size_normal', 'font_size_amount',
+    'print_offset_x', 'print_offset_y', 'micr_offset_x', 'micr_offset_y'
+];
+
+const pt = (inches) => inches * PdfDocument.POINTS_PER_INCH;
+
+/**
+ * check_formats row with numbers parsed and missing settings defaulted
+ * @param {Object|null} row
+ * @returns {Object}
+ */
+function normalizeFormat(row) {
+    const format = { ...DEFAULT_FORMAT };
+    for (const [key, value] of Object.entries(row || {})) {
+        if (value !== null && value !== undefined) format[key] = value;
+    }
+    for (const key of NUMERIC_FIELDS) format[key] = Number(format[key]) || 0;
+    if (!CHECK_POSITIONS.includes(format.check_position)) format.check_position = 'top';
+    format.font_size_normal = format.font_size_normal || DEFAULT_FORMAT.font_size_normal;
+    format.font_size_amount = format.font_size_amount || DEFAULT_FORMAT.font_size_amount;
+    format.font = /courier/i.test(format.font_name || '') ? 'Courier' : 'Helvetica';
+    return format;
+}
+
+/**
+ * Why a format can't be laid out on a letter page, or null
+ * @param {Object} format - normalized format
+ * @returns {string|null}
+ */
+function validatePageLayout(format) {
+    if (format.check_width <= 0 || format.check_width > PAGE_WIDTH) {
+        return `Check width must be between 0 and ${PAGE_WIDTH} inches`;
+    }
+    const maxHeight = format.check_position === 'three_per_page' ? PAGE_HEIGHT / 3 : PAGE_HEIGHT / 2;
+    if (format.check_height <= 0 || format.check_height > maxHeight) {
+        return `Check height must be between 0 and ${Math.round(maxHeight * 1000) / 1000} inches for the ${format.check_position} layout`;
+    }
+    return null;
+}
+
+/**
+ * Where the check and stub panels sit on a page (inches from the page top)
+ * @param {Object} format - normalized format
+ * @returns {{ checks: number[], stubs: Array<{ top: number, height: number }> }}
+ */
+function pageLayout(format) {
+    const h = format.check_height;
+    if (format.check_position === 'three_per_page') {
+        const slot = PAGE_HEIGHT / 3;
+        return { checks: [0, slot, slot * 2], stubs: [] };
+    }
+    const stubHeight = (PAGE_HEIGHT - h) / 2;
+    if (format.check_position === 'middle') {
+        return { checks: [stubHeight], stubs: [{ top: 0, height: stubHeight }, { top: stubHeight + h, height: stubHeight }] };
+    }
+    if (format.check_position === 'bottom') {
+        return { checks: [PAGE_HEIGHT - h], stubs: [{ top: 0, height: stubHeight }, { top: stubHeight, height: stubHeight }] };
+    }
+    return { checks: [0], stubs: [{ top: h, height: stubHeight }, { top: h + stubHeight, height: stubHeight }] };
+}
+
+const money = (n) => Number(n || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// pg returns DATE columns as local-midnight Date objects
+function formatDate(d) {
+    if (!d) return '';
+    if (d instanceof Date) {
+        return `${String(d.getMonth() + 1).padStart(2, '0')}/${String(d.getDate()).padStart(2, '0')}/${d.getFullYear()}`;
+    }
+    const m = String(d).match(/^(\d{4})-(\d{2})-(\d{2})/);
+    return m ? `${m[2]}/${m[3]}/${m[1]}` : String(d);
+}
+
+const textLines = (s) => String(s || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+
+function payeeAddressLines(check) {
+    const cityLine = [check.address_city, [check.address_state, check.address_zip].filter(Boolean).join(' ')]
+        .filter(Boolean).join(', ');
+    return [check.address_line1, check.address_line2, cityLine].filter(Boolean);
+}
+
+/**
+ * Draw one check face with its top-left corner at (left, top) inches
+ */
+function drawCheck(pdf, { check, bank }, format, left, top) {
+    const w = format.check_width;
+    const font = format.font;
+    const bold = font === 'Courier' ? 'Courier' : 'Helvetica-Bold';
+    const size = format.font_size_normal;
+    const at = (x, y) => [pt(left + x), pt(top + y)];
+
+    // Company block
+    const company = bank.check_company_name || bank.entity_name || bank.account_name || '';
+    let [x, y] = at(0.35, 0.4);
+    pdf.text(x, y, pdf.fitText(company, pt(2.6), bold, 11), { font: bold, size: 11 });
+    textLines(bank.check_company_address).slice(0, 3).forEach((line, i) => {
+        pdf.text(x, y + 11 + i * 9.5, pdf.fitText(line, pt(2.6), font, 8), { font, size: 8 });
+    });
+
+    // Bank block
+    [x, y] = at(w * 0.52, 0.4);
+    pdf.text(x, y, pdf.fitText(bank.bank_name || '', pt(2.2), bold, 9), { font: bold, size: 9, align: 'center' });
+    const bankLines = [...textLines(bank.bank_address).slice(0, 2), bank.fractional_routing].filter(Boolean);
+    bankLines.forEach((line, i) => {
+        pdf.text(x, y + 10 + i * 9, pdf.fitText(line, pt(2.2), font, 7.5), { font, size: 7.5, align: 'center' });
+    });
+
+    // Check number
+    [x, y] = at(w - 0.35, 0.4);
+    pdf.text(x, y, String(check.check_number), { font: bold, size: 12, align: 'right' });
+
+    // Date
+    [x, y] = at(format.date_x, format.date_y);
+    pdf.text(x, y - size - 1, 'DATE', { font, size: 6 });
+    pdf.text(x, y, formatDate(check.check_date), { font, size });
+    pdf.line(x, y + 2, x + pt(1.2), y + 2, { width: 0.5 });
+
+    // Payee and amount line
+    [x, y] = at(format.payee_x, format.payee_y);
+    const [amountX, amountY] = at(format.amount_x, format.amount_y);
+    pdf.text(pt(left + 0.35), y - 7, 'PAY TO THE', { font, size: 6 });
+    pdf.text(pt(left + 0.35), y, 'ORDER OF', { font, size: 6 });
+    pdf.text(x, y, pdf.fitText(check.payee_name, amountX - x - pt(0.4), bold, size), { font: bold, size });
+    pdf.line(x, y + 2, amountX - pt(0.25), y + 2, { width: 0.5 });
+
+    pdf.text(amountX - pt(0.15), amountY, '$', { font: bold, size: format.font_size_amount, align: 'right' });
+    const boxWidth = pdf.textWidth('**999,999.99', bold, format.font_size_amount) + 8;
+    pdf.rect(amountX - 3, amountY - format.font_size_amount - 2, boxWidth, format.font_size_amount + 7, { width: 0.75 });
+    pdf.text(amountX, amountY, `**${money(check.amount)}`, { font: bold, size: format.font_size_amount });
+
+    // Amount in words, filled out to the line so nothing can be added
+    [x, y] = at(format.amount_words_x, format.amount_words_y);
+    const lineEnd = pt(left + w - 1.1);
+    let words = pdf.fitText(check.amount_in_words, lineEnd - x, font, size);
+    while (pdf.textWidth(`${words} *`, font, size) < lineEnd - x) words += ' *';
+    pdf.text(x, y, words, { font, size });
+    pdf.line(x, y + 2, lineEnd, y + 2, { width: 0.5 });
+    pdf.text(pt(left + w - 0.35), y, 'DOLLARS', { font, size: 7, align: 'right' });
+
+    // Payee mailing address (window envelope)
+    payeeAddressLines(check).forEach((line, i) => {
+        pdf.text(pt(left + format.payee_x), y + pt(0.3) + i * (size + 1.5), pdf.fitText(line, pt(3), font, size - 1), { font, size: size - 1 });
+    });
+
+    // Memo
+    [x, y] = at(format.memo_x, format.memo_y);
+    pdf.text(pt(left + 0.35), y, 'MEMO', { font, size: 6 });
+    pdf.text(x, y, pdf.fitText(check.memo || '', pt(3), font, size - 1), { font, size: size - 1 });
+    pdf.line(x, y + 2, x + pt(3), y + 2, { width: 0.5 });
+
+    // Signature line
+    [x, y] = at(format.signature_x, format.signature_y);
+    const sigEnd = Math.min(x + pt(2.6), pt(left + w - 0.3));
+    pdf.line(x, y, sigEnd, y, { width: 0.75 });
+    pdf.text((x + sigEnd) / 2, y + 8, 'AUTHORIZED SIGNATURE', { font, size: 6, align: 'center' });
+
+    if (check.status === 'Voided') {
+        pdf.text(pt(left + w / 2), pt(top + format.check_height / 2 + 0.3), 'VOID', { font: 'Helvetica-Bold', size: 72, align: 'center', gray: 0.6 });
+    }
+
+    drawMicrLine(pdf, {
+        left,
+        top,
+        width: w,
+        height: format.check_height,
+        chars: buildMicrLine({
+            routing: bank.routing_number,
+            account: bank.account_number,
+            checkNumber: check.check_number,
+            auxOnUs: w >= 7
+        }),
+        offsetX: format.micr_offset_x,
+        offsetY: format.micr_offset_y
+    });
+}
+
+/**
+ * Draw a voucher stub listing the invoices the check pays
+ */
+function drawStub(pdf, { check, bank, items }, format, left, top, height) {
+    const w = PAGE_WIDTH;
+    const font = format.font;
+    const bold = font === 'Courier' ? 'Courier' : 'Helvetica-Bold';
+    const X = (inches) => pt(left + inches);
+    const Y = (inches) => pt(top + inches);
+
+    const company = bank.check_company_name || bank.entity_name || bank.account_name || '';
+    pdf.text(X(0.4), Y(0.45), pdf.fitText(company, pt(3.5), bold, 10), { font: bold, size: 10 });
+    pdf.text(X(w - 0.4), Y(0.45), `Check No. ${check.check_number}`, { font: bold, size: 10, align: 'right' });
+    pdf.text(X(0.4), Y(0.65), pdf.fitText(`Payee: ${check.payee_name}`, pt(4.5), font, 9), { font, size: 9 });
+    pdf.text(X(w - 0.4), Y(0.65), `Date: ${formatDate(check.check_date)}`, { font, size: 9, align: 'right' });
+
+    const cols = { invoice: 0.4, date: 2.0, description: 3.1, amount: w - 0.4 };
+    pdf.text(X(cols.invoice), Y(0.95), 'INVOICE #', { font: bold, size: 8 });
+    pdf.text(X(cols.date), Y(0.95), 'INVOICE DATE', { font: bold, size: 8 });
+    pdf.text(X(cols.description), Y(0.95), 'DESCRIPTION', { font: bold, size: 8 });
+    pdf.text(X(cols.amount), Y(0.95), 'AMOUNT PAID', { font: bold, size: 8, align: 'right' });
+    pdf.line(X(0.4), Y(1.0), X(w - 0.4), Y(1.0), { width: 0.5 });
+
+    const rows = items.length ? items : [{ invoice_number: '', invoice_date: null, description: check.memo || '', amount: check.amount }];
+    const rowHeight = 0.17;
+    const capacity = Math.max(1, Math.floor((height - 1.55) / rowHeight));
+    const shown = rows.length > capacity ? rows.slice(0, capacity - 1) : rows;
+
+    let rowY = 1.17;
+    for (const item of shown) {
+        pdf.text(X(cols.invoice), Y(rowY), pdf.fitText(item.invoice_number || item.reference || '', pt(1.5), font, 8), { font, size: 8 });
+        pdf.text(X(cols.date), Y(rowY), formatDate(item.invoice_date), { font, size: 8 });
+        pdf.text(X(cols.description), Y(rowY), pdf.fitText(item.description || '', pt(w - 0.4 - cols.description - 1.2), font, 8), { font, size: 8 });
+        pdf.text(X(cols.amount), Y(rowY), money(item.amount), { font, size: 8, align: 'right' });
+        rowY += rowHeight;
+    }
+    if (shown.length < rows.length) {
+        const rest = rows.slice(shown.length);
+        const restTotal = rest.reduce((s, r) => s + Number(r.amount || 0), 0);
+        pdf.text(X(cols.invoice), Y(rowY), `${rest.length} more invoice(s)`, { font, size: 8 });
+        pdf.text(X(cols.amount), Y(rowY), money(restTotal), { font, size: 8, align: 'right' });
+        rowY += rowHeight;
+    }
+
+    pdf.line(X(w - 2.0), Y(rowY - 0.08), X(w - 0.4), Y(rowY - 0.08), { width: 0.5 });
+    pdf.text(X(w - 2.0), Y(rowY + 0.08), 'CHECK TOTAL', { font: bold, size: 8 });
+    pdf.text(X(cols.amount), Y(rowY + 0.08), money(check.amount), { font: bold, size: 8, align: 'right' });
+
+    if (check.status === 'Voided') {
+        pdf.text(X(w / 2), Y(height / 2 + 0.2), 'VOID', { font: 'Helvetica-Bold', size: 48, align: 'center', gray: 0.7 });
+    }
+}
+
+/**
+ * Render checks to a PDF. Each entry is { check, bank, items } where check is
+ * the printed_checks row, bank the bank_accounts row (plus entity_name) and
+ * items the payment_items the check pays.
+ * @param {Array<Object>} entries
+ * @param {Object|null} formatRow - check_formats row (default format when null)
+ * @returns {Buffer}
+ */
+function renderChecksPdf(entries, formatRow) {
+    const format = normalizeFormat(formatRow);
+    const layoutError = validatePageLayout(format);
+    if (layoutError) throw new Error(layoutError);
+
+    const pdf = new PdfDocument();
+    const layout = pageLayout(format);
+    const ox = format.print_offset_x;
+    const oy = format.print_offset_y;
+    const perPage = layout.checks.length;
+
+    entries.forEach((entry, i) => {
+        const slot = i % perPage;
+        if (slot === 0) pdf.addPage();
+        drawCheck(pdf, entry, format, ox, layout.checks[slot] + oy);
+        for (const stub of layout.stubs) {
+            drawStub(pdf, entry, format, ox, stub.top + oy, stub.height);
+        }
+    });
+    return pdf.toBuffer();
+}
+
+function crosshair(pdf, x, y, label) {
+    pdf.line(x - 6, y, x + 6, y, { width: 0.5 });
+    pdf.line(x, y - 6, x, y + 6, { width: 0.5 });
+    pdf.text(x + 3, y - 3, label, { size: 6 });
+}
+
+/**
+ * Calibration test page for a check format: a 1/2" grid with inch rulers,
+ * check and stub outlines, a crosshair at each field position, the MICR clear
+ * band with position ticks and a sample MICR line. Printed on plain paper and
+ * held over a sheet of check stock, it shows how far to move print_offset_x/y
+ * and micr_offset_x/y.
+ * @param {Object|null} formatRow
+ * @returns {Buffer}
+ */
+function renderCalibrationPdf(formatRow) {
+    const format = normalizeFormat(formatRow);
+    const layoutError = validatePageLayout(format);
+    if (layoutError) throw new Error(layoutError);
+
+    const pdf = new PdfDocument();
+    pdf.addPage();
+
+    // Page grid and rulers, not offset: they show where the printer really puts ink
+    for (let x = 0.5; x < PAGE_WIDTH; x += 0.5) {
+        pdf.line(pt(x), 0, pt(x), pt(PAGE_HEIGHT), { width: 0.25, gray: 0.85 });
+        if (Number.isInteger(x)) pdf.text(pt(x) + 2, 8, `${x}"`, { size: 6, gray: 0.4 });
+    }
+    for (let y = 0.5; y < PAGE_HEIGHT; y += 0.5) {
+        pdf.line(0, pt(y), pt(PAGE_WIDTH), pt(y), { width: 0.25, gray: 0.85 });
+        if (Number.isInteger(y)) pdf.text(2, pt(y) - 2, `${y}"`, { size: 6, gray: 0.4 });
+    }
+
+    const layout = pageLayout(format);
+    const ox = format.print_offset_x;
+    const oy = format.print_offset_y;
+    const w = format.check_width;
+    const h = format.check_height;
+    const sample = buildMicrLine({ routing: '011000015', account: '1234567890', checkNumber: '1001', auxOnUs: w >= 7 });
+
+    layout.checks.forEach((checkTop, i) => {
+        const top = checkTop + oy;
+        pdf.rect(pt(ox), pt(top), pt(w), pt(h), { width: 1 });
+        pdf.text(pt(ox + w / 2), pt(top + 0.35), `CHECK ${layout.checks.length > 1 ? i + 1 : ''}`.trim(), { font: 'Helvetica-Bold', size: 9, align: 'center', gray: 0.5 });
+
+        const fields = [
+            ['DATE', format.date_x, format.date_y],
+            ['PAYEE', format.payee_x, format.payee_y],
+            ['AMOUNT', format.amount_x, format.amount_y],
+            ['AMOUNT WORDS', format.amount_words_x, format.amount_words_y],
+            ['MEMO', format.memo_x, format.memo_y],
+            ['SIGNATURE', format.signature_x, format.signature_y]
+        ];
+        for (const [label, fx, fy] of fields) crosshair(pdf, pt(ox + fx), pt(top + fy), label);
+
+        // MICR clear band (bottom 5/8") with a tick at the right edge of every position
+        const band = top + h - 0.625;
+        pdf.rect(pt(ox), pt(band), pt(w), pt(0.625), { width: 0.5, stroke: 0.5 });
+        for (let p = 1; ox + w - MICR_RIGHT_MARGIN - (p - 1) * MICR_PITCH > ox; p++) {
+            const tx = pt(ox + w - MICR_RIGHT_MARGIN - (p - 1) * MICR_PITCH + format.micr_offset_x);
+            const long = p % 5 === 0;
+            pdf.line(tx, pt(band), tx, pt(band) + (long ? 8 : 4), { width: 0.3 });
+            if (long) pdf.text(tx, pt(band) + 14, String(p), { size: 5, align: 'center' });
+        }
+        drawMicrLine(pdf, {
+            left: ox,
+            top,
+            width: w,
+            height: h,
+            chars: sample,
+            offsetX: format.micr_offset_x,
+            offsetY: format.micr_offset_y
+        });
+    });
+
+    for (const stub of layout.stubs) {
+        pdf.rect(pt(ox), pt(stub.top + oy), pt(PAGE_WIDTH), pt(stub.height), { width: 0.5, stroke: 0.5 });
+    }
+
+    // Instructions in the first stub, or under the last check on a three-up page
+    const noteTop = layout.stubs.length ? layout.stubs[0].top + 0.6 : PAGE_HEIGHT - 0.45;
+    const notes = layout.stubs.length ? [
+        `Calibration page - ${format.format_name} (${format.check_position.replace(/_/g, ' ')}, ${w}" x ${h}")`,
+        'Print on plain paper at 100% scale (no "fit to page"), then hold it over a sheet of check stock against a light.',
+        'Each crosshair marks where that field\'s text baseline starts. If the outlines sit off the stock,',
+        'change print_offset_x (+ right) and print_offset_y (+ down) by the distance in inches.',
+        'The MICR characters must sit inside the clear band with the first tick 5/16" from the right edge;',
+        'adjust micr_offset_x / micr_offset_y to move only the MICR line.',
+        `Current offsets: page ${format.print_offset_x}", ${format.print_offset_y}"  MICR ${format.micr_offset_x}", ${format.micr_offset_y}"`
+    ] : [
+        `Calibration page - ${format.format_name}: print at 100% scale; adjust print_offset_x/y (+ right/down) and micr_offset_x/y in inches.`
+    ];
+    notes.forEach((line, i) => {
+        pdf.text(pt(ox + 0.4), pt(noteTop + oy + i * 0.2), line, { font: i === 0 ? 'Helvetica-Bold' : 'Helvetica', size: i === 0 ? 10 : 8 });
+    });
+
+    return pdf.toBuffer();
+}
+
+module.exports = {
+    CHECK_POSITIONS,
+    DEFAULT_FORMAT,
+    normalizeFormat,
+    validatePageLayout,
+    renderChecksPdf,
+    renderCalibrationPdf
+};
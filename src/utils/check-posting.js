@@ -0,0 +1,291 @@
+// src/utils/check-posting.js
+//
+// General ledger side of printed checks. Printing a vendor check posts
+//   AP Dr (expense fund) / Cash Cr (the bank account's cash_account_id)
+// plus a due-from/due-to pair when the cash account sits in another fund.
+// GL codes come from the 'check' posting rule of the bank account's entity
+// (see payment-posting.js).
+//
+// When the check pays a payment item that POST /api/vendor-payments/pay has
+// already posted, the check is linked to that item's entry instead of posting
+// the payment twice. Check entries never carry payment_item_id, which is how
+// a linked entry is told apart from one the check posted itself.
+
+const { ApiError } = require('../middleware/error-handler');
+const { assertPeriodOpen } = require('./period-lock');
+const { hasColumn, hasTable } = require('./schema');
+const { REVERSAL_ENTRY_TYPE } = require('./ledger');
+const { loadPostingRule, findAccountByGlCode, writePaymentPosting, reversePaymentEntries } = require('./payment-posting');
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+const toYmd = (d) => (d instanceof Date ? d.toISOString().split('T')[0] : String(d).slice(0, 10));
+
+/**
+ * Fund the check's expense was booked in: printed_checks.fund_id, else the
+ * linked payment item's expense account fund
+ * @returns {Promise<Object|null>} funds row
+ */
+async function findExpenseFund(db, check) {
+    if (check.fund_id) {
+        const { rows } = await db.query('SELECT * FROM funds WHERE id = $1', [check.fund_id]);
+        return rows[0] || null;
+    }
+    if (check.payment_item_id) {
+        const { rows } = await db.query(
+            `SELECT f.*
+               FROM payment_items pi
+               LEFT JOIN accounts a ON a.account_code = pi.account_number
+               JOIN funds f ON f.fund_number = COALESCE(a.fund_number, pi.fund_number)
+              WHERE pi.id = $1
+              LIMIT 1`,
+            [check.payment_item_id]
+        );
+        return rows[0] || null;
+    }
+    return null;
+}
+
+/**
+ * Posted payment entry of an item already paid through /vendor-payments/pay:
+ * the one crediting the bank's cash account
+ * @returns {Promise<string|null>} journal_entries.id
+ */
+async function findPaidItemEntry(db, check, cashAccountId) {
+    if (!check.payment_item_id || !await hasColumn(db, 'journal_entries', 'payment_item_id')) return null;
+    const { rows } = await db.query(
+        `SELECT je.id
+           FROM journal_entries je
+           JOIN journal_entry_items jei ON jei.journal_entry_id = je.id
+          WHERE je.payment_item_id = $1
+            AND LOWER(COALESCE(je.status, '')) = 'posted'
+            AND jei.account_id = $2
+            AND jei.credit > 0
+          ORDER BY je.created_at DESC
+          LIMIT 1`,
+        [check.payment_item_id, cashAccountId]
+    );
+    return rows[0]?.id || null;
+}
+
+/**
+ * Post a printed check to the GL inside the caller's transaction
+ * @param {Object} db - pg client
+ * @param {Object} check - printed_checks row
+ * @param {Object} [opts]
+ * @param {string|null} [opts.userId]
+ * @returns {Promise<Object>} { journal_entry_id, linked } (journal_entry_id is null for non-vendor checks)
+ */
+async function postCheck(db, check, { userId = null } = {}) {
+    if (!check.vendor_id) return { journal_entry_id: null, linked: false };
+
+    const { rows: bankRows } = await db.query(
+        `SELECT ba.*, e.code AS entity_code
+           FROM bank_accounts ba
+           JOIN entities e ON e.id = ba.entity_id
+          WHERE ba.id = $1`,
+        [check.bank_account_id]
+    );
+    const bank = bankRows[0];
+    if (!bank) throw new ApiError('Bank account not found', 404);
+    if (!bank.cash_account_id) throw new ApiError(`Bank account ${bank.account_name} has no cash account to post checks to`, 409);
+
+    const linkedId = await findPaidItemEntry(db, check, bank.cash_account_id);
+    if (linkedId) return { journal_entry_id: linkedId, linked: true };
+
+    const { rows: cashRows } = await db.query(
+        `SELECT a.*, f.id AS fund_id
+           FROM accounts a
+           JOIN funds f ON f.fund_number = a.fund_number
+          WHERE a.id = $1
+          LIMIT 1`,
+        [bank.cash_account_id]
+    );
+    const cash = cashRows[0];
+    if (!cash) throw new ApiError('Cash account or its fund not found for the bank account', 409);
+
+    const expenseFund = await findExpenseFund(db, check);
+    if (!expenseFund) throw new ApiError(`Check ${check.check_number} has no expense fund; set fund_id or payment_item_id`, 409);
+
+    const entryDate = toYmd(check.check_date);
+    await assertPeriodOpen(db, bank.entity_id, entryDate);
+
+    const rule = await loadPostingRule(db, bank.entity_id, 'check');
+    const ap = await findAccountByGlCode(db, rule.ap_gl_code, bank.entity_code, expenseFund.fund_number);
+    if (!ap) throw new ApiError(`Accounts Payable (${rule.ap_gl_code}) account not found for fund ${expenseFund.fund_number}`, 409);
+
+    const amount = round2(check.amount);
+    const lines = [
+        { role: 'ap_payment', account_id: ap.id, fund_id: expenseFund.id, debit: amount, credit: 0 },
+        { role: 'cash', account_id: cash.id, fund_id: cash.fund_id, debit: 0, credit: amount }
+    ];
+    if (String(cash.fund_number) !== String(expenseFund.fund_number)) {
+        const dueFrom = await findAccountByGlCode(db, rule.due_from_gl_code, bank.entity_code, cash.fund_number);
+        if (!dueFrom) throw new ApiError(`Due-from (${rule.due_from_gl_code}) account not found for bank fund`, 409);
+        const dueTo = await findAccountByGlCode(db, rule.due_to_gl_code, bank.entity_code, expenseFund.fund_number);
+        if (!dueTo) throw new ApiError(`Due-to (${rule.due_to_gl_code}) account not found for expense fund`, 409);
+        lines.push(
+            { role: 'due_from', account_id: dueFrom.id, fund_id: cash.fund_id, debit: amount, credit: 0 },
+            { role: 'due_to', account_id: dueTo.id, fund_id: expenseFund.id, debit: 0, credit: amount }
+        );
+    }
+
+    const ids = await writePaymentPosting(db, {
+        entity_id: bank.entity_id,
+        entry_date: entryDate,
+        reference: `CHK ${check.check_number}`,
+        description: `Check ${check.check_number} - ${check.payee_name}`,
+        payment_item_id: null,
+        entries: [{ key: 'check', total_amount: round2(lines.reduce((s, l) => s + l.debit, 0)), lines }]
+    }, { createdBy: userId });
+    return { journal_entry_id: ids.check, linked: false };
+}
+
+/**
+ * Reverse the entry a check posted, dated on the void date (or the check's
+ * entry date when that is later). When the check paid an item already posted
+ * by /vendor-payments/pay, that item's payment-side entries (AP/Cash and any
+ * interfund or clearing) are reversed instead, restoring the payable, and
+ * the item goes back to Pending so it can be paid again.
+ * @param {Object} db - pg client
+ * @param {Object} check - printed_checks row
+ * @param {Object} opts
+ * @param {string} opts.date - YYYY-MM-DD void date
+ * @param {string|null} [opts.reason]
+ * @param {string|null} [opts.userId]
+ * @returns {Promise<Object>} { reversalId, paymentItem } (paymentItem is the
+ *   reopened payment_items row, or null)
+ */
+async function reverseCheck(db, check, { date, reason = null, userId = null }) {
+    if (!check.journal_entry_id) return { reversalId: null, paymentItem: null };
+    const { rows } = await db.query(
+        `SELECT *, to_char(entry_date, 'YYYY-MM-DD') AS entry_ymd
+           FROM journal_entries WHERE id = $1 FOR UPDATE`,
+        [check.journal_entry_id]
+    );
+    const original = rows[0];
+    if (!original) return { reversalId: null, paymentItem: null };
+
+    const hasReversalOf = await hasColumn(db, 'journal_entries', 'reversal_of_id');
+    if (original.payment_item_id) {
+        const { rows: items } = await db.query(
+            'SELECT id, journal_entry_id FROM payment_items WHERE id = $1',
+            [original.payment_item_id]
+        );
+        if (!items.length) return { reversalId: null, paymentItem: null };
+        const ids = await reversePaymentEntries(db, items[0], {
+            date,
+            reason: `Void check ${check.check_number}${reason ? ` – ${reason}` : ''}`,
+            userId
+        });
+
+        // The payable is open again, so the item goes back to unpaid
+        let paymentItem = items[0];
+        if (await hasColumn(db, 'payment_items', 'status')) {
+            const { rows: updated } = await db.query(
+                `UPDATE payment_items SET status = 'Pending', updated_at = NOW() WHERE id = $1 RETURNING *`,
+                [items[0].id]
+            );
+            paymentItem = updated[0];
+        }
+
+        let reversalId = ids[ids.length - 1] || null;
+        if (hasReversalOf) {
+            // The reversal of the entry that credited cash stands for the void
+            const cashReversal = await db.query('SELECT id FROM journal_entries WHERE reversal_of_id = $1', [original.id]);
+            reversalId = cashReversal.rows[0]?.id || reversalId;
+        }
+        return { reversalId, paymentItem };
+    }
+    if (hasReversalOf) {
+        const existing = await db.query('SELECT id FROM journal_entries WHERE reversal_of_id = $1', [original.id]);
+        if (existing.rows.length) return { reversalId: existing.rows[0].id, paymentItem: null };
+    }
+
+    const entryDate = date > original.entry_ymd ? date : original.entry_ymd;
+    await assertPeriodOpen(db, original.entity_id, entryDate);
+
+    const cols = ['entity_id', 'entry_date', 'total_amount', 'reference_number', 'description', 'status', 'entry_mode'];
+    const vals = [
+        original.entity_id,
+        entryDate,
+        original.total_amount,
+        `REV-${original.reference_number || original.id}`.slice(0, 50),
+        `Void check ${check.check_number}${reason ? ` – ${reason}` : ''}`,
+        'Posted',
+        'Auto'
+    ];
+    if (await hasColumn(db, 'journal_entries', 'entry_type')) { cols.push('entry_type'); vals.push(REVERSAL_ENTRY_TYPE); }
+    if (hasReversalOf) { cols.push('reversal_of_id'); vals.push(original.id); }
+    if (userId) { cols.push('created_by'); vals.push(userId); }
+    const ph = vals.map((_, i) => `$${i + 1}`).join(',');
+    const { rows: revRows } = await db.query(
+        `INSERT INTO journal_entries (${cols.join(',')}) VALUES (${ph}) RETURNING id`,
+        vals
+    );
+    const reversalId = revRows[0].id;
+
+    const lineHasRole = await hasColumn(db, 'journal_entry_items', 'posting_role');
+    const { rows: lines } = await db.query('SELECT * FROM journal_entry_items WHERE journal_entry_id = $1', [original.id]);
+    for (const line of lines) {
+        const lineCols = ['journal_entry_id', 'account_id', 'fund_id', 'debit', 'credit', 'description'];
+        const lineVals = [reversalId, line.account_id, line.fund_id, Number(line.credit || 0), Number(line.debit || 0), line.description || ''];
+        if (lineHasRole) { lineCols.push('posting_role'); lineVals.push(line.posting_role || null); }
+        const lph = lineVals.map((_, i) => `$${i + 1}`).join(',');
+        await db.query(`INSERT INTO journal_entry_items (${lineCols.join(',')}) VALUES (${lph})`, lineVals);
+    }
+
+    if (hasReversalOf && await hasTable(db, 'journal_entry_audit_log')) {
+        await db.query(
+            `INSERT INTO journal_entry_audit_log (journal_entry_id, action, related_entry_id, reason, user_id)
+             VALUES ($1, 'Reverse', $2, $3, $4)`,
+            [original.id, reversalId, reason || `Check ${check.check_number} voided`, userId]
+        );
+    }
+    return { reversalId, paymentItem: null };
+}
+
+/**
+ * Bank statement transaction a check cleared on. With an explicit id the
+ * transaction must belong to the check's bank account, be unmatched and carry
+ * the check's amount; without one, an unmatched transaction with the same
+ * check number and amount is used when there is exactly one.
+ * @returns {Promise<Object|null>} bank_statement_transactions row
+ */
+async function findClearingTransaction(db, check, transactionId = null) {
+    const params = [check.bank_account_id, round2(check.amount)];
+    let where;
+    if (transactionId) {
+        params.push(transactionId);
+        where = `bst.id = $${params.length}`;
+    } else {
+        params.push(String(check.check_number).replace(/^0+/, ''));
+        where = `bst.status = 'Unmatched' AND LTRIM(bst.check_number, '0') = $${params.length}`;
+    }
+    const { rows } = await db.query(
+        `SELECT bst.*, bs.bank_account_id,
+                EXISTS (SELECT 1 FROM printed_checks pc
+                         WHERE pc.bank_statement_transaction_id = bst.id) AS linked
+           FROM bank_statement_transactions bst
+           JOIN bank_statements bs ON bs.id = bst.bank_statement_id
+          WHERE bs.bank_account_id = $1
+            AND ABS(bst.amount) = $2
+            AND ${where}
+          FOR UPDATE OF bst`,
+        params
+    );
+    if (transactionId) {
+        const tx = rows[0];
+        if (!tx) throw new ApiError('Bank statement transaction not found for this bank account and check amount', 404);
+        if (tx.linked || tx.status !== 'Unmatched') throw new ApiError('Bank statement transaction is already matched', 409);
+        return tx;
+    }
+    const open = rows.filter(r => !r.linked);
+    return open.length === 1 ? open[0] : null;
+}
+
+module.exports = {
+    postCheck,
+    reverseCheck,
+    findClearingTransaction
+};
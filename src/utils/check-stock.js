@@ -0,0 +1,474 @@
+// src/utils/check-stock.js
+//
+// Check stock inventory per bank account. Once a bank account has received a
+// range of stock (check_stock_ranges), every check number it prints must come
+// from that stock and each number's status is kept in check_stock_numbers:
+//   Available -> Reserved (print run or Draft check) -> Used (printed)
+//   -> Voided (printed check voided); Available/Reserved -> Spoiled.
+// Bank accounts without stock keep the old behaviour (any unused number).
+//
+// All functions take a pg client and expect the caller's transaction.
+
+const { ApiError } = require('../middleware/error-handler');
+const { hasTable } = require('./schema');
+
+const NUMBER_STATUSES = ['Available', 'Reserved', 'Used', 'Spoiled', 'Voided'];
+
+// Largest range received or allocated in one go
+const MAX_RANGE_SIZE = 10000;
+
+class CheckStockError extends ApiError {
+    constructor(message, details = null) {
+        super(message, 409, details);
+    }
+}
+
+const isDigits = (s) => /^\d+$/.test(String(s ?? '').trim());
+
+// printed_checks.check_number is text; the CASE keeps non-numeric values from
+// reaching the cast (Postgres does not promise to evaluate AND/OR in order)
+const numericCheckNumber = (alias) =>
+    `(CASE WHEN ${alias}.check_number ~ '^[0-9]+$' THEN ${alias}.check_number::bigint END)`;
+
+/**
+ * Whether the bank account's check numbers are controlled by stock
+ * @returns {Promise<boolean>}
+ */
+async function isStockManaged(db, bankAccountId) {
+    if (!bankAccountId || !await hasTable(db, 'check_stock_ranges')) return false;
+    const { rows } = await db.query('SELECT 1 FROM check_stock_ranges WHERE bank_account_id = $1 LIMIT 1', [bankAccountId]);
+    return rows.length > 0;
+}
+
+/**
+ * Record a range of received check stock. Numbers already on a check (from
+ * before stock was tracked) take that check's status.
+ * @param {Object} db - pg client
+ * @param {Object} range - { bankAccountId, startNumber, endNumber, receivedDate, description, userId }
+ * @returns {Promise<Object>} check_stock_ranges row with number_count
+ */
+async function receiveRange(db, { bankAccountId, startNumber, endNumber, receivedDate = null, description = null, userId = null }) {
+    if (!isDigits(startNumber) || !isDigits(endNumber)) {
+        throw new ApiError('start_number and end_number must be whole numbers', 400);
+    }
+    const start = Number(startNumber);
+    const end = Number(endNumber);
+    if (start <= 0 || end < start) {
+        throw new ApiError('end_number must not be below start_number', 400);
+    }
+    if (end - start + 1 > MAX_RANGE_SIZE) {
+        throw new ApiError(`A range can hold at most ${MAX_RANGE_SIZE} checks`, 400);
+    }
+
+    // Serialise stock changes per bank account
+    await db.query('SELECT id FROM bank_accounts WHERE id = $1 FOR UPDATE', [bankAccountId]);
+
+    const overlap = await db.query(
+        `SELECT MIN(check_number) AS first, COUNT(*)::int AS count
+           FROM check_stock_numbers
+          WHERE bank_account_id = $1 AND check_number BETWEEN $2 AND $3`,
+        [bankAccountId, start, end]
+    );
+    if (overlap.rows[0].count > 0) {
+        throw new CheckStockError(
+            `Range overlaps stock already received: ${overlap.rows[0].count} number(s) from ${overlap.rows[0].first}`
+        );
+    }
+
+    const { rows } = await db.query(
+        `INSERT INTO check_stock_ranges (bank_account_id, start_number, end_number, received_date, description, received_by)
+         VALUES ($1, $2, $3, COALESCE($4::date, CURRENT_DATE), $5, $6)
+         RETURNING *`,
+        [bankAccountId, start, end, receivedDate, description, userId]
+    );
+    const range = rows[0];
+
+    await db.query(
+        `INSERT INTO check_stock_numbers (range_id, bank_account_id, check_number, status, printed_check_id, status_changed_by)
+         SELECT $1::uuid, $2::uuid, n,
+                CASE
+                    WHEN pc.id IS NULL THEN 'Available'
+                    WHEN pc.status IN ('Printed', 'Cleared') THEN 'Used'
+                    WHEN pc.status = 'Voided' AND pc.printed_date IS NOT NULL THEN 'Voided'
+                    WHEN pc.status = 'Draft' THEN 'Reserved'
+                    ELSE 'Available'
+                END,
+                CASE WHEN pc.status = 'Voided' AND pc.printed_date IS NULL THEN NULL ELSE pc.id END,
+                $5::uuid
+           FROM generate_series($3::bigint, $4::bigint) AS n
+           LEFT JOIN LATERAL (
+                SELECT id, status, printed_date
+                  FROM printed_checks
+                 WHERE printed_checks.bank_account_id = $2::uuid
+                   AND ${numericCheckNumber('printed_checks')} = n
+                 ORDER BY created_at
+                 LIMIT 1
+           ) pc ON TRUE`,
+        [range.id, bankAccountId, start, end, userId]
+    );
+
+    return { ...range, number_count: end - start + 1 };
+}
+
+/**
+ * Whether a stock number is held for something other than the claimant: a
+ * different check, or a print run allocation the claim does not come from
+ * @param {Object} number - check_stock_numbers row
+ * @param {Object} claim - { printedCheckId, allocationId }
+ * @returns {boolean}
+ */
+function isHeldByOther(number, { printedCheckId = null, allocationId = null } = {}) {
+    if (number.printed_check_id) return number.printed_check_id !== printedCheckId;
+    return !!number.allocation_id && number.allocation_id !== allocationId;
+}
+
+/**
+ * Hold a stock number for a check (Draft checks hold their number until
+ * printed). Returns null when the bank account is not stock-managed.
+ * Numbers reserved for a print run can only be claimed by that run's
+ * /allocate assignment (allocationId).
+ * @param {Object} db - pg client
+ * @param {Object} opts - { bankAccountId, checkNumber, printedCheckId, allocationId, userId }
+ * @returns {Promise<Object|null>} check_stock_numbers row
+ */
+async function claimNumber(db, { bankAccountId, checkNumber, printedCheckId, allocationId = null, userId = null }) {
+    if (!await isStockManaged(db, bankAccountId)) return null;
+    if (!isDigits(checkNumber)) {
+        throw new CheckStockError(`Check number ${checkNumber} is not numeric; this bank account prints from check stock`);
+    }
+    const { rows } = await db.query(
+        `SELECT * FROM check_stock_numbers
+          WHERE bank_account_id = $1 AND check_number = $2
+          FOR UPDATE`,
+        [bankAccountId, Number(checkNumber)]
+    );
+    const number = rows[0];
+    if (!number) {
+        throw new CheckStockError(`Check number ${checkNumber} is not in the check stock received for this bank account`);
+    }
+    const heldByOther = isHeldByOther(number, { printedCheckId, allocationId });
+    if (number.status !== 'Available' && !(number.status === 'Reserved' && !heldByOther)) {
+        const holder = number.printed_check_id ? ' by another check' : ' for another print run';
+        throw new CheckStockError(
+            `Check number ${checkNumber} is ${number.status.toLowerCase()}${heldByOther ? holder : ''}`,
+            { check_number: checkNumber, status: number.status }
+        );
+    }
+
+    const updated = await db.query(
+        `UPDATE check_stock_numbers
+            SET status = 'Reserved', printed_check_id = $1, status_changed_by = $2, status_changed_at = NOW()
+          WHERE id = $3
+          RETURNING *`,
+        [printedCheckId, userId, number.id]
+    );
+    return updated.rows[0];
+}
+
+/**
+ * Return a check's reserved numbers to stock (Draft check deleted, renumbered
+ * or voided before printing)
+ * @returns {Promise<number>} Numbers released
+ */
+async function releaseNumbers(db, printedCheckId, { userId = null } = {}) {
+    if (!await hasTable(db, 'check_stock_numbers')) return 0;
+    const { rowCount } = await db.query(
+        `UPDATE check_stock_numbers
+            SET status = 'Available', printed_check_id = NULL, allocation_id = NULL,
+                status_changed_by = $2, status_changed_at = NOW()
+          WHERE printed_check_id = $1 AND status = 'Reserved'`,
+        [printedCheckId, userId]
+    );
+    return rowCount;
+}
+
+/**
+ * Mark the number of a check being printed as Used. Throws when a
+ * stock-managed bank account's number is not available to this check.
+ * @param {Object} db - pg client
+ * @param {Object} check - printed_checks row
+ */
+async function useNumber(db, check, { userId = null } = {}) {
+    const number = await claimNumber(db, {
+        bankAccountId: check.bank_account_id,
+        checkNumber: check.check_number,
+        printedCheckId: check.id,
+        userId
+    });
+    if (!number) return null;
+    const { rows } = await db.query(
+        `UPDATE check_stock_numbers
+            SET status = 'Used', status_changed_at = NOW()
+          WHERE id = $1
+          RETURNING *`,
+        [number.id]
+    );
+    return rows[0];
+}
+
+/**
+ * Record a voided check against its stock number: a printed check's number
+ * becomes Voided, a Draft check's reserved number goes back to stock
+ * @param {Object} db - pg client
+ * @param {Object} check - printed_checks row as it was before voiding
+ */
+async function voidNumber(db, check, { reason = null, userId = null } = {}) {
+    if (!await hasTable(db, 'check_stock_numbers')) return;
+    if (check.status === 'Draft') {
+        await releaseNumbers(db, check.id, { userId });
+        return;
+    }
+    await db.query(
+        `UPDATE check_stock_numbers
+            SET status = 'Voided', status_reason = $2, status_changed_by = $3, status_changed_at = NOW()
+          WHERE printed_check_id = $1 AND status = 'Used'`,
+        [check.id, reason, userId]
+    );
+}
+
+/**
+ * Mark stock numbers Spoiled (damaged or misprinted blanks). Only Available
+ * and Reserved numbers can be spoiled; issued checks are voided instead.
+ * @returns {Promise<Array>} Updated check_stock_numbers rows
+ */
+async function spoilNumbers(db, { bankAccountId, checkNumbers, reason, userId = null }) {
+    const given = checkNumbers.map(n => String(n ?? '').trim());
+    if (!given.length || !given.every(isDigits)) {
+        throw new ApiError('check_numbers must be a non-empty array of check numbers', 400);
+    }
+    const numbers = [...new Set(given.map(n => String(Number(n))))];
+    const { rows } = await db.query(
+        `SELECT * FROM check_stock_numbers
+          WHERE bank_account_id = $1 AND check_number = ANY($2::bigint[])
+          ORDER BY check_number
+          FOR UPDATE`,
+        [bankAccountId, numbers]
+    );
+    if (rows.length !== numbers.length) {
+        const found = new Set(rows.map(r => String(r.check_number)));
+        throw new CheckStockError(`Not in check stock: ${numbers.filter(n => !found.has(n)).join(', ')}`);
+    }
+    const issued = rows.filter(r => !['Available', 'Reserved'].includes(r.status));
+    if (issued.length) {
+        throw new CheckStockError(
+            `Only unissued numbers can be spoiled: ${issued.map(r => `${r.check_number} (${r.status})`).join(', ')}`
+        );
+    }
+    const { rows: updated } = await db.query(
+        `UPDATE check_stock_numbers
+            SET status = 'Spoiled', status_reason = $3, status_changed_by = $4, status_changed_at = NOW()
+          WHERE bank_account_id = $1 AND check_number = ANY($2::bigint[])
+          RETURNING *`,
+        [bankAccountId, numbers, reason, userId]
+    );
+    return updated;
+}
+
+/**
+ * Lowest Available stock number not already on a check
+ * @returns {Promise<string|null>}
+ */
+async function nextAvailableNumber(db, bankAccountId) {
+    const { rows } = await db.query(
+        `SELECT n.check_number
+           FROM check_stock_numbers n
+          WHERE n.bank_account_id = $1
+            AND n.status = 'Available'
+            AND NOT EXISTS (
+                SELECT 1 FROM printed_checks pc
+                 WHERE pc.bank_account_id = n.bank_account_id
+                   AND ${numericCheckNumber('pc')} = n.check_number)
+          ORDER BY n.check_number
+          LIMIT 1`,
+        [bankAccountId]
+    );
+    return rows[0] ? String(rows[0].check_number) : null;
+}
+
+/**
+ * Reserve the lowest contiguous run of `count` Available numbers for a print
+ * run. The bank account row is locked so concurrent print runs queue up and
+ * never receive the same numbers.
+ * @param {Object} db - pg client
+ * @param {Object} opts - { bankAccountId, count, userId }
+ * @returns {Promise<Object>} check_stock_allocations row with numbers: string[]
+ */
+async function allocateRange(db, { bankAccountId, count, userId = null }) {
+    const n = Number(count);
+    if (!Number.isInteger(n) || n <= 0 || n > MAX_RANGE_SIZE) {
+        throw new ApiError(`count must be a whole number from 1 to ${MAX_RANGE_SIZE}`, 400);
+    }
+    await db.query('SELECT id FROM bank_accounts WHERE id = $1 FOR UPDATE', [bankAccountId]);
+
+    // Gaps-and-islands: consecutive Available numbers share check_number - row_number
+    const { rows } = await db.query(
+        `WITH free AS (
+             SELECT n.check_number,
+                    n.check_number - ROW_NUMBER() OVER (ORDER BY n.check_number) AS island
+               FROM check_stock_numbers n
+              WHERE n.bank_account_id = $1
+                AND n.status = 'Available'
+                AND n.printed_check_id IS NULL
+                AND NOT EXISTS (
+                    SELECT 1 FROM printed_checks pc
+                     WHERE pc.bank_account_id = n.bank_account_id
+                       AND ${numericCheckNumber('pc')} = n.check_number)
+         )
+         SELECT MIN(check_number) AS start_number
+           FROM free
+          GROUP BY island
+         HAVING COUNT(*) >= $2
+          ORDER BY MIN(check_number)
+          LIMIT 1`,
+        [bankAccountId, n]
+    );
+    if (!rows.length) {
+        throw new CheckStockError(`No run of ${n} consecutive unused check numbers is left in stock for this bank account`);
+    }
+    const start = Number(rows[0].start_number);
+    const end = start + n - 1;
+
+    const { rows: allocationRows } = await db.query(
+        `INSERT INTO check_stock_allocations (bank_account_id, start_number, end_number, number_count, allocated_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [bankAccountId, start, end, n, userId]
+    );
+    const allocation = allocationRows[0];
+
+    await db.query(
+        `UPDATE check_stock_numbers
+            SET status = 'Reserved', allocation_id = $2, status_changed_by = $5, status_changed_at = NOW()
+          WHERE bank_account_id = $1 AND check_number BETWEEN $3 AND $4`,
+        [bankAccountId, allocation.id, start, end, userId]
+    );
+
+    const numbers = [];
+    for (let i = start; i <= end; i++) numbers.push(String(i));
+    return { ...allocation, numbers };
+}
+
+/**
+ * Return a print run's numbers that no check took back to stock
+ * @returns {Promise<number>} Numbers released
+ */
+async function releaseAllocation(db, allocationId, { userId = null } = {}) {
+    const { rowCount } = await db.query(
+        `UPDATE check_stock_numbers
+            SET status = 'Available', allocation_id = NULL, status_changed_by = $2, status_changed_at = NOW()
+          WHERE allocation_id = $1 AND status = 'Reserved' AND printed_check_id IS NULL`,
+        [allocationId, userId]
+    );
+    return rowCount;
+}
+
+/**
+ * Missing-check-number report for internal controls: status counts, numbers
+ * skipped in the issued sequence, spoiled and voided numbers with reasons,
+ * check numbers issued more than once and checks printed outside the stock.
+ * @param {Object} db - pg client
+ * @param {string} bankAccountId
+ * @param {Object} [opts] - { fromNumber, toNumber } limits the number range
+ * @returns {Promise<Object>}
+ */
+async function missingNumberReport(db, bankAccountId, { fromNumber = null, toNumber = null } = {}) {
+    const from = fromNumber ? Number(fromNumber) : null;
+    const to = toNumber ? Number(toNumber) : null;
+    const inRange = `($2::bigint IS NULL OR n.check_number >= $2) AND ($3::bigint IS NULL OR n.check_number <= $3)`;
+    const params = [bankAccountId, from, to];
+
+    const { rows: counts } = await db.query(
+        `SELECT n.status, COUNT(*)::int AS count
+           FROM check_stock_numbers n
+          WHERE n.bank_account_id = $1 AND ${inRange}
+          GROUP BY n.status`,
+        params
+    );
+    const summary = Object.fromEntries(NUMBER_STATUSES.map(s => [s.toLowerCase(), 0]));
+    for (const c of counts) summary[c.status.toLowerCase()] = c.count;
+
+    // Numbers below the highest issued number that were never issued or accounted for
+    const { rows: missing } = await db.query(
+        `SELECT n.check_number, n.status, n.allocation_id, r.received_date
+           FROM check_stock_numbers n
+           JOIN check_stock_ranges r ON r.id = n.range_id
+          WHERE n.bank_account_id = $1 AND ${inRange}
+            AND n.status IN ('Available', 'Reserved')
+            AND n.check_number < (
+                SELECT MAX(check_number) FROM check_stock_numbers
+                 WHERE bank_account_id = $1 AND status IN ('Used', 'Voided'))
+          ORDER BY n.check_number`,
+        params
+    );
+
+    const { rows: accounted } = await db.query(
+        `SELECT n.check_number, n.status, n.status_reason, n.status_changed_at,
+                n.printed_check_id, pc.payee_name, pc.amount, pc.void_reason
+           FROM check_stock_numbers n
+           LEFT JOIN printed_checks pc ON pc.id = n.printed_check_id
+          WHERE n.bank_account_id = $1 AND ${inRange}
+            AND n.status IN ('Spoiled', 'Voided')
+          ORDER BY n.check_number`,
+        params
+    );
+
+    const { rows: duplicates } = await db.query(
+        `SELECT ${numericCheckNumber('pc')}::text AS check_number,
+                COUNT(*)::int AS count,
+                ARRAY_AGG(pc.id ORDER BY pc.created_at) AS printed_check_ids
+           FROM printed_checks pc
+          WHERE pc.bank_account_id = $1
+            AND ${numericCheckNumber('pc')} IS NOT NULL
+            AND ($2::bigint IS NULL OR ${numericCheckNumber('pc')} >= $2)
+            AND ($3::bigint IS NULL OR ${numericCheckNumber('pc')} <= $3)
+          GROUP BY ${numericCheckNumber('pc')}
+         HAVING COUNT(*) > 1
+          ORDER BY ${numericCheckNumber('pc')}`,
+        params
+    );
+
+    const { rows: outsideStock } = await db.query(
+        `SELECT pc.id, pc.check_number, pc.status, pc.payee_name, pc.amount
+           FROM printed_checks pc
+          WHERE pc.bank_account_id = $1
+            AND pc.status <> 'Draft'
+            AND NOT EXISTS (
+                SELECT 1 FROM check_stock_numbers n
+                 WHERE n.bank_account_id = pc.bank_account_id
+                   AND n.check_number = ${numericCheckNumber('pc')})
+            AND ($2::bigint IS NULL OR ${numericCheckNumber('pc')} IS NULL OR ${numericCheckNumber('pc')} >= $2)
+            AND ($3::bigint IS NULL OR ${numericCheckNumber('pc')} IS NULL OR ${numericCheckNumber('pc')} <= $3)
+          ORDER BY pc.check_number`,
+        params
+    );
+
+    return {
+        bank_account_id: bankAccountId,
+        from_number: from,
+        to_number: to,
+        summary,
+        missing: missing.map(r => ({ ...r, check_number: String(r.check_number) })),
+        spoiled: accounted.filter(r => r.status === 'Spoiled').map(r => ({ ...r, check_number: String(r.check_number) })),
+        voided: accounted.filter(r => r.status === 'Voided').map(r => ({ ...r, check_number: String(r.check_number) })),
+        duplicates,
+        outside_stock: outsideStock
+    };
+}
+
+module.exports = {
+    NUMBER_STATUSES,
+    MAX_RANGE_SIZE,
+    CheckStockError,
+    isStockManaged,
+    isHeldByOther,
+    receiveRange,
+    claimNumber,
+    releaseNumbers,
+    useNumber,
+    voidNumber,
+    spoilNumbers,
+    nextAvailableNumber,
+    allocateRange,
+    releaseAllocation,
+    missingNumberReport
+};
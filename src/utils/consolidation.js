@@ -0,0 +1,333 @@
+// src/utils/consolidation.js
+//
+// Consolidated trial balance for a reporting entity and the entities it
+// consolidates. The group is the root entity plus its children through
+// entities.parent_entity_id, descending only below entities flagged
+// is_consolidated. Each entity's trial balance comes from fetchAccountBalances
+// (posted entries by journal_entries.entity_id), rolled up by GL code and net
+// asset class.
+//
+// Eliminations come from inter-entity entries inside the group: posted
+// journal entries with is_inter_entity set whose entity_id and
+// target_entity_id are both group members, paired through
+// matching_transaction_id. Every non-cash line of a matched pair (due-to /
+// due-from balances, inter-entity revenue and expense) is reversed in the
+// elimination column; cash lines stay because the cash really moved between
+// bank accounts. Pairs missing a side or whose non-cash lines do not net to
+// zero are not eliminated and are reported as exceptions instead.
+//
+// Eliminations are computed for reporting only and never posted to the GL.
+
+const { ApiError } = require('../middleware/error-handler');
+const {
+    round2,
+    fetchAccountBalances,
+    normalizeLineType,
+    netAssetClassFor,
+    fiscalPeriodFor,
+    fiscalYearBounds
+} = require('./ledger');
+
+const ACTIVITY_TYPES = ['Revenue', 'Expense'];
+
+// Revenue and expense dated before the period start are carried in net assets
+const OUTSIDE_PERIOD_CODE = 'NET-ASSETS-PRIOR';
+
+// Guards the hierarchy walk against a parent_entity_id cycle
+const MAX_DEPTH = 20;
+
+/**
+ * Root entity and the entities it consolidates, parents before children
+ * @param {Object} db - pg Pool or client
+ * @param {string} rootId - Entity UUID
+ * @returns {Promise<Object[]>} entities rows with depth
+ */
+async function loadConsolidationGroup(db, rootId) {
+    const { rows } = await db.query(
+        `WITH RECURSIVE tree AS (
+             SELECT e.id, e.name, e.code, e.parent_entity_id, e.is_consolidated,
+                    e.fiscal_year_start, 0 AS depth, ARRAY[e.id] AS path
+               FROM entities e
+              WHERE e.id = $1
+             UNION ALL
+             SELECT c.id, c.name, c.code, c.parent_entity_id, c.is_consolidated,
+                    c.fiscal_year_start, t.depth + 1, t.path || c.id
+               FROM entities c
+               JOIN tree t ON c.parent_entity_id = t.id
+              WHERE t.is_consolidated
+                AND NOT c.id = ANY(t.path)
+                AND t.depth < $2
+         )
+         SELECT id, name, code, parent_entity_id, is_consolidated, fiscal_year_start, depth
+           FROM tree
+          ORDER BY depth, code`,
+        [rootId, MAX_DEPTH]
+    );
+    return rows;
+}
+
+/**
+ * Default period start for a consolidation: the first day of the root
+ * entity's fiscal year containing asOf
+ */
+function fiscalYearStartFor(entity, asOf) {
+    const period = fiscalPeriodFor(entity.fiscal_year_start || '01-01', asOf);
+    return period ? fiscalYearBounds(entity.fiscal_year_start || '01-01', period.fiscal_year).start : `${asOf.slice(0, 4)}-01-01`;
+}
+
+/**
+ * Inter-entity lines between group members, grouped by matching_transaction_id
+ * @returns {Promise<Map<string, Object[]>>}
+ */
+async function fetchInterEntityLines(db, entityIds, endDate) {
+    const { rows } = await db.query(
+        `SELECT je.id AS journal_entry_id,
+                je.entity_id,
+                je.target_entity_id,
+                je.matching_transaction_id,
+                to_char(je.entry_date, 'YYYY-MM-DD') AS entry_date,
+                je.reference_number,
+                je.description AS entry_description,
+                jei.id AS line_id,
+                jei.account_id,
+                a.account_code,
+                a.gl_code,
+                a.description AS account_description,
+                COALESCE(NULLIF(f.restriction, ''), a.restriction) AS restriction,
+                COALESCE(gc.line_type, a.classification) AS line_type,
+                COALESCE(jei.debit, 0)  AS debit,
+                COALESCE(jei.credit, 0) AS credit,
+                EXISTS (SELECT 1 FROM bank_accounts ba
+                         WHERE ba.cash_account_id = a.id OR ba.gl_account_id = a.id) AS is_cash
+           FROM journal_entries je
+           JOIN journal_entry_items jei ON jei.journal_entry_id = je.id
+           JOIN accounts a              ON a.id = jei.account_id
+           LEFT JOIN funds f            ON f.id = jei.fund_id
+           LEFT JOIN gl_codes gc        ON LOWER(gc.code) = LOWER(a.gl_code)
+          WHERE je.status = 'Posted'
+            AND je.is_inter_entity = TRUE
+            AND je.matching_transaction_id IS NOT NULL
+            AND je.entry_date <= $1
+            AND je.entity_id = ANY($2::uuid[])
+            AND je.target_entity_id = ANY($2::uuid[])
+          ORDER BY je.entry_date, je.matching_transaction_id, je.id`,
+        [endDate, entityIds]
+    );
+
+    const groups = new Map();
+    for (const r of rows) {
+        const line = {
+            ...r,
+            line_type: normalizeLineType(r.line_type),
+            net_asset_class: netAssetClassFor(r.restriction),
+            debit: round2(r.debit),
+            credit: round2(r.credit)
+        };
+        if (!groups.has(r.matching_transaction_id)) groups.set(r.matching_transaction_id, []);
+        groups.get(r.matching_transaction_id).push(line);
+    }
+    return groups;
+}
+
+/**
+ * Elimination entries for matched inter-entity pairs, plus the pairs that
+ * could not be eliminated
+ * @param {Map<string, Object[]>} groups - Output of fetchInterEntityLines
+ * @param {Map<string, Object>} entitiesById
+ * @returns {{ entries: Object[], exceptions: Object[] }}
+ */
+function buildEliminations(groups, entitiesById) {
+    const entries = [];
+    const exceptions = [];
+
+    for (const [matchingId, lines] of groups) {
+        const entityIds = new Set(lines.map(l => l.entity_id));
+        const journalEntryIds = [...new Set(lines.map(l => l.journal_entry_id))];
+        const describe = () => ({
+            matching_transaction_id: matchingId,
+            journal_entry_ids: journalEntryIds,
+            entry_date: lines[0].entry_date,
+            reference_number: lines[0].reference_number,
+            entities: [...entityIds].map(id => entitiesById.get(id)?.code || id)
+        });
+
+        if (entityIds.size < 2) {
+            exceptions.push({ ...describe(), reason: 'Counterpart entry is missing or not posted' });
+            continue;
+        }
+
+        const eliminated = lines.filter(l => !l.is_cash);
+        const net = round2(eliminated.reduce((s, l) => s + l.debit - l.credit, 0));
+        if (Math.abs(net) >= 0.01) {
+            exceptions.push({
+                ...describe(),
+                reason: 'Inter-entity balances of the two sides do not agree',
+                difference: net
+            });
+            continue;
+        }
+        if (!eliminated.length) continue;
+
+        entries.push({
+            ...describe(),
+            description: `Eliminate ${lines[0].entry_description || 'inter-entity transaction'}`,
+            lines: eliminated.map(l => ({
+                entity_id: l.entity_id,
+                entity_code: entitiesById.get(l.entity_id)?.code || null,
+                account_id: l.account_id,
+                account_code: l.account_code,
+                gl_code: l.gl_code,
+                line_type: l.line_type,
+                net_asset_class: l.net_asset_class,
+                entry_date: l.entry_date,
+                debit: l.credit,
+                credit: l.debit
+            }))
+        });
+    }
+    return { entries, exceptions };
+}
+
+/**
+ * Consolidated trial balance with per-entity and elimination columns. Amounts
+ * are net debits (debits positive, credits negative). Balance sheet lines are
+ * balances as of endDate; revenue and expense lines are activity from
+ * startDate to endDate, with earlier revenue and expense carried in a net
+ * assets line so every column still balances.
+ * @param {Object} db - pg Pool or client
+ * @param {Object} opts
+ * @param {string} opts.entityId - Reporting (root) entity UUID
+ * @param {string} opts.endDate - YYYY-MM-DD
+ * @param {string} [opts.startDate] - YYYY-MM-DD (default: fiscal year start)
+ * @returns {Promise<Object>}
+ */
+async function consolidateTrialBalance(db, { entityId, endDate, startDate = null }) {
+    const group = await loadConsolidationGroup(db, entityId);
+    const root = group[0];
+    if (!root) {
+        throw new ApiError('Entity not found', 404);
+    }
+    if (!root.is_consolidated) {
+        throw new ApiError(`${root.name} is not flagged as a consolidating entity (is_consolidated)`, 400);
+    }
+
+    const periodStart = startDate || fiscalYearStartFor(root, endDate);
+    const entitiesById = new Map(group.map(e => [e.id, e]));
+    const rows = new Map();
+
+    const rowFor = (key, base) => {
+        if (!rows.has(key)) {
+            rows.set(key, {
+                ...base,
+                entities: Object.fromEntries(group.map(e => [e.id, 0])),
+                eliminations: 0,
+                consolidated: 0
+            });
+        }
+        return rows.get(key);
+    };
+    const outsidePeriodRow = (netAssetClass) => rowFor(`${OUTSIDE_PERIOD_CODE}|${netAssetClass}`, {
+        gl_code: OUTSIDE_PERIOD_CODE,
+        description: 'Net assets - revenue and expense before the period',
+        line_type: 'Equity',
+        net_asset_class: netAssetClass
+    });
+    const accountRow = (r) => rowFor(`${r.gl_code}|${r.net_asset_class}`, {
+        gl_code: r.gl_code,
+        description: r.classification || r.description,
+        line_type: r.line_type,
+        net_asset_class: r.net_asset_class
+    });
+
+    for (const entity of group) {
+        const [cumulative, period] = await Promise.all([
+            fetchAccountBalances(db, { endDate, entityIds: [entity.id] }),
+            fetchAccountBalances(db, { startDate: periodStart, endDate, entityIds: [entity.id] })
+        ]);
+        for (const r of cumulative) {
+            if (ACTIVITY_TYPES.includes(r.line_type)) {
+                // Whole-life activity goes to net assets; the period's share is moved back below
+                outsidePeriodRow(r.net_asset_class).entities[entity.id] += r.net_debit;
+            } else {
+                accountRow(r).entities[entity.id] += r.net_debit;
+            }
+        }
+        for (const r of period) {
+            if (!ACTIVITY_TYPES.includes(r.line_type)) continue;
+            accountRow(r).entities[entity.id] += r.net_debit;
+            outsidePeriodRow(r.net_asset_class).entities[entity.id] -= r.net_debit;
+        }
+    }
+
+    const { entries, exceptions } = buildEliminations(await fetchInterEntityLines(db, group.map(e => e.id), endDate), entitiesById);
+    for (const entry of entries) {
+        for (const l of entry.lines) {
+            const amount = l.debit - l.credit;
+            const target = ACTIVITY_TYPES.includes(l.line_type) && l.entry_date < periodStart
+                ? outsidePeriodRow(l.net_asset_class)
+                : accountRow({ ...l, classification: null, description: l.gl_code });
+            target.eliminations += amount;
+        }
+    }
+
+    const glDescriptions = new Map();
+    const codes = [...rows.values()].map(r => r.gl_code).filter(c => c && c !== OUTSIDE_PERIOD_CODE);
+    if (codes.length) {
+        const { rows: gl } = await db.query(
+            'SELECT LOWER(code) AS code, description FROM gl_codes WHERE LOWER(code) = ANY($1::text[])',
+            [codes.map(c => String(c).toLowerCase())]
+        );
+        gl.forEach(g => glDescriptions.set(g.code, g.description));
+    }
+
+    const typeOrder = ['Asset', 'Liability', 'Equity', 'Revenue', 'Expense'];
+    const lines = [...rows.values()]
+        .map(r => {
+            const entities = Object.fromEntries(Object.entries(r.entities).map(([id, v]) => [id, round2(v)]));
+            const entityTotal = Object.values(entities).reduce((s, v) => s + v, 0);
+            return {
+                ...r,
+                description: glDescriptions.get(String(r.gl_code).toLowerCase()) || r.description,
+                entities,
+                eliminations: round2(r.eliminations),
+                consolidated: round2(entityTotal + r.eliminations)
+            };
+        })
+        .filter(r => r.consolidated !== 0 || r.eliminations !== 0 || Object.values(r.entities).some(v => v !== 0))
+        .sort((a, b) => (typeOrder.indexOf(a.line_type) - typeOrder.indexOf(b.line_type))
+            || String(a.gl_code).localeCompare(String(b.gl_code))
+            || a.net_asset_class.localeCompare(b.net_asset_class));
+
+    const totals = {};
+    for (const type of [...typeOrder, 'all']) {
+        const inType = type === 'all' ? lines : lines.filter(l => l.line_type === type);
+        totals[type] = {
+            entities: Object.fromEntries(group.map(e => [e.id, round2(inType.reduce((s, l) => s + l.entities[e.id], 0))])),
+            eliminations: round2(inType.reduce((s, l) => s + l.eliminations, 0)),
+            consolidated: round2(inType.reduce((s, l) => s + l.consolidated, 0))
+        };
+    }
+
+    return {
+        entity: { id: root.id, name: root.name, code: root.code },
+        start_date: periodStart,
+        end_date: endDate,
+        columns: group.map(e => ({
+            entity_id: e.id,
+            code: e.code,
+            name: e.name,
+            parent_entity_id: e.parent_entity_id,
+            depth: e.depth
+        })),
+        lines,
+        totals,
+        balanced: totals.all.consolidated === 0,
+        elimination_entries: entries,
+        exceptions
+    };
+}
+
+module.exports = {
+    loadConsolidationGroup,
+    consolidateTrialBalance
+};
@@ -0,0 +1,120 @@
+// src/utils/functional-allocation.js
+//
+// Functional expense allocation (Program Services / Management & General /
+// Fundraising) driven by functional_expense_rules.
+
+const FUNCTIONAL_CLASSES = ['program_services', 'management_general', 'fundraising'];
+
+// Column on functional_expense_rules holding each class's percentage
+const PCT_COLUMNS = {
+    program_services: 'program_pct',
+    management_general: 'management_general_pct',
+    fundraising: 'fundraising_pct'
+};
+
+/**
+ * Load active allocation rules
+ * @param {Object} db - pg Pool or client
+ * @returns {Promise<Object[]>} Rules
+ */
+const loadRules = async (db) => {
+    const { rows } = await db.query(
+        `SELECT id, entity_id, gl_code, fund_id,
+                program_pct, management_general_pct, fundraising_pct, description
+           FROM functional_expense_rules
+          WHERE status = 'Active'`
+    );
+    return rows;
+};
+
+/**
+ * Score how specifically a rule matches an expense line. Returns -1 when the
+ * rule does not apply. Precedence: gl_code + fund > fund > gl_code > default;
+ * an entity-specific rule beats the same rule with a NULL entity.
+ * @param {Object} rule - functional_expense_rules row
+ * @param {Object} line - { entity_id, gl_code, fund_id }
+ * @returns {number} Match score
+ */
+const scoreRule = (rule, line) => {
+    if (rule.entity_id && rule.entity_id !== line.entity_id) return -1;
+    if (rule.gl_code && String(rule.gl_code).toLowerCase() !== String(line.gl_code || '').toLowerCase()) return -1;
+    if (rule.fund_id && rule.fund_id !== line.fund_id) return -1;
+
+    let score = 0;
+    if (rule.gl_code && rule.fund_id) score = 30;
+    else if (rule.fund_id) score = 20;
+    else if (rule.gl_code) score = 10;
+    if (rule.entity_id) score += 1;
+    return score;
+};
+
+/**
+ * Find the best matching rule for an expense line
+ * @param {Object[]} rules - Loaded rules
+ * @param {Object} line - { entity_id, gl_code, fund_id }
+ * @returns {Object|null} Best rule or null when nothing matches
+ */
+const findRule = (rules, line) => {
+    let best = null;
+    let bestScore = -1;
+    for (const rule of rules) {
+        const score = scoreRule(rule, line);
+        if (score > bestScore) {
+            best = rule;
+            bestScore = score;
+        }
+    }
+    return best;
+};
+
+/**
+ * Split an amount across functional classes by a rule's percentages. Cents
+ * lost to rounding are given to the class with the largest share so the
+ * parts always sum to the original amount.
+ * @param {number} amount - Expense amount
+ * @param {Object} rule - Rule with *_pct columns
+ * @returns {Object} { program_services, management_general, fundraising }
+ */
+const allocate = (amount, rule) => {
+    const cents = Math.round((Number(amount) || 0) * 100);
+    const parts = {};
+    let assigned = 0;
+    let largest = FUNCTIONAL_CLASSES[0];
+
+    FUNCTIONAL_CLASSES.forEach(cls => {
+        const pct = Number(rule[PCT_COLUMNS[cls]]) || 0;
+        parts[cls] = Math.round(cents * pct / 100);
+        assigned += parts[cls];
+        if (pct > (Number(rule[PCT_COLUMNS[largest]]) || 0)) largest = cls;
+    });
+    parts[largest] += cents - assigned;
+
+    FUNCTIONAL_CLASSES.forEach(cls => { parts[cls] = parts[cls] / 100; });
+    return parts;
+};
+
+/**
+ * Validate rule percentages from a request body
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message or null when valid
+ */
+const validateRulePercentages = (body) => {
+    const values = Object.values(PCT_COLUMNS).map(col => Number(body[col] ?? 0));
+    if (values.some(v => isNaN(v) || v < 0 || v > 100)) {
+        return 'Percentages must be numbers between 0 and 100';
+    }
+    const total = Math.round(values.reduce((s, v) => s + v, 0) * 100) / 100;
+    if (total !== 100) {
+        return `Percentages must total 100 (got ${total})`;
+    }
+    return null;
+};
+
+module.exports = {
+    FUNCTIONAL_CLASSES,
+    PCT_COLUMNS,
+    loadRules,
+    findRule,
+    allocate,
+    validateRulePercentages
+};
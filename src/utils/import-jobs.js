@@ -0,0 +1,577 @@
+// src/utils/import-jobs.js
+//
+// Shared job log for every importer. An importer starts a job (which rejects
+// a file the same importer has already imported), records each row it
+// inserts or updates as it goes, logs a line per source row and finishes the
+// job. rollbackImportJob() later deletes what the job inserted and puts back
+// the rows it updated. Posted journal entries are never deleted: the rollback
+// writes a reversing entry for each one instead.
+//
+// The job row itself is written through the pool so a Failed job survives
+// the importer's ROLLBACK. trackInsert/trackUpdate take the importer's own
+// client so the records commit or roll back with the data they describe.
+
+const crypto = require('crypto');
+const { ApiError } = require('../middleware/error-handler');
+const { assertPeriodOpen, closedPeriodMessage, findClosedPeriod } = require('./period-lock');
+const { hasColumn, hasTable } = require('./schema');
+const { REVERSAL_ENTRY_TYPE, isPostedEntry } = require('./ledger');
+
+const IMPORTERS = {
+    PAYMENTS_GL: 'payments-gl',
+    JOURNAL_ENTRIES: 'journal-entries',
+    VENDOR_PAYMENTS: 'vendor-payments',
+    BANK_DEPOSITS: 'bank-deposits',
+    ACCOUNTS: 'accounts',
+    FUNDS: 'funds',
+    VENDORS: 'vendors',
+    GL_CODES: 'gl-codes'
+};
+
+const JOB_STATUSES = ['Processing', 'Completed', 'Failed', 'Rolled Back'];
+const ROW_STATUSES = ['Succeeded', 'Failed', 'Skipped'];
+
+// Tables an import may write to, in the order a rollback undoes them:
+// dependants before the rows they point at
+const ROLLBACK_ORDER = [
+    'payment_items',
+    'bank_deposits',
+    'journal_entries',
+    'payment_batches',
+    'accounts',
+    'funds',
+    'vendors',
+    'gl_codes'
+];
+
+// Child rows deleted along with a tracked parent
+const CHILD_ROWS = {
+    journal_entries: { table: 'journal_entry_items', column: 'journal_entry_id' },
+    bank_deposits: { table: 'bank_deposit_items', column: 'deposit_id' }
+};
+
+// A job left Processing this long was interrupted (server restart) and no
+// longer blocks the same file from being imported again
+const STALE_JOB_INTERVAL = '1 hour';
+
+const quoteIdent = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+function assertTrackedTable(table) {
+    if (!ROLLBACK_ORDER.includes(table)) {
+        throw new Error(`Import jobs cannot track rows in ${table}`);
+    }
+}
+
+/**
+ * SHA-256 of an uploaded file. JSON-body imports pass the parsed rows, which
+ * are hashed in their serialised form.
+ * @param {Buffer|string|Object} content
+ * @returns {string} hex digest
+ */
+function hashImportContent(content) {
+    const data = Buffer.isBuffer(content) || typeof content === 'string'
+        ? content
+        : JSON.stringify(content ?? null);
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function duplicateFileError(existing) {
+    return new ApiError(
+        `This file has already been imported${existing.filename ? ` (${existing.filename})` : ''}. Roll back the earlier import to load it again.`,
+        409,
+        { import_job_id: existing.id, status: existing.status, started_at: existing.started_at }
+    );
+}
+
+/**
+ * Start a job, rejecting a file the importer has already imported
+ * @param {Object} db - pool (the job row must outlive the importer's transaction)
+ * @param {Object} job - { importer, filename, content, userId, totalRows }
+ * @returns {Promise<Object>} import_jobs row plus an empty `log` array
+ */
+async function startImportJob(db, { importer, filename = null, content, userId = null, totalRows = 0 }) {
+    if (!Object.values(IMPORTERS).includes(importer)) {
+        throw new Error(`Unknown importer: ${importer}`);
+    }
+    const fileHash = hashImportContent(content);
+
+    await db.query(
+        `UPDATE import_jobs
+            SET status = 'Failed', error = 'Interrupted before completion', completed_at = CURRENT_TIMESTAMP
+          WHERE importer = $1 AND file_hash = $2 AND status = 'Processing'
+            AND started_at < CURRENT_TIMESTAMP - INTERVAL '${STALE_JOB_INTERVAL}'`,
+        [importer, fileHash]
+    );
+
+    const { rows: existing } = await db.query(
+        `SELECT id, filename, status, started_at FROM import_jobs
+          WHERE importer = $1 AND file_hash = $2 AND status IN ('Processing', 'Completed')
+          LIMIT 1`,
+        [importer, fileHash]
+    );
+    if (existing.length) throw duplicateFileError(existing[0]);
+
+    try {
+        const { rows } = await db.query(
+            `INSERT INTO import_jobs (importer, filename, file_hash, total_rows, created_by)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [importer, filename, fileHash, totalRows || 0, userId]
+        );
+        return { ...rows[0], log: [] };
+    } catch (err) {
+        // Two uploads of the same file racing past the check above
+        if (err.code === '23505') {
+            const { rows } = await db.query(
+                `SELECT id, filename, status, started_at FROM import_jobs
+                  WHERE importer = $1 AND file_hash = $2 AND status IN ('Processing', 'Completed')
+                  LIMIT 1`,
+                [importer, fileHash]
+            );
+            if (rows.length) throw duplicateFileError(rows[0]);
+        }
+        throw err;
+    }
+}
+
+/**
+ * Add a line to the job's per-row log (written when the job finishes)
+ * @param {Object} job - from startImportJob
+ * @param {Object} entry - { row, reference, status: Succeeded|Failed|Skipped, message }
+ */
+function logImportRow(job, { row = null, reference = null, status, message = null }) {
+    if (!ROW_STATUSES.includes(status)) throw new Error(`Invalid import row status: ${status}`);
+    job.log.push({ row, reference: reference == null ? null : String(reference), status, message });
+}
+
+/**
+ * Record a row the job inserted
+ */
+async function trackInsert(db, job, table, recordId) {
+    assertTrackedTable(table);
+    await db.query(
+        `INSERT INTO import_job_records (job_id, record_table, record_id, action)
+         VALUES ($1, $2, $3, 'insert')`,
+        [job.id, table, recordId]
+    );
+}
+
+/**
+ * Snapshot a row the job is about to update. Call before the UPDATE. Rows the
+ * job inserted, or already snapshotted, are left alone.
+ */
+async function trackUpdate(db, job, table, recordId) {
+    assertTrackedTable(table);
+    await db.query(
+        `INSERT INTO import_job_records (job_id, record_table, record_id, action, previous)
+         SELECT $1, $2::varchar, t.id, 'update', to_jsonb(t)
+           FROM ${quoteIdent(table)} t
+          WHERE t.id = $3
+            AND NOT EXISTS (
+                SELECT 1 FROM import_job_records r
+                 WHERE r.job_id = $1 AND r.record_table = $2 AND r.record_id = $3
+            )`,
+        [job.id, table, recordId]
+    );
+}
+
+/**
+ * Undo the prenotes an import queued for vendors it updated. Its Queued
+ * prenotes are cancelled and the Queued prenote each one replaced is queued
+ * again, matching the bank details the rollback restores. Vendors the import
+ * inserted take their prenotes with them (ON DELETE CASCADE).
+ * @returns {Promise<number>} Prenotes cancelled
+ */
+async function cancelImportPrenotes(db, job, vendorIds) {
+    if (!vendorIds.length || !await hasTable(db, 'vendor_prenotes')) return 0;
+    const cancelled = await db.query(
+        `UPDATE vendor_prenotes SET status = 'Cancelled', updated_at = NOW()
+          WHERE vendor_id = ANY($1::uuid[]) AND status = 'Queued'
+            AND created_at >= (SELECT started_at FROM import_jobs WHERE id = $2)`,
+        [vendorIds, job.id]
+    );
+    if (!cancelled.rowCount) return 0;
+    await db.query(
+        `UPDATE vendor_prenotes SET status = 'Queued', updated_at = NOW()
+          WHERE id IN (
+              SELECT DISTINCT ON (p.vendor_id) p.id
+                FROM vendor_prenotes p, import_jobs j
+               WHERE j.id = $2 AND p.vendor_id = ANY($1::uuid[]) AND p.status = 'Cancelled'
+                 AND p.created_at < j.started_at AND p.updated_at >= j.started_at
+               ORDER BY p.vendor_id, p.updated_at DESC
+          )`,
+        [vendorIds, job.id]
+    );
+    return cancelled.rowCount;
+}
+
+/**
+ * Run one source row inside a savepoint so a database error fails that row
+ * without aborting the importer's transaction
+ */
+async function withRowSavepoint(client, work) {
+    await client.query('SAVEPOINT import_row');
+    try {
+        const result = await work();
+        await client.query('RELEASE SAVEPOINT import_row');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK TO SAVEPOINT import_row');
+        throw err;
+    }
+}
+
+async function writeJobLog(db, job) {
+    if (!job.log.length) return;
+    await db.query(
+        `INSERT INTO import_job_rows (job_id, row_number, reference, status, message)
+         SELECT $1, * FROM unnest($2::int[], $3::text[], $4::varchar[], $5::text[])`,
+        [
+            job.id,
+            job.log.map(l => l.row),
+            job.log.map(l => l.reference),
+            job.log.map(l => l.status),
+            job.log.map(l => l.message)
+        ]
+    );
+    job.log = [];
+}
+
+async function closeJob(db, job, { status, summary, error, totalRows }) {
+    await writeJobLog(db, job);
+    const { rows } = await db.query(
+        `UPDATE import_jobs j
+            SET status = $2,
+                summary = $3,
+                error = $4,
+                total_rows = COALESCE($5, j.total_rows),
+                succeeded_rows = c.succeeded,
+                failed_rows = c.failed,
+                skipped_rows = c.skipped,
+                completed_at = CURRENT_TIMESTAMP
+           FROM (
+                SELECT COUNT(*) FILTER (WHERE status = 'Succeeded')::int AS succeeded,
+                       COUNT(*) FILTER (WHERE status = 'Failed')::int AS failed,
+                       COUNT(*) FILTER (WHERE status = 'Skipped')::int AS skipped
+                  FROM import_job_rows WHERE job_id = $1
+           ) c
+          WHERE j.id = $1
+          RETURNING j.*`,
+        [job.id, status, summary ? JSON.stringify(summary) : null, error, totalRows ?? null]
+    );
+    return rows[0];
+}
+
+/**
+ * Mark the job Completed and write its row log
+ * @param {Object} db - pool
+ * @param {Object} job - from startImportJob
+ * @param {Object} [result] - { summary, totalRows }
+ * @returns {Promise<Object>} updated import_jobs row
+ */
+function finishImportJob(db, job, { summary = null, totalRows } = {}) {
+    return closeJob(db, job, { status: 'Completed', summary, error: null, totalRows });
+}
+
+/**
+ * Mark the job Failed. Call after the importer's ROLLBACK; the row log
+ * gathered so far is kept.
+ */
+function failImportJob(db, job, err, { summary = null, totalRows } = {}) {
+    return closeJob(db, job, { status: 'Failed', summary, error: err?.message || String(err), totalRows });
+}
+
+/**
+ * @param {Object} db
+ * @param {string} jobId
+ * @param {Object} [opts] - { withRows } include the per-row log
+ * @returns {Promise<Object|null>}
+ */
+async function getImportJob(db, jobId, { withRows = false } = {}) {
+    const { rows } = await db.query(
+        `SELECT j.*,
+                COALESCE(NULLIF(TRIM(CONCAT(u.first_name, ' ', u.last_name)), ''), u.email) AS created_by_name
+           FROM import_jobs j
+           LEFT JOIN users u ON u.id = j.created_by
+          WHERE j.id = $1`,
+        [jobId]
+    );
+    if (!rows.length) return null;
+    const job = rows[0];
+    if (withRows) {
+        const { rows: log } = await db.query(
+            `SELECT row_number, reference, status, message
+               FROM import_job_rows WHERE job_id = $1 ORDER BY id`,
+            [jobId]
+        );
+        job.rows = log;
+    }
+    return job;
+}
+
+/**
+ * Most recent jobs first
+ * @param {Object} db
+ * @param {Object} [filters] - { importer, userId, status, limit }
+ */
+async function listImportJobs(db, { importer = null, userId = null, status = null, limit = 50 } = {}) {
+    const { rows } = await db.query(
+        `SELECT j.*,
+                COALESCE(NULLIF(TRIM(CONCAT(u.first_name, ' ', u.last_name)), ''), u.email) AS created_by_name
+           FROM import_jobs j
+           LEFT JOIN users u ON u.id = j.created_by
+          WHERE ($1::varchar IS NULL OR j.importer = $1)
+            AND ($2::uuid IS NULL OR j.created_by = $2)
+            AND ($3::varchar IS NULL OR j.status = $3)
+          ORDER BY j.started_at DESC
+          LIMIT $4`,
+        [importer, userId, status, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)]
+    );
+    return rows;
+}
+
+/**
+ * Write a posted reversing entry (debits and credits swapped) for a posted
+ * entry the job created, linked through reversal_of_id
+ * @param {Object} db - pg client inside the caller's transaction
+ * @param {Object} original - journal_entries row plus entry_ymd
+ * @param {Object} opts - { date, job, userId }
+ * @returns {Promise<string>} reversing entry id
+ */
+async function reverseImportedEntry(db, original, { date, job, userId }) {
+    const entryDate = date > original.entry_ymd ? date : original.entry_ymd;
+    await assertPeriodOpen(db, [original.entity_id, original.target_entity_id].filter(Boolean), entryDate);
+
+    const cols = ['entity_id', 'entry_date', 'total_amount', 'status', 'reversal_of_id'];
+    const vals = [original.entity_id, entryDate, original.total_amount, 'Posted', original.id];
+    const optional = {
+        target_entity_id: original.target_entity_id,
+        reference_number: `REV-${original.reference_number || original.id}`.slice(0, 50),
+        description: `Reversal of ${original.reference_number || original.id}${original.description ? ` – ${original.description}` : ''}`,
+        is_inter_entity: !!original.is_inter_entity,
+        entry_type: REVERSAL_ENTRY_TYPE,
+        entry_mode: 'Auto',
+        created_by: userId
+    };
+    for (const [col, value] of Object.entries(optional)) {
+        if (value != null && await hasColumn(db, 'journal_entries', col)) {
+            cols.push(col);
+            vals.push(value);
+        }
+    }
+    const { rows } = await db.query(
+        `INSERT INTO journal_entries (${cols.join(', ')})
+         VALUES (${vals.map((_, i) => `$${i + 1}`).join(', ')})
+         RETURNING id`,
+        vals
+    );
+    const reversalId = rows[0].id;
+
+    const lineHasDescription = await hasColumn(db, 'journal_entry_items', 'description');
+    await db.query(
+        `INSERT INTO journal_entry_items (journal_entry_id, account_id, fund_id, debit, credit${lineHasDescription ? ', description' : ''})
+         SELECT $1, account_id, fund_id, credit, debit${lineHasDescription ? ', description' : ''}
+           FROM journal_entry_items WHERE journal_entry_id = $2
+          ORDER BY id`,
+        [reversalId, original.id]
+    );
+
+    if (await hasTable(db, 'journal_entry_audit_log')) {
+        await db.query(
+            `INSERT INTO journal_entry_audit_log (journal_entry_id, action, related_entry_id, reason, user_id)
+             VALUES ($1, 'Reverse', $2, $3, $4)`,
+            [original.id, reversalId, `Rollback of import ${job.filename || job.id}`, userId]
+        );
+    }
+    return reversalId;
+}
+
+/**
+ * Undo a job: delete every row it inserted (unposted journal entries,
+ * deposits and payment items with their child rows, new master records),
+ * reverse the posted journal entries it created and restore every row it
+ * updated to its state before the import, which puts back changed beginning
+ * and starting balances.
+ * @param {Object} db - pg client inside the caller's transaction
+ * @param {string} jobId
+ * @param {Object} [opts] - { userId, reversalDate } reversing entries are
+ *   dated reversalDate (default today) or the original entry date if later
+ * @returns {Promise<Object>} updated import_jobs row
+ */
+async function rollbackImportJob(db, jobId, { userId = null, reversalDate = null } = {}) {
+    const { rows: jobs } = await db.query('SELECT * FROM import_jobs WHERE id = $1 FOR UPDATE', [jobId]);
+    const job = jobs[0];
+    if (!job) throw new ApiError('Import job not found.', 404);
+    if (job.status === 'Processing') {
+        throw new ApiError('Cannot roll back an import that is still in progress.', 409);
+    }
+    if (job.status === 'Rolled Back') {
+        throw new ApiError('This import has already been rolled back.', 409);
+    }
+
+    const { rows: records } = await db.query(
+        'SELECT * FROM import_job_records WHERE job_id = $1 ORDER BY id DESC',
+        [jobId]
+    );
+    const inserted = (table) => records
+        .filter(r => r.action === 'insert' && r.record_table === table)
+        .map(r => r.record_id);
+
+    // Entries tagged with the job but not tracked (older payment imports)
+    const { rows: tagged } = await db.query('SELECT id FROM journal_entries WHERE import_id = $1', [jobId]);
+    const entryIds = [...new Set([...inserted('journal_entries'), ...tagged.map(r => r.id)])];
+    const depositIds = inserted('bank_deposits');
+
+    const { rows: entries } = await db.query(
+        `SELECT *, to_char(entry_date, 'YYYY-MM-DD') AS entry_ymd
+           FROM journal_entries WHERE id = ANY($1::uuid[])
+          ORDER BY created_at, id
+          FOR UPDATE`,
+        [entryIds]
+    );
+    const postedEntries = entries.filter(isPostedEntry);
+    const unpostedIds = entries.filter(e => !isPostedEntry(e)).map(e => e.id);
+    if (postedEntries.length && !await hasColumn(db, 'journal_entries', 'reversal_of_id')) {
+        throw new ApiError(
+            'Cannot roll back import: its posted journal entries cannot be reversed (missing journal_entries.reversal_of_id column).',
+            409
+        );
+    }
+
+    // Nothing dated inside a closed period can be removed
+    const { rows: dated } = await db.query(
+        `SELECT DISTINCT entity_id, to_char(entry_date, 'YYYY-MM-DD') AS ymd
+           FROM journal_entries WHERE id = ANY($1::uuid[])
+         UNION
+         SELECT DISTINCT ba.entity_id, to_char(d.deposit_date, 'YYYY-MM-DD')
+           FROM bank_deposits d JOIN bank_accounts ba ON ba.id = d.bank_account_id
+          WHERE d.id = ANY($2::uuid[])`,
+        [unpostedIds, depositIds]
+    );
+    for (const d of dated) {
+        const closedPeriod = await findClosedPeriod(db, d.entity_id, d.ymd);
+        if (closedPeriod) {
+            throw new ApiError(`Cannot roll back import: ${closedPeriodMessage(closedPeriod)}`, 409);
+        }
+    }
+
+    if (postedEntries.length) {
+        const { rows: reversed } = await db.query(
+            `SELECT o.reference_number
+               FROM journal_entries r JOIN journal_entries o ON o.id = r.reversal_of_id
+              WHERE r.reversal_of_id = ANY($1::uuid[]) AND NOT (r.id = ANY($1::uuid[]))`,
+            [entryIds]
+        );
+        if (reversed.length) {
+            throw new ApiError(
+                'Cannot roll back import: some of its journal entries have since been reversed.',
+                409,
+                { reversed_entries: reversed.map(r => r.reference_number) }
+            );
+        }
+    }
+
+    const { rows: cleared } = await db.query(
+        `SELECT reference_number FROM bank_deposits WHERE id = ANY($1::uuid[]) AND status = 'Cleared'`,
+        [depositIds]
+    );
+    if (cleared.length) {
+        throw new ApiError(
+            'Cannot roll back import: some of its deposits have cleared the bank.',
+            409,
+            { cleared_deposits: cleared.map(r => r.reference_number) }
+        );
+    }
+
+    const deleted = {};
+    const restored = {};
+    const reversed = {};
+    const cancelled = {};
+    const removeRows = async (table, ids) => {
+        if (!ids.length) return;
+        const child = CHILD_ROWS[table];
+        if (child) {
+            await db.query(
+                `DELETE FROM ${quoteIdent(child.table)} WHERE ${quoteIdent(child.column)} = ANY($1::uuid[])`,
+                [ids]
+            );
+        }
+        const result = await db.query(`DELETE FROM ${quoteIdent(table)} WHERE id = ANY($1::uuid[])`, [ids]);
+        if (result.rowCount) deleted[table] = result.rowCount;
+    };
+
+    try {
+        if (postedEntries.length) {
+            const date = reversalDate
+                || (await db.query(`SELECT to_char(CURRENT_DATE, 'YYYY-MM-DD') AS ymd`)).rows[0].ymd;
+            for (const entry of postedEntries) {
+                await reverseImportedEntry(db, entry, { date, job, userId });
+            }
+            reversed.journal_entries = postedEntries.length;
+        }
+
+        for (const table of ROLLBACK_ORDER) {
+            await removeRows(table, table === 'journal_entries' ? unpostedIds : inserted(table));
+        }
+
+        for (const record of records) {
+            if (record.action !== 'update' || !record.previous) continue;
+            const table = record.record_table;
+            assertTrackedTable(table);
+            const columns = Object.keys(record.previous).filter(c => c !== 'id');
+            if (!columns.length) continue;
+            const result = await db.query(
+                `UPDATE ${quoteIdent(table)} t
+                    SET ${columns.map(c => `${quoteIdent(c)} = p.${quoteIdent(c)}`).join(', ')}
+                   FROM jsonb_populate_record(NULL::${quoteIdent(table)}, $2::jsonb) p
+                  WHERE t.id = $1`,
+                [record.record_id, JSON.stringify(record.previous)]
+            );
+            if (result.rowCount) restored[table] = (restored[table] || 0) + result.rowCount;
+        }
+
+        const updatedVendorIds = records
+            .filter(r => r.action === 'update' && r.record_table === 'vendors')
+            .map(r => r.record_id);
+        const prenotesCancelled = await cancelImportPrenotes(db, job, updatedVendorIds);
+        if (prenotesCancelled) cancelled.vendor_prenotes = prenotesCancelled;
+    } catch (err) {
+        if (err.code === '23503') {
+            throw new ApiError(
+                'Cannot roll back import: records it created are referenced by later activity.',
+                409,
+                { constraint: err.constraint || null, table: err.table || null }
+            );
+        }
+        throw err;
+    }
+
+    const { rows } = await db.query(
+        `UPDATE import_jobs
+            SET status = 'Rolled Back',
+                rolled_back_at = CURRENT_TIMESTAMP,
+                rolled_back_by = $2,
+                rollback_summary = $3
+          WHERE id = $1
+          RETURNING *`,
+        [jobId, userId, JSON.stringify({ deleted, reversed, restored, cancelled })]
+    );
+    return rows[0];
+}
+
+module.exports = {
+    IMPORTERS,
+    JOB_STATUSES,
+    ROW_STATUSES,
+    hashImportContent,
+    startImportJob,
+    logImportRow,
+    trackInsert,
+    trackUpdate,
+    withRowSavepoint,
+    finishImportJob,
+    failImportJob,
+    getImportJob,
+    listImportJobs,
+    rollbackImportJob
+};
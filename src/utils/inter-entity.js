@@ -0,0 +1,635 @@
+// src/utils/inter-entity.js
+//
+// Inter-entity transfers. A transfer is a pair of journal entries written in
+// one transaction and linked through matching_transaction_id:
+//   source entity  Due-from Dr / Source account Cr
+//   target entity  Target account Dr / Due-to Cr
+// Each entry's target_entity_id is the other side's entity. The due-from and
+// due-to GL codes come from inter_entity_accounts (a rule for the exact
+// counterparty beats one with a NULL counterparty_entity_id) and are looked up
+// in the entity and fund of the source/target line.
+//
+// The two sides are only ever changed together: edits, deletes, posting and
+// reversal go through the pair, and journal-entries.js refuses to touch one
+// side on its own (see isTransferEntry).
+
+const crypto = require('crypto');
+const { ApiError } = require('../middleware/error-handler');
+const { assertPeriodOpen } = require('./period-lock');
+const { REVERSAL_ENTRY_TYPE, round2 } = require('./ledger');
+
+const TRANSFER_STATUSES = ['Draft', 'Posted'];
+
+// journal_entry_items.posting_role values for the due-to/due-from lines
+const DUE_ROLES = ['due_from', 'due_to'];
+
+const trimCode = (v) => (v === undefined || v === null || String(v).trim() === '' ? null : String(v).trim());
+
+/**
+ * True when a journal entry is one side of a linked inter-entity transfer
+ * @param {Object} je - journal_entries row
+ * @returns {boolean}
+ */
+const isTransferEntry = (je) => !!(je && je.is_inter_entity && je.matching_transaction_id);
+
+/**
+ * Response body refusing a change to one side of a transfer
+ * @param {Object} je - journal_entries row
+ * @returns {Object} { error, details, matching_transaction_id }
+ */
+const transferEntryError = (je) => ({
+    error: 'Inter-entity transfer entries can only be changed together with their counterpart',
+    details: `Use /api/inter-entity-transfers/${je.matching_transaction_id}`,
+    matching_transaction_id: je.matching_transaction_id
+});
+
+/**
+ * Validate an inter_entity_accounts request body
+ * @param {Object} body
+ * @param {Object} [opts]
+ * @param {boolean} [opts.partial] - PUT: only validate fields that are present
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateAccountRule(body, { partial = false } = {}) {
+    if (!partial && !body.entity_id) return 'entity_id is required';
+    for (const field of ['due_from_gl_code', 'due_to_gl_code']) {
+        if (partial && body[field] === undefined) continue;
+        const code = trimCode(body[field]);
+        if (!code) return `${field} is required`;
+        if (code.length > 10) return `${field} must be at most 10 characters`;
+    }
+    if (body.counterparty_entity_id && body.counterparty_entity_id === body.entity_id) {
+        return 'counterparty_entity_id must differ from entity_id';
+    }
+    if (body.status !== undefined && !['Active', 'Inactive'].includes(body.status)) {
+        return 'status must be Active or Inactive';
+    }
+    return null;
+}
+
+/**
+ * Active due-to/due-from rule for an entity dealing with a counterparty
+ * @param {Object} db - pg Pool or client
+ * @param {string} entityId
+ * @param {string} counterpartyId
+ * @returns {Promise<Object|null>} inter_entity_accounts row
+ */
+async function loadAccountRule(db, entityId, counterpartyId) {
+    const { rows } = await db.query(
+        `SELECT * FROM inter_entity_accounts
+          WHERE entity_id = $1
+            AND (counterparty_entity_id = $2 OR counterparty_entity_id IS NULL)
+            AND status = 'Active'
+          ORDER BY counterparty_entity_id NULLS LAST
+          LIMIT 1`,
+        [entityId, counterpartyId]
+    );
+    return rows[0] || null;
+}
+
+async function loadEntity(db, id, label) {
+    const { rows } = await db.query('SELECT id, code, name FROM entities WHERE id = $1', [id]);
+    if (!rows[0]) throw new ApiError(`${label} entity not found`, 404);
+    return rows[0];
+}
+
+// The account money moves out of (or into), which must belong to the entity,
+// and the fund its line is booked in (the given fund, else the account's)
+async function resolveSide(db, entity, accountId, fundId, label) {
+    const { rows } = await db.query('SELECT * FROM accounts WHERE id = $1', [accountId]);
+    const account = rows[0];
+    if (!account) throw new ApiError(`${label} account not found`, 404);
+    if (account.entity_code !== entity.code) {
+        throw new ApiError(`${label} account ${account.account_code} does not belong to entity ${entity.code}`, 400);
+    }
+    const fundSql = fundId
+        ? ['SELECT id, fund_number FROM funds WHERE id = $1', [fundId]]
+        : ['SELECT id, fund_number FROM funds WHERE fund_number = $1 LIMIT 1', [account.fund_number]];
+    const { rows: funds } = await db.query(...fundSql);
+    if (!funds[0]) throw new ApiError(`${label} fund not found`, 404);
+    return { account, fund: funds[0] };
+}
+
+async function findDueAccount(db, glCode, entity, fund, label) {
+    const { rows } = await db.query(
+        `SELECT * FROM accounts
+          WHERE gl_code = $1 AND entity_code = $2 AND fund_number = $3
+          LIMIT 1`,
+        [glCode, entity.code, fund.fund_number]
+    );
+    if (!rows[0]) {
+        throw new ApiError(`${label} account (${glCode}) not found for entity ${entity.code} fund ${fund.fund_number}`, 400);
+    }
+    return rows[0];
+}
+
+const planLine = (role, account, fund, debit, credit, description) => ({
+    role,
+    account_id: account.id,
+    account_code: account.account_code,
+    gl_code: account.gl_code,
+    fund_id: fund.id,
+    fund_number: fund.fund_number,
+    debit,
+    credit,
+    description
+});
+
+/**
+ * Work out both journal entries of a transfer without writing anything
+ * @param {Object} db - pg Pool or client
+ * @param {Object} input
+ * @param {string} input.sourceEntityId - Entity the money leaves
+ * @param {string} input.targetEntityId - Entity the money goes to
+ * @param {string} input.sourceAccountId - Credited in the source entity (usually cash)
+ * @param {string} input.targetAccountId - Debited in the target entity (usually cash)
+ * @param {string|null} [input.sourceFundId] - Defaults to the source account's fund
+ * @param {string|null} [input.targetFundId] - Defaults to the target account's fund
+ * @param {string} input.entryDate - YYYY-MM-DD
+ * @param {number} input.amount
+ * @param {string} input.description
+ * @param {string|null} [input.referenceNumber]
+ * @returns {Promise<Object>} { entry_date, amount, description, entries: [source, target] }
+ *   where each entry is { side, entity_id, entity_code, target_entity_id, reference_number,
+ *   rule_id, lines: [{ role, account_id, account_code, gl_code, fund_id, fund_number,
+ *   debit, credit, description }] }
+ */
+async function buildTransfer(db, input) {
+    const amount = round2(input.amount);
+    if (!(amount > 0)) throw new ApiError('amount must be greater than zero', 400);
+    if (input.sourceEntityId === input.targetEntityId) {
+        throw new ApiError('Source and target entities must differ', 400);
+    }
+
+    const source = await loadEntity(db, input.sourceEntityId, 'Source');
+    const target = await loadEntity(db, input.targetEntityId, 'Target');
+    await assertPeriodOpen(db, [source.id, target.id], input.entryDate);
+
+    const sourceRule = await loadAccountRule(db, source.id, target.id);
+    if (!sourceRule) throw new ApiError(`No inter-entity accounts are configured for ${source.code}`, 400);
+    const targetRule = await loadAccountRule(db, target.id, source.id);
+    if (!targetRule) throw new ApiError(`No inter-entity accounts are configured for ${target.code}`, 400);
+
+    const from = await resolveSide(db, source, input.sourceAccountId, input.sourceFundId, 'Source');
+    const to = await resolveSide(db, target, input.targetAccountId, input.targetFundId, 'Target');
+    const dueFrom = await findDueAccount(db, sourceRule.due_from_gl_code, source, from.fund, 'Due-from');
+    const dueTo = await findDueAccount(db, targetRule.due_to_gl_code, target, to.fund, 'Due-to');
+
+    const reference = trimCode(input.referenceNumber) || `IE-${input.entryDate}`;
+    return {
+        entry_date: input.entryDate,
+        amount,
+        description: input.description,
+        entries: [
+            {
+                side: 'source',
+                entity_id: source.id,
+                entity_code: source.code,
+                target_entity_id: target.id,
+                reference_number: `${reference}-SRC`.slice(0, 50),
+                rule_id: sourceRule.id,
+                lines: [
+                    planLine('due_from', dueFrom, from.fund, amount, 0, `Due from ${target.code}`),
+                    planLine('transfer', from.account, from.fund, 0, amount, `Transfer to ${target.code}`)
+                ]
+            },
+            {
+                side: 'target',
+                entity_id: target.id,
+                entity_code: target.code,
+                target_entity_id: source.id,
+                reference_number: `${reference}-TGT`.slice(0, 50),
+                rule_id: targetRule.id,
+                lines: [
+                    planLine('transfer', to.account, to.fund, amount, 0, `Transfer from ${source.code}`),
+                    planLine('due_to', dueTo, to.fund, 0, amount, `Due to ${source.code}`)
+                ]
+            }
+        ]
+    };
+}
+
+async function insertEntry(db, entry, { entryDate, description, status, matchingId, entryType = null, reversalOfId = null, userId = null }) {
+    const total = round2(entry.lines.reduce((s, l) => s + Number(l.debit || 0), 0));
+    const { rows } = await db.query(
+        `INSERT INTO journal_entries
+             (entity_id, target_entity_id, entry_date, reference_number, description, total_amount,
+              status, is_inter_entity, matching_transaction_id, entry_type, entry_mode, created_by, reversal_of_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, TRUE, $8, $9, 'Manual', $10, $11)
+         RETURNING *`,
+        [
+            entry.entity_id, entry.target_entity_id, entryDate, entry.reference_number,
+            description, total, status, matchingId, entryType, userId, reversalOfId
+        ]
+    );
+    for (const l of entry.lines) {
+        await db.query(
+            `INSERT INTO journal_entry_items
+                 (journal_entry_id, account_id, fund_id, debit, credit, description, posting_role)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [rows[0].id, l.account_id, l.fund_id, l.debit, l.credit, l.description || '', l.role || null]
+        );
+    }
+    return rows[0];
+}
+
+/**
+ * Write both entries of a planned transfer. Call inside a transaction.
+ * @param {Object} db - pg client
+ * @param {Object} plan - Output of buildTransfer
+ * @param {Object} [opts]
+ * @param {string} [opts.status] - 'Posted' (default) or 'Draft'
+ * @param {string|null} [opts.userId]
+ * @returns {Promise<Object>} The transfer as returned by loadTransfer
+ */
+async function writeTransfer(db, plan, { status = 'Posted', userId = null } = {}) {
+    const matchingId = crypto.randomUUID();
+    for (const entry of plan.entries) {
+        await insertEntry(db, entry, {
+            entryDate: plan.entry_date,
+            description: plan.description,
+            status,
+            matchingId,
+            userId
+        });
+    }
+    return loadTransfer(db, matchingId);
+}
+
+/**
+ * Both sides of a transfer with their lines
+ * @param {Object} db - pg Pool or client
+ * @param {string} matchingId - matching_transaction_id
+ * @param {Object} [opts]
+ * @param {boolean} [opts.forUpdate] - Lock the entries
+ * @returns {Promise<Object|null>} { matching_transaction_id, entry_date, amount, status, entries }
+ */
+async function loadTransfer(db, matchingId, { forUpdate = false } = {}) {
+    const { rows: entries } = await db.query(
+        `SELECT je.*, to_char(je.entry_date, 'YYYY-MM-DD') AS entry_date
+           FROM journal_entries je
+          WHERE je.matching_transaction_id = $1
+            AND je.is_inter_entity = TRUE
+          ORDER BY je.created_at, je.id
+          ${forUpdate ? 'FOR UPDATE' : ''}`,
+        [matchingId]
+    );
+    if (!entries.length) return null;
+
+    const { rows: lines } = await db.query(
+        `SELECT jei.*, a.account_code, a.gl_code, a.description AS account_description, f.fund_number
+           FROM journal_entry_items jei
+           LEFT JOIN accounts a ON a.id = jei.account_id
+           LEFT JOIN funds f    ON f.id = jei.fund_id
+          WHERE jei.journal_entry_id = ANY($1::uuid[])
+          ORDER BY jei.created_at, jei.id`,
+        [entries.map(e => e.id)]
+    );
+    const { rows: codes } = await db.query(
+        'SELECT id, code, name FROM entities WHERE id = ANY($1::uuid[])',
+        [entries.flatMap(e => [e.entity_id, e.target_entity_id]).filter(Boolean)]
+    );
+    const entityById = new Map(codes.map(e => [e.id, e]));
+
+    // Both sides are created in the same transaction, so the due line's role
+    // tells them apart (and puts the source side first)
+    const out = entries.map(e => {
+        const entryLines = lines
+            .filter(l => l.journal_entry_id === e.id)
+            .map(l => ({ ...l, debit: round2(l.debit), credit: round2(l.credit) }));
+        const roles = entryLines.map(l => l.posting_role);
+        return {
+            ...e,
+            side: roles.includes('due_from') ? 'source' : roles.includes('due_to') ? 'target' : null,
+            entity_code: entityById.get(e.entity_id)?.code || null,
+            target_entity_code: entityById.get(e.target_entity_id)?.code || null,
+            lines: entryLines
+        };
+    });
+    out.sort((a, b) => (a.side === 'target') - (b.side === 'target'));
+    const statuses = [...new Set(out.map(e => e.status))];
+    return {
+        matching_transaction_id: matchingId,
+        entry_date: out[0].entry_date,
+        amount: round2(out[0].total_amount),
+        description: out[0].description,
+        status: statuses.length === 1 ? statuses[0] : 'Mixed',
+        entries: out
+    };
+}
+
+// Both sides present, mirrored and in the expected status
+function assertPair(transfer, status, action) {
+    const [a, b] = transfer.entries;
+    if (transfer.entries.length !== 2
+        || a.entity_id !== b.target_entity_id || b.entity_id !== a.target_entity_id) {
+        throw new ApiError(`Cannot ${action}: transfer does not have exactly two mirrored entries`, 409, {
+            journal_entry_ids: transfer.entries.map(e => e.id)
+        });
+    }
+    if (transfer.entries.some(e => e.status !== status)) {
+        throw new ApiError(`Cannot ${action}: both entries must be ${status}`, 409, {
+            statuses: transfer.entries.map(e => ({ journal_entry_id: e.id, status: e.status }))
+        });
+    }
+}
+
+/**
+ * Change the date, description, reference or amount of both sides of a
+ * Draft transfer. Call inside a transaction.
+ * @param {Object} db - pg client
+ * @param {Object} transfer - loadTransfer result (locked)
+ * @param {Object} changes - { entry_date, description, reference_number, amount }
+ * @returns {Promise<Object>} Updated transfer
+ */
+async function updateTransfer(db, transfer, changes) {
+    assertPair(transfer, 'Draft', 'edit transfer');
+    const entityIds = transfer.entries.map(e => e.entity_id);
+    await assertPeriodOpen(db, entityIds, transfer.entry_date);
+
+    const entryDate = changes.entry_date || transfer.entry_date;
+    if (entryDate !== transfer.entry_date) await assertPeriodOpen(db, entityIds, entryDate);
+
+    let amount = null;
+    if (changes.amount !== undefined) {
+        amount = round2(changes.amount);
+        if (!(amount > 0)) throw new ApiError('amount must be greater than zero', 400);
+    }
+    const reference = trimCode(changes.reference_number);
+
+    for (const entry of transfer.entries) {
+        const sets = ['entry_date = $2', 'updated_at = NOW()'];
+        const vals = [entry.id, entryDate];
+        if (changes.description !== undefined) {
+            vals.push(changes.description);
+            sets.push(`description = $${vals.length}`);
+        }
+        if (reference) {
+            const suffix = { source: '-SRC', target: '-TGT' }[entry.side] || '';
+            vals.push(`${reference}${suffix}`.slice(0, 50));
+            sets.push(`reference_number = $${vals.length}`);
+        }
+        if (amount !== null) {
+            vals.push(amount);
+            sets.push(`total_amount = $${vals.length}`);
+            await db.query(
+                `UPDATE journal_entry_items
+                    SET debit  = CASE WHEN debit  > 0 THEN $2::numeric ELSE 0 END,
+                        credit = CASE WHEN credit > 0 THEN $2::numeric ELSE 0 END,
+                        updated_at = NOW()
+                  WHERE journal_entry_id = $1`,
+                [entry.id, amount]
+            );
+        }
+        await db.query(`UPDATE journal_entries SET ${sets.join(', ')} WHERE id = $1`, vals);
+    }
+    return loadTransfer(db, transfer.matching_transaction_id);
+}
+
+/**
+ * Delete both sides of a Draft transfer. Call inside a transaction.
+ * @param {Object} db - pg client
+ * @param {Object} transfer - loadTransfer result (locked)
+ * @returns {Promise<string[]>} Deleted journal entry ids
+ */
+async function deleteTransfer(db, transfer) {
+    assertPair(transfer, 'Draft', 'delete transfer');
+    await assertPeriodOpen(db, transfer.entries.map(e => e.entity_id), transfer.entry_date);
+    const ids = transfer.entries.map(e => e.id);
+    await db.query('DELETE FROM journal_entry_items WHERE journal_entry_id = ANY($1::uuid[])', [ids]);
+    await db.query('DELETE FROM journal_entries WHERE id = ANY($1::uuid[])', [ids]);
+    return ids;
+}
+
+/**
+ * Post both sides of a Draft transfer. Call inside a transaction.
+ * @param {Object} db - pg client
+ * @param {Object} transfer - loadTransfer result (locked)
+ * @returns {Promise<Object>} Updated transfer
+ */
+async function postTransfer(db, transfer) {
+    assertPair(transfer, 'Draft', 'post transfer');
+    await assertPeriodOpen(db, transfer.entries.map(e => e.entity_id), transfer.entry_date);
+    for (const entry of transfer.entries) {
+        const debits = round2(entry.lines.reduce((s, l) => s + l.debit, 0));
+        const credits = round2(entry.lines.reduce((s, l) => s + l.credit, 0));
+        if (debits !== credits) {
+            throw new ApiError(`Cannot post: entry ${entry.reference_number || entry.id} is not balanced`, 400, {
+                journal_entry_id: entry.id,
+                total_debits: debits,
+                total_credits: credits
+            });
+        }
+    }
+    await db.query(
+        `UPDATE journal_entries SET status = 'Posted', updated_at = NOW() WHERE id = ANY($1::uuid[])`,
+        [transfer.entries.map(e => e.id)]
+    );
+    return loadTransfer(db, transfer.matching_transaction_id);
+}
+
+/**
+ * Reverse both sides of a posted transfer with a new, linked pair of posted
+ * reversing entries. Call inside a transaction.
+ * @param {Object} db - pg client
+ * @param {Object} transfer - loadTransfer result (locked)
+ * @param {Object} opts
+ * @param {string} opts.date - YYYY-MM-DD, on/after the transfer date
+ * @param {string|null} [opts.description]
+ * @param {string|null} [opts.reason]
+ * @param {string|null} [opts.userId]
+ * @returns {Promise<Object>} The reversing transfer
+ */
+async function reverseTransfer(db, transfer, { date, description = null, reason = null, userId = null }) {
+    assertPair(transfer, 'Posted', 'reverse transfer');
+    if (date < transfer.entry_date) {
+        throw new ApiError(`reversal_date cannot be before the transfer date (${transfer.entry_date})`, 400);
+    }
+    const ids = transfer.entries.map(e => e.id);
+    const { rows: existing } = await db.query(
+        'SELECT id, reversal_of_id FROM journal_entries WHERE reversal_of_id = ANY($1::uuid[])',
+        [ids]
+    );
+    if (existing.length) {
+        throw new ApiError('Transfer has already been reversed', 409, {
+            reversal_entry_ids: existing.map(r => r.id)
+        });
+    }
+    await assertPeriodOpen(db, transfer.entries.map(e => e.entity_id), date);
+
+    const matchingId = crypto.randomUUID();
+    for (const entry of transfer.entries) {
+        const reversal = await insertEntry(db, {
+            entity_id: entry.entity_id,
+            target_entity_id: entry.target_entity_id,
+            reference_number: `REV-${entry.reference_number || entry.id}`.slice(0, 50),
+            lines: entry.lines.map(l => ({
+                role: l.posting_role,
+                account_id: l.account_id,
+                fund_id: l.fund_id,
+                debit: l.credit,
+                credit: l.debit,
+                description: l.description
+            }))
+        }, {
+            entryDate: date,
+            description: description || `Reversal of ${entry.reference_number || entry.id}${entry.description ? ` – ${entry.description}` : ''}`,
+            status: 'Posted',
+            matchingId,
+            entryType: REVERSAL_ENTRY_TYPE,
+            reversalOfId: entry.id,
+            userId
+        });
+        await db.query(
+            `INSERT INTO journal_entry_audit_log (journal_entry_id, action, related_entry_id, reason, user_id)
+             VALUES ($1, 'Reverse', $2, $3, $4)`,
+            [entry.id, reversal.id, reason || null, userId]
+        );
+    }
+    return loadTransfer(db, matchingId);
+}
+
+/**
+ * Inter-entity entries that do not form a clean pair: entries not linked to
+ * a counterpart, pairs with a side missing or extra entries, sides that do
+ * not mirror each other's entity, date or status, unbalanced entries, and
+ * pairs whose due-from and due-to amounts disagree. Due amounts are the lines
+ * tagged due_from/due_to, or for entries without tags every line outside a
+ * bank cash account. Voided entries are ignored.
+ * @param {Object} db - pg Pool or client
+ * @param {Object} [opts]
+ * @param {string|null} [opts.entityId] - Either side belongs to this entity
+ * @param {string|null} [opts.startDate] - YYYY-MM-DD
+ * @param {string|null} [opts.endDate] - YYYY-MM-DD
+ * @returns {Promise<Object[]>} [{ matching_transaction_id, issues, due_difference, entries }]
+ */
+async function transferExceptions(db, { entityId = null, startDate = null, endDate = null } = {}) {
+    const params = [];
+    let scope = `je.is_inter_entity = TRUE AND COALESCE(je.status, '') <> 'Voided'`;
+    if (entityId) {
+        params.push(entityId);
+        scope += ` AND (je.entity_id = $${params.length} OR je.target_entity_id = $${params.length})`;
+    }
+    if (startDate) {
+        params.push(startDate);
+        scope += ` AND je.entry_date >= $${params.length}`;
+    }
+    if (endDate) {
+        params.push(endDate);
+        scope += ` AND je.entry_date <= $${params.length}`;
+    }
+
+    // A pair is in scope when either side is, so a side dated outside the
+    // range still counts as present
+    const { rows } = await db.query(
+        `WITH scope AS (
+             SELECT DISTINCT COALESCE(je.matching_transaction_id, je.id) AS pair_key
+               FROM journal_entries je
+              WHERE ${scope}
+         ),
+         cash AS (
+             SELECT cash_account_id AS account_id FROM bank_accounts WHERE cash_account_id IS NOT NULL
+             UNION
+             SELECT gl_account_id FROM bank_accounts WHERE gl_account_id IS NOT NULL
+         )
+         SELECT je.id, je.matching_transaction_id, je.entity_id, je.target_entity_id,
+                to_char(je.entry_date, 'YYYY-MM-DD') AS entry_date,
+                je.reference_number, je.description, je.status,
+                e.code  AS entity_code,
+                te.code AS target_entity_code,
+                COALESCE(SUM(jei.debit), 0)  AS debits,
+                COALESCE(SUM(jei.credit), 0) AS credits,
+                COUNT(jei.id) FILTER (WHERE jei.posting_role = ANY($${params.length + 1}::text[])) AS due_lines,
+                COALESCE(SUM(jei.debit - jei.credit)
+                    FILTER (WHERE jei.posting_role = ANY($${params.length + 1}::text[])), 0) AS tagged_due,
+                COALESCE(SUM(jei.debit - jei.credit) FILTER (WHERE cash.account_id IS NULL), 0) AS non_cash_due
+           FROM journal_entries je
+           JOIN scope s               ON s.pair_key = COALESCE(je.matching_transaction_id, je.id)
+           LEFT JOIN entities e       ON e.id = je.entity_id
+           LEFT JOIN entities te      ON te.id = je.target_entity_id
+           LEFT JOIN journal_entry_items jei ON jei.journal_entry_id = je.id
+           LEFT JOIN cash             ON cash.account_id = jei.account_id
+          WHERE je.is_inter_entity = TRUE
+            AND COALESCE(je.status, '') <> 'Voided'
+          GROUP BY je.id, e.code, te.code
+          ORDER BY je.entry_date, je.created_at`,
+        [...params, DUE_ROLES]
+    );
+
+    const pairs = new Map();
+    for (const r of rows) {
+        const key = r.matching_transaction_id || r.id;
+        if (!pairs.has(key)) pairs.set(key, []);
+        pairs.get(key).push({
+            id: r.id,
+            matching_transaction_id: r.matching_transaction_id,
+            entity_id: r.entity_id,
+            entity_code: r.entity_code,
+            target_entity_id: r.target_entity_id,
+            target_entity_code: r.target_entity_code,
+            entry_date: r.entry_date,
+            reference_number: r.reference_number,
+            description: r.description,
+            status: r.status,
+            total_debits: round2(r.debits),
+            total_credits: round2(r.credits),
+            due_amount: round2(Number(r.due_lines) > 0 ? r.tagged_due : r.non_cash_due)
+        });
+    }
+
+    const exceptions = [];
+    for (const entries of pairs.values()) {
+        const issues = [];
+        const linked = entries[0].matching_transaction_id;
+
+        if (!linked) {
+            issues.push('Not linked to a counterpart entry');
+        } else if (entries.length === 1) {
+            issues.push('Counterpart entry is missing');
+        } else if (entries.length > 2) {
+            issues.push(`${entries.length} entries share this matching_transaction_id`);
+        } else {
+            const [a, b] = entries;
+            if (a.entity_id !== b.target_entity_id || b.entity_id !== a.target_entity_id) {
+                issues.push('Entities do not mirror each other');
+            }
+            if (a.entry_date !== b.entry_date) issues.push('Entry dates differ');
+            if (a.status !== b.status) issues.push(`Status differs (${a.status} / ${b.status})`);
+        }
+        for (const e of entries) {
+            if (e.total_debits !== e.total_credits) {
+                issues.push(`Entry ${e.reference_number || e.id} is out of balance`);
+            }
+        }
+        const dueDifference = round2(entries.reduce((s, e) => s + e.due_amount, 0));
+        if (linked && entries.length > 1 && dueDifference !== 0) {
+            issues.push('Due-from and due-to amounts do not agree');
+        }
+
+        if (issues.length) {
+            exceptions.push({
+                matching_transaction_id: linked,
+                issues,
+                due_difference: dueDifference,
+                entries
+            });
+        }
+    }
+    return exceptions;
+}
+
+module.exports = {
+    TRANSFER_STATUSES,
+    isTransferEntry,
+    transferEntryError,
+    validateAccountRule,
+    loadAccountRule,
+    buildTransfer,
+    writeTransfer,
+    loadTransfer,
+    updateTransfer,
+    deleteTransfer,
+    postTransfer,
+    reverseTransfer,
+    transferExceptions
+};
@@ -0,0 +1,500 @@
+// src/utils/je-import.js
+//
+// Reads journal entries out of a GL export spreadsheet using a column mapping
+// profile (je_import_profiles). readEntries() turns the chosen sheet into
+// entries grouped by entry number or reference; validateEntries() resolves
+// accounts, funds and entities and marks each entry ready, exists or error.
+// The preview (/analyze) and the import (/run) share both steps, so /run
+// imports exactly what the preview called ready.
+
+const XLSX = require('xlsx');
+const { ApiError } = require('../middleware/error-handler');
+const { round2 } = require('./ledger');
+const { closedPeriodMessage, findClosedPeriod } = require('./period-lock');
+
+const SOURCE_SYSTEMS = ['AccuFund', 'QuickBooks', 'Sage Intacct', 'Other'];
+const AMOUNT_MODES = ['debit_credit', 'signed'];
+const DATE_FORMATS = ['auto', 'MDY', 'DMY', 'YMD'];
+const COLUMN_FIELDS = [
+    'date', 'entry_number', 'reference', 'description',
+    'account', 'entity', 'gl_code', 'fund', 'restriction',
+    'debit', 'credit', 'amount', 'line_description'
+];
+
+// The AccuFund journal export this importer was first written for; used when
+// the request names no profile
+const DEFAULT_PROFILE = Object.freeze({
+    id: null,
+    builtin: true,
+    name: 'AccuFund GL Export (built-in)',
+    source_system: 'AccuFund',
+    sheet_name: null,
+    header_row: 3,
+    columns: Object.freeze({
+        date: 'A',
+        entry_number: 'E',
+        reference: 'F',
+        description: 'G',
+        account: 'H',
+        line_description: 'I',
+        debit: 'L',
+        credit: 'M'
+    }),
+    amount_mode: 'debit_credit',
+    date_format: 'auto',
+    account_separator: null
+});
+
+const DEFAULT_RESTRICTION = '00';
+
+const blank = (v) => v === undefined || v === null || String(v).trim() === '';
+const text = (v) => (blank(v) ? null : String(v).trim());
+
+/**
+ * Validate a profile body
+ * @param {Object} body
+ * @param {Object} [opts] - { partial } for updates
+ * @returns {string|null} error message
+ */
+function validateProfile(body, { partial = false } = {}) {
+    if (!partial || body.name !== undefined) {
+        if (blank(body.name)) return 'name is required';
+        if (String(body.name).trim().length > 100) return 'name must be at most 100 characters';
+    }
+    if (body.source_system !== undefined && body.source_system !== null && !SOURCE_SYSTEMS.includes(body.source_system)) {
+        return `source_system must be one of: ${SOURCE_SYSTEMS.join(', ')}`;
+    }
+    if (body.header_row !== undefined && !(Number.isInteger(Number(body.header_row)) && Number(body.header_row) >= 1)) {
+        return 'header_row must be a whole number of at least 1';
+    }
+    if (body.amount_mode !== undefined && !AMOUNT_MODES.includes(body.amount_mode)) {
+        return `amount_mode must be one of: ${AMOUNT_MODES.join(', ')}`;
+    }
+    if (body.date_format !== undefined && !DATE_FORMATS.includes(body.date_format)) {
+        return `date_format must be one of: ${DATE_FORMATS.join(', ')}`;
+    }
+    if (body.account_separator !== undefined && body.account_separator !== null && String(body.account_separator).length > 5) {
+        return 'account_separator must be at most 5 characters';
+    }
+    if (partial && body.columns === undefined) return null;
+
+    const columns = body.columns;
+    if (!columns || typeof columns !== 'object' || Array.isArray(columns)) return 'columns must be an object';
+    const unknown = Object.keys(columns).filter(f => !COLUMN_FIELDS.includes(f));
+    if (unknown.length) return `Unknown column fields: ${unknown.join(', ')}`;
+    const has = (f) => !blank(columns[f]);
+    if (!has('date')) return 'columns.date is required';
+    if (!has('entry_number') && !has('reference')) return 'columns.entry_number or columns.reference is required';
+    if (!has('account') && !(has('entity') && has('gl_code') && has('fund'))) {
+        return 'columns.account, or columns.entity, columns.gl_code and columns.fund, are required';
+    }
+    const amountMode = body.amount_mode || 'debit_credit';
+    if (amountMode === 'signed' && !has('amount')) return 'columns.amount is required when amount_mode is signed';
+    if (amountMode === 'debit_credit' && !has('debit') && !has('credit')) {
+        return 'columns.debit or columns.credit is required when amount_mode is debit_credit';
+    }
+    return null;
+}
+
+/**
+ * Profile fields with defaults filled in, ready to store or use
+ */
+function normalizeProfile(body) {
+    const columns = {};
+    for (const f of COLUMN_FIELDS) {
+        if (!blank(body.columns?.[f])) columns[f] = String(body.columns[f]).trim();
+    }
+    return {
+        name: text(body.name),
+        source_system: body.source_system || null,
+        sheet_name: text(body.sheet_name),
+        header_row: Number(body.header_row || 1),
+        columns,
+        amount_mode: body.amount_mode || 'debit_credit',
+        date_format: body.date_format || 'auto',
+        account_separator: blank(body.account_separator) ? null : String(body.account_separator)
+    };
+}
+
+/**
+ * Parse an uploaded workbook (xlsx, xls or csv)
+ * @param {Buffer} buffer
+ * @returns {Object} SheetJS workbook
+ */
+function readWorkbook(buffer) {
+    try {
+        return XLSX.read(buffer, { type: 'buffer' });
+    } catch (err) {
+        throw new ApiError(`Could not read spreadsheet: ${err.message}`, 400);
+    }
+}
+
+// Non-empty rows of a sheet as { rowNum, cells: { A: value, ... } }
+function sheetRows(workbook, sheetName) {
+    const name = sheetName || workbook.SheetNames[0];
+    const sheet = workbook.Sheets[name];
+    if (!sheet) {
+        throw new ApiError(
+            `Sheet "${sheetName}" not found`,
+            400,
+            { sheets: workbook.SheetNames }
+        );
+    }
+    const rows = [];
+    if (!sheet['!ref']) return { name, rows };
+
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    for (let r = range.s.r; r <= range.e.r; r++) {
+        const cells = {};
+        for (let c = range.s.c; c <= range.e.c; c++) {
+            const cell = sheet[XLSX.utils.encode_cell({ r, c })];
+            if (!cell || blank(cell.v)) continue;
+            cells[XLSX.utils.encode_col(c)] = cell.v;
+        }
+        if (Object.keys(cells).length) rows.push({ rowNum: r + 1, cells });
+    }
+    return { name, rows };
+}
+
+// Map each profile field to a column letter: header text first (case- and
+// space-insensitive), then a bare column letter
+function resolveColumns(profile, headerCells) {
+    const byHeader = new Map();
+    for (const [col, value] of Object.entries(headerCells)) {
+        byHeader.set(String(value).trim().toLowerCase().replace(/\s+/g, ' '), col);
+    }
+    const columns = {};
+    const missing = [];
+    for (const [field, source] of Object.entries(profile.columns)) {
+        const key = String(source).trim().toLowerCase().replace(/\s+/g, ' ');
+        if (byHeader.has(key)) {
+            columns[field] = byHeader.get(key);
+        } else if (/^[A-Z]{1,3}$/.test(String(source).trim())) {
+            columns[field] = String(source).trim();
+        } else {
+            missing.push(`${field} ("${source}")`);
+        }
+    }
+    if (missing.length) {
+        throw new ApiError(
+            `Columns not found in header row ${profile.header_row}: ${missing.join(', ')}`,
+            400,
+            { headers: Object.values(headerCells).map(String) }
+        );
+    }
+    return columns;
+}
+
+const ymd = (y, m, d) => {
+    const date = new Date(Date.UTC(y, m - 1, d));
+    if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+    return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+};
+
+/**
+ * Cell value to YYYY-MM-DD. Numbers are Excel date serials; text is read in
+ * the profile's date_format (auto takes YYYY-MM-DD, then M/D/Y).
+ * @returns {string|null}
+ */
+function parseDate(value, format = 'auto') {
+    if (blank(value)) return null;
+    if (typeof value === 'number') {
+        const d = XLSX.SSF.parse_date_code(value);
+        return d ? ymd(d.y, d.m, d.d) : null;
+    }
+    const s = String(value).trim();
+    const parts = s.split(/[/\-.]/).map(p => p.trim());
+    if (parts.length !== 3 || parts.some(p => !/^\d+$/.test(p))) return null;
+    const n = parts.map(Number);
+    const year = (y) => (y < 100 ? 2000 + y : y);
+
+    let order = format;
+    if (order === 'auto') order = parts[0].length === 4 ? 'YMD' : 'MDY';
+    if (order === 'YMD') return ymd(n[0], n[1], n[2]);
+    if (order === 'DMY') return ymd(year(n[2]), n[1], n[0]);
+    return ymd(year(n[2]), n[0], n[1]);
+}
+
+/**
+ * Cell value to a number rounded to cents: handles $, commas, parentheses
+ * and trailing minus signs
+ */
+function parseAmount(value) {
+    if (blank(value)) return 0;
+    if (typeof value === 'number') return round2(value);
+    let s = String(value).trim();
+    let negative = false;
+    if (/^\(.*\)$/.test(s)) { negative = true; s = s.slice(1, -1); }
+    if (s.endsWith('-')) { negative = true; s = s.slice(0, -1); }
+    s = s.replace(/[$,\s]/g, '');
+    if (s === '' || s === '-') return 0;
+    const num = Number(s);
+    if (isNaN(num)) return NaN;
+    return round2(negative ? -num : num);
+}
+
+// Full account code into segments; codes with five or more parts keep the
+// first four as the account code (the rest is a description)
+function parseAccountCode(value, separator) {
+    const raw = text(value);
+    if (!raw) return null;
+    const parts = (separator ? raw.split(separator) : raw.split(/\s+/)).map(p => p.trim()).filter(Boolean);
+    if (parts.length < 3) return { account_code: raw };
+    const codeParts = parts.length >= 5 ? parts.slice(0, 4) : parts;
+    return {
+        account_code: codeParts.join(separator || ' '),
+        entity_code: parts[0],
+        gl_code: parts[1],
+        fund_number: parts[2],
+        restriction: parts[3] || null
+    };
+}
+
+/**
+ * Read the entries a profile describes from a workbook
+ * @param {Object} workbook - from readWorkbook
+ * @param {Object} profile - normalized profile (or DEFAULT_PROFILE)
+ * @returns {Object} { sheet, sheets, headers, entries, skippedRows }
+ */
+function readEntries(workbook, profile) {
+    const { name, rows } = sheetRows(workbook, profile.sheet_name);
+    const headerRow = rows.find(r => r.rowNum === profile.header_row);
+    const headerCells = headerRow ? headerRow.cells : {};
+    const columns = resolveColumns(profile, headerCells);
+    const cell = (row, field) => (columns[field] ? row.cells[columns[field]] : undefined);
+
+    const entries = new Map();
+    const skippedRows = [];
+
+    for (const row of rows) {
+        if (row.rowNum <= profile.header_row) continue;
+
+        const entryNumber = text(cell(row, 'entry_number'));
+        const reference = text(cell(row, 'reference'));
+        const key = entryNumber || reference;
+        const accountValue = text(cell(row, 'account'));
+        const hasSegments = !blank(cell(row, 'gl_code'));
+        if (!key || (!accountValue && !hasSegments)) {
+            // Totals, notes and other non-line rows
+            skippedRows.push({ row: row.rowNum, reason: !key ? 'No entry number or reference' : 'No account' });
+            continue;
+        }
+
+        const amounts = profile.amount_mode === 'signed'
+            ? [parseAmount(cell(row, 'amount'))]
+            : [parseAmount(cell(row, 'debit')), parseAmount(cell(row, 'credit'))];
+        if (amounts.some(isNaN)) {
+            skippedRows.push({ row: row.rowNum, reason: 'Amount is not a number' });
+            continue;
+        }
+        let debit;
+        let credit;
+        if (profile.amount_mode === 'signed') {
+            debit = amounts[0] > 0 ? amounts[0] : 0;
+            credit = amounts[0] < 0 ? -amounts[0] : 0;
+        } else {
+            [debit, credit] = amounts;
+            // Negative debits are credits and vice versa
+            if (debit < 0) { credit += -debit; debit = 0; }
+            if (credit < 0) { debit += -credit; credit = 0; }
+        }
+        if (debit === 0 && credit === 0) {
+            skippedRows.push({ row: row.rowNum, reason: 'Zero amount' });
+            continue;
+        }
+
+        const parsed = parseAccountCode(accountValue, profile.account_separator) || {};
+        const line = {
+            row: row.rowNum,
+            account_code: parsed.account_code || null,
+            entity_code: text(cell(row, 'entity')) || parsed.entity_code || null,
+            gl_code: text(cell(row, 'gl_code')) || parsed.gl_code || null,
+            fund_number: text(cell(row, 'fund')) || parsed.fund_number || null,
+            restriction: text(cell(row, 'restriction')) || parsed.restriction || null,
+            description: text(cell(row, 'line_description')) || '',
+            debit: round2(debit),
+            credit: round2(credit)
+        };
+
+        if (!entries.has(key)) {
+            entries.set(key, {
+                key,
+                entry_number: entryNumber,
+                reference: reference || `JE-${key}`,
+                description: text(cell(row, 'description')) || reference || '',
+                date: parseDate(cell(row, 'date'), profile.date_format),
+                raw_date: cell(row, 'date') ?? null,
+                first_row: row.rowNum,
+                lines: [],
+                issues: []
+            });
+        }
+        const entry = entries.get(key);
+        const lineDate = parseDate(cell(row, 'date'), profile.date_format);
+        if (lineDate && entry.date && lineDate !== entry.date && !entry.issues.includes('Rows have different dates')) {
+            entry.issues.push('Rows have different dates');
+        }
+        entry.lines.push(line);
+    }
+
+    return {
+        sheet: name,
+        sheets: workbook.SheetNames,
+        headers: Object.values(headerCells).map(String),
+        entries: [...entries.values()],
+        skippedRows
+    };
+}
+
+/**
+ * Resolve and check each entry. Sets status (ready | exists | error), issues,
+ * entity_id, total_amount and account_id/fund_id on each line.
+ * @param {Object} db - pg Pool or client
+ * @param {Array} entries - from readEntries
+ * @returns {Promise<Array>} the same entries
+ */
+async function validateEntries(db, entries) {
+    const accountCache = new Map();
+    const fundCache = new Map();
+    const entityCache = new Map();
+
+    const findAccount = async (line) => {
+        const key = [line.account_code, line.entity_code, line.gl_code, line.fund_number, line.restriction].join('|');
+        if (accountCache.has(key)) return accountCache.get(key);
+        let account = null;
+        if (line.account_code) {
+            const { rows } = await db.query(
+                'SELECT id, account_code, entity_code, fund_number FROM accounts WHERE account_code = $1 LIMIT 1',
+                [line.account_code]
+            );
+            account = rows[0] || null;
+        }
+        if (!account && line.entity_code && line.gl_code && line.fund_number) {
+            const { rows } = await db.query(
+                `SELECT id, account_code, entity_code, fund_number FROM accounts
+                  WHERE LOWER(entity_code) = LOWER($1) AND LOWER(gl_code) = LOWER($2) AND fund_number = $3
+                  ORDER BY (restriction = $4) DESC, account_code
+                  LIMIT 1`,
+                [line.entity_code, line.gl_code, line.fund_number, line.restriction || DEFAULT_RESTRICTION]
+            );
+            account = rows[0] || null;
+        }
+        accountCache.set(key, account);
+        return account;
+    };
+
+    const findFund = async (fundNumber, entityCode) => {
+        const key = `${fundNumber}|${entityCode}`;
+        if (fundCache.has(key)) return fundCache.get(key);
+        const { rows } = await db.query(
+            `SELECT id FROM funds WHERE fund_number = $1
+              ORDER BY (LOWER(entity_code) = LOWER($2)) DESC NULLS LAST
+              LIMIT 1`,
+            [fundNumber, entityCode || '']
+        );
+        fundCache.set(key, rows[0]?.id || null);
+        return fundCache.get(key);
+    };
+
+    const findEntity = async (code) => {
+        if (entityCache.has(code)) return entityCache.get(code);
+        const { rows } = await db.query(
+            `SELECT id FROM entities WHERE code = $1 OR code LIKE $2
+              ORDER BY (code = $1) DESC
+              LIMIT 1`,
+            [code, `%${code}%`]
+        );
+        entityCache.set(code, rows[0]?.id || null);
+        return entityCache.get(code);
+    };
+
+    const references = entries.map(e => e.reference);
+    const { rows: existing } = await db.query(
+        'SELECT DISTINCT reference_number FROM journal_entries WHERE reference_number = ANY($1::text[])',
+        [references]
+    );
+    const existingRefs = new Set(existing.map(r => r.reference_number));
+    const seenRefs = new Set();
+
+    for (const entry of entries) {
+        const issues = entry.issues;
+        entry.total_debits = round2(entry.lines.reduce((s, l) => s + l.debit, 0));
+        entry.total_credits = round2(entry.lines.reduce((s, l) => s + l.credit, 0));
+        entry.total_amount = Math.max(entry.total_debits, entry.total_credits);
+
+        if (existingRefs.has(entry.reference)) {
+            entry.status = 'exists';
+            issues.push('Already imported');
+            continue;
+        }
+        if (seenRefs.has(entry.reference)) issues.push(`Reference ${entry.reference} appears on more than one entry in the file`);
+        seenRefs.add(entry.reference);
+
+        if (!entry.date) issues.push(`Invalid date: ${entry.raw_date ?? '(blank)'}`);
+        if (Math.abs(entry.total_debits - entry.total_credits) > 0.005) {
+            issues.push(`Unbalanced: debits ${entry.total_debits.toFixed(2)} vs credits ${entry.total_credits.toFixed(2)}`);
+        }
+
+        for (const line of entry.lines) {
+            if (line.debit > 0 && line.credit > 0) {
+                issues.push(`Row ${line.row}: has both a debit and a credit`);
+            }
+            const account = await findAccount(line);
+            if (!account) {
+                issues.push(`Row ${line.row}: account not found: ${line.account_code || [line.entity_code, line.gl_code, line.fund_number].join(' ')}`);
+                continue;
+            }
+            line.account_id = account.id;
+            const fundNumber = line.fund_number || account.fund_number;
+            line.fund_id = await findFund(fundNumber, account.entity_code);
+            if (!line.fund_id) issues.push(`Row ${line.row}: fund not found: ${fundNumber}`);
+            if (!entry.entity_code) entry.entity_code = account.entity_code;
+        }
+
+        if (entry.entity_code) {
+            entry.entity_id = await findEntity(entry.entity_code);
+            if (!entry.entity_id) issues.push(`Entity not found: ${entry.entity_code}`);
+        }
+        if (entry.entity_id && entry.date) {
+            const closedPeriod = await findClosedPeriod(db, entry.entity_id, entry.date);
+            if (closedPeriod) issues.push(closedPeriodMessage(closedPeriod));
+        }
+
+        entry.status = issues.length ? 'error' : 'ready';
+    }
+    return entries;
+}
+
+/**
+ * Preview shape of an entry (the modal's table rows)
+ */
+function entrySummary(entry) {
+    return {
+        jeNum: entry.key,
+        reference: entry.reference,
+        description: entry.description,
+        date: entry.date,
+        firstRow: entry.first_row,
+        lineCount: entry.lines.length,
+        totalDebits: entry.total_debits,
+        totalCredits: entry.total_credits,
+        status: entry.status,
+        issues: entry.issues
+    };
+}
+
+module.exports = {
+    SOURCE_SYSTEMS,
+    AMOUNT_MODES,
+    DATE_FORMATS,
+    COLUMN_FIELDS,
+    DEFAULT_PROFILE,
+    validateProfile,
+    normalizeProfile,
+    readWorkbook,
+    readEntries,
+    validateEntries,
+    entrySummary,
+    parseDate,
+    parseAmount
+};
@@ -0,0 +1,360 @@
+// src/utils/ledger.js
+//
+// Shared ledger queries used by the financial statements. Balances are always
+// derived from accounts.beginning_balance plus *posted* journal_entry_items so
+// the statements tie out to the General Ledger report.
+
+/**
+ * Fund/account restriction codes. '00' is unrestricted; every other code
+ * (01 temporarily, 02 purpose, 03 permanently restricted) is donor-restricted.
+ */
+const UNRESTRICTED_CODE = '00';
+
+/**
+ * journal_entries.entry_type of year-end closing entries. They move revenue
+ * and expense into net assets, so they are left out of period activity
+ * (otherwise the closed year's Statement of Activities would net to zero).
+ */
+const CLOSING_ENTRY_TYPE = 'Year-End Close';
+
+/**
+ * journal_entries.entry_type of a reversing entry (linked to the entry it
+ * reverses through journal_entries.reversal_of_id)
+ */
+const REVERSAL_ENTRY_TYPE = 'Reversal';
+
+// Posted entries are only corrected through a reversing entry
+const POSTED_ENTRY_ERROR = {
+    error: 'Posted journal entries cannot be changed or deleted',
+    details: 'Correct a posted entry by reversing it (POST /api/journal-entries/:id/reverse)'
+};
+
+/**
+ * Whether a journal entry is posted (status 'Posted' or the legacy posted flag)
+ * @param {Object} je - journal_entries row
+ * @returns {boolean} True when posted
+ */
+const isPostedEntry = (je) => (je.status || '').toString().toLowerCase() === 'posted' || je.posted === true;
+
+const NET_ASSET_CLASSES = {
+    WITHOUT: 'without_donor_restrictions',
+    WITH: 'with_donor_restrictions'
+};
+
+/**
+ * Map a restriction code to its net asset class
+ * @param {string} restriction - Restriction code (00-03)
+ * @returns {string} One of NET_ASSET_CLASSES
+ */
+const netAssetClassFor = (restriction) => {
+    const code = (restriction || '').toString().trim();
+    return !code || code === UNRESTRICTED_CODE ? NET_ASSET_CLASSES.WITHOUT : NET_ASSET_CLASSES.WITH;
+};
+
+/**
+ * Normalize a gl_codes.line_type / accounts.classification value
+ * @param {string} t - Raw line type or classification
+ * @returns {string|null} Asset, Liability, Equity, Revenue, Expense or null
+ */
+const normalizeLineType = (t) => {
+    const s = (t || '').toString().trim().toLowerCase();
+    if (!s) return null;
+    if (s.startsWith('asset')) return 'Asset';
+    if (s.startsWith('liab') || s.includes('credit card')) return 'Liability';
+    if (s.startsWith('equity') || s.includes('net asset')) return 'Equity';
+    if (s.startsWith('rev') || s.includes('income')) return 'Revenue';
+    if (s.startsWith('exp')) return 'Expense';
+    return null;
+};
+
+/**
+ * Round to cents to keep floating point noise out of report totals
+ * @param {number} n - Amount
+ * @returns {number} Rounded amount
+ */
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Resolve the entity ids in scope for a report. When `consolidated` is true
+ * the entity and all of its descendants (via parent_entity_id) are returned.
+ * @param {Object} db - pg Pool or client
+ * @param {string|null} entityId - Entity UUID (null = all entities)
+ * @param {boolean} consolidated - Include descendant entities
+ * @returns {Promise<string[]|null>} Entity ids, or null for no entity filter
+ */
+const resolveEntityScope = async (db, entityId, consolidated = false) => {
+    if (!entityId) return null;
+    if (!consolidated) return [entityId];
+
+    const { rows } = await db.query(
+        `WITH RECURSIVE tree AS (
+             SELECT id FROM entities WHERE id = $1
+             UNION
+             SELECT e.id FROM entities e JOIN tree t ON e.parent_entity_id = t.id
+         )
+         SELECT id FROM tree`,
+        [entityId]
+    );
+    return rows.map(r => r.id);
+};
+
+/**
+ * Fetch net debit balances (debit positive, credit negative) per account and
+ * restriction code.
+ *
+ * Restriction is taken from the line's fund when present, else from the
+ * account. Opening balances come from accounts.beginning_balance when
+ * `includeOpening` is set and the beginning_balance_date is on/before endDate
+ * (and on/after startDate when one is given), so that
+ * balance(end) = balance(start - 1) + activity(start..end) always holds.
+ *
+ * @param {Object} db - pg Pool or client
+ * @param {Object} opts - Options
+ * @param {string} opts.endDate - Inclusive end date (YYYY-MM-DD)
+ * @param {string} [opts.startDate] - Inclusive start date; omit for inception-to-date
+ * @param {boolean} [opts.includeOpening=true] - Add accounts.beginning_balance (dated in range)
+ * @param {string[]|null} [opts.entityIds] - Entity ids in scope
+ * @param {string} [opts.fundId] - Fund UUID filter
+ * @param {boolean} [opts.excludeClosing] - Skip year-end closing entries
+ *   (defaults to true when a startDate is given, i.e. for period activity)
+ * @returns {Promise<Object[]>} Rows with account_id, account_code, description,
+ *   gl_code, classification, line_type, restriction, net_asset_class, net_debit
+ */
+const fetchAccountBalances = async (db, opts = {}) => {
+    const {
+        endDate,
+        startDate = null,
+        includeOpening = true,
+        entityIds = null,
+        fundId = null,
+        excludeClosing = !!startDate
+    } = opts;
+
+    const params = [endDate];
+    let idx = 2;
+
+    const itemConds = [`je.status = 'Posted'`, `je.entry_date <= $1`];
+    if (excludeClosing) {
+        itemConds.push(`COALESCE(je.entry_type, '') <> '${CLOSING_ENTRY_TYPE}'`);
+    }
+    const openConds = [`a.beginning_balance_date IS NOT NULL`, `a.beginning_balance_date <= $1`];
+
+    if (startDate) {
+        itemConds.push(`je.entry_date >= $${idx}`);
+        openConds.push(`a.beginning_balance_date >= $${idx}`);
+        params.push(startDate);
+        idx++;
+    }
+    if (entityIds && entityIds.length) {
+        itemConds.push(`je.entity_id = ANY($${idx}::uuid[])`);
+        openConds.push(`EXISTS (SELECT 1 FROM entities e2 WHERE e2.code = a.entity_code AND e2.id = ANY($${idx}::uuid[]))`);
+        params.push(entityIds);
+        idx++;
+    }
+    if (fundId) {
+        itemConds.push(`jei.fund_id = $${idx}`);
+        openConds.push(`EXISTS (SELECT 1 FROM funds f2 WHERE f2.fund_number = a.fund_number AND f2.id = $${idx})`);
+        params.push(fundId);
+        idx++;
+    }
+
+    const openingCte = includeOpening
+        ? `SELECT a.id AS account_id,
+                  a.restriction,
+                  COALESCE(a.beginning_balance, 0) AS amount
+             FROM accounts a
+            WHERE ${openConds.join(' AND ')}`
+        : `SELECT NULL::uuid AS account_id, NULL::varchar AS restriction, 0::numeric AS amount WHERE FALSE`;
+
+    const sql = `
+WITH opening AS (
+  ${openingCte}
+),
+activity AS (
+  SELECT jei.account_id,
+         COALESCE(NULLIF(f.restriction, ''), a.restriction) AS restriction,
+         SUM(COALESCE(jei.debit, 0) - COALESCE(jei.credit, 0)) AS amount
+    FROM journal_entry_items jei
+    JOIN journal_entries je ON je.id = jei.journal_entry_id
+    JOIN accounts a         ON a.id  = jei.account_id
+    LEFT JOIN funds f       ON f.id  = jei.fund_id
+   WHERE ${itemConds.join(' AND ')}
+   GROUP BY jei.account_id, COALESCE(NULLIF(f.restriction, ''), a.restriction)
+),
+combined AS (
+  SELECT account_id, restriction, SUM(amount) AS net_debit
+    FROM (SELECT * FROM opening UNION ALL SELECT * FROM activity) u
+   GROUP BY account_id, restriction
+)
+SELECT c.account_id,
+       a.account_code,
+       a.description,
+       a.gl_code,
+       COALESCE(gc.classification, a.classification) AS classification,
+       COALESCE(gc.line_type, a.classification)      AS line_type,
+       c.restriction,
+       c.net_debit
+  FROM combined c
+  JOIN accounts a ON a.id = c.account_id
+  LEFT JOIN gl_codes gc ON LOWER(gc.code) = LOWER(a.gl_code)
+ WHERE c.net_debit <> 0
+ ORDER BY a.account_code`;
+
+    const { rows } = await db.query(sql, params);
+    return rows.map(r => ({
+        ...r,
+        line_type: normalizeLineType(r.line_type),
+        net_asset_class: netAssetClassFor(r.restriction),
+        net_debit: round2(r.net_debit)
+    }));
+};
+
+/**
+ * Return the day before a YYYY-MM-DD date (as YYYY-MM-DD)
+ * @param {string} ymd - Date string
+ * @returns {string} Previous day
+ */
+const dayBefore = (ymd) => {
+    const d = new Date(`${ymd}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - 1);
+    return d.toISOString().split('T')[0];
+};
+
+/**
+ * Return the day after a YYYY-MM-DD date (as YYYY-MM-DD)
+ * @param {string} ymd - Date string
+ * @returns {string} Next day
+ */
+const dayAfter = (ymd) => {
+    const d = new Date(`${ymd}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + 1);
+    return d.toISOString().split('T')[0];
+};
+
+/**
+ * Shift a YYYY-MM-DD date by whole years (Feb 29 rolls to Feb 28)
+ * @param {string} ymd - Date string
+ * @param {number} years - Years to add (negative to subtract)
+ * @returns {string} Shifted date
+ */
+const shiftYears = (ymd, years) => {
+    const [y, m, d] = ymd.split('-').map(Number);
+    const target = new Date(Date.UTC(y + years, m - 1, d));
+    if (target.getUTCMonth() !== m - 1) target.setUTCDate(0);
+    return target.toISOString().split('T')[0];
+};
+
+/**
+ * Validate a YYYY-MM-DD date string
+ * @param {string} v - Value to check
+ * @returns {boolean} True when valid
+ */
+const isYmd = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v || '') && !isNaN(new Date(`${v}T00:00:00Z`).getTime());
+
+/**
+ * Add whole months to a YYYY-MM-DD date (day clamped to month end)
+ * @param {string} ymd - Date string
+ * @param {number} months - Months to add
+ * @returns {string} Shifted date
+ */
+const addMonths = (ymd, months) => {
+    const [y, m, d] = ymd.split('-').map(Number);
+    const first = new Date(Date.UTC(y, m - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+    first.setUTCDate(Math.min(d, lastDay));
+    return first.toISOString().split('T')[0];
+};
+
+/**
+ * Add business days (Monday-Friday) to a YYYY-MM-DD date. Bank holidays are
+ * not taken into account.
+ * @param {string} ymd - Date string
+ * @param {number} days - Business days to add
+ * @returns {string} Shifted date
+ */
+const addBusinessDays = (ymd, days) => {
+    const d = new Date(`${ymd}T00:00:00Z`);
+    let left = Number(days) || 0;
+    while (left > 0) {
+        d.setUTCDate(d.getUTCDate() + 1);
+        if (d.getUTCDay() !== 0 && d.getUTCDay() !== 6) left--;
+    }
+    return d.toISOString().split('T')[0];
+};
+
+/**
+ * Date range of a fiscal year. entities.fiscal_year_start is 'MM-DD'; a
+ * fiscal year is labelled by the calendar year in which it ends (a July 1
+ * start makes FY2026 = 2025-07-01 .. 2026-06-30).
+ * @param {string} fiscalYearStart - 'MM-DD' (default '01-01')
+ * @param {number|string} fiscalYear - Fiscal year label
+ * @returns {{start: string, end: string}} Inclusive range
+ */
+const fiscalYearBounds = (fiscalYearStart, fiscalYear) => {
+    const [mm, dd] = (fiscalYearStart || '01-01').split('-');
+    const year = Number(fiscalYear);
+    const startYear = mm === '01' && dd === '01' ? year : year - 1;
+    const start = `${startYear}-${mm}-${dd}`;
+    return { start, end: dayBefore(addMonths(start, 12)) };
+};
+
+/**
+ * Date range of a fiscal period (1-12, months from the fiscal year start)
+ * @param {string} fiscalYearStart - 'MM-DD'
+ * @param {number|string} fiscalYear - Fiscal year label
+ * @param {number|string} period - Period number 1-12
+ * @returns {{start: string, end: string}} Inclusive range
+ */
+const fiscalPeriodBounds = (fiscalYearStart, fiscalYear, period) => {
+    const { start: fyStart } = fiscalYearBounds(fiscalYearStart, fiscalYear);
+    const p = Number(period);
+    return {
+        start: addMonths(fyStart, p - 1),
+        end: dayBefore(addMonths(fyStart, p))
+    };
+};
+
+/**
+ * Locate the fiscal year and period that contain a date
+ * @param {string} fiscalYearStart - 'MM-DD'
+ * @param {string} ymd - Date string
+ * @returns {{fiscal_year: number, period: number, start: string, end: string}}
+ */
+const fiscalPeriodFor = (fiscalYearStart, ymd) => {
+    const year = Number(ymd.slice(0, 4));
+    for (const fy of [year, year + 1]) {
+        const bounds = fiscalYearBounds(fiscalYearStart, fy);
+        if (ymd >= bounds.start && ymd <= bounds.end) {
+            for (let p = 1; p <= 12; p++) {
+                const pb = fiscalPeriodBounds(fiscalYearStart, fy, p);
+                if (ymd >= pb.start && ymd <= pb.end) {
+                    return { fiscal_year: fy, period: p, ...pb };
+                }
+            }
+        }
+    }
+    return null;
+};
+
+module.exports = {
+    UNRESTRICTED_CODE,
+    CLOSING_ENTRY_TYPE,
+    REVERSAL_ENTRY_TYPE,
+    POSTED_ENTRY_ERROR,
+    isPostedEntry,
+    NET_ASSET_CLASSES,
+    netAssetClassFor,
+    normalizeLineType,
+    round2,
+    resolveEntityScope,
+    fetchAccountBalances,
+    dayBefore,
+    dayAfter,
+    shiftYears,
+    addMonths,
+    addBusinessDays,
+    fiscalYearBounds,
+    fiscalPeriodBounds,
+    fiscalPeriodFor,
+    isYmd
+};
@@ -0,0 +1,134 @@
+// src/utils/micr-e13b.js
+//
+// E-13B MICR line drawn as vector shapes, so checks can be printed on blank
+// stock without a MICR font installed. Glyphs sit on the E-13B design grid of
+// 0.013" squares (7 wide, 9 tall = 0.091" x 0.117"); characters are spaced at
+// the standard 0.125" pitch. The printer still needs MICR (magnetic) toner for
+// bank sorters to read the line.
+//
+// Positions follow X9.100-160: position 1 ends 5/16" from the right edge of
+// the check and numbering runs right to left. The fields are
+//   aux on-us  ⑈check number⑈   ending at position 45 (business checks)
+//   transit    ⑆routing⑆        positions 33-43
+//   on-us      account⑈         ending at position 14
+// The amount field (positions 1-12) is encoded by the bank of first deposit.
+
+const CELL = 0.013;
+const PITCH = 0.125;
+const RIGHT_MARGIN = 0.3125;
+const BASELINE = 0.1875;
+
+// Symbols in field strings: T = transit, U = on-us, A = amount, D = dash
+const GLYPHS = {
+    0: ['.#####.', '.#...#.', '.#...#.', '.#...#.', '##...##', '##...##', '##...##', '##...##', '#######'],
+    1: ['.###...', '...#...', '...#...', '...#...', '...##..', '...##..', '...##..', '...##..', '..####.'],
+    2: ['.####..', '....#..', '....#..', '....#..', '.#####.', '.##....', '.##....', '.##....', '.######'],
+    3: ['.####..', '....#..', '....#..', '..####.', '....##.', '....##.', '....##.', '....##.', '.#####.'],
+    4: ['.#.....', '.#.....', '.#.....', '.#..#..', '##..##.', '#######', '....##.', '....##.', '....##.'],
+    5: ['.#####.', '.#.....', '.#.....', '.####..', '....##.', '....##.', '....##.', '....##.', '.#####.'],
+    6: ['.#.....', '.#.....', '.#.....', '.#.....', '######.', '##...#.', '##...#.', '##...#.', '######.'],
+    7: ['.######', '.....#.', '....#..', '....#..', '...##..', '...##..', '...##..', '...##..', '...##..'],
+    8: ['..###..', '..#.#..', '..#.#..', '.#####.', '##...##', '##...##', '##...##', '##...##', '#######'],
+    9: ['.#####.', '.#...#.', '.#...#.', '.#####.', '....##.', '....##.', '....##.', '....##.', '....##.'],
+    T: ['##..##.', '##..##.', '##..##.', '##.....', '##.....', '##.....', '##..##.', '##..##.', '##..##.'],
+    U: ['##.##..', '##.##..', '##.##..', '##.##..', '##.##..', '##.##..', '.......', '.....##', '.....##'],
+    A: ['##...##', '##...##', '##...##', '.......', '..###..', '.......', '##...##', '##...##', '##...##'],
+    D: ['.......', '.......', '.......', '##.##..', '##.##..', '##.##..', '.......', '.......', '.......']
+};
+
+const digitsOnly = (s) => String(s ?? '').replace(/\D/g, '');
+
+/**
+ * ABA routing number checksum (3-7-1 weights)
+ * @param {string} routing
+ * @returns {boolean}
+ */
+function isValidRoutingNumber(routing) {
+    if (!/^\d{9}$/.test(String(routing || ''))) return false;
+    const d = String(routing).split('').map(Number);
+    const sum = 3 * (d[0] + d[3] + d[6]) + 7 * (d[1] + d[4] + d[7]) + (d[2] + d[5] + d[8]);
+    return sum % 10 === 0;
+}
+
+/**
+ * Characters of the MICR line with their positions
+ * @param {Object} fields
+ * @param {string} fields.routing - 9-digit ABA routing number
+ * @param {string} fields.account - Account number (digits; '-' becomes the dash symbol)
+ * @param {string} fields.checkNumber
+ * @param {boolean} [fields.auxOnUs] - Put the check number in the aux on-us
+ *   field (business layout) rather than after the account in the on-us field
+ * @returns {Array<{ position: number, char: string }>}
+ */
+function buildMicrLine({ routing, account, checkNumber, auxOnUs = true }) {
+    if (!isValidRoutingNumber(routing)) {
+        throw new Error('Bank account routing number is not a valid 9-digit ABA number');
+    }
+    const accountField = String(account ?? '').replace(/[^\d-]/g, '').replace(/-/g, 'D');
+    if (!digitsOnly(accountField)) throw new Error('Bank account has no account number for the MICR line');
+    const checkDigits = digitsOnly(checkNumber);
+    if (!checkDigits) throw new Error('Check number must contain digits for the MICR line');
+
+    const chars = [];
+    // Lay a field out right to left so its last character lands on `endsAt`
+    const place = (str, endsAt) => {
+        str.split('').reverse().forEach((char, i) => chars.push({ position: endsAt + i, char }));
+    };
+
+    if (auxOnUs) {
+        place(`${accountField}U`, 14);
+        place(`T${routing}T`, 33);
+        place(`U${checkDigits}U`, 45);
+    } else {
+        place(`${accountField}U${checkDigits}`, 14);
+        place(`T${routing}T`, 33);
+    }
+
+    const onUsEnd = Math.max(...chars.filter(c => c.position < 33).map(c => c.position));
+    if (onUsEnd > 31) throw new Error('Account number is too long for the MICR on-us field');
+    return chars.sort((a, b) => b.position - a.position);
+}
+
+/**
+ * Draw a MICR line along the bottom of a check
+ * @param {PdfDocument} pdf
+ * @param {Object} opts
+ * @param {number} opts.left - Check's left edge on the page, in inches
+ * @param {number} opts.top - Check's top edge on the page, in inches
+ * @param {number} opts.width - Check width in inches
+ * @param {number} opts.height - Check height in inches
+ * @param {Array} opts.chars - Output of buildMicrLine
+ * @param {number} [opts.offsetX] - Calibration offset in inches (+ moves right)
+ * @param {number} [opts.offsetY] - Calibration offset in inches (+ moves down)
+ */
+function drawMicrLine(pdf, { left, top, width, height, chars, offsetX = 0, offsetY = 0 }) {
+    const pt = (inches) => inches * 72;
+    const bottom = top + height - BASELINE + offsetY;
+    for (const { position, char } of chars) {
+        const glyph = GLYPHS[char];
+        if (!glyph) continue;
+        const right = left + width - RIGHT_MARGIN - (position - 1) * PITCH + offsetX;
+        const glyphLeft = right - glyph[0].length * CELL;
+        const glyphTop = bottom - glyph.length * CELL;
+        glyph.forEach((row, r) => {
+            // Merge runs of filled cells into one rectangle per run
+            let c = 0;
+            while (c < row.length) {
+                if (row[c] !== '#') { c++; continue; }
+                let end = c;
+                while (end < row.length && row[end] === '#') end++;
+                pdf.rect(pt(glyphLeft + c * CELL), pt(glyphTop + r * CELL), pt((end - c) * CELL), pt(CELL), { fill: 0, stroke: null });
+                c = end;
+            }
+        });
+    }
+}
+
+module.exports = {
+    MICR_PITCH: PITCH,
+    MICR_RIGHT_MARGIN: RIGHT_MARGIN,
+    MICR_BASELINE: BASELINE,
+    isValidRoutingNumber,
+    buildMicrLine,
+    drawMicrLine
+};
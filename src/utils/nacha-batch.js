@@ -0,0 +1,401 @@
+// src/utils/nacha-batch.js
+//
+// Builds the NACHA (ACH) file for a payment batch with NachaGenerator from
+// the batch's payment_items, the vendors' bank details and the batch's
+// company_nacha_settings. Payments are split into ACH batches by SEC code,
+// effective date and settlement account; balanced files get an offsetting
+// entry to the settlement account per ACH batch.
+
+const NachaGenerator = require('../js/nacha-generator');
+const { prenoteHoldReason } = require('./prenotes');
+const { hasColumn } = require('./schema');
+
+// File ID modifiers in the order they are used for files created the same day
+const FILE_ID_MODIFIERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+// payment_items in these statuses are left out of the file
+const EXCLUDED_ITEM_STATUSES = ['rejected', 'canceled', 'cancelled', 'void', 'voided', 'error'];
+
+const SEC_CODES = ['CCD', 'PPD', 'CTX'];
+
+const digitsOnly = (v) => String(v || '').replace(/\D/g, '');
+
+const toYmd = (d) => (d instanceof Date ? d.toISOString().split('T')[0] : String(d).slice(0, 10));
+
+/**
+ * Format a date as YYMMDD (NACHA dates)
+ * @param {string|Date} d - 'YYYY-MM-DD' or Date
+ * @returns {string} YYMMDD
+ */
+const toYymmdd = (d) => toYmd(d).replace(/-/g, '').slice(2);
+
+/**
+ * Load the NACHA settings for a batch: the batch's nacha_settings_id, else
+ * the entity's default (or only) settings row
+ * @param {Object} db - pg Pool or client
+ * @param {Object} batch - payment_batches row
+ * @returns {Promise<Object|null>} company_nacha_settings row
+ */
+async function loadNachaSettings(db, batch) {
+    if (batch.nacha_settings_id) {
+        const { rows } = await db.query('SELECT * FROM company_nacha_settings WHERE id = $1', [batch.nacha_settings_id]);
+        if (rows[0]) return rows[0];
+    }
+    const order = await hasColumn(db, 'company_nacha_settings', 'is_default')
+        ? 'ORDER BY is_default DESC NULLS LAST, created_at'
+        : 'ORDER BY created_at';
+    const { rows } = await db.query(
+        `SELECT * FROM company_nacha_settings WHERE entity_id = $1 ${order} LIMIT 1`,
+        [batch.entity_id]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Load the payments of a batch with the payee's bank details. A linked
+ * vendor_bank_accounts row wins over the bank fields on the vendor.
+ * @param {Object} db - pg Pool or client
+ * @param {string} batchId - Payment batch UUID
+ * @returns {Promise<Object[]>} Payments
+ */
+async function loadBatchPayments(db, batchId) {
+    const hasVba = await hasColumn(db, 'payment_items', 'vendor_bank_account_id');
+    const pick = async (candidates) => {
+        const found = [];
+        for (const [table, alias, column] of candidates) {
+            if ((table !== 'vendor_bank_accounts' || hasVba) && await hasColumn(db, table, column)) {
+                found.push(`${alias}.${column}`);
+            }
+        }
+        return found.length ? `COALESCE(${found.join(', ')})` : 'NULL';
+    };
+
+    const { rows } = await db.query(
+        `SELECT pi.id, pi.vendor_id, pi.amount::float AS amount, pi.status, pi.description,
+                ${await pick([['payment_items', 'pi', 'invoice_number']])} AS invoice_number,
+                ${await pick([['payment_items', 'pi', 'reference']])} AS reference,
+                ${await pick([['payment_items', 'pi', 'invoice_date']])} AS invoice_date,
+                ${await pick([['payment_items', 'pi', 'post_date']])} AS post_date,
+                ${await pick([['payment_items', 'pi', 'bank_name']])} AS bank_name,
+                v.name AS vendor_name,
+                ${await pick([['vendors', 'v', 'zid']])} AS vendor_zid,
+                ${await pick([['vendors', 'v', 'account_type']])} AS vendor_kind,
+                ${await pick([['vendors', 'v', 'prenote_status']])} AS vendor_prenote_status,
+                (${await pick([['vendors', 'v', 'prenote_hold_until']])})::text AS vendor_prenote_hold_until,
+                ${await pick([['vendor_bank_accounts', 'vba', 'routing_number'], ['vendors', 'v', 'bank_routing_number']])} AS routing_number,
+                ${await pick([['vendor_bank_accounts', 'vba', 'account_number'], ['vendors', 'v', 'bank_account_number']])} AS account_number,
+                ${await pick([['vendor_bank_accounts', 'vba', 'account_type'], ['vendors', 'v', 'bank_account_type']])} AS account_type
+           FROM payment_items pi
+           JOIN vendors v ON v.id = pi.vendor_id
+           ${hasVba ? 'LEFT JOIN vendor_bank_accounts vba ON vba.id = pi.vendor_bank_account_id' : ''}
+          WHERE pi.payment_batch_id = $1
+            AND LOWER(COALESCE(pi.status, '')) <> ALL($2::text[])
+          ORDER BY pi.created_at, pi.id`,
+        [batchId, EXCLUDED_ITEM_STATUSES]
+    );
+    return rows;
+}
+
+/**
+ * Load the settlement bank accounts a batch's payments draw on: the NACHA
+ * settings' settlement account, plus any account named on a payment item
+ * (payment_items.bank_name, matched on bank_name or account_name)
+ * @param {Object} db - pg Pool or client
+ * @param {Object} settings - company_nacha_settings row
+ * @param {Object[]} payments - From loadBatchPayments
+ * @returns {Promise<Object>} { default, byName } bank_accounts rows
+ */
+async function loadSettlementAccounts(db, settings, payments) {
+    const accounts = { default: null, byName: {} };
+    if (settings.settlement_account_id) {
+        const { rows } = await db.query('SELECT * FROM bank_accounts WHERE id = $1', [settings.settlement_account_id]);
+        accounts.default = rows[0] || null;
+    }
+    const names = [...new Set(payments.map(p => p.bank_name).filter(Boolean))];
+    for (const name of names) {
+        const { rows } = await db.query(
+            `SELECT * FROM bank_accounts
+              WHERE LOWER(bank_name) = LOWER($1) OR LOWER(account_name) = LOWER($1)
+              ORDER BY created_at DESC
+              LIMIT 1`,
+            [name]
+        );
+        if (rows[0]) accounts.byName[name.toLowerCase()] = rows[0];
+    }
+    return accounts;
+}
+
+/**
+ * SEC code for a vendor's payments: the batch override, else PPD for
+ * individuals, CTX when a business is paid for several invoices at once
+ * (the 820 remittance lists them), CCD otherwise
+ * @param {Object[]} vendorPayments - One vendor's payments within an ACH batch group
+ * @param {string|null} override - payment_batches.sec_code
+ * @returns {string} CCD, PPD or CTX
+ */
+function secCodeFor(vendorPayments, override) {
+    if (override) return override;
+    if (/^individual$/i.test(vendorPayments[0].vendor_kind || '')) return 'PPD';
+    return vendorPayments.length > 1 ? 'CTX' : 'CCD';
+}
+
+/**
+ * Next unused File ID Modifier for files created on a date under the same
+ * NACHA settings (A-Z, then 0-9)
+ * @param {Object} db - pg Pool or client
+ * @param {Object} batch - payment_batches row
+ * @param {string} fileDate - 'YYYY-MM-DD'
+ * @returns {Promise<string|null>} Modifier, or null when all 36 are used
+ */
+async function nextFileIdModifier(db, batch, fileDate) {
+    const { rows } = await db.query(
+        `SELECT nf.file_id_modifier
+           FROM nacha_files nf
+           JOIN payment_batches pb ON pb.id = nf.payment_batch_id
+          WHERE nf.file_date::date = $1::date
+            AND nf.file_id_modifier IS NOT NULL
+            AND (pb.nacha_settings_id = $2 OR ($2::uuid IS NULL AND pb.entity_id = $3))`,
+        [fileDate, batch.nacha_settings_id || null, batch.entity_id]
+    );
+    const used = new Set(rows.map(r => r.file_id_modifier));
+    return [...FILE_ID_MODIFIERS].find(m => !used.has(m)) || null;
+}
+
+/**
+ * Map company_nacha_settings to NachaGenerator settings
+ * @param {Object} settings - company_nacha_settings row
+ * @param {Object} batch - payment_batches row
+ * @returns {Object} Generator settings
+ */
+function generatorSettings(settings, batch) {
+    const destination = digitsOnly(settings.immediate_destination).slice(-9);
+    const dfi = digitsOnly(settings.originating_dfi_id || destination).slice(0, 8);
+    return {
+        immediateDestination: destination,
+        immediateOrigin: String(settings.immediate_origin || settings.company_id || '').trim(),
+        immediateDestinationName: settings.destination_name || batch.bank_name || '',
+        immediateOriginName: settings.origin_name || settings.company_name || '',
+        referenceCode: settings.reference_code || '',
+        companyName: settings.company_name || '',
+        companyIdentification: String(settings.company_id || '').trim(),
+        companyEntryDescription: settings.company_entry_description || 'PAYMENT',
+        originatingDFIId: dfi,
+        isProduction: !!settings.is_production
+    };
+}
+
+/**
+ * Build the NACHA file for a batch. Nothing is written.
+ * @param {Object} opts
+ * @param {Object} opts.batch - payment_batches row
+ * @param {Object} opts.settings - company_nacha_settings row
+ * @param {Object[]} opts.payments - From loadBatchPayments
+ * @param {string} opts.fileIdModifier - File ID Modifier
+ * @param {Object} [opts.settlementAccounts] - From loadSettlementAccounts
+ * @param {Object[]} [opts.prenotes] - Queued vendor_prenotes rows (loadQueuedPrenotes)
+ * @param {boolean} [opts.balanced] - Offset each ACH batch to its settlement
+ *   account; defaults to settings.balanced_file
+ * @param {Date} [opts.now] - File creation time
+ * @returns {Object} { errors } or { content, totals, traces, batches, held,
+ *   prenote_traces, skipped_prenotes } where traces maps payment_items.id
+ *   (and prenote_traces vendor_prenotes.id) to its trace number. Payments to
+ *   vendors on prenote hold are left out and listed in held.
+ */
+function buildBatchFile({ batch, settings, payments, fileIdModifier, settlementAccounts = {}, prenotes = [], balanced, now = new Date() }) {
+    const errors = [];
+    const override = batch.sec_code ? String(batch.sec_code).toUpperCase() : null;
+    if (override && !SEC_CODES.includes(override)) {
+        errors.push({ error: `Unsupported SEC code ${batch.sec_code}; use ${SEC_CODES.join(', ')}` });
+    }
+    const isBalanced = balanced === undefined ? !!settings.balanced_file : !!balanced;
+
+    const genSettings = generatorSettings(settings, batch);
+    const generator = new NachaGenerator({
+        ...genSettings,
+        fileIdModifier,
+        fileCreationDate: toYymmdd(now),
+        fileCreationTime: now.toISOString().slice(11, 16).replace(':', ''),
+        effectiveEntryDate: batch.effective_date ? toYymmdd(batch.effective_date) : ''
+    });
+    try {
+        generator._validateFileSettings();
+    } catch (err) {
+        errors.push({ error: err.message });
+    }
+    if (errors.length) return { errors };
+
+    // Group by effective date and settlement account, then by SEC code per vendor.
+    // Items dated after the batch's effective date go out on their own date.
+    const settlementFor = (p) => (p.bank_name && (settlementAccounts.byName || {})[p.bank_name.toLowerCase()]) || settlementAccounts.default || null;
+    const batchDate = batch.effective_date ? toYmd(batch.effective_date) : toYmd(now);
+    const effectiveFor = (p) => {
+        const itemDate = p.post_date ? toYmd(p.post_date) : '';
+        return itemDate > batchDate ? itemDate : batchDate;
+    };
+    const groups = new Map();
+    const groupFor = (secCode, effective, settlement) => {
+        const key = `${secCode}|${effective}|${settlement ? settlement.id : ''}`;
+        if (!groups.has(key)) groups.set(key, { secCode, effective, settlement, vendors: [], prenotes: [] });
+        return groups.get(key);
+    };
+
+    // Payments to vendors still waiting on a prenote stay out of the file
+    const held = [];
+    const byVendor = new Map();
+    for (const p of payments) {
+        const settlement = settlementFor(p);
+        const effective = effectiveFor(p);
+        const reason = prenoteHoldReason(p, effective);
+        if (reason) {
+            held.push({ payment_item_id: p.id, vendor_id: p.vendor_id, vendor_name: p.vendor_name, amount: p.amount, reason });
+            continue;
+        }
+        const key = `${effective}|${settlement ? settlement.id : ''}|${p.vendor_id}`;
+        if (!byVendor.has(key)) byVendor.set(key, { settlement, effective, payments: [] });
+        byVendor.get(key).payments.push(p);
+    }
+    if (!byVendor.size && !prenotes.length) {
+        return { errors: [{ error: held.length ? 'Every payment in the batch is on prenote hold' : 'Batch has no payments to send' }], held };
+    }
+    for (const vendorGroup of byVendor.values()) {
+        const secCode = secCodeFor(vendorGroup.payments, override);
+        groupFor(secCode, vendorGroup.effective, vendorGroup.settlement).vendors.push(vendorGroup.payments);
+    }
+    for (const prenote of prenotes) {
+        const secCode = override || (/^individual$/i.test(prenote.vendor_kind || '') ? 'PPD' : 'CCD');
+        groupFor(secCode, batchDate, settlementAccounts.default || null).prenotes.push(prenote);
+    }
+
+    const traces = {};
+    const prenoteTraces = {};
+    const skippedPrenotes = [];
+    const batchSummaries = [];
+    for (const group of groups.values()) {
+        const achBatch = generator.createBatch({
+            standardEntryClassCode: group.secCode,
+            effectiveEntryDate: toYymmdd(group.effective)
+        });
+        if (isBalanced) {
+            const account = group.settlement;
+            if (!account || !NachaGenerator.validateRoutingNumber(digitsOnly(account.routing_number)) || !account.account_number) {
+                errors.push({ error: 'Balanced file needs a settlement bank account with a valid routing and account number' });
+                break;
+            }
+            achBatch.offsetAccount = {
+                routingNumber: digitsOnly(account.routing_number),
+                accountNumber: String(account.account_number).replace(/\s/g, ''),
+                accountType: account.type,
+                name: genSettings.companyName
+            };
+        }
+
+        for (const vendorPayments of group.vendors) {
+            const first = vendorPayments[0];
+            const entries = group.secCode === 'CTX' ? [vendorPayments] : vendorPayments.map(p => [p]);
+            for (const items of entries) {
+                const p = items[0];
+                const amount = Math.round(items.reduce((sum, i) => sum + Number(i.amount || 0), 0) * 100) / 100;
+                const addenda = group.secCode === 'CTX'
+                    ? NachaGenerator.buildCtxRemittance({
+                        senderId: genSettings.companyIdentification,
+                        receiverId: first.vendor_zid || first.vendor_id,
+                        payerName: genSettings.companyName,
+                        payeeName: first.vendor_name,
+                        reference: batch.batch_number || batch.id,
+                        amount,
+                        invoices: items.map(i => ({
+                            invoiceNumber: i.invoice_number || i.reference || i.id,
+                            amount: i.amount,
+                            invoiceDate: i.invoice_date ? toYmd(i.invoice_date) : null
+                        })),
+                        date: now,
+                        isProduction: genSettings.isProduction
+                    })
+                    : [p.invoice_number ? `INV ${p.invoice_number}` : '', p.description || ''].filter(Boolean).join(' ').trim();
+                try {
+                    generator.addEntry(achBatch, {
+                        routingNumber: digitsOnly(p.routing_number),
+                        accountNumber: String(p.account_number || '').replace(/\s/g, ''),
+                        amount,
+                        transactionCode: /sav/i.test(p.account_type || '')
+                            ? NachaGenerator.TRANSACTION_CODES.SAVINGS_CREDIT
+                            : NachaGenerator.TRANSACTION_CODES.CHECKING_CREDIT,
+                        receivingCompanyName: String(p.vendor_name || '').toUpperCase(),
+                        receivingCompanyId: p.vendor_zid || p.reference || '',
+                        vendorId: p.vendor_id,
+                        addenda: addenda || null
+                    });
+                    const trace = achBatch.entries[achBatch.entries.length - 1].traceNumber;
+                    items.forEach(i => { traces[i.id] = trace; });
+                } catch (err) {
+                    errors.push({ payment_item_id: p.id, vendor_name: p.vendor_name, error: err.message });
+                }
+            }
+        }
+        // Zero-dollar prenotes; a prenote that cannot be built stays queued
+        for (const prenote of group.prenotes) {
+            try {
+                generator.addEntry(achBatch, {
+                    routingNumber: digitsOnly(prenote.routing_number),
+                    accountNumber: String(prenote.account_number || '').replace(/\s/g, ''),
+                    amount: 0,
+                    transactionCode: /sav/i.test(prenote.account_type || '')
+                        ? NachaGenerator.TRANSACTION_CODES.SAVINGS_PRENOTE_CREDIT
+                        : NachaGenerator.TRANSACTION_CODES.CHECKING_PRENOTE_CREDIT,
+                    receivingCompanyName: String(prenote.vendor_name || '').toUpperCase(),
+                    receivingCompanyId: prenote.vendor_zid || '',
+                    vendorId: prenote.vendor_id
+                });
+                prenoteTraces[prenote.id] = achBatch.entries[achBatch.entries.length - 1].traceNumber;
+            } catch (err) {
+                skippedPrenotes.push({ vendor_prenote_id: prenote.id, vendor_id: prenote.vendor_id, vendor_name: prenote.vendor_name, error: err.message });
+            }
+        }
+        if (achBatch.entries.length) batchSummaries.push({ achBatch, group });
+    }
+    if (errors.length) return { errors, held };
+    if (!batchSummaries.length) return { errors: [{ error: 'No entries could be built for the file' }], held, skipped_prenotes: skippedPrenotes };
+    generator.batches = batchSummaries.map(b => b.achBatch);
+
+    const content = generator.generateFile();
+    return {
+        content,
+        traces,
+        prenote_traces: prenoteTraces,
+        skipped_prenotes: skippedPrenotes,
+        held,
+        batches: batchSummaries.map(({ achBatch, group }) => ({
+            batch_number: achBatch.header.batchNumber,
+            sec_code: group.secCode,
+            service_class_code: achBatch.serviceClassCode,
+            effective_date: group.effective,
+            settlement_account_id: group.settlement ? group.settlement.id : null,
+            entry_count: achBatch.entries.length,
+            total_debit_amount: Math.round(achBatch.totalDebitAmount * 100) / 100,
+            total_credit_amount: Math.round(achBatch.totalCreditAmount * 100) / 100
+        })),
+        totals: {
+            batch_count: generator.batches.length,
+            block_count: generator.blockCount,
+            entry_addenda_count: generator.totalEntryCount,
+            entry_hash: String(generator.totalEntryHash).padStart(10, '0'),
+            total_debit_amount: Math.round(generator.totalDebitAmount * 100) / 100,
+            total_credit_amount: Math.round(generator.totalCreditAmount * 100) / 100,
+            total_items: Object.keys(traces).length,
+            prenote_count: Object.keys(prenoteTraces).length,
+            balanced: isBalanced
+        }
+    };
+}
+
+module.exports = {
+    FILE_ID_MODIFIERS,
+    EXCLUDED_ITEM_STATUSES,
+    SEC_CODES,
+    toYymmdd,
+    loadNachaSettings,
+    loadBatchPayments,
+    loadSettlementAccounts,
+    nextFileIdModifier,
+    buildBatchFile
+};
@@ -0,0 +1,472 @@
+// src/utils/payment-posting.js
+//
+// Journal entries for paying a vendor payment item. The GL codes come from
+// payment_posting_rules (per entity and payment type, entity-specific rules
+// beat rules with a NULL entity_id) or from DEFAULT_RULE when none matches.
+//
+// Separate entries (compound_entry = false):
+//   accrual    Expense Dr / AP Cr                       (item fund)
+//   interfund  Due-from Dr (bank fund) / Due-to Cr      (only when the funds differ)
+//   clearing   Clearing Dr / Clearing Cr                (bank fund; when the rule has one)
+//   payment    AP Dr (item fund) / Cash Cr (bank fund)
+// A compound rule writes the same lines as one entry.
+
+const { assertPeriodOpen } = require('./period-lock');
+const { hasColumn, hasTable } = require('./schema');
+const { REVERSAL_ENTRY_TYPE } = require('./ledger');
+
+const PAYMENT_TYPES = ['eft', 'check', 'paypal', 'autodraft', 'cap one', 'convera'];
+
+const DEFAULT_RULE = {
+    ap_gl_code: '2010',
+    due_to_gl_code: '1008',
+    due_from_gl_code: '1008',
+    clearing_gl_code: null,
+    cash_gl_code: null,
+    compound_entry: false
+};
+
+// journal_entry_items.posting_role values. The accrual roles stay booked when
+// a payment is returned; the rest are reversed.
+const ACCRUAL_ROLES = ['expense', 'ap_accrual'];
+
+const GL_CODE_FIELDS = ['ap_gl_code', 'due_to_gl_code', 'due_from_gl_code', 'clearing_gl_code', 'cash_gl_code'];
+
+const normalizePaymentType = (v) => String(v || '').trim().toLowerCase();
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/**
+ * Validate a posting rule request body
+ * @param {Object} body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validatePostingRule(body) {
+    const type = normalizePaymentType(body.payment_type);
+    if (!PAYMENT_TYPES.includes(type)) {
+        return `payment_type must be one of: ${PAYMENT_TYPES.join(', ')}`;
+    }
+    for (const field of GL_CODE_FIELDS) {
+        const value = body[field];
+        if (value !== undefined && value !== null && String(value).trim().length > 10) {
+            return `${field} must be at most 10 characters`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Built-in rule for a payment type (EFT goes through the 1020 clearing account)
+ * @param {string} paymentType
+ * @returns {Object}
+ */
+function defaultRuleFor(paymentType) {
+    const type = normalizePaymentType(paymentType);
+    return {
+        ...DEFAULT_RULE,
+        id: null,
+        entity_id: null,
+        payment_type: type || null,
+        clearing_gl_code: type === 'eft' ? '1020' : null
+    };
+}
+
+/**
+ * Active posting rule for an entity and payment type
+ * @param {Object} db - pg Pool or client
+ * @param {string} entityId
+ * @param {string} paymentType - payment_items.payment_type
+ * @returns {Promise<Object>} payment_posting_rules row, or the built-in default
+ */
+async function loadPostingRule(db, entityId, paymentType) {
+    const type = normalizePaymentType(paymentType);
+    if (type && await hasTable(db, 'payment_posting_rules')) {
+        const { rows } = await db.query(
+            `SELECT * FROM payment_posting_rules
+              WHERE payment_type = $1
+                AND (entity_id = $2 OR entity_id IS NULL)
+                AND status = 'Active'
+              ORDER BY entity_id NULLS LAST
+              LIMIT 1`,
+            [type, entityId]
+        );
+        if (rows[0]) return rows[0];
+    }
+    return defaultRuleFor(type);
+}
+
+async function getEntityIdByCode(db, code) {
+    const r = await db.query('SELECT id FROM entities WHERE code = $1 LIMIT 1', [code]);
+    return r.rows[0]?.id || null;
+}
+
+async function getFundIdByNumber(db, fundNumber) {
+    const r = await db.query('SELECT id FROM funds WHERE fund_number = $1 LIMIT 1', [fundNumber]);
+    return r.rows[0]?.id || null;
+}
+
+async function getAccountById(db, id) {
+    const r = await db.query('SELECT * FROM accounts WHERE id = $1 LIMIT 1', [id]);
+    return r.rows[0] || null;
+}
+
+async function findAccountByGlCode(db, glCode, entityCode, fundNumber) {
+    const r = await db.query(
+        `SELECT * FROM accounts
+          WHERE gl_code = $1 AND entity_code = $2 AND fund_number = $3
+          LIMIT 1`,
+        [glCode, entityCode, fundNumber]
+    );
+    return r.rows[0] || null;
+}
+
+// Clearing accounts are looked up by entity; one in the bank fund is preferred
+async function findClearingAccount(db, glCode, entityCode, fundNumber) {
+    const r = await db.query(
+        `SELECT * FROM accounts
+          WHERE gl_code = $1 AND entity_code = $2
+          ORDER BY (fund_number = $3) DESC
+          LIMIT 1`,
+        [glCode, entityCode, fundNumber]
+    );
+    return r.rows[0] || null;
+}
+
+async function findBankAccountByName(db, bankName) {
+    if (!bankName) return null;
+    // Try bank_name exact, then account_name exact, then ILIKE fuzzy on both
+    const r = await db.query(
+        `SELECT *
+           FROM bank_accounts
+          WHERE LOWER(bank_name) = LOWER($1)
+             OR LOWER(account_name) = LOWER($1)
+          ORDER BY created_at DESC
+          LIMIT 1`,
+        [bankName]
+    );
+    if (r.rows[0]) return r.rows[0];
+    const r2 = await db.query(
+        `SELECT * FROM bank_accounts WHERE bank_name ILIKE $1 OR account_name ILIKE $1 ORDER BY created_at DESC LIMIT 1`,
+        [bankName]
+    );
+    return r2.rows[0] || null;
+}
+
+/**
+ * Work out the journal entries for paying one item without writing anything
+ * @param {Object} db - pg Pool or client
+ * @param {Object} pi - payment_items row
+ * @param {Object} [opts]
+ * @param {string|null} [opts.batchBankName] - payment_batches.bank_name fallback
+ * @returns {Promise<Object>} { entity_id, entry_date, reference, description, amount, rule, entries }
+ *   where entries are [{ key, total_amount, lines: [{ role, account_id, account_code, gl_code,
+ *   fund_id, fund_number, debit, credit }] }]
+ */
+async function buildPaymentPosting(db, pi, { batchBankName = null } = {}) {
+    const amount = round2(Math.abs(Number(pi.amount || 0)));
+    if (!amount) throw new Error('Invalid amount');
+    const entryDate = pi.post_date || new Date();
+    const reference = pi.reference || pi.invoice_number || String(pi.id);
+    const bankName = pi.bank_name || batchBankName || null;
+
+    // Vendor name + item description for the journal entries
+    let vendorName = '';
+    if (pi.vendor_id) {
+        const vr = await db.query('SELECT name FROM vendors WHERE id = $1 LIMIT 1', [pi.vendor_id]);
+        vendorName = vr.rows[0]?.name || '';
+    }
+    const description = [vendorName, pi.description || ''].filter(Boolean).join(' - ');
+
+    // Expense account from payment item.account_number (canonical)
+    let expenseAccount = null;
+    if (pi.account_number) {
+        const r = await db.query('SELECT * FROM accounts WHERE account_code = $1 LIMIT 1', [pi.account_number]);
+        expenseAccount = r.rows[0] || null;
+    }
+    if (!expenseAccount && pi.entity_code && pi.gl_code && pi.fund_number) {
+        expenseAccount = await findAccountByGlCode(db, pi.gl_code, pi.entity_code, pi.fund_number);
+    }
+    if (!expenseAccount) throw new Error('Expense account not found from account_number');
+
+    const entityCode = expenseAccount.entity_code;
+    const entityId = await getEntityIdByCode(db, entityCode);
+    if (!entityId) throw new Error('Entity not found for expense account');
+    // Reject payments dated inside a closed accounting period
+    await assertPeriodOpen(db, entityId, entryDate);
+    const expenseFundId = await getFundIdByNumber(db, expenseAccount.fund_number);
+    if (!expenseFundId) throw new Error('Fund not found for expense account');
+
+    const rule = await loadPostingRule(db, entityId, pi.payment_type);
+
+    const apAccount = await findAccountByGlCode(db, rule.ap_gl_code, entityCode, expenseAccount.fund_number);
+    if (!apAccount) throw new Error(`Accounts Payable (${rule.ap_gl_code}) account not found for item fund`);
+
+    // Cash: the rule's GL code, else the paying bank account's cash account.
+    // Banks are resolved strictly by account_name/bank_name (no NACHA linking).
+    const bankAcct = await findBankAccountByName(db, bankName);
+    let cashAccount;
+    if (rule.cash_gl_code) {
+        const bankCash = bankAcct && bankAcct.cash_account_id ? await getAccountById(db, bankAcct.cash_account_id) : null;
+        const cashFund = bankCash ? bankCash.fund_number : expenseAccount.fund_number;
+        cashAccount = await findAccountByGlCode(db, rule.cash_gl_code, entityCode, cashFund);
+        if (!cashAccount) throw new Error(`Cash (${rule.cash_gl_code}) account not found for fund ${cashFund}`);
+    } else {
+        if (!bankAcct || !bankAcct.cash_account_id) {
+            throw new Error('Bank cash account not found by account_name/bank_name');
+        }
+        cashAccount = await getAccountById(db, bankAcct.cash_account_id);
+        if (!cashAccount) throw new Error('Bank cash GL account not found');
+    }
+    const bankFundId = await getFundIdByNumber(db, cashAccount.fund_number);
+    if (!bankFundId) throw new Error('Bank fund not found');
+
+    const line = (role, account, fundId, debit, credit) => ({
+        role,
+        account_id: account.id,
+        account_code: account.account_code,
+        gl_code: account.gl_code,
+        fund_id: fundId,
+        fund_number: fundId === bankFundId ? cashAccount.fund_number : expenseAccount.fund_number,
+        debit,
+        credit
+    });
+
+    const entries = [];
+    entries.push({
+        key: 'accrual',
+        lines: [
+            line('expense', expenseAccount, expenseFundId, amount, 0),
+            line('ap_accrual', apAccount, expenseFundId, 0, amount)
+        ]
+    });
+
+    // Interfund only when the bank pays from a different fund
+    if (String(expenseAccount.fund_number) !== String(cashAccount.fund_number)) {
+        const dueFrom = await findAccountByGlCode(db, rule.due_from_gl_code, entityCode, cashAccount.fund_number);
+        if (!dueFrom) throw new Error(`Due-from (${rule.due_from_gl_code}) account not found for bank fund`);
+        const dueTo = await findAccountByGlCode(db, rule.due_to_gl_code, entityCode, expenseAccount.fund_number);
+        if (!dueTo) throw new Error(`Due-to (${rule.due_to_gl_code}) account not found for item fund`);
+        entries.push({
+            key: 'interfund',
+            lines: [
+                line('due_from', dueFrom, bankFundId, amount, 0),
+                line('due_to', dueTo, expenseFundId, 0, amount)
+            ]
+        });
+    }
+
+    if (rule.clearing_gl_code) {
+        const clearing = await findClearingAccount(db, rule.clearing_gl_code, pi.entity_code || entityCode, cashAccount.fund_number);
+        if (!clearing) throw new Error(`Clearing (gl_code ${rule.clearing_gl_code}) account not found for item entity`);
+        entries.push({
+            key: 'clearing',
+            lines: [
+                line('clearing', clearing, bankFundId, amount, 0),
+                line('clearing', clearing, bankFundId, 0, amount)
+            ]
+        });
+    }
+
+    entries.push({
+        key: 'payment',
+        lines: [
+            line('ap_payment', apAccount, expenseFundId, amount, 0),
+            line('cash', cashAccount, bankFundId, 0, amount)
+        ]
+    });
+
+    const planned = rule.compound_entry
+        ? [{ key: 'compound', lines: entries.flatMap(e => e.lines) }]
+        : entries;
+    planned.forEach(e => {
+        e.total_amount = round2(e.lines.reduce((sum, l) => sum + l.debit, 0));
+    });
+
+    return {
+        payment_item_id: pi.id,
+        entity_id: entityId,
+        entry_date: entryDate,
+        reference,
+        description,
+        amount,
+        rule,
+        entries: planned
+    };
+}
+
+async function insertJournalEntry(db, { entityId, entryDate, reference, description, totalAmount, paymentItemId, createdBy }) {
+    // Build dynamic insert for optional columns
+    const cols = ['entity_id', 'entry_date', 'total_amount'];
+    const vals = [entityId, entryDate, totalAmount];
+
+    if (await hasColumn(db, 'journal_entries', 'reference_number')) {
+        cols.push('reference_number'); vals.push(reference);
+    } else if (await hasColumn(db, 'journal_entries', 'reference')) {
+        cols.push('reference'); vals.push(reference);
+    }
+    if (await hasColumn(db, 'journal_entries', 'description')) {
+        cols.push('description'); vals.push(description || '');
+    }
+    if (await hasColumn(db, 'journal_entries', 'status')) {
+        cols.push('status'); vals.push('Posted');
+    }
+    if (await hasColumn(db, 'journal_entries', 'entry_mode')) {
+        cols.push('entry_mode'); vals.push('Auto');
+    }
+    if (await hasColumn(db, 'journal_entries', 'payment_item_id') && paymentItemId) {
+        cols.push('payment_item_id'); vals.push(paymentItemId);
+    }
+    if (await hasColumn(db, 'journal_entries', 'created_by') && createdBy) {
+        cols.push('created_by'); vals.push(createdBy);
+    }
+
+    const placeholders = vals.map((_, i) => `$${i + 1}`).join(',');
+    const r = await db.query(`INSERT INTO journal_entries (${cols.join(',')}) VALUES (${placeholders}) RETURNING id`, vals);
+    return r.rows[0].id;
+}
+
+/**
+ * Write the entries from buildPaymentPosting
+ * @param {Object} db - pg client inside the caller's transaction
+ * @param {Object} plan - From buildPaymentPosting
+ * @param {Object} [opts]
+ * @param {string|null} [opts.createdBy]
+ * @returns {Promise<Object>} entry key -> journal_entries.id
+ */
+async function writePaymentPosting(db, plan, { createdBy = null } = {}) {
+    const lineHasDescription = await hasColumn(db, 'journal_entry_items', 'description');
+    const lineHasRole = await hasColumn(db, 'journal_entry_items', 'posting_role');
+    const ids = {};
+    for (const entry of plan.entries) {
+        const journalEntryId = await insertJournalEntry(db, {
+            entityId: plan.entity_id,
+            entryDate: plan.entry_date,
+            reference: plan.reference,
+            description: plan.description,
+            totalAmount: entry.total_amount,
+            paymentItemId: plan.payment_item_id,
+            createdBy
+        });
+        for (const l of entry.lines) {
+            const cols = ['journal_entry_id', 'account_id', 'fund_id', 'debit', 'credit'];
+            const vals = [journalEntryId, l.account_id, l.fund_id, l.debit || 0, l.credit || 0];
+            if (lineHasDescription) { cols.push('description'); vals.push(plan.description || ''); }
+            if (lineHasRole) { cols.push('posting_role'); vals.push(l.role); }
+            const placeholders = vals.map((_, i) => `$${i + 1}`).join(',');
+            await db.query(`INSERT INTO journal_entry_items (${cols.join(',')}) VALUES (${placeholders})`, vals);
+        }
+        ids[entry.key] = journalEntryId;
+    }
+    return ids;
+}
+
+/**
+ * Reverse the payment-side journal entries of a paid item (ACH return or a
+ * voided check). The entries
+ * created by POST /api/vendor-payments/pay carry payment_item_id; the first
+ * one (Expense/AP, stored on payment_items.journal_entry_id) stays because
+ * the vendor is still owed. The rest (interfund, clearing, AP/Cash) are
+ * reversed so the cash and the payable are restored. When the payment was
+ * posted as one compound entry, only its payment-side lines (by
+ * posting_role) are reversed.
+ * @param {Object} db - pg client
+ * @param {Object} item - payment_items row (id, journal_entry_id)
+ * @param {Object} opts - { date (YYYY-MM-DD), reason, userId }
+ * @returns {Promise<string[]>} Reversing entry ids
+ */
+async function reversePaymentEntries(db, item, { date, reason, userId }) {
+    if (!await hasColumn(db, 'journal_entries', 'payment_item_id')) return [];
+    const hasReversalOf = await hasColumn(db, 'journal_entries', 'reversal_of_id');
+
+    const { rows: entries } = await db.query(
+        `SELECT je.*, to_char(je.entry_date, 'YYYY-MM-DD') AS entry_ymd
+           FROM journal_entries je
+          WHERE je.payment_item_id = $1
+            AND LOWER(COALESCE(je.status, '')) = 'posted'
+            ${hasReversalOf ? `AND je.reversal_of_id IS NULL
+            AND NOT EXISTS (SELECT 1 FROM journal_entries r WHERE r.reversal_of_id = je.id)` : ''}
+          ORDER BY je.created_at, je.id
+          FOR UPDATE OF je`,
+        [item.id]
+    );
+
+    const optional = {};
+    for (const col of ['reference_number', 'description', 'status', 'entry_mode', 'entry_type', 'created_by']) {
+        optional[col] = await hasColumn(db, 'journal_entries', col);
+    }
+    const lineHasDescription = await hasColumn(db, 'journal_entry_items', 'description');
+    const logAudit = hasReversalOf && await hasTable(db, 'journal_entry_audit_log');
+    const lineHasRole = await hasColumn(db, 'journal_entry_items', 'posting_role');
+
+    const reversalIds = [];
+    for (const original of entries) {
+        let { rows: lines } = await db.query(
+            'SELECT * FROM journal_entry_items WHERE journal_entry_id = $1 ORDER BY id',
+            [original.id]
+        );
+        if (original.id === item.journal_entry_id) {
+            lines = lineHasRole ? lines.filter(l => l.posting_role && !ACCRUAL_ROLES.includes(l.posting_role)) : [];
+            if (!lines.length) continue;
+        }
+        const totalAmount = Math.round(lines.reduce((sum, l) => sum + Number(l.debit || 0), 0) * 100) / 100;
+
+        const entryDate = date > original.entry_ymd ? date : original.entry_ymd;
+        await assertPeriodOpen(db, original.entity_id, entryDate);
+
+        const cols = ['entity_id', 'entry_date', 'total_amount'];
+        const vals = [original.entity_id, entryDate, totalAmount];
+        if (optional.reference_number) {
+            cols.push('reference_number'); vals.push(`REV-${original.reference_number || original.id}`.slice(0, 50));
+        }
+        if (optional.description) {
+            cols.push('description'); vals.push(`${reason}${original.description ? ` – ${original.description}` : ''}`);
+        }
+        if (optional.status) { cols.push('status'); vals.push('Posted'); }
+        if (optional.entry_mode) { cols.push('entry_mode'); vals.push('Auto'); }
+        if (optional.entry_type) { cols.push('entry_type'); vals.push(REVERSAL_ENTRY_TYPE); }
+        if (optional.created_by && userId) { cols.push('created_by'); vals.push(userId); }
+        if (hasReversalOf) { cols.push('reversal_of_id'); vals.push(original.id); }
+        cols.push('payment_item_id'); vals.push(item.id);
+
+        const ph = vals.map((_, i) => `$${i + 1}`).join(',');
+        const { rows: revRows } = await db.query(
+            `INSERT INTO journal_entries (${cols.join(',')}) VALUES (${ph}) RETURNING id`,
+            vals
+        );
+        const reversalId = revRows[0].id;
+
+        for (const line of lines) {
+            const lineCols = ['journal_entry_id', 'account_id', 'fund_id', 'debit', 'credit'];
+            const lineVals = [reversalId, line.account_id, line.fund_id, Number(line.credit || 0), Number(line.debit || 0)];
+            if (lineHasDescription) { lineCols.push('description'); lineVals.push(line.description || ''); }
+            if (lineHasRole) { lineCols.push('posting_role'); lineVals.push(line.posting_role || null); }
+            const lph = lineVals.map((_, i) => `$${i + 1}`).join(',');
+            await db.query(`INSERT INTO journal_entry_items (${lineCols.join(',')}) VALUES (${lph})`, lineVals);
+        }
+
+        if (logAudit) {
+            await db.query(
+                `INSERT INTO journal_entry_audit_log (journal_entry_id, action, related_entry_id, reason, user_id)
+                 VALUES ($1, 'Reverse', $2, $3, $4)`,
+                [original.id, reversalId, reason, userId]
+            );
+        }
+        reversalIds.push(reversalId);
+    }
+    return reversalIds;
+}
+
+module.exports = {
+    PAYMENT_TYPES,
+    DEFAULT_RULE,
+    ACCRUAL_ROLES,
+    GL_CODE_FIELDS,
+    normalizePaymentType,
+    validatePostingRule,
+    defaultRuleFor,
+    loadPostingRule,
+    findAccountByGlCode,
+    buildPaymentPosting,
+    writePaymentPosting,
+    reversePaymentEntries
+};
@@ -0,0 +1,184 @@
+// src/utils/pdf-writer.js
+//
+// Minimal PDF 1.4 writer for server-rendered documents (checks, calibration
+// pages). It draws text in the standard Helvetica, Helvetica-Bold and Courier
+// fonts (no embedding needed), lines and filled or stroked rectangles.
+// Coordinates are in points from the top-left corner of the page; the writer
+// flips them to PDF's bottom-left origin.
+
+const POINTS_PER_INCH = 72;
+
+// Standard 14 font advance widths (1/1000 em) for ASCII 32..126
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+const FONTS = {
+    Helvetica: { resource: 'F1', widths: HELVETICA_WIDTHS },
+    'Helvetica-Bold': { resource: 'F2', widths: HELVETICA_BOLD_WIDTHS },
+    Courier: { resource: 'F3', widths: null }
+};
+
+const fmt = (n) => {
+    const s = Number(n).toFixed(3);
+    return s.replace(/\.?0+$/, '') || '0';
+};
+
+// Printable ASCII only; anything else becomes '?'
+const cleanText = (s) => String(s ?? '').replace(/[^\x20-\x7e]/g, '?');
+
+const escapeText = (s) => cleanText(s).replace(/[\\()]/g, c => `\\${c}`);
+
+class PdfDocument {
+    /**
+     * @param {Object} [opts]
+     * @param {number} [opts.width] - Page width in points (default US Letter)
+     * @param {number} [opts.height] - Page height in points
+     */
+    constructor({ width = 8.5 * POINTS_PER_INCH, height = 11 * POINTS_PER_INCH } = {}) {
+        this.width = width;
+        this.height = height;
+        this.pages = [];
+        this.current = null;
+    }
+
+    addPage() {
+        this.current = [];
+        this.pages.push(this.current);
+        return this;
+    }
+
+    _ops() {
+        if (!this.current) this.addPage();
+        return this.current;
+    }
+
+    /**
+     * Width of a string in points
+     * @param {string} str
+     * @param {string} [font]
+     * @param {number} [size]
+     * @returns {number}
+     */
+    textWidth(str, font = 'Helvetica', size = 10) {
+        const widths = (FONTS[font] || FONTS.Helvetica).widths;
+        const text = cleanText(str);
+        if (!widths) return text.length * 600 * size / 1000;
+        let total = 0;
+        for (const ch of text) total += widths[ch.charCodeAt(0) - 32] || 556;
+        return total * size / 1000;
+    }
+
+    /**
+     * Draw text with its baseline at y
+     * @param {number} x - Left edge (or right edge / centre, per align)
+     * @param {number} y - Baseline, from the top of the page
+     * @param {string} str
+     * @param {Object} [opts] - { font, size, align: 'left'|'right'|'center', gray }
+     */
+    text(x, y, str, { font = 'Helvetica', size = 10, align = 'left', gray = 0 } = {}) {
+        const f = FONTS[font] || FONTS.Helvetica;
+        let left = x;
+        if (align !== 'left') {
+            const w = this.textWidth(str, font, size);
+            left = align === 'right' ? x - w : x - w / 2;
+        }
+        this._ops().push(
+            `BT ${fmt(gray)} g /${f.resource} ${fmt(size)} Tf ${fmt(left)} ${fmt(this.height - y)} Td (${escapeText(str)}) Tj ET`
+        );
+        return this;
+    }
+
+    /**
+     * Cut a string to fit a width, ending it with '...' when cut
+     */
+    fitText(str, maxWidth, font = 'Helvetica', size = 10) {
+        let text = cleanText(str);
+        if (this.textWidth(text, font, size) <= maxWidth) return text;
+        while (text.length && this.textWidth(`${text}...`, font, size) > maxWidth) text = text.slice(0, -1);
+        return `${text}...`;
+    }
+
+    line(x1, y1, x2, y2, { width = 0.5, gray = 0, dash = null } = {}) {
+        this._ops().push(
+            `q ${fmt(gray)} G ${fmt(width)} w ${dash ? `[${dash.map(fmt).join(' ')}] 0 d ` : ''}` +
+            `${fmt(x1)} ${fmt(this.height - y1)} m ${fmt(x2)} ${fmt(this.height - y2)} l S Q`
+        );
+        return this;
+    }
+
+    /**
+     * Rectangle with its top-left corner at (x, y)
+     * @param {Object} [opts] - { fill: gray level to fill with, stroke: gray level to outline with, width }
+     */
+    rect(x, y, w, h, { fill = null, stroke = 0, width = 0.5 } = {}) {
+        const box = `${fmt(x)} ${fmt(this.height - y - h)} ${fmt(w)} ${fmt(h)} re`;
+        if (fill !== null && stroke !== null) {
+            this._ops().push(`q ${fmt(fill)} g ${fmt(stroke)} G ${fmt(width)} w ${box} B Q`);
+        } else if (fill !== null) {
+            this._ops().push(`q ${fmt(fill)} g ${box} f Q`);
+        } else {
+            this._ops().push(`q ${fmt(stroke || 0)} G ${fmt(width)} w ${box} S Q`);
+        }
+        return this;
+    }
+
+    /**
+     * Serialise the document
+     * @returns {Buffer}
+     */
+    toBuffer() {
+        if (!this.pages.length) this.addPage();
+        const objects = [];
+        const add = (body) => { objects.push(body); return objects.length; };
+
+        const catalogId = add(null);
+        const pagesId = add(null);
+        const fontIds = {};
+        for (const [name, f] of Object.entries(FONTS)) {
+            fontIds[f.resource] = add(`<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`);
+        }
+        const fontDict = Object.entries(fontIds).map(([res, id]) => `/${res} ${id} 0 R`).join(' ');
+
+        const pageIds = [];
+        for (const ops of this.pages) {
+            const stream = ops.join('\n');
+            const contentId = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+            pageIds.push(add(
+                `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${fmt(this.width)} ${fmt(this.height)}] ` +
+                `/Resources << /Font << ${fontDict} >> >> /Contents ${contentId} 0 R >>`
+            ));
+        }
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        let out = '%PDF-1.4\n';
+        const offsets = [];
+        objects.forEach((body, i) => {
+            offsets.push(Buffer.byteLength(out, 'latin1'));
+            out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        });
+        const xrefAt = Buffer.byteLength(out, 'latin1');
+        out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+        out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+        return Buffer.from(out, 'latin1');
+    }
+}
+
+PdfDocument.POINTS_PER_INCH = POINTS_PER_INCH;
+
+module.exports = PdfDocument;
@@ -0,0 +1,94 @@
+// src/utils/period-lock.js
+//
+// Accounting period lock. A write (journal entry, deposit, payment, import)
+// dated inside a Closed fiscal_periods row for its entity is rejected.
+
+const { ApiError } = require('../middleware/error-handler');
+
+/**
+ * Format a closed period for error messages
+ * @param {Object} period - fiscal_periods row (with entity_name when joined)
+ * @returns {string} Message
+ */
+const closedPeriodMessage = (period) => {
+    const entity = period.entity_name ? ` for ${period.entity_name}` : '';
+    return `Accounting period ${period.period} of FY${period.fiscal_year} ` +
+        `(${period.start_date} to ${period.end_date}) is closed${entity}`;
+};
+
+/**
+ * Find the closed period (if any) covering a date for any of the given entities
+ * @param {Object} db - pg Pool or client
+ * @param {string|string[]} entityIds - Entity UUID(s); falsy values are ignored
+ * @param {string|Date} date - Transaction date
+ * @returns {Promise<Object|null>} Closed fiscal_periods row or null
+ */
+const findClosedPeriod = async (db, entityIds, date) => {
+    const ids = (Array.isArray(entityIds) ? entityIds : [entityIds]).filter(Boolean);
+    if (!ids.length || !date) return null;
+
+    try {
+        const { rows } = await db.query(
+            `SELECT fp.id, fp.entity_id, fp.fiscal_year, fp.period,
+                    to_char(fp.start_date, 'YYYY-MM-DD') AS start_date,
+                    to_char(fp.end_date, 'YYYY-MM-DD')   AS end_date,
+                    e.name AS entity_name
+               FROM fiscal_periods fp
+               JOIN entities e ON e.id = fp.entity_id
+              WHERE fp.entity_id = ANY($1::uuid[])
+                AND fp.status = 'Closed'
+                AND $2::date BETWEEN fp.start_date AND fp.end_date
+              LIMIT 1`,
+            [ids, date]
+        );
+        return rows[0] || null;
+    } catch (err) {
+        // fiscal_periods not migrated yet: nothing can be closed
+        if (err.code === '42P01') return null;
+        throw err;
+    }
+};
+
+/**
+ * Throw a 409 ApiError when the date falls in a closed period
+ * @param {Object} db - pg Pool or client
+ * @param {string|string[]} entityIds - Entity UUID(s)
+ * @param {string|Date} date - Transaction date
+ * @returns {Promise<void>}
+ */
+const assertPeriodOpen = async (db, entityIds, date) => {
+    const closed = await findClosedPeriod(db, entityIds, date);
+    if (closed) {
+        throw new ApiError(closedPeriodMessage(closed), 409, {
+            fiscal_period_id: closed.id,
+            entity_id: closed.entity_id,
+            fiscal_year: closed.fiscal_year,
+            period: closed.period
+        });
+    }
+};
+
+/**
+ * Find the closed period (if any) that an existing journal entry falls in,
+ * checking both its entity and target entity
+ * @param {Object} db - pg Pool or client
+ * @param {string} journalEntryId - Journal entry UUID
+ * @returns {Promise<Object|null>} Closed fiscal_periods row or null
+ */
+const findClosedPeriodForEntry = async (db, journalEntryId) => {
+    const { rows } = await db.query(
+        `SELECT entity_id, target_entity_id, to_char(entry_date, 'YYYY-MM-DD') AS entry_date
+           FROM journal_entries WHERE id = $1`,
+        [journalEntryId]
+    );
+    if (!rows.length) return null;
+    const je = rows[0];
+    return findClosedPeriod(db, [je.entity_id, je.target_entity_id], je.entry_date);
+};
+
+module.exports = {
+    closedPeriodMessage,
+    findClosedPeriod,
+    assertPeriodOpen,
+    findClosedPeriodForEntry
+};
@@ -0,0 +1,181 @@
+// src/utils/positive-pay.js
+//
+// Positive pay files tell the bank which checks were issued or voided so it
+// only honours checks we wrote. The layout is per bank account
+// (positive_pay_layouts): fixed-width or CSV, a list of fields in file order,
+// the date format and the codes the bank uses for issued and voided checks.
+//
+// A field is { field, width, align, pad, header, value }:
+//   field  - one of FIELDS ('literal' writes `value` as-is)
+//   width  - fixed-width only; longer text is cut, longer numbers are an error
+//   align  - 'left' | 'right' (default right for numbers, left for text)
+//   pad    - padding character (default '0' for numbers, ' ' for text)
+//   header - CSV column heading (defaults to the field name)
+
+const FILE_FORMATS = ['fixed', 'csv'];
+
+const FIELDS = {
+    account_number: 'number',
+    routing_number: 'number',
+    check_number: 'number',
+    amount_cents: 'number',
+    amount: 'text',
+    issue_date: 'text',
+    void_date: 'text',
+    payee_name: 'text',
+    record_code: 'text',
+    literal: 'text'
+};
+
+const DEFAULT_LAYOUT = {
+    file_format: 'fixed',
+    fields: [
+        { field: 'account_number', width: 12 },
+        { field: 'check_number', width: 10 },
+        { field: 'amount_cents', width: 12 },
+        { field: 'issue_date', width: 8 },
+        { field: 'record_code', width: 1 },
+        { field: 'payee_name', width: 50 }
+    ],
+    delimiter: ',',
+    include_header: false,
+    date_format: 'MMDDYYYY',
+    issue_code: 'I',
+    void_code: 'V',
+    line_ending: 'CRLF',
+    file_extension: 'txt'
+};
+
+const DATE_TOKENS = /YYYY|YY|MM|DD/g;
+
+/**
+ * Format a date with YYYY, YY, MM and DD tokens (anything else is literal)
+ * @param {string|Date} d - 'YYYY-MM-DD' or Date
+ * @param {string} pattern - e.g. 'MMDDYYYY', 'YYYY-MM-DD', 'MM/DD/YY'
+ * @returns {string}
+ */
+function formatDate(d, pattern) {
+    if (!d) return '';
+    const ymd = d instanceof Date
+        ? `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+        : String(d).slice(0, 10);
+    const [yyyy, mm, dd] = ymd.split('-');
+    const parts = { YYYY: yyyy, YY: yyyy.slice(2), MM: mm, DD: dd };
+    return String(pattern || DEFAULT_LAYOUT.date_format).replace(DATE_TOKENS, t => parts[t]);
+}
+
+/**
+ * Validate a layout request body
+ * @param {Object} layout
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateLayout(layout) {
+    if (!FILE_FORMATS.includes(layout.file_format)) {
+        return `file_format must be one of: ${FILE_FORMATS.join(', ')}`;
+    }
+    if (!Array.isArray(layout.fields) || layout.fields.length === 0) {
+        return 'fields must be a non-empty array';
+    }
+    for (const [i, f] of layout.fields.entries()) {
+        if (!f || !Object.prototype.hasOwnProperty.call(FIELDS, f.field)) {
+            return `fields[${i}].field must be one of: ${Object.keys(FIELDS).join(', ')}`;
+        }
+        if (layout.file_format === 'fixed' && !(Number.isInteger(Number(f.width)) && Number(f.width) > 0)) {
+            return `fields[${i}].width must be a positive integer for fixed-width layouts`;
+        }
+        if (f.align && !['left', 'right'].includes(f.align)) {
+            return `fields[${i}].align must be left or right`;
+        }
+        if (f.pad !== undefined && String(f.pad).length !== 1) {
+            return `fields[${i}].pad must be a single character`;
+        }
+    }
+    if (!layout.date_format || !/YYYY|YY|MM|DD/.test(layout.date_format)) {
+        return 'date_format must contain YYYY, YY, MM or DD';
+    }
+    if (!layout.issue_code || !layout.void_code || layout.issue_code === layout.void_code) {
+        return 'issue_code and void_code are required and must differ';
+    }
+    if (layout.file_format === 'csv' && !layout.delimiter) {
+        return 'delimiter is required for CSV layouts';
+    }
+    return null;
+}
+
+const csvValue = (v, delimiter) => {
+    const s = String(v);
+    return s.includes(delimiter) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * Value of one field for a record
+ * @param {Object} f - Layout field
+ * @param {Object} record - { record_type, check_number, amount, issue_date, void_date, payee_name }
+ * @param {Object} bankAccount - bank_accounts row
+ * @param {Object} layout
+ * @returns {string}
+ */
+function fieldValue(f, record, bankAccount, layout) {
+    switch (f.field) {
+        case 'account_number': return String(bankAccount.account_number || '').replace(/\D/g, '');
+        case 'routing_number': return String(bankAccount.routing_number || '').replace(/\D/g, '');
+        case 'check_number': return String(record.check_number || '').replace(/\D/g, '');
+        case 'amount_cents': return String(Math.round(Number(record.amount || 0) * 100));
+        case 'amount': return Number(record.amount || 0).toFixed(2);
+        case 'issue_date': return formatDate(record.issue_date, layout.date_format);
+        case 'void_date': return formatDate(record.void_date, layout.date_format);
+        case 'payee_name': return String(record.payee_name || '').replace(/\s+/g, ' ').trim();
+        case 'record_code': return record.record_type === 'Void' ? layout.void_code : layout.issue_code;
+        case 'literal': return String(f.value ?? '');
+        default: return '';
+    }
+}
+
+/**
+ * Render a positive pay file
+ * @param {Object} layout - positive_pay_layouts row or DEFAULT_LAYOUT
+ * @param {Object[]} records - Checks to send, issues and voids
+ * @param {Object} bankAccount - bank_accounts row
+ * @returns {string} File content
+ */
+function renderPositivePay(layout, records, bankAccount) {
+    const eol = layout.line_ending === 'LF' ? '\n' : '\r\n';
+    const lines = [];
+
+    if (layout.file_format === 'csv') {
+        const delimiter = layout.delimiter || ',';
+        if (layout.include_header) {
+            lines.push(layout.fields.map(f => csvValue(f.header || f.field, delimiter)).join(delimiter));
+        }
+        for (const record of records) {
+            lines.push(layout.fields.map(f => csvValue(fieldValue(f, record, bankAccount, layout), delimiter)).join(delimiter));
+        }
+    } else {
+        for (const record of records) {
+            lines.push(layout.fields.map(f => {
+                const numeric = FIELDS[f.field] === 'number';
+                const width = Number(f.width);
+                const align = f.align || (numeric ? 'right' : 'left');
+                const pad = f.pad !== undefined ? String(f.pad) : (numeric ? '0' : ' ');
+                let value = fieldValue(f, record, bankAccount, layout);
+                // Text is cut to fit; a cut number would identify the wrong check
+                if (value.length > width) {
+                    if (numeric) throw new Error(`${f.field} ${value} does not fit in ${width} characters`);
+                    value = value.slice(0, width);
+                }
+                return align === 'right' ? value.padStart(width, pad) : value.padEnd(width, pad);
+            }).join(''));
+        }
+    }
+
+    return lines.length ? lines.join(eol) + eol : '';
+}
+
+module.exports = {
+    FILE_FORMATS,
+    FIELDS,
+    DEFAULT_LAYOUT,
+    formatDate,
+    validateLayout,
+    renderPositivePay
+};
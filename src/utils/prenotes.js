@@ -0,0 +1,234 @@
+// src/utils/prenotes.js
+//
+// Prenotification (prenote) handling for vendor bank accounts. Saving new or
+// changed bank details queues a zero-dollar prenote; the next NACHA file
+// generated for a batch that pays the vendor carries it, under that batch's
+// originator, and the vendor's live payments are held until the waiting
+// period after the prenote's effective date has passed.
+//
+// vendors.prenote_status: 'None' (no prenote needed), 'Pending' (queued or
+// waiting), 'Verified' (waiting period passed), 'Failed' (prenote returned).
+
+const { addBusinessDays } = require('./ledger');
+const { hasTable } = require('./schema');
+
+const DEFAULT_WAIT_DAYS = 3;
+
+const digitsOnly = (v) => String(v || '').replace(/\D/g, '');
+
+const toYmd = (d) => (d instanceof Date
+    ? `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+    : String(d).slice(0, 10));
+
+/**
+ * Whether this database has the prenote tables (migration 2026-10-19-10)
+ * @param {Object} db - pg Pool or client
+ * @returns {Promise<boolean>}
+ */
+function prenotesEnabled(db) {
+    return hasTable(db, 'vendor_prenotes');
+}
+
+/**
+ * Whether a vendor's ACH bank details are new or changed
+ * @param {Object|null} before - vendors row before the save (null when created)
+ * @param {Object} after - vendors row after the save
+ * @returns {boolean}
+ */
+function bankDetailsChanged(before, after) {
+    if (!digitsOnly(after.bank_routing_number) || !String(after.bank_account_number || '').trim()) return false;
+    if (!before) return true;
+    return digitsOnly(before.bank_routing_number) !== digitsOnly(after.bank_routing_number)
+        || String(before.bank_account_number || '').trim() !== String(after.bank_account_number || '').trim()
+        || String(before.bank_account_type || '').toLowerCase() !== String(after.bank_account_type || '').toLowerCase();
+}
+
+/**
+ * Queue a prenote for a vendor's current bank details and put the vendor on
+ * hold. Prenotes still waiting in the queue for older details are cancelled.
+ * @param {Object} db - pg Pool or client
+ * @param {Object} vendor - vendors row after the save
+ * @param {string|null} userId - User queuing the prenote
+ * @returns {Promise<Object>} vendor_prenotes row
+ */
+async function queuePrenote(db, vendor, userId = null) {
+    await db.query(
+        `UPDATE vendor_prenotes SET status = 'Cancelled', updated_at = NOW()
+          WHERE vendor_id = $1 AND status = 'Queued'`,
+        [vendor.id]
+    );
+    const { rows } = await db.query(
+        `INSERT INTO vendor_prenotes (vendor_id, routing_number, account_number, account_type, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [
+            vendor.id,
+            digitsOnly(vendor.bank_routing_number),
+            String(vendor.bank_account_number).trim(),
+            vendor.bank_account_type || null,
+            userId
+        ]
+    );
+    await db.query(
+        `UPDATE vendors
+            SET prenote_status = 'Pending', prenote_date = NULL, prenote_hold_until = NULL
+          WHERE id = $1`,
+        [vendor.id]
+    );
+    return rows[0];
+}
+
+/**
+ * Queue a prenote when a save changed the vendor's bank details and the
+ * database has the prenote tables
+ * @returns {Promise<Object|null>} vendor_prenotes row, or null when nothing changed
+ */
+async function queuePrenoteIfChanged(db, before, after, userId = null) {
+    if (!after || !bankDetailsChanged(before, after)) return null;
+    if (!await prenotesEnabled(db)) return null;
+    return queuePrenote(db, after, userId);
+}
+
+/**
+ * A vendor's prenote status as of a date, without writing it: a Pending
+ * vendor whose waiting period has passed reads as Verified. Reads use this;
+ * refreshPrenoteStatuses() stores it when a NACHA file is generated.
+ * @param {Object} vendor - vendors row
+ * @param {string} [asOf] - YYYY-MM-DD; defaults to today
+ * @returns {string|undefined} Status
+ */
+function effectivePrenoteStatus(vendor, asOf = null) {
+    const date = asOf || new Date().toISOString().split('T')[0];
+    const holdUntil = vendor.prenote_hold_until ? toYmd(vendor.prenote_hold_until) : null;
+    if (vendor.prenote_status === 'Pending' && holdUntil && holdUntil <= date) return 'Verified';
+    return vendor.prenote_status;
+}
+
+/**
+ * Clear prenotes whose waiting period has passed and mark their vendors
+ * Verified
+ * @param {Object} db - pg Pool or client
+ * @param {string} [asOf] - YYYY-MM-DD; defaults to today
+ */
+async function refreshPrenoteStatuses(db, asOf = null) {
+    if (!await prenotesEnabled(db)) return;
+    const date = asOf || new Date().toISOString().split('T')[0];
+    await db.query(
+        `UPDATE vendor_prenotes SET status = 'Cleared', updated_at = NOW()
+          WHERE status = 'Sent' AND hold_until <= $1::date`,
+        [date]
+    );
+    await db.query(
+        `UPDATE vendors SET prenote_status = 'Verified'
+          WHERE prenote_status = 'Pending' AND prenote_hold_until <= $1::date`,
+        [date]
+    );
+}
+
+/**
+ * Queued prenotes for the vendors a payment batch pays, with the vendor
+ * details the NACHA file needs. Prenotes for other vendors wait for a batch
+ * of their own so they go out under the right originator.
+ * @param {Object} db - pg Pool or client
+ * @param {string} batchId - payment_batches.id
+ * @returns {Promise<Object[]>} vendor_prenotes rows with vendor_name, vendor_zid, vendor_kind
+ */
+async function loadQueuedPrenotes(db, batchId) {
+    const { rows } = await db.query(
+        `SELECT vp.*, v.name AS vendor_name, v.zid AS vendor_zid, v.account_type AS vendor_kind
+           FROM vendor_prenotes vp
+           JOIN vendors v ON v.id = vp.vendor_id
+          WHERE vp.status = 'Queued'
+            AND vp.vendor_id IN (SELECT pi.vendor_id FROM payment_items pi WHERE pi.payment_batch_id = $1)
+          ORDER BY vp.created_at
+            FOR UPDATE OF vp`,
+        [batchId]
+    );
+    return rows;
+}
+
+/**
+ * Record prenotes as sent in a NACHA file and start the vendors' waiting period
+ * @param {Object} db - pg Pool or client
+ * @param {Object[]} prenotes - Rows from loadQueuedPrenotes that went into the file
+ * @param {Object} opts
+ * @param {string|null} opts.nachaFileId - nacha_files.id
+ * @param {Object} opts.traces - vendor_prenotes.id -> trace number
+ * @param {string} opts.effectiveDate - YYYY-MM-DD
+ * @param {number} [opts.waitDays] - Business days before live payments may go
+ * @returns {Promise<string>} Hold-until date
+ */
+async function markPrenotesSent(db, prenotes, { nachaFileId, traces, effectiveDate, waitDays }) {
+    const days = Number.isInteger(Number(waitDays)) && Number(waitDays) >= 0 ? Number(waitDays) : DEFAULT_WAIT_DAYS;
+    const holdUntil = addBusinessDays(effectiveDate, days);
+    for (const p of prenotes) {
+        await db.query(
+            `UPDATE vendor_prenotes
+                SET status = 'Sent', nacha_file_id = $1, trace_number = $2,
+                    effective_date = $3, hold_until = $4, updated_at = NOW()
+              WHERE id = $5`,
+            [nachaFileId, traces[p.id] || null, effectiveDate, holdUntil, p.id]
+        );
+        await db.query(
+            `UPDATE vendors SET prenote_date = $1, prenote_hold_until = $2
+              WHERE id = $3 AND prenote_status = 'Pending'`,
+            [effectiveDate, holdUntil, p.vendor_id]
+        );
+    }
+    return holdUntil;
+}
+
+/**
+ * Put prenotes sent in untransmitted files back in the queue, so a
+ * regenerated file carries them again. Their vendors go back to Pending with
+ * no waiting period until the prenote is sent again.
+ * @param {Object} db - pg Pool or client
+ * @param {string[]} nachaFileIds - Files being replaced
+ */
+async function requeuePrenotes(db, nachaFileIds) {
+    if (!nachaFileIds.length) return;
+    const { rows } = await db.query(
+        `UPDATE vendor_prenotes
+            SET status = 'Queued', nacha_file_id = NULL, trace_number = NULL,
+                effective_date = NULL, hold_until = NULL, updated_at = NOW()
+          WHERE status = 'Sent' AND nacha_file_id = ANY($1::uuid[])
+          RETURNING vendor_id`,
+        [nachaFileIds]
+    );
+    if (!rows.length) return;
+    await db.query(
+        `UPDATE vendors
+            SET prenote_status = 'Pending', prenote_date = NULL, prenote_hold_until = NULL
+          WHERE id = ANY($1::uuid[])`,
+        [[...new Set(rows.map(r => r.vendor_id))]]
+    );
+}
+
+/**
+ * Why a payment to a vendor is held, if it is
+ * @param {Object} payment - From loadBatchPayments (vendor_prenote_status, vendor_prenote_hold_until as YYYY-MM-DD)
+ * @param {string} effectiveDate - YYYY-MM-DD the payment settles
+ * @returns {string|null} Reason, or null when the payment may go
+ */
+function prenoteHoldReason(payment, effectiveDate) {
+    const status = payment.vendor_prenote_status;
+    if (status === 'Failed') return 'Prenote was returned; correct the vendor bank details';
+    if (status !== 'Pending') return null;
+    const holdUntil = payment.vendor_prenote_hold_until ? String(payment.vendor_prenote_hold_until).slice(0, 10) : null;
+    if (!holdUntil) return 'Prenote has not been sent yet';
+    return effectiveDate < holdUntil ? `Prenote pending until ${holdUntil}` : null;
+}
+
+module.exports = {
+    DEFAULT_WAIT_DAYS,
+    prenotesEnabled,
+    bankDetailsChanged,
+    queuePrenote,
+    queuePrenoteIfChanged,
+    effectivePrenoteStatus,
+    refreshPrenoteStatuses,
+    loadQueuedPrenotes,
+    markPrenotesSent,
+    requeuePrenotes,
+    prenoteHoldReason
+};
@@ -0,0 +1,41 @@
+// src/utils/schema.js
+//
+// Schema guards for code that has to run against databases at different
+// migration levels. Both look in the public schema only.
+
+/**
+ * Check whether a table has a column
+ * @param {Object} db - pg Pool or client
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {Promise<boolean>} True when the column exists
+ */
+async function hasColumn(db, table, column) {
+    try {
+        const { rows } = await db.query(
+            `SELECT 1 FROM information_schema.columns
+              WHERE table_schema = 'public' AND table_name = $1 AND column_name = $2
+              LIMIT 1`,
+            [table, column]
+        );
+        return rows.length > 0;
+    } catch (_) {
+        return false;
+    }
+}
+
+/**
+ * Check whether a table exists
+ * @param {Object} db - pg Pool or client
+ * @param {string} table - Table name
+ * @returns {Promise<boolean>} True when the table exists
+ */
+async function hasTable(db, table) {
+    const { rows } = await db.query('SELECT to_regclass($1) AS t', [`public.${table}`]);
+    return !!rows[0].t;
+}
+
+module.exports = {
+    hasColumn,
+    hasTable
+};